@@ -24,6 +24,7 @@ export const PROVIDERS = {
     name: 'Ollama',
     type: 'local',
     defaultModel: 'llama3.2',
+    contextWindow: 8192,
     baseUrl: 'http://localhost:11434',
     setupHint: 'Install: brew install ollama && ollama pull llama3.2 && ollama serve'
   },
@@ -32,6 +33,7 @@ export const PROVIDERS = {
     name: 'LM Studio',
     type: 'local',
     defaultModel: 'local-model',
+    contextWindow: 8192,
     baseUrl: 'http://localhost:1234/v1',
     setupHint: 'Download LM Studio, load a model, start the local server'
   },
@@ -40,6 +42,7 @@ export const PROVIDERS = {
     name: 'LocalAI',
     type: 'local',
     defaultModel: 'gpt-3.5-turbo',
+    contextWindow: 8192,
     baseUrl: 'http://localhost:8080/v1',
     setupHint: 'Run: docker run -p 8080:8080 localai/localai'
   },
@@ -50,6 +53,7 @@ export const PROVIDERS = {
     name: 'Groq',
     type: 'cloud',
     defaultModel: 'llama-3.3-70b-versatile',
+    contextWindow: 131072,
     baseUrl: 'https://api.groq.com/openai/v1',
     setupHint: 'Get free API key at https://console.groq.com'
   },
@@ -58,6 +62,7 @@ export const PROVIDERS = {
     name: 'Google Gemini',
     type: 'cloud',
     defaultModel: 'gemini-1.5-flash',
+    contextWindow: 1048576,
     baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
     setupHint: 'Get free API key at https://aistudio.google.com/apikey'
   },
@@ -66,6 +71,7 @@ export const PROVIDERS = {
     name: 'Mistral',
     type: 'cloud',
     defaultModel: 'mistral-small-latest',
+    contextWindow: 32000,
     baseUrl: 'https://api.mistral.ai/v1',
     setupHint: 'Get API key at https://console.mistral.ai'
   },
@@ -74,6 +80,7 @@ export const PROVIDERS = {
     name: 'Together AI',
     type: 'cloud',
     defaultModel: 'meta-llama/Llama-3.3-70B-Instruct-Turbo',
+    contextWindow: 131072,
     baseUrl: 'https://api.together.xyz/v1',
     setupHint: 'Get $5 free credit at https://together.ai'
   },
@@ -82,6 +89,7 @@ export const PROVIDERS = {
     name: 'Anthropic',
     type: 'cloud',
     defaultModel: 'claude-3-5-haiku-20241022',
+    contextWindow: 200000,
     baseUrl: 'https://api.anthropic.com/v1',
     setupHint: 'Get API key at https://console.anthropic.com'
   },
@@ -90,11 +98,47 @@ export const PROVIDERS = {
     name: 'OpenAI',
     type: 'cloud',
     defaultModel: 'gpt-4o',
+    contextWindow: 128000,
     baseUrl: 'https://api.openai.com/v1',
     setupHint: 'Get API key at https://platform.openai.com (paid)'
   }
 };
 
+/**
+ * Context windows (tokens) for well-known models, checked before the
+ * provider's default so a user-picked model gets its own limit.
+ */
+const MODEL_CONTEXT_WINDOWS = [
+  [/^gemini-1\.5-pro/, 2097152],
+  [/^gemini/, 1048576],
+  [/^claude/, 200000],
+  [/^(gpt-4o|gpt-4-turbo|o1|o3|o4)/, 128000],
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-3\.5/, 16385],
+  [/^gpt-4(-|$)/, 8192],
+  [/llama-?3\.[123]|llama-4/i, 131072],
+  [/mixtral-8x7b/i, 32768],
+  [/gemma2?-9b/i, 8192],
+  [/^(mistral|codestral|open-mistral|ministral|pixtral)/, 32000]
+];
+
+// Used for unknown providers/models – small enough to be safe almost anywhere
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Context window in tokens for a provider + model.
+ * Local providers report their default: what Ollama and friends actually
+ * load is set by the server, not the model card.
+ */
+export function getContextWindow(providerName, model) {
+  const provider = PROVIDERS[providerName];
+  if (provider?.type !== 'local' && model) {
+    const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model));
+    if (match) return match[1];
+  }
+  return provider?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+}
+
 /**
  * Get provider configuration
  */
@@ -105,12 +149,14 @@ export function getProviderConfig(providerName, env = {}) {
   }
   
   const envPrefix = providerName.toUpperCase();
+  const model = env[`${envPrefix}_MODEL`] || env.LLM_MODEL || provider.defaultModel;
   
   return {
     ...provider,
     apiKey: env[`${envPrefix}_API_KEY`] || env.LLM_API_KEY,
-    model: env[`${envPrefix}_MODEL`] || env.LLM_MODEL || provider.defaultModel,
-    baseUrl: env[`${envPrefix}_URL`] || provider.baseUrl
+    model,
+    baseUrl: env[`${envPrefix}_URL`] || provider.baseUrl,
+    contextWindow: Number(env[`${envPrefix}_CONTEXT_WINDOW`]) || getContextWindow(providerName, model)
   };
 }
 
@@ -125,8 +171,14 @@ export async function generateOllama(config, messages, options = {}) {
       model: config.model,
       messages,
       stream: false,
-      options: { temperature: options.temperature || 0.7 }
-    })
+      options: {
+        temperature: options.temperature ?? 0.7,
+        ...(options.maxTokens ? { num_predict: options.maxTokens } : {}),
+        // Ollama silently truncates prompts past num_ctx (2048 by default)
+        ...(config.contextWindow ? { num_ctx: config.contextWindow } : {})
+      }
+    }),
+    signal: options.signal
   });
 
   if (!response.ok) {
@@ -149,8 +201,14 @@ export async function streamOllama(config, messages, options = {}, res) {
       model: config.model,
       messages,
       stream: true,
-      options: { temperature: options.temperature || 0.7 }
-    })
+      options: {
+        temperature: options.temperature ?? 0.7,
+        ...(options.maxTokens ? { num_predict: options.maxTokens } : {}),
+        // Ollama silently truncates prompts past num_ctx (2048 by default)
+        ...(config.contextWindow ? { num_ctx: config.contextWindow } : {})
+      }
+    }),
+    signal: options.signal
   });
 
   if (!response.ok) {
@@ -198,8 +256,10 @@ export async function generateOpenAICompatible(config, messages, options = {}) {
     body: JSON.stringify({
       model: config.model,
       messages,
-      temperature: options.temperature || 0.7
-    })
+      temperature: options.temperature ?? 0.7,
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {})
+    }),
+    signal: options.signal
   });
 
   if (!response.ok) {
@@ -230,9 +290,11 @@ export async function streamOpenAICompatible(config, messages, options = {}, res
     body: JSON.stringify({
       model: config.model,
       messages,
-      temperature: options.temperature || 0.7,
+      temperature: options.temperature ?? 0.7,
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {}),
       stream: true
-    })
+    }),
+    signal: options.signal
   });
 
   if (!response.ok) {
@@ -297,9 +359,11 @@ export async function generateGemini(config, messages, options = {}) {
       body: JSON.stringify({
         contents,
         generationConfig: {
-          temperature: options.temperature || 0.7
+          temperature: options.temperature ?? 0.7,
+          ...(options.maxTokens ? { maxOutputTokens: options.maxTokens } : {})
         }
-      })
+      }),
+      signal: options.signal
     }
   );
 
@@ -346,9 +410,11 @@ export async function streamGemini(config, messages, options = {}, res) {
       body: JSON.stringify({
         contents,
         generationConfig: {
-          temperature: options.temperature || 0.7
+          temperature: options.temperature ?? 0.7,
+          ...(options.maxTokens ? { maxOutputTokens: options.maxTokens } : {})
         }
-      })
+      }),
+      signal: options.signal
     }
   );
 
@@ -396,9 +462,9 @@ export async function generateAnthropic(config, messages, options = {}) {
 
   const body = {
     model: config.model,
-    max_tokens: 4096,
+    max_tokens: options.maxTokens || 4096,
     messages: userMessages,
-    temperature: options.temperature || 0.7
+    temperature: options.temperature ?? 0.7
   };
   if (systemMsg) body.system = systemMsg.content;
 
@@ -409,7 +475,8 @@ export async function generateAnthropic(config, messages, options = {}) {
       'x-api-key': config.apiKey,
       'anthropic-version': '2023-06-01'
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal: options.signal
   });
 
   if (!response.ok) {
@@ -438,9 +505,9 @@ export async function streamAnthropic(config, messages, options = {}, res) {
 
   const body = {
     model: config.model,
-    max_tokens: 4096,
+    max_tokens: options.maxTokens || 4096,
     messages: userMessages,
-    temperature: options.temperature || 0.7,
+    temperature: options.temperature ?? 0.7,
     stream: true
   };
   if (systemMsg) body.system = systemMsg.content;
@@ -452,7 +519,8 @@ export async function streamAnthropic(config, messages, options = {}, res) {
       'x-api-key': config.apiKey,
       'anthropic-version': '2023-06-01'
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal: options.signal
   });
 
   if (!response.ok) {
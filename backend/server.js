@@ -21,9 +21,14 @@ import cors from 'cors';
 import multer from 'multer';
 import pdfParse from 'pdf-parse/lib/pdf-parse.js';
 import mammoth from 'mammoth';
+import Tesseract from 'tesseract.js';
+import engModel from '@tesseract.js-data/eng';
+import WordExtractor from 'word-extractor';
+import JSZip from 'jszip';
 import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import {
   PROVIDERS,
   getProviderConfig,
@@ -31,10 +36,15 @@ import {
   stream,
   checkProvider,
   generateWithFallback,
-  buildFallbackChain
+  buildFallbackChain,
+  getContextWindow
 } from './llm-providers.js';
+import { buildPrompts } from '../shared/recipe.js';
 import { CVParser } from '../shared/cv-parser.js';
-import { PromptBuilder } from '../shared/prompt-builder.js';
+import { createOcr } from '../shared/ocr.js';
+import { SUPPORTED_FORMATS, createDocumentExtractor, cvText, noTextMessage } from '../shared/document-extract.js';
+import { loadQuestionTypesFile } from '../shared/question-types.js';
+import { finishAnswer } from '../shared/answer-finish.js';
 
 dotenv.config();
 
@@ -57,26 +67,36 @@ if (USE_FALLBACK && FALLBACK_CHAIN.length > 1) {
   console.log(`Fallback chain: ${FALLBACK_CHAIN.map(p => p.name).join(' → ')}`);
 }
 
+// Custom question types (shared/question-types.js). A broken file stops the
+// server here rather than quietly answering with the built-in types
+let CUSTOM_QUESTION_TYPES = [];
+try {
+  CUSTOM_QUESTION_TYPES = loadQuestionTypesFile(process.env.QUESTION_TYPES_FILE, path => readFileSync(resolve(path), 'utf8'));
+} catch (err) {
+  console.error(`${err.message}\nExiting.`);
+  process.exit(1);
+}
+if (process.env.QUESTION_TYPES_FILE) {
+  console.log(`Question types: ${CUSTOM_QUESTION_TYPES.map(t => t.type).join(', ') || 'none'}`);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// File upload configuration
+// Offline OCR for scanned CVs, with the bundled English model
+const ocr = createOcr({ createWorker: Tesseract.createWorker, langPath: engModel.langPath, gzip: engModel.gzip });
+
+// Text, hyperlinks, page count and metadata from every supported format
+// (shared/document-extract.js, the same code the proxy runs)
+const extractDocument = createDocumentExtractor({ pdfParse, mammoth, WordExtractor, JSZip, ocr });
+
+// File upload configuration. No mimetype filter: the browser's guess is often
+// wrong for drag-and-drop, so the type is read from the file's bytes
+// (shared/document-extract.js) once it has arrived
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 5 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Allowed: PDF, DOCX, TXT'));
-    }
-  }
+  limits: { fileSize: 5 * 1024 * 1024 }
 });
 
 /**
@@ -88,6 +108,7 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     provider: PROVIDER_CONFIG.name,
     model: PROVIDER_CONFIG.model,
+    contextWindow: PROVIDER_CONFIG.contextWindow,
     type: PROVIDERS[PROVIDER_NAME].type
   });
 });
@@ -101,6 +122,7 @@ app.get('/api/providers', (req, res) => {
     name: p.name,
     type: p.type,
     defaultModel: p.defaultModel,
+    contextWindow: p.contextWindow,
     setupHint: p.setupHint,
     active: id === PROVIDER_NAME
   }));
@@ -119,6 +141,7 @@ app.get('/api/llm-status', async (req, res) => {
     provider: PROVIDER_NAME,
     providerName: PROVIDER_CONFIG.name,
     model: PROVIDER_CONFIG.model,
+    contextWindow: PROVIDER_CONFIG.contextWindow,
     type: PROVIDERS[PROVIDER_NAME].type
   });
 });
@@ -132,38 +155,26 @@ app.post('/api/cv/upload', upload.single('cv'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    let text = '';
-    const { mimetype, buffer } = req.file;
-
-    switch (mimetype) {
-      case 'application/pdf':
-        const pdfData = await pdfParse(buffer);
-        text = pdfData.text;
-        break;
-
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-        const docxResult = await mammoth.extractRawText({ buffer });
-        text = docxResult.value;
-        break;
-
-      case 'text/plain':
-        text = buffer.toString('utf-8');
-        break;
-
-      default:
-        return res.status(400).json({ error: 'Unsupported file type' });
+    const { buffer, originalname } = req.file;
+    const doc = await extractDocument(buffer, { filename: originalname });
+    if (!doc) {
+      return res.status(400).json({ error: `Unsupported file type. Allowed: ${SUPPORTED_FORMATS}` });
+    }
+    if (!doc.text) {
+      return res.status(422).json({ error: noTextMessage(doc) });
     }
-
-    text = text
-      .replace(/\r\n/g, '\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
 
     res.json({
       success: true,
-      text,
-      filename: req.file.originalname,
-      size: req.file.size
+      text: cvText(doc),
+      filename: originalname,
+      size: req.file.size,
+      type: doc.type,
+      pages: doc.pages,
+      links: doc.links,
+      metadata: doc.metadata,
+      ...(doc.layout ? { layout: doc.layout } : {}),
+      ...(doc.ocr ? { ocr: doc.ocr } : {})
     });
 
   } catch (error) {
@@ -177,38 +188,108 @@ app.post('/api/cv/upload', upload.single('cv'), async (req, res) => {
  *
  * Accepts two payload formats:
  *
- * 1. Pre-built prompts (web app):
- *    { systemPrompt, userPrompt, temperature?, stream?, llmConfig? }
+ * 1. Pre-built prompts (web app, built with shared/recipe.js):
+ *    { systemPrompt, userPrompt, temperature?, maxTokens?, stream?, llmConfig? }
  *
- * 2. Structured payload (extension) — prompts built server-side:
- *    { question, cvText, length?, jobTitle?, company?, jobDescription?,
- *      requirements?, platform?, llmConfig? }
+ * 2. Structured payload (extension) — prompts built server-side by the
+ *    same shared recipe, including its per-type temperature and maxTokens:
+ *    { question, cvText, cvOverrides?, length?, tone?, jobTitle?, company?,
+ *      jobDescription?, requirements?, platform?, applicationProfile?, stories?,
+ *      questionType?, questionTypes?, limit?, language?, writingStyle?, llmConfig? }
+ *    `questionTypes` are the user's own question types; they are added to
+ *    those from QUESTION_TYPES_FILE and replace one with the same name.
+ *    `limit` ({ maxChars?, maxWords? }, e.g. the field's maxlength) is
+ *    combined with any limit the question states; an answer over it comes
+ *    back trimmed at a sentence with `cutToLimit: true`. A stream can't be
+ *    taken back, so it carries the limit in the X-Answer-Limit header and
+ *    the client trims.
+ *    `language` ('de', 'fr', …) sets the answer language; without it the
+ *    question's or job description's language is used. The response
+ *    carries `language` ({ code, name, source }), or the X-Answer-Language
+ *    header when streaming.
+ *    `writingStyle` is the user's style profile (shared/writing-style.js);
+ *    the answer is prompted to match it and the response reports
+ *    `styleDrift` ({ drifted, issues }). A stream leaves the check to the
+ *    client.
+ *    The prompt is budgeted to the model's context window; the response
+ *    carries `trimmed` (sections shortened to fit), or the X-Prompt-Trimmed
+ *    header when streaming. A plain field the application profile answers
+ *    (e.g. "Notice period") is returned from the profile without an LLM call,
+ *    with `provider: 'profile'`.
  *
  * Both formats accept optional `llmConfig: { provider, apiKey, model? }`
  * to use a user-supplied LLM. Falls back to server default (Groq) on failure.
  */
 app.post('/api/generate', async (req, res) => {
   try {
-    let { systemPrompt, userPrompt, temperature, stream: useStream, llmConfig } = req.body;
+    let { systemPrompt, userPrompt, temperature, maxTokens, stream: useStream, llmConfig } = req.body;
+    let trimmed;
+    let limit;
+    let language;
+    // What finishAnswer needs from the recipe; raw prompts have none of it
+    let finishing = {};
+
+    // Resolve user-supplied provider config (if provided and valid)
+    let userProviderName = null;
+    let userProviderConfig = null;
+    if (llmConfig?.provider && llmConfig?.apiKey && PROVIDERS[llmConfig.provider]) {
+      const model = llmConfig.model || PROVIDERS[llmConfig.provider].defaultModel;
+      userProviderName = llmConfig.provider;
+      userProviderConfig = {
+        ...PROVIDERS[llmConfig.provider],
+        apiKey: llmConfig.apiKey,
+        model,
+        contextWindow: getContextWindow(llmConfig.provider, model)
+      };
+    }
 
     // ── Extension structured payload → build prompts server-side ──────────
     if (!systemPrompt && req.body.question && req.body.cvText) {
-      const { question, cvText, length, jobTitle, company, jobDescription, requirements, tone } = req.body;
-
-      const cvParser = new CVParser();
-      const cvData = cvParser.parse(cvText);
-
-      const promptBuilder = new PromptBuilder();
-      const built = promptBuilder.buildPrompt(cvData, question, length || 'medium', {
+      const { question, cvText, cvOverrides, length, jobTitle, company, jobDescription, requirements, tone, applicationProfile, stories, questionType, questionTypes } = req.body;
+      const answerLanguage = typeof req.body.language === 'string' ? req.body.language : undefined;
+      const fieldLimit = req.body.limit && typeof req.body.limit === 'object' ? req.body.limit : undefined;
+
+      const built = buildPrompts({
+        question,
+        length: length || 'medium',
+        tone: tone || 'natural',
+        cvText,
+        cvOverrides,
         jobTitle,
         company,
         jobDescription,
-        requirements,
-        tone
+        requirements: Array.isArray(requirements) ? requirements : undefined,
+        applicationProfile,
+        stories,
+        questionType,
+        questionTypes: [...CUSTOM_QUESTION_TYPES, ...(Array.isArray(questionTypes) ? questionTypes : [])],
+        limit: fieldLimit,
+        language: answerLanguage,
+        writingStyle: req.body.writingStyle,
+        // Fit the smaller window, so a fallback to the server provider still fits
+        contextWindow: Math.min(
+          userProviderConfig?.contextWindow || Infinity,
+          PROVIDER_CONFIG.contextWindow
+        )
       });
 
       systemPrompt = built.systemPrompt;
       userPrompt = built.userPrompt;
+      temperature = built.temperature;
+      maxTokens = built.maxTokens;
+      trimmed = built.trimmed?.length ? built.trimmed : undefined;
+      limit = built.limit || undefined;
+      language = built.language;
+      finishing = { limit, writingStyle: built.writingStyle, language, tone: tone || 'natural' };
+
+      if (built.directAnswer) {
+        if (!useStream) return res.json({ answer: built.directAnswer, provider: 'profile' });
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.write(`data: ${JSON.stringify({ text: built.directAnswer })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        return res.end();
+      }
     }
 
     if (!systemPrompt || !userPrompt) {
@@ -220,22 +301,16 @@ app.post('/api/generate', async (req, res) => {
       { role: 'user', content: userPrompt }
     ];
 
-    const options = { temperature: temperature || 0.7 };
-
-    // Resolve user-supplied provider config (if provided and valid)
-    let userProviderName = null;
-    let userProviderConfig = null;
-    if (llmConfig?.provider && llmConfig?.apiKey && PROVIDERS[llmConfig.provider]) {
-      userProviderName = llmConfig.provider;
-      userProviderConfig = {
-        ...PROVIDERS[llmConfig.provider],
-        apiKey: llmConfig.apiKey,
-        model: llmConfig.model || PROVIDERS[llmConfig.provider].defaultModel
-      };
-    }
+    const options = {
+      temperature: typeof temperature === 'number' ? temperature : 0.7,
+      ...(Number(maxTokens) > 0 ? { maxTokens: Math.min(Number(maxTokens), 4096) } : {})
+    };
 
     if (useStream) {
       res.setHeader('Content-Type', 'text/event-stream');
+      if (trimmed) res.setHeader('X-Prompt-Trimmed', trimmed.join(','));
+      if (limit) res.setHeader('X-Answer-Limit', JSON.stringify(limit));
+      if (language) res.setHeader('X-Answer-Language', JSON.stringify(language));
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
@@ -255,7 +330,7 @@ app.post('/api/generate', async (req, res) => {
       if (userProviderName && userProviderConfig) {
         try {
           const result = await generate(userProviderName, userProviderConfig, messages, options);
-          return res.json({ ...result, provider: userProviderName });
+          return res.json({ ...result, ...finishAnswer(result.answer, finishing), provider: userProviderName, ...(trimmed ? { trimmed } : {}), ...(language ? { language } : {}) });
         } catch (e) {
           console.warn(`[Generate] User provider ${userProviderName} failed, falling back:`, e.message);
         }
@@ -269,7 +344,7 @@ app.post('/api/generate', async (req, res) => {
         result = await generate(PROVIDER_NAME, PROVIDER_CONFIG, messages, options);
         result.provider = PROVIDER_NAME;
       }
-      res.json(result);
+      res.json({ ...result, ...finishAnswer(result.answer, finishing), ...(trimmed ? { trimmed } : {}), ...(language ? { language } : {}) });
     }
 
   } catch (error) {
@@ -299,6 +374,30 @@ app.post('/api/cv/text', (req, res) => {
   });
 });
 
+/**
+ * CV parse endpoint
+ *
+ * { text, overrides? } – CV text, resume.json or Europass XML, plus the
+ * user's corrections – → the structured CV (shared/cv-parser.js) and its
+ * diagnostics: sections found, the heuristic that found them, per-field
+ * confidence and warnings. Nothing is stored.
+ */
+app.post('/api/cv/parse', (req, res) => {
+  const { text, overrides } = req.body;
+
+  if (typeof text !== 'string' || text.trim().length < 50) {
+    return res.status(400).json({ error: 'CV text too short or missing' });
+  }
+
+  try {
+    const { rawText, diagnostics, ...cv } = new CVParser().parse(text.trim(), { overrides });
+    res.json({ success: true, cv, diagnostics });
+  } catch (error) {
+    console.error('CV parse error:', error);
+    res.status(500).json({ error: 'Failed to parse CV' });
+  }
+});
+
 // Serve frontend + shared modules (works in dev too)
 const FRONTEND_DIR = join(__dirname, '../frontend');
 const SHARED_DIR = join(__dirname, '../shared');
@@ -326,6 +425,7 @@ app.listen(PORT, () => {
   console.log(`  GET  /api/providers   - List available providers`);
   console.log(`  GET  /api/llm-status  - Check LLM availability`);
   console.log(`  POST /api/cv/upload   - Upload CV file`);
+  console.log(`  POST /api/cv/parse    - Parse CV text, with diagnostics`);
   console.log(`  POST /api/generate    - Generate answer`);
 });
 
@@ -0,0 +1,121 @@
+// Generated from shared/answer-language.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * Answer Language Module
+ *
+ * Roles in Germany, France or the Netherlands often ask their questions and
+ * describe the job in the local language, and an English answer there reads
+ * like a form filled in without reading it. This module decides which
+ * language an answer is written in: the one the user asked for, else the
+ * question's, else the job description's, else English.
+ *
+ * DESIGN DECISIONS:
+ * 1. The question decides before the job description – an international
+ *    company with a German posting may still ask in English, and the answer
+ *    follows what the reader asked in
+ * 2. Questions are short ("Warum wir?"), so they are scored on question and
+ *    function words plus letters only one language uses, and need only a
+ *    small lead. Job descriptions are prose and go through the CV detector
+ *    (cv-locales.js)
+ * 3. A bare label ("Anschreiben", "Motivation") has no words to go on and
+ *    falls through to the job description
+ * 4. Only the languages the CV parser knows (CV_LANGUAGES) can be chosen;
+ *    "de-DE" is read as "de", and anything else is ignored, not guessed at
+ *
+ * Usage:
+ *   resolveAnswerLanguage({ question: 'Warum möchten Sie bei uns arbeiten?' });
+ *   // → { code: 'de', name: 'German', source: 'question' }
+ *   resolveAnswerLanguage({ question: 'Why us?', language: 'fr' });
+ *   // → { code: 'fr', name: 'French', source: 'option' }
+ */
+
+import { CV_LANGUAGES, LANGUAGE_NAMES, detectCVLanguage } from './cv-locales.js';
+
+// Words that give a short question away. Words several of these languages
+// share ("de", "en", "la", "que") are left out or counted for each of them
+const QUESTION_WORDS = {
+  en: 'the and you your we our us why what how which when where who does did are have has would could please describe tell about with for of to this that',
+  de: 'und der die das sie ihre ihr ihnen uns unser unsere unserem warum wie welche welcher welches wann wo wer haben können möchten würden bitte beschreiben mit für von bei ist sind ein eine einen zu den dem nicht auch',
+  fr: 'et le la les un une des du pour avec dans sur vous votre vos nous notre nos pourquoi quel quelle quels quelles comment quand où qui que quoi est sont avez êtes décrivez expliquez pouvez souhaitez chez pas',
+  es: 'y el la los las un una del con por para qué cómo cuál cuáles cuándo dónde quién usted sus nuestro nuestra nuestros nosotros son tiene puede describa explique gustaría que',
+  nl: 'het een van voor met op bij aan te zijn je jij jouw u uw wij ons onze waarom wat hoe welke wanneer waar wie heb hebt heeft bent kun kunt wilt wil beschrijf vertel graag niet ook',
+  pt: 'e o os do da dos das em com uma um na ao por para que como qual quais quando onde quem você vocês seu sua seus suas nosso nossa nossos é são tem pode descreva explique gostaria não'
+};
+const QUESTION_WORD_SETS = Object.fromEntries(
+  Object.entries(QUESTION_WORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+);
+
+// Letters that only one of the languages uses
+const LETTERS = {
+  de: /[äöüß]/,
+  fr: /[èëîïùûœ]/,
+  es: /[ñ¿¡]/,
+  pt: /[ãõ]/
+};
+
+// The leader needs this score and this much more than the runner-up
+const QUESTION_MIN_SCORE = 2;
+const QUESTION_LEAD = 1;
+
+/**
+ * The language an application question is written in, or null when it is
+ * too short or too mixed to tell.
+ *
+ * @param {string} question
+ * @returns {string|null} One of CV_LANGUAGES
+ */
+export function detectQuestionLanguage(question) {
+  const scores = Object.fromEntries(CV_LANGUAGES.map(lang => [lang, 0]));
+  const words = String(question || '').toLowerCase().match(/[\p{L}¿¡]+/gu) || [];
+  for (const word of words) {
+    for (const lang of CV_LANGUAGES) {
+      if (QUESTION_WORD_SETS[lang].has(word.replace(/^[¿¡]+/, ''))) scores[lang]++;
+      if (LETTERS[lang]?.test(word)) scores[lang]++;
+    }
+  }
+
+  const [[best, bestScore], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return bestScore >= QUESTION_MIN_SCORE && bestScore - second >= QUESTION_LEAD ? best : null;
+}
+
+/**
+ * A language option as a CV_LANGUAGES code: "de", "DE" and "de-DE" → "de".
+ * Null for "auto", empty or unknown values.
+ */
+export function normalizeAnswerLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return CV_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * The language to answer in, and what decided it.
+ *
+ * @param {Object} input - { question, jobDescription?, language? }
+ * @returns {Object} { code, name, source: 'option' | 'question' | 'jobDescription' | 'default' }
+ */
+export function resolveAnswerLanguage({ question, jobDescription, language } = {}) {
+  const chosen = normalizeAnswerLanguage(language);
+  if (chosen) return describe(chosen, 'option');
+
+  const asked = detectQuestionLanguage(question);
+  if (asked) return describe(asked, 'question');
+
+  if (jobDescription) {
+    const posted = detectCVLanguage(jobDescription).language;
+    if (posted !== 'en') return describe(posted, 'jobDescription');
+  }
+  return describe('en', 'default');
+}
+
+/**
+ * The languages an answer can be written in, for pickers.
+ *
+ * @returns {Array} [{ code, name }]
+ */
+export function answerLanguages() {
+  return CV_LANGUAGES.map(code => ({ code, name: LANGUAGE_NAMES[code] }));
+}
+
+function describe(code, source) {
+  return { code, name: LANGUAGE_NAMES[code], source };
+}
@@ -0,0 +1,163 @@
+// Generated from shared/answer-limits.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * Answer Limits Module
+ *
+ * Application forms cap their answers: a `maxlength` of 255, 500 or 1000 on
+ * the field, or "in 150 words or less" in the question. An answer over the
+ * cap is cut off by the form mid-sentence, or refused. This module finds the
+ * cap, tells the recipe about it, and trims an answer that still runs over.
+ *
+ * DESIGN DECISIONS:
+ * 1. A limit is { maxChars?, maxWords? }. The field's maxlength and the
+ *    question text are combined and the tighter value of each unit wins
+ * 2. Only a number with limiting wording counts – "in 150 words", "max 500
+ *    characters", "(500 character limit)", "100–150 words" – never "at
+ *    least 200 words", which is a floor
+ * 3. Trimming keeps whole sentences (or whole lines, for lists). Only when
+ *    even the first sentence is too long is it cut at a word, with "…", and
+ *    only when not even one word fits (a long URL) at a character
+ * 4. Characters are counted the way a browser enforces maxlength: spaces and
+ *    line breaks included
+ *
+ * Usage:
+ *   const limit = answerLimit('Why us? (max 500 characters)', { maxChars: 1000 });
+ *   // → { maxChars: 500 }
+ *   const { text, cut } = fitToLimit(answer, limit);
+ *   countAgainstLimit(text, limit); // → { used: 480, max: 500, unit: 'characters', over: false }
+ */
+
+const MAX_WORDS = 5000;
+const MAX_CHARS = 50000;
+
+// "in 150 words", "up to 500 characters", "maximum of 300 words", "limit: 255 chars"
+const BEFORE_LIMIT = /(?:\bin|\bwithin|\bunder|\bup\s+to|\bmax(?:imum)?\.?(?:\s+of)?|\bno\s+more\s+than|\bnot\s+more\s+than|\bless\s+than|\bfewer\s+than|\bat\s+most|\blimit(?:ed)?(?:\s+to|:)?|\bnot\s+exceed(?:ing)?|\bdon'?t\s+exceed|\(|\[)\s*$/;
+// "150 words or less", "500 characters max", "500 character limit", "(500 characters)"
+const AFTER_LIMIT = /^\s*(?:or\s+(?:less|fewer)|max(?:imum)?\b|limit\b|\)|\])/;
+// "at least 200 words" is a floor, not a cap
+const FLOOR = /(?:\bat\s+least|\bminimum(?:\s+of)?|\bmin\.?|(?<!\bno\s+|\bnot\s+)\bmore\s+than)\s*$/;
+
+const AMOUNT = /(\d{1,3}(?:,\d{3})+|\d+)(?:\s*(?:-|–|to)\s*(\d{1,3}(?:,\d{3})+|\d+))?\s*(words?|characters?|chars?)\b/gi;
+
+/**
+ * A limit stated in the question text, or null.
+ */
+export function limitFromText(text) {
+  const source = String(text || '');
+  const limit = {};
+  for (const m of source.matchAll(AMOUNT)) {
+    const before = source.slice(Math.max(0, m.index - 30), m.index).toLowerCase();
+    const after = source.slice(m.index + m[0].length, m.index + m[0].length + 20).toLowerCase();
+    const range = m[2] != null;
+    if (FLOOR.test(before) && !range) continue;
+    if (!range && !BEFORE_LIMIT.test(before) && !AFTER_LIMIT.test(after)) continue;
+
+    const value = Number((m[2] ?? m[1]).replace(/,/g, ''));
+    const key = /^w/i.test(m[3]) ? 'maxWords' : 'maxChars';
+    if (!value || value > (key === 'maxWords' ? MAX_WORDS : MAX_CHARS)) continue;
+    limit[key] = Math.min(limit[key] ?? Infinity, value);
+  }
+  return Object.keys(limit).length ? limit : null;
+}
+
+/**
+ * The limit for an answer: the question's own wording combined with a limit
+ * the caller knows about (a field's maxlength as `maxChars`). Null when
+ * neither says anything.
+ *
+ * @param {string} question
+ * @param {Object} [known] - { maxChars?, maxWords? }
+ * @returns {Object|null} { maxChars?, maxWords? }
+ */
+export function answerLimit(question, known = null) {
+  const stated = limitFromText(question) || {};
+  const limit = {};
+  for (const [key, max] of [['maxChars', MAX_CHARS], ['maxWords', MAX_WORDS]]) {
+    const values = [stated[key], positive(known?.[key], max)].filter(Boolean);
+    if (values.length) limit[key] = Math.min(...values);
+  }
+  return Object.keys(limit).length ? limit : null;
+}
+
+export function countWords(text) {
+  return (String(text || '').match(/\S+/g) || []).length;
+}
+
+export function fitsLimit(text, limit) {
+  if (!limit) return true;
+  const value = String(text || '');
+  if (limit.maxChars && value.length > limit.maxChars) return false;
+  if (limit.maxWords && countWords(value) > limit.maxWords) return false;
+  return true;
+}
+
+/**
+ * Trim an answer to its limit at a sentence boundary.
+ *
+ * @returns {Object} { text, cut: boolean }
+ */
+export function fitToLimit(text, limit) {
+  const answer = String(text || '').trim();
+  if (fitsLimit(answer, limit)) return { text: answer, cut: false };
+
+  // Ends of sentences (punctuation followed by a new sentence or the end) and
+  // of lines, longest prefix first
+  const ends = [];
+  for (const m of answer.matchAll(/[.!?…]["”’')\]]*(?=\s+["“'(•*\-–\p{Lu}\d]|\s*$)|\n/gu)) {
+    ends.push(m[0] === '\n' ? m.index : m.index + m[0].length);
+  }
+  for (const end of ends.reverse()) {
+    const candidate = answer.slice(0, end).trim();
+    if (candidate && fitsLimit(candidate, limit)) return { text: candidate, cut: true };
+  }
+
+  // Not even one sentence fits: cut at the last whole word that leaves room for "…"
+  const words = answer.split(/(\s+)/);
+  let candidate = '';
+  for (const part of words) {
+    const next = candidate + part;
+    if (!fitsLimit(`${next.trim()}…`, limit)) break;
+    candidate = next;
+  }
+  candidate = candidate.trim().replace(/[,;:\-–—]$/, '');
+  if (candidate) return { text: `${candidate}…`, cut: true };
+
+  // Not even one word fits (a long URL): cut it at a character
+  return { text: hardCut(answer, limit), cut: true };
+}
+
+/**
+ * How much of the limit an answer uses, in the unit closest to running out.
+ *
+ * @returns {Object|null} { used, max, unit: 'characters' | 'words', over }
+ */
+export function countAgainstLimit(text, limit) {
+  if (!limit) return null;
+  const value = String(text || '');
+  const counts = [];
+  if (limit.maxChars) counts.push({ used: value.length, max: limit.maxChars, unit: 'characters' });
+  if (limit.maxWords) counts.push({ used: countWords(value), max: limit.maxWords, unit: 'words' });
+  const count = counts.sort((a, b) => b.used / b.max - a.used / a.max)[0];
+  return { ...count, over: count.used > count.max };
+}
+
+/**
+ * The limit as prompt text: "150 words", "500 characters (spaces and line
+ * breaks included)".
+ */
+export function describeLimit(limit) {
+  const parts = [];
+  if (limit?.maxWords) parts.push(`${limit.maxWords} words`);
+  if (limit?.maxChars) parts.push(`${limit.maxChars} characters (spaces and line breaks included)`);
+  return parts.join(' and ');
+}
+
+// Only a character limit can be too small for one word
+function hardCut(text, limit) {
+  const word = text.split(/\s/)[0];
+  return limit.maxChars > 1 ? `${word.slice(0, limit.maxChars - 1)}…` : word.slice(0, limit.maxChars);
+}
+
+function positive(value, max) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 && n <= max ? n : null;
+}
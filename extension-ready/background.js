@@ -9,9 +9,29 @@
  * ARCHITECTURE:
  * - Calls a hosted proxy API (Render) which holds Groq API key server-side
  * - No user API key needed; extension registers for a token
- * - CV stored locally in chrome.storage
+ * - CV stored locally in chrome.storage, as named profiles; the one that
+ *   best fits the job page is picked per request (cv-profiles.js)
+ * - Application profile (notice period, sponsorship, salary…) sent with each
+ *   request; plain fields it answers never leave the browser
+ *   (application-profile.js)
+ * - Story bank (prepared STAR stories) sent with each request; the proxy's
+ *   recipe picks the one that fits a behavioral question
+ * - Question type guessed locally for the modal (question-classifier.js); a
+ *   type the user overrides it with is sent as `questionType`
+ * - The user's own question types, saved by the popup, are sent with each
+ *   request as `questionTypes` and offered in the modal (question-types.js)
+ * - The field's maxlength is sent as `limit`; a streamed answer that runs
+ *   over it is trimmed here at a sentence boundary (answer-limits.js)
  */
 
+import { pickProfile } from './cv-profiles.js';
+import { answerFromProfile, normalizeApplicationProfile } from './application-profile.js';
+import { LOW_CONFIDENCE, classifyQuestion, questionTypeList } from './question-classifier.js';
+import { normalizeQuestionTypes, parseQuestionTypes } from './question-types.js';
+import { answerLimit, fitToLimit } from './answer-limits.js';
+import { answerLanguages, resolveAnswerLanguage } from './answer-language.js';
+import { MIN_SAMPLE_WORDS, buildStyleProfile, checkStyleDrift, describeStyleProfile, measureText } from './writing-style.js';
+
 const pendingRequests = new Map(); // requestId -> AbortController
 
 const DEFAULT_PROXY_URL = 'https://draftapply.onrender.com';
@@ -44,6 +64,169 @@ async function clearInstallToken() {
   await chrome.storage.local.remove(['installToken', 'installTokenExpiresAt']);
 }
 
+// ── CV profiles ─────────────────────────────────────────────────────────────
+// Stored as cvProfiles: [{ id, name, cvText, overrides?, updatedAt }] plus
+// defaultProfileId. `overrides` are the user's corrections to the parsed CV
+// (shared/cv-overrides.js), laid over it by the proxy on every request.
+// Installs from before profiles kept a single `cvText`; it becomes "My CV".
+
+async function getCVProfiles() {
+  const { cvProfiles, defaultProfileId, cvText } = await chrome.storage.local.get([
+    'cvProfiles',
+    'defaultProfileId',
+    'cvText'
+  ]);
+  if (Array.isArray(cvProfiles)) {
+    return { profiles: cvProfiles, defaultProfileId: defaultProfileId || cvProfiles[0]?.id || null };
+  }
+
+  const profiles = cvText ? [{ id: newProfileId(), name: 'My CV', cvText, updatedAt: Date.now() }] : [];
+  await setCVProfiles(profiles, profiles[0]?.id || null);
+  await chrome.storage.local.remove('cvText');
+  return { profiles, defaultProfileId: profiles[0]?.id || null };
+}
+
+async function setCVProfiles(profiles, defaultProfileId) {
+  await chrome.storage.local.set({ cvProfiles: profiles, defaultProfileId });
+}
+
+function newProfileId() {
+  return globalThis.crypto?.randomUUID?.() ?? `cv_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Create or update a profile. Without `profileId` a new profile is added;
+ * the first profile ever saved becomes the default. Corrections belong to
+ * the text they were made on, so new text for a profile drops them.
+ */
+async function saveCVProfile({ profileId, name, cvText }) {
+  const { profiles, defaultProfileId } = await getCVProfiles();
+  const existing = profileId && profiles.find(p => p.id === profileId);
+  const cleanName = String(name || '').trim().slice(0, 60);
+
+  if (existing) {
+    if (existing.cvText !== cvText) delete existing.overrides;
+    existing.cvText = cvText;
+    if (cleanName) existing.name = cleanName;
+    existing.updatedAt = Date.now();
+    await setCVProfiles(profiles, defaultProfileId);
+    return existing.id;
+  }
+
+  const profile = {
+    id: newProfileId(),
+    name: cleanName || `CV ${profiles.length + 1}`,
+    cvText,
+    updatedAt: Date.now()
+  };
+  profiles.push(profile);
+  await setCVProfiles(profiles, defaultProfileId || profile.id);
+  return profile.id;
+}
+
+// Store corrections for a profile; null clears them
+async function saveCVOverrides({ profileId, overrides }) {
+  const { profiles, defaultProfileId } = await getCVProfiles();
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) throw new Error('Unknown profile');
+  if (overrides && typeof overrides === 'object') profile.overrides = { ...overrides, updatedAt: Date.now() };
+  else delete profile.overrides;
+  await setCVProfiles(profiles, defaultProfileId);
+}
+
+async function deleteCVProfile(profileId) {
+  const { profiles, defaultProfileId } = await getCVProfiles();
+  const remaining = profiles.filter(p => p.id !== profileId);
+  const nextDefault = remaining.some(p => p.id === defaultProfileId) ? defaultProfileId : remaining[0]?.id || null;
+  await setCVProfiles(remaining, nextDefault);
+}
+
+/**
+ * CV for a request: the explicitly chosen profile, else the one that best
+ * fits the job context, else the user's default.
+ */
+async function resolveCV({ profileId, jobContext } = {}) {
+  const { profiles, defaultProfileId } = await getCVProfiles();
+  const chosen = profileId && profiles.find(p => p.id === profileId);
+  const { profile, auto } = chosen
+    ? { profile: chosen, auto: false }
+    : pickProfile(profiles, jobContext || {}, defaultProfileId);
+
+  return {
+    cvText: profile?.cvText || null,
+    cvOverrides: profile?.overrides || null,
+    profileId: profile?.id || null,
+    profileName: profile?.name || null,
+    auto,
+    profiles: profiles.map(p => ({ id: p.id, name: p.name }))
+  };
+}
+
+// ── Application profile ─────────────────────────────────────────────────────
+// Facts the CV doesn't hold (notice period, sponsorship…), saved by the popup
+// under `applicationProfile`.
+
+async function getApplicationProfile() {
+  const { applicationProfile } = await chrome.storage.local.get('applicationProfile');
+  return normalizeApplicationProfile(applicationProfile);
+}
+
+// ── Question types ──────────────────────────────────────────────────────────
+// The user's own question types, saved by the popup under `questionTypes` as
+// written; the proxy's recipe validates them again.
+
+async function getQuestionTypes() {
+  const { questionTypes } = await chrome.storage.local.get('questionTypes');
+  return Array.isArray(questionTypes) ? questionTypes : [];
+}
+
+async function saveQuestionTypes(raw) {
+  const { types, errors } = parseQuestionTypes(raw);
+  if (errors.length) return { success: false, errors };
+  const list = typeof raw === 'string' ? (raw.trim() ? JSON.parse(raw) : []) : (raw ?? []);
+  const questionTypes = Array.isArray(list) ? list : list?.questionTypes || [];
+  await chrome.storage.local.set({ questionTypes });
+  return { success: true, count: types.length };
+}
+
+/**
+ * Writing samples are stored as typed, next to the style profile measured
+ * from them (writing-style.js). Only the profile is sent to the proxy.
+ */
+async function saveWritingStyle(samples) {
+  const text = String(samples || '').trim();
+  if (!text) {
+    await chrome.storage.local.remove(['writingSamples', 'writingStyle']);
+    return { success: true, profile: null };
+  }
+  const profile = buildStyleProfile(text);
+  if (!profile) {
+    const words = measureText(text).words;
+    return { success: false, error: `Add more of your writing: at least ${MIN_SAMPLE_WORDS} words (${words} so far)` };
+  }
+  await chrome.storage.local.set({ writingSamples: text, writingStyle: profile });
+  return { success: true, profile, summary: describeStyleProfile(profile) };
+}
+
+/**
+ * Add the user's LLM config, application profile, story bank, question
+ * types and writing style to a proxy payload.
+ */
+async function enrichPayload(payload, extra = {}) {
+  const { llmConfig, storyBank, writingStyle } = await chrome.storage.local.get(['llmConfig', 'storyBank', 'writingStyle']);
+  const applicationProfile = await getApplicationProfile();
+  const questionTypes = await getQuestionTypes();
+  return {
+    ...payload,
+    ...(llmConfig?.provider && llmConfig?.apiKey ? { llmConfig } : {}),
+    ...(Object.keys(applicationProfile).length ? { applicationProfile } : {}),
+    ...(Array.isArray(storyBank) && storyBank.length ? { stories: storyBank } : {}),
+    ...(questionTypes.length ? { questionTypes } : {}),
+    ...(writingStyle ? { writingStyle } : {}),
+    ...extra
+  };
+}
+
 // Mutex: if a registration is already in-flight, queue up behind it rather than
 // firing a second concurrent request (which could cause a duplicate-token race).
 let _tokenRefreshPromise = null;
@@ -177,9 +360,9 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     // Guard: ensure valid tab
     if (!tab?.id) return;
     
-    const { cvText } = await chrome.storage.local.get('cvText');
+    const { profiles } = await getCVProfiles();
     
-    if (!cvText) {
+    if (!profiles.length) {
       // Try to inject first so the notification can be shown
       try { await ensureContentScriptInjected(tab.id); } catch {}
       chrome.tabs.sendMessage(tab.id, {
@@ -279,23 +462,112 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'GET_CV') {
-    chrome.storage.local.get('cvText', (result) => {
-      sendResponse({ cvText: result.cvText || null });
+    // Optional: profileId (manual override), jobContext (for automatic selection)
+    resolveCV(message)
+      .then(sendResponse)
+      .catch(err => sendResponse({ cvText: null, error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'CLASSIFY_QUESTION') {
+    // Same classifier as the recipe, so the modal can offer a type override
+    // when the guess is uncertain
+    getQuestionTypes()
+      .then(raw => {
+        const customTypes = normalizeQuestionTypes(raw);
+        const result = classifyQuestion(message.question, { customTypes });
+        sendResponse({ ...result, lowConfidence: result.confidence < LOW_CONFIDENCE, types: questionTypeList(customTypes) });
+      })
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'ANSWER_LIMIT') {
+    // The field's maxlength combined with a limit the question states
+    sendResponse({ limit: answerLimit(message.question, message.limit) });
+    return;
+  }
+
+  if (message.type === 'ANSWER_LANGUAGE') {
+    // The language the recipe will answer in, for the modal's language picker
+    sendResponse({
+      language: resolveAnswerLanguage({
+        question: message.question,
+        jobDescription: message.jobDescription,
+        language: message.language
+      }),
+      languages: answerLanguages()
     });
+    return;
+  }
+
+  if (message.type === 'GET_WRITING_STYLE') {
+    chrome.storage.local.get(['writingSamples', 'writingStyle'])
+      .then(({ writingSamples, writingStyle }) => sendResponse({
+        samples: writingSamples || '',
+        profile: writingStyle || null,
+        summary: describeStyleProfile(writingStyle || null)
+      }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'SAVE_WRITING_STYLE') {
+    // `samples`: the user's own writing, pasted in the popup
+    saveWritingStyle(message.samples)
+      .then(sendResponse)
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'SAVE_QUESTION_TYPES') {
+    // `questionTypes`: definitions or their JSON, as typed or loaded in the popup
+    saveQuestionTypes(message.questionTypes)
+      .then(sendResponse)
+      .catch(err => sendResponse({ success: false, errors: [err.message] }));
+    return true;
+  }
+
+  if (message.type === 'GET_CV_PROFILES') {
+    getCVProfiles()
+      .then(sendResponse)
+      .catch(err => sendResponse({ profiles: [], error: err.message }));
     return true;
   }
 
   if (message.type === 'SAVE_CV') {
-    chrome.storage.local.set({ cvText: message.cvText }, () => {
-      sendResponse({ success: true });
-    });
+    saveCVProfile(message)
+      .then(profileId => sendResponse({ success: true, profileId }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'SAVE_CV_OVERRIDES') {
+    saveCVOverrides(message)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'SET_DEFAULT_PROFILE') {
+    getCVProfiles()
+      .then(({ profiles }) => {
+        if (!profiles.some(p => p.id === message.profileId)) throw new Error('Unknown profile');
+        return setCVProfiles(profiles, message.profileId);
+      })
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
     return true;
   }
 
   if (message.type === 'CLEAR_CV') {
-    chrome.storage.local.remove('cvText', () => {
-      sendResponse({ success: true });
-    });
+    // With profileId: delete that profile. Without: delete all profiles.
+    const done = message.profileId
+      ? deleteCVProfile(message.profileId)
+      : chrome.storage.local.remove(['cvProfiles', 'defaultProfileId', 'cvText']);
+    done
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
     return true;
   }
 
@@ -353,6 +625,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         type: 'GENERATE_FROM_IFRAME',
         question: message.question,
         iframePageContext: message.pageContext,
+        fieldLimit: message.fieldLimit,
         sourceFrameId
       }, { frameId: 0 }, () => {
         if (chrome.runtime.lastError) {
@@ -431,9 +704,21 @@ async function withRetry(fn, maxRetries = 2) {
  * Chunks are forwarded via chrome.tabs.sendMessage as STREAM_CHUNK messages.
  */
 async function handleStreamingAPICall(payload, requestId, tabId, frameId) {
+  const effectiveRequestId = requestId || `req_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+
+  // Plain field the application profile answers: no proxy round-trip, unless
+  // the user picked a question type for it
+  const direct = payload?.questionType ? null : answerFromProfile(payload?.question, await getApplicationProfile());
+  if (direct) {
+    try {
+      chrome.tabs.sendMessage(tabId, { type: 'STREAM_CHUNK', requestId: effectiveRequestId, chunk: direct.value }, { frameId });
+      chrome.tabs.sendMessage(tabId, { type: 'STREAM_DONE', requestId: effectiveRequestId }, { frameId });
+    } catch (e) {}
+    return;
+  }
+
   const proxyUrl = await getProxyUrl();
   const controller = new AbortController();
-  const effectiveRequestId = requestId || `req_${Date.now()}_${Math.random().toString(16).slice(2)}`;
   pendingRequests.set(effectiveRequestId, controller);
 
   const timeout = setTimeout(() => controller.abort(), 120000);
@@ -442,10 +727,7 @@ async function handleStreamingAPICall(payload, requestId, tabId, frameId) {
   // Touching chrome.storage every 20s keeps the SW alive during long streams.
   const keepAlive = setInterval(() => chrome.storage.local.get('_sw_keepalive'), 20000);
 
-  const { llmConfig } = await chrome.storage.local.get('llmConfig');
-  const enrichedPayload = (llmConfig?.provider && llmConfig?.apiKey)
-    ? { ...payload, llmConfig, stream: true }
-    : { ...payload, stream: true };
+  const enrichedPayload = await enrichPayload(payload, { stream: true });
 
   try {
     const token = await ensureInstallToken(proxyUrl);
@@ -474,8 +756,13 @@ async function handleStreamingAPICall(payload, requestId, tabId, frameId) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    let trimmed;
+    let limit;
+    let language;
+    let answer = '';
 
     const sendChunk = (chunk) => {
+      answer += chunk;
       try {
         chrome.tabs.sendMessage(tabId, { type: 'STREAM_CHUNK', requestId: effectiveRequestId, chunk }, { frameId });
       } catch (e) {}
@@ -493,19 +780,46 @@ async function handleStreamingAPICall(payload, requestId, tabId, frameId) {
         if (!line.startsWith('data: ')) continue;
         const data = line.slice(6).trim();
         if (data === '[DONE]') continue;
+        let json;
         try {
-          const json = JSON.parse(data);
-          // OpenAI-compatible format
-          const chunk = json.choices?.[0]?.delta?.content;
-          if (chunk) sendChunk(chunk);
+          json = JSON.parse(data);
         } catch (e) {
-          // Non-JSON line — skip
+          continue; // Non-JSON line — skip
+        }
+        // Proxy reports upstream failures mid-stream as an error event
+        if (json.error) throw new Error(json.error);
+        // Final { done, usage, trimmed?, limit?, language? } event carries no text
+        if (json.done) {
+          trimmed = json.trimmed;
+          limit = json.limit;
+          language = json.language;
+          continue;
         }
+        // OpenAI-compatible format
+        const chunk = json.choices?.[0]?.delta?.content;
+        if (chunk) sendChunk(chunk);
       }
     }
 
+    // Chunks already shown can't be taken back: an answer over its limit is
+    // replaced with one trimmed at a sentence boundary
+    const fitted = limit ? fitToLimit(answer, limit) : null;
+    const styleDrift = enrichedPayload.writingStyle
+      ? checkStyleDrift(fitted?.text ?? answer, enrichedPayload.writingStyle, {
+        tone: enrichedPayload.tone,
+        language: language?.code
+      })
+      : null;
     try {
-      chrome.tabs.sendMessage(tabId, { type: 'STREAM_DONE', requestId: effectiveRequestId }, { frameId });
+      chrome.tabs.sendMessage(tabId, {
+        type: 'STREAM_DONE',
+        requestId: effectiveRequestId,
+        trimmed,
+        limit,
+        language,
+        styleDrift,
+        ...(fitted?.cut ? { answer: fitted.text, cutToLimit: true } : {})
+      }, { frameId });
     } catch (e) {}
 
   } catch (e) {
@@ -531,6 +845,9 @@ async function handleStreamingAPICall(payload, requestId, tabId, frameId) {
  * (and falls back to the default Groq key if it fails).
  */
 async function handleAPICall(payload, requestId) {
+  const direct = payload?.questionType ? null : answerFromProfile(payload?.question, await getApplicationProfile());
+  if (direct) return { answer: direct.value, provider: 'profile' };
+
   const proxyUrl = await getProxyUrl();
   const controller = new AbortController();
   const effectiveRequestId = requestId || `req_${Date.now()}_${Math.random().toString(16).slice(2)}`;
@@ -539,11 +856,8 @@ async function handleAPICall(payload, requestId) {
   // Hard timeout so the UI never spins forever
   const timeout = setTimeout(() => controller.abort(), 120000);
 
-  // Attach user's custom LLM config if configured
-  const { llmConfig } = await chrome.storage.local.get('llmConfig');
-  const enrichedPayload = (llmConfig?.provider && llmConfig?.apiKey)
-    ? { ...payload, llmConfig }
-    : payload;
+  // Attach user's custom LLM config and application profile if configured
+  const enrichedPayload = await enrichPayload(payload);
 
   try {
     let token = await ensureInstallToken(proxyUrl);
@@ -28,6 +28,12 @@ class DraftApplyExtension {
     this._prefetchTimer = null;
     this._prefetchField = null;
     this._lastChunkTime = 0; // epoch ms; updated on each STREAM_CHUNK for watchdog
+    this.profileOverride = null; // CV profile picked in the modal; null = automatic
+    this.typeOverride = null; // question type picked in the modal for the current question
+    this.typeQuestion = null; // question the override was picked for
+    this.fieldLimit = null; // { maxChars } from the target field's maxlength
+    this.answerLimit = null; // field limit combined with one the question states
+    this.languageOverride = null; // answer language picked in the modal; null = detected
 
     this.init();
   }
@@ -173,10 +179,22 @@ class DraftApplyExtension {
         </div>
         <div class="da-modal-body">
           <div class="da-context-info" id="da-context-info"></div>
+          <div class="da-profile-row" id="da-profile-row" hidden>
+            <span class="da-control-label">CV</span>
+            <select class="da-profile-select" id="da-profile-select" aria-label="CV profile"></select>
+            <span class="da-profile-hint" id="da-profile-hint"></span>
+          </div>
           <div class="da-question-label">Question <span class="da-question-hint">(editable)</span></div>
           <textarea class="da-question-preview" id="da-question-preview" rows="2" spellcheck="false"></textarea>
+          <div class="da-type-row" id="da-type-row" hidden>
+            <span class="da-control-label">Type</span>
+            <select class="da-type-select" id="da-type-select" aria-label="Question type"></select>
+            <span class="da-type-hint" id="da-type-hint"></span>
+          </div>
           <div class="da-answer-label">Generated Answer</div>
           <textarea class="da-answer-output" id="da-answer-output" placeholder="Your answer will appear here. You can edit it before inserting."></textarea>
+          <div class="da-limit-count" id="da-limit-count" hidden></div>
+          <div class="da-style-note" id="da-style-note" hidden></div>
           <div class="da-modal-actions">
             <div class="da-controls-row">
               <div class="da-control-group">
@@ -195,6 +213,12 @@ class DraftApplyExtension {
                   <button type="button" class="da-tone-pill" data-value="direct">Direct</button>
                 </div>
               </div>
+              <div class="da-control-group">
+                <span class="da-control-label">Language</span>
+                <select class="da-language-select" id="da-language-select" aria-label="Answer language">
+                  <option value="">Auto</option>
+                </select>
+              </div>
             </div>
             <input type="hidden" id="da-length-select" value="medium">
             <input type="hidden" id="da-tone-select" value="natural">
@@ -230,6 +254,11 @@ class DraftApplyExtension {
       modal.querySelector('#da-length-select').value = pill.dataset.value;
     };
 
+    modal.querySelector('#da-profile-select').onchange = (e) => this.selectProfile(e.target.value);
+    modal.querySelector('#da-type-select').onchange = (e) => this.selectQuestionType(e.target.value);
+    modal.querySelector('#da-language-select').onchange = (e) => this.selectLanguage(e.target.value);
+    modal.querySelector('#da-answer-output').oninput = () => this.renderLimitCount();
+
     modal.querySelector('#da-tone-pills').onclick = (e) => {
       const pill = e.target.closest('.da-tone-pill');
       if (!pill) return;
@@ -333,6 +362,7 @@ class DraftApplyExtension {
         if (!this.currentField && this.lastFocusedField) {
           this.currentField = this.lastFocusedField;
         }
+        this.fieldLimit = this.limitOfField(this.currentField);
         this.handleGenerateRequest(message.question);
       }
       
@@ -354,6 +384,7 @@ class DraftApplyExtension {
           }
         }
         this._iframeSourceFrameId = message.sourceFrameId;
+        this.fieldLimit = message.fieldLimit || null;
         this.showModal(message.question);
         this.generateAnswer(message.question);
       }
@@ -393,6 +424,7 @@ class DraftApplyExtension {
             if (loading && !loading.hidden) loading.hidden = true;
             output.value += message.chunk;
             output.scrollTop = output.scrollHeight;
+            this.renderLimitCount();
           }
         }
         return;
@@ -401,7 +433,14 @@ class DraftApplyExtension {
       if (message.type === 'STREAM_DONE') {
         const resolver = this._streamResolvers.get(message.requestId);
         if (resolver) {
-          resolver.resolve();
+          resolver.resolve({
+            trimmed: message.trimmed,
+            limit: message.limit,
+            language: message.language,
+            styleDrift: message.styleDrift,
+            answer: message.answer,
+            cutToLimit: message.cutToLimit
+          });
           this._streamResolvers.delete(message.requestId);
         }
         return;
@@ -478,6 +517,7 @@ class DraftApplyExtension {
           e.stopPropagation();
           clickPending = false;
           this.currentField = field;
+          this.fieldLimit = this.limitOfField(field);
 
           const label = this.findFieldLabel(field);
           const fieldHint = field.name || field.id || field.placeholder || null;
@@ -496,6 +536,7 @@ class DraftApplyExtension {
             output.value = cachedAnswer;
             this.lastAnswer = cachedAnswer;
             this.lastQuestion = question;
+            this.renderLimitCount();
             // Remove ready indicator from button
             btn.classList.remove('da-btn-ready');
             this._prefetchCache.delete(field);
@@ -683,7 +724,7 @@ class DraftApplyExtension {
 
     let cvResponse;
     try {
-      cvResponse = await chrome.runtime.sendMessage({ type: 'GET_CV' });
+      cvResponse = await chrome.runtime.sendMessage(this.getCVRequest());
     } catch (e) { return; }
     if (!cvResponse?.cvText) return;
 
@@ -698,10 +739,13 @@ class DraftApplyExtension {
       length: 'medium',
       tone:   'natural',
       cvText:         cvResponse.cvText,
+      cvOverrides:    cvResponse.cvOverrides || undefined,
       jobTitle:       ctx.jobTitle || undefined,
       company:        ctx.company || undefined,
       jobDescription: jobDescriptionForPayload,
       requirements:   (ctx.requirements?.length > 0) ? ctx.requirements : undefined,
+      limit:          this.limitOfField(field) || undefined,
+      language:       this.languageOverride || undefined,
     };
 
     const cacheEntry = { status: 'loading', question, answer: null };
@@ -736,7 +780,8 @@ class DraftApplyExtension {
       chrome.runtime.sendMessage({
         type: 'RELAY_GENERATE_TO_PARENT',
         question,
-        pageContext: this.pageContext
+        pageContext: this.pageContext,
+        fieldLimit: this.fieldLimit
       });
       return;
     }
@@ -754,6 +799,16 @@ class DraftApplyExtension {
     modal.querySelector('#da-question-preview').value = question;
     modal.querySelector('#da-answer-output').value = '';
     modal.querySelector('#da-loading').hidden = true;
+    this.showStyleDrift(null);
+    // A type override belongs to the question it was picked for
+    if (question !== this.typeQuestion) this.typeOverride = null;
+    // Profile and type pickers also matter when a prefetched answer is shown without generating
+    chrome.runtime.sendMessage(this.getCVRequest())
+      .then(cv => cv && this.updateProfileSelect(cv))
+      .catch(() => {});
+    this.updateTypeSelect(question);
+    this.updateLimit(question);
+    this.updateLanguageSelect(question);
     // Force-show with max-priority inline styles to override any page CSS
     modal.setAttribute('style',
       'display:flex !important;position:fixed !important;' +
@@ -784,6 +839,7 @@ class DraftApplyExtension {
     loading.hidden = false;
     stopBtn.disabled = false;
     output.value = '';
+    this.showStyleDrift(null);
     if (statusEl) statusEl.textContent = 'Generating answer...';
 
     const startTime = Date.now();
@@ -801,12 +857,18 @@ class DraftApplyExtension {
     let noActivityWatchdog;
 
     try {
-      const cvResponse = await chrome.runtime.sendMessage({ type: 'GET_CV' });
+      const cvResponse = await chrome.runtime.sendMessage(this.getCVRequest());
 
       if (!cvResponse.cvText) {
         output.value = 'Please load your CV first. Click the DraftApply extension icon.';
         return;
       }
+      this.updateProfileSelect(cvResponse);
+      // The question may have been edited since the modal opened
+      if (question !== this.typeQuestion) this.typeOverride = null;
+      this.updateTypeSelect(question);
+      this.updateLimit(question);
+      this.updateLanguageSelect(question);
 
       const ctx = this.pageContext || {};
       // Only send jobDescription when it comes from a reliable source.
@@ -821,12 +883,16 @@ class DraftApplyExtension {
         length,
         tone,
         cvText:         cvResponse.cvText,
+        cvOverrides:    cvResponse.cvOverrides || undefined,
         jobTitle:       ctx.jobTitle || undefined,
         company:        ctx.company || undefined,
         jobDescription: jobDescriptionForPayload,
         requirements:   (ctx.requirements && ctx.requirements.length > 0) ? ctx.requirements : undefined,
         pageUrl:        ctx.url || window.location.href,
         platform:       ctx.platform || undefined,
+        questionType:   this.typeOverride || undefined,
+        limit:          this.fieldLimit || undefined,
+        language:       this.languageOverride || undefined,
       };
 
       requestId = globalThis.crypto?.randomUUID?.() ?? `req_${Date.now()}_${Math.random().toString(16).slice(2)}`;
@@ -868,6 +934,10 @@ class DraftApplyExtension {
         if (fallback?.answer) {
           output.value = fallback.answer;
           this.lastAnswer = fallback.answer;
+          this.showTrimmedNotice(fallback.trimmed);
+          this.showLimit(fallback);
+          this.showLanguage(fallback);
+          this.showStyleDrift(fallback.styleDrift);
         } else if (fallback?.error) {
           output.value = `Error: ${fallback.error}`;
         } else {
@@ -898,14 +968,20 @@ class DraftApplyExtension {
       }, 5000);
 
       // Wait for stream to finish — chunks arrive via STREAM_CHUNK messages
-      await Promise.race([streamPromise, timeoutPromise]);
+      const streamResult = await Promise.race([streamPromise, timeoutPromise]);
       clearInterval(noActivityWatchdog);
 
       if (this.currentRequestId !== requestId) return; // Stale — newer request took over
 
+      // The background trims a streamed answer that ran over its limit
+      if (streamResult?.answer) output.value = streamResult.answer;
       const answer = output.value.trim();
       if (answer) {
         this.lastAnswer = answer;
+        this.showTrimmedNotice(streamResult?.trimmed);
+        this.showLimit(streamResult);
+        this.showLanguage(streamResult);
+        this.showStyleDrift(streamResult?.styleDrift);
       } else {
         // No chunks received — proxy may not support SSE or buffered the response.
         // Fall back to non-streaming CALL_API and display the result normally.
@@ -920,6 +996,10 @@ class DraftApplyExtension {
         if (fallback?.answer) {
           output.value = fallback.answer;
           this.lastAnswer = fallback.answer;
+          this.showTrimmedNotice(fallback.trimmed);
+          this.showLimit(fallback);
+          this.showLanguage(fallback);
+          this.showStyleDrift(fallback.styleDrift);
         } else if (fallback?.error) {
           output.value = `Error: ${fallback.error}`;
         } else {
@@ -951,6 +1031,249 @@ class DraftApplyExtension {
     }
   }
 
+  /**
+   * GET_CV message: the profile picked in the modal, or the job context so
+   * the background can pick the best-matching profile.
+   */
+  getCVRequest() {
+    const ctx = this.pageContext || {};
+    const reliable = ctx.contextQuality === 'structured' || ctx.contextQuality === 'heuristic';
+    return {
+      type: 'GET_CV',
+      profileId: this.profileOverride || undefined,
+      jobContext: {
+        jobTitle: ctx.jobTitle || undefined,
+        jobDescription: reliable ? ctx.jobDescription : undefined,
+        requirements: ctx.requirements?.length > 0 ? ctx.requirements : undefined
+      }
+    };
+  }
+
+  /**
+   * Show the CV profile picker when the user has more than one profile.
+   */
+  updateProfileSelect({ profiles = [], profileId, auto }) {
+    const row = this.modal?.querySelector?.('#da-profile-row');
+    if (!row) return;
+    row.hidden = profiles.length < 2;
+    if (row.hidden) return;
+
+    const select = row.querySelector('#da-profile-select');
+    // Avoid innerHTML: profile names are user input
+    select.replaceChildren(...profiles.map(p => {
+      const option = document.createElement('option');
+      option.value = p.id;
+      option.textContent = p.name;
+      return option;
+    }));
+    select.value = profileId;
+    row.querySelector('#da-profile-hint').textContent =
+      this.profileOverride ? 'chosen' : auto ? 'best match for this job' : 'default';
+  }
+
+  /**
+   * Manual override from the modal: use this profile for the rest of the
+   * page and regenerate. Prefetched answers used the old profile, so drop them.
+   */
+  async selectProfile(profileId) {
+    this.profileOverride = profileId || null;
+    this._prefetchCache = new WeakMap();
+    this._prefetchByQuestion.clear();
+    document.querySelectorAll('.da-btn-ready').forEach(btn => btn.classList.remove('da-btn-ready'));
+
+    await this.cancelGeneration({ silent: true });
+    await this.regenerate();
+  }
+
+  /**
+   * Show the question type picker when the classifier is unsure of its guess
+   * (or the user already picked a type), so a misread question can be
+   * answered as the kind it really is.
+   */
+  async updateTypeSelect(question) {
+    const row = this.modal?.querySelector?.('#da-type-row');
+    if (!row) return;
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({ type: 'CLASSIFY_QUESTION', question });
+    } catch (_) {
+      return;
+    }
+    if (!result?.types) return;
+    row.hidden = !this.typeOverride && !result.lowConfidence;
+    if (row.hidden) return;
+
+    const select = row.querySelector('#da-type-select');
+    select.replaceChildren(...result.types.map(t => {
+      const option = document.createElement('option');
+      option.value = t.type;
+      option.textContent = t.label;
+      return option;
+    }));
+    select.value = this.typeOverride || result.type;
+    row.querySelector('#da-type-hint').textContent = this.typeOverride
+      ? 'chosen'
+      : `best guess, ${Math.round(result.confidence * 100)}% sure`;
+  }
+
+  /**
+   * Manual override from the modal: answer this question as the chosen type
+   * and regenerate.
+   */
+  async selectQuestionType(type) {
+    this.typeOverride = type || null;
+    this.typeQuestion = this.modal.querySelector('#da-question-preview').value.trim();
+
+    await this.cancelGeneration({ silent: true });
+    await this.regenerate();
+  }
+
+  /**
+   * The field's own cap – `maxlength` on a textarea or input – or null.
+   * Contenteditable editors have none.
+   */
+  limitOfField(field) {
+    const max = field?.maxLength;
+    return Number.isInteger(max) && max > 0 ? { maxChars: max } : null;
+  }
+
+  /**
+   * Combine the field's limit with one the question states ("in 150 words or
+   * less") for the count under the answer.
+   */
+  async updateLimit(question) {
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({ type: 'ANSWER_LIMIT', question, limit: this.fieldLimit });
+    } catch (_) {
+      result = { limit: this.fieldLimit };
+    }
+    this.answerLimit = result?.limit || null;
+    this.renderLimitCount();
+  }
+
+  /**
+   * The limit the recipe prompted for, and whether the answer had to be cut
+   * to fit it, from a proxy or background result.
+   */
+  showLimit(result) {
+    if (result?.limit) this.answerLimit = result.limit;
+    this.renderLimitCount(result?.cutToLimit ? 'shortened to fit' : '');
+  }
+
+  /**
+   * Live count of the answer against its limit, in the unit closest to
+   * running out – the count countAgainstLimit (answer-limits.js) makes.
+   */
+  renderLimitCount(note = '') {
+    const el = this.modal?.querySelector?.('#da-limit-count');
+    if (!el) return;
+    const limit = this.answerLimit;
+    el.hidden = !limit;
+    if (!limit) return;
+
+    const text = this.modal.querySelector('#da-answer-output').value;
+    const counts = [];
+    if (limit.maxChars) counts.push({ used: text.length, max: limit.maxChars, unit: 'characters' });
+    if (limit.maxWords) counts.push({ used: (text.match(/\S+/g) || []).length, max: limit.maxWords, unit: 'words' });
+    const count = counts.sort((a, b) => b.used / b.max - a.used / a.max)[0];
+    el.textContent = `${count.used} / ${count.max} ${count.unit}${note ? ` · ${note}` : ''}`;
+    el.classList.toggle('da-limit-over', count.used > count.max);
+  }
+
+  /**
+   * Say where a generated answer reads unlike the user's own writing
+   * (checkStyleDrift in writing-style.js), so they know what to edit.
+   */
+  showStyleDrift(drift) {
+    const el = this.modal?.querySelector?.('#da-style-note');
+    if (!el) return;
+    el.hidden = !drift?.drifted;
+    el.textContent = drift?.drifted ? `Doesn't sound like you: ${drift.issues.join(' · ')}` : '';
+  }
+
+  /**
+   * Fill the language picker and label "Auto" with the language the recipe
+   * would pick on its own – the question's, else the job description's.
+   */
+  async updateLanguageSelect(question) {
+    const select = this.modal?.querySelector?.('#da-language-select');
+    if (!select) return;
+    const ctx = this.pageContext || {};
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: 'ANSWER_LANGUAGE',
+        question,
+        jobDescription: (ctx.contextQuality === 'structured' || ctx.contextQuality === 'heuristic')
+          ? ctx.jobDescription
+          : undefined
+      });
+    } catch (_) {
+      return;
+    }
+    if (!result?.languages) return;
+
+    const auto = document.createElement('option');
+    auto.value = '';
+    select.replaceChildren(auto, ...result.languages.map(l => {
+      const option = document.createElement('option');
+      option.value = l.code;
+      option.textContent = l.name;
+      return option;
+    }));
+    this.labelAutoLanguage(result.language);
+    select.value = this.languageOverride || '';
+  }
+
+  /**
+   * The language the answer was written in, from a proxy or background
+   * result – it can differ from the local guess when the proxy runs a
+   * custom recipe.
+   */
+  showLanguage(result) {
+    if (result?.language?.name && result.language.source !== 'option') {
+      this.labelAutoLanguage(result.language);
+    }
+  }
+
+  labelAutoLanguage(language) {
+    const auto = this.modal?.querySelector?.('#da-language-select option[value=""]');
+    if (auto) auto.textContent = language?.name ? `Auto (${language.name})` : 'Auto';
+  }
+
+  /**
+   * Manual language override from the modal. It stays for the rest of the
+   * page – an application form is in one language – and answers prefetched
+   * in the old one are dropped.
+   */
+  async selectLanguage(code) {
+    this.languageOverride = code || null;
+    this._prefetchCache = new WeakMap();
+    this._prefetchByQuestion.clear();
+    document.querySelectorAll('.da-btn-ready').forEach(btn => btn.classList.remove('da-btn-ready'));
+
+    await this.cancelGeneration({ silent: true });
+    await this.regenerate();
+  }
+
+  /**
+   * Tell the user when the CV or job description had to be shortened to fit
+   * the model's context window (reported by the proxy as `trimmed`).
+   */
+  showTrimmedNotice(trimmed) {
+    const info = this.modal?.querySelector?.('#da-context-info');
+    if (!info) return;
+    info.querySelector('.da-trimmed-note')?.remove();
+    if (!Array.isArray(trimmed) || trimmed.length === 0) return;
+
+    const labels = { cv: 'CV', jobDescription: 'job description' };
+    const note = document.createElement('span');
+    note.className = 'da-context-meta da-trimmed-note';
+    note.textContent = `Trimmed to fit the model: ${trimmed.map(s => labels[s] || s).join(', ')}`;
+    info.appendChild(note);
+  }
+
   async regenerate() {
     const question = this.modal.querySelector('#da-question-preview').value.trim();
     if (!question) return;
@@ -0,0 +1,125 @@
+// Generated from shared/cv-profiles.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * CV Profiles Module
+ *
+ * Picks which of the user's named CV profiles (e.g. "Backend", "Leadership")
+ * best fits a job, by scoring each profile against the job context.
+ *
+ * DESIGN DECISIONS:
+ * 1. Local keyword scoring, no LLM call – it runs on every job page and the
+ *    CVs never leave the device for it
+ * 2. Job title words count most, then listed requirements, then the
+ *    description; words every profile shares carry almost no weight (IDF
+ *    across the user's own profiles), so the score reflects what sets one
+ *    CV apart from the others
+ * 3. Scores are coverage fractions (0–1), so a long CV doesn't win just by
+ *    being long
+ * 4. With no job context, or no clear winner, the user's default profile is
+ *    used – an automatic pick is only made when it is actually informed
+ * 5. Known skills also count by their canonical ID (skills-taxonomy.js), so a
+ *    CV saying "k8s" matches a job asking for Kubernetes
+ *
+ * The extension's copy (extension-ready/cv-profiles.js) is generated from this
+ * file by `npm run sync-extension`.
+ *
+ * Profile shape: { id, name, cvText, updatedAt? }
+ */
+
+import { skillTerms } from './skills-taxonomy.js';
+
+const STOPWORDS = new Set((
+  'a an and are as at be been but by can for from has have in into is it its of on or our ' +
+  'so that the their this to was we were will with you your about all also any more other ' +
+  'who what when where which role team work working job company experience years'
+).split(' '));
+
+// Minimum lead over the runner-up before a profile is picked automatically
+const MIN_MARGIN = 0.02;
+// Bonus when a profile's name appears in the job title ("Backend" → "Backend Engineer")
+const NAME_BONUS = 0.15;
+
+function terms(text) {
+  const out = [];
+  for (const raw of (text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || []) {
+    const word = raw.replace(/\.+$/, '');
+    if (word.length >= 2 && !STOPWORDS.has(word)) out.push(word);
+  }
+  return [...out, ...skillTerms(text)];
+}
+
+/**
+ * Weighted job terms: title ×3, requirements ×2, description ×1, with
+ * repeats capped so one buzzword can't dominate.
+ */
+function jobTerms({ jobTitle, requirements, jobDescription } = {}) {
+  const weights = new Map();
+  const add = (text, weight) => {
+    const counts = new Map();
+    for (const term of terms(text)) counts.set(term, (counts.get(term) || 0) + 1);
+    for (const [term, count] of counts) {
+      weights.set(term, (weights.get(term) || 0) + weight * Math.min(count, 3));
+    }
+  };
+  add(jobTitle, 3);
+  add((requirements || []).join('\n'), 2);
+  add(jobDescription, 1);
+  return weights;
+}
+
+/**
+ * Score every profile against the job.
+ *
+ * @param {Array} profiles - [{ id, name, cvText }]
+ * @param {Object} job - { jobTitle?, jobDescription?, requirements? }
+ * @returns {Array} [{ profile, score }] sorted best-first; all scores are 0 without job context
+ */
+export function rankProfiles(profiles, job = {}) {
+  const list = (profiles || []).filter(p => p?.cvText);
+  const weights = jobTerms(job);
+  if (!weights.size) return list.map(profile => ({ profile, score: 0 }));
+
+  const docs = list.map(profile => ({ profile, terms: new Set(terms(profile.cvText)) }));
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of weights.keys()) {
+      if (doc.terms.has(term)) df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+  // Terms no profile contains still count towards the total, at full weight
+  const idf = (term) => Math.log(1 + docs.length / ((df.get(term) || 0) + 0.5));
+
+  let total = 0;
+  for (const [term, weight] of weights) total += weight * idf(term);
+
+  const titleTerms = new Set(terms(job.jobTitle));
+  return docs
+    .map(({ profile, terms: docTerms }) => {
+      let matched = 0;
+      for (const [term, weight] of weights) {
+        if (docTerms.has(term)) matched += weight * idf(term);
+      }
+      const named = terms(profile.name).some(t => titleTerms.has(t));
+      return { profile, score: (total ? matched / total : 0) + (named ? NAME_BONUS : 0) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Choose the profile to use for a job.
+ *
+ * @param {Array} profiles - [{ id, name, cvText }]
+ * @param {Object} job - { jobTitle?, jobDescription?, requirements? }
+ * @param {string} [defaultId] - The user's default profile
+ * @returns {Object} { profile, auto, ranked } – `auto` is true when the job
+ *   context decided; `profile` is null when there are no profiles
+ */
+export function pickProfile(profiles, job = {}, defaultId = null) {
+  const ranked = rankProfiles(profiles, job);
+  const fallback = ranked.find(r => r.profile.id === defaultId)?.profile || ranked[0]?.profile || null;
+  const [best, runnerUp] = ranked;
+
+  if (best && best.score > 0 && (!runnerUp || best.score - runnerUp.score >= MIN_MARGIN)) {
+    return { profile: best.profile, auto: ranked.length > 1, ranked };
+  }
+  return { profile: fallback, auto: false, ranked };
+}
@@ -16,13 +16,64 @@ document.addEventListener('DOMContentLoaded', async () => {
     cvText: document.getElementById('cv-text'),
     cvPreview: document.getElementById('cv-preview'),
     saveCvBtn: document.getElementById('save-cv-btn'),
+    cancelCvBtn: document.getElementById('cancel-cv-btn'),
     changeCvBtn: document.getElementById('change-cv-btn'),
+    cvLoadedTitle: document.getElementById('cv-loaded-title'),
+    cvProfileName: document.getElementById('cv-profile-name'),
+    cvProfileSelect: document.getElementById('cv-profile-select'),
+    cvProfileHint: document.getElementById('cv-profile-hint'),
+    addProfileBtn: document.getElementById('add-profile-btn'),
+    deleteProfileBtn: document.getElementById('delete-profile-btn'),
+    reviewCvBtn: document.getElementById('review-cv-btn'),
+    cvReviewPanel: document.getElementById('cv-review-panel'),
+    cvReviewBody: document.getElementById('cv-review-body'),
+    saveReviewBtn: document.getElementById('save-review-btn'),
+    resetReviewBtn: document.getElementById('reset-review-btn'),
+    cancelReviewBtn: document.getElementById('cancel-review-btn'),
     message: document.getElementById('message'),
     uploadArea: document.getElementById('upload-area'),
+    cvDiagnostics: document.getElementById('cv-diagnostics'),
+    cvOcrWarning: document.getElementById('cv-ocr-warning'),
     cvFile: document.getElementById('cv-file'),
     pageStatusDot: document.getElementById('page-status-dot'),
     pageStatusText: document.getElementById('page-status-text'),
     activateBtn: document.getElementById('activate-btn'),
+    // Application details
+    toggleDetailsBtn: document.getElementById('toggle-details-btn'),
+    detailsPanel: document.getElementById('details-panel'),
+    detailsBadge: document.getElementById('details-badge'),
+    detailsInputs: document.querySelectorAll('[data-profile-field]'),
+    saveDetailsBtn: document.getElementById('save-details-btn'),
+
+    // Story bank
+    toggleStoriesBtn: document.getElementById('toggle-stories-btn'),
+    storiesPanel: document.getElementById('stories-panel'),
+    storiesBadge: document.getElementById('stories-badge'),
+    storyList: document.getElementById('story-list'),
+    storyTitle: document.getElementById('story-title'),
+    storyCompetencies: document.querySelectorAll('#story-competencies input'),
+    storySituation: document.getElementById('story-situation'),
+    storyAction: document.getElementById('story-action'),
+    storyResult: document.getElementById('story-result'),
+    saveStoryBtn: document.getElementById('save-story-btn'),
+    cancelStoryBtn: document.getElementById('cancel-story-btn'),
+
+    // Question types
+    toggleTypesBtn: document.getElementById('toggle-types-btn'),
+    typesPanel: document.getElementById('types-panel'),
+    typesBadge: document.getElementById('types-badge'),
+    typesJson: document.getElementById('types-json'),
+    typesFile: document.getElementById('types-file'),
+    saveTypesBtn: document.getElementById('save-types-btn'),
+    loadTypesBtn: document.getElementById('load-types-btn'),
+    // Writing style
+    toggleStyleBtn: document.getElementById('toggle-style-btn'),
+    stylePanel: document.getElementById('style-panel'),
+    styleBadge: document.getElementById('style-badge'),
+    styleSamples: document.getElementById('style-samples'),
+    styleSummary: document.getElementById('style-summary'),
+    saveStyleBtn: document.getElementById('save-style-btn'),
+
     // LLM settings
     toggleLlmBtn: document.getElementById('toggle-llm-btn'),
     llmSettingsPanel: document.getElementById('llm-settings-panel'),
@@ -38,6 +89,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   let proxyUrl = null; // Will be set by checkProxy()
 
+  // Story bank; editingStoryId is null when adding a new story
+  let stories = [];
+  let editingStoryId = null;
+
+  // CV profiles (see background.js); editingProfileId is null when adding a new one
+  let profiles = [];
+  let defaultProfileId = null;
+  let editingProfileId = null;
+
+  // CV review: the sections the editor opened with and the edited copy
+  let review = null;
+
   // Load saved state
   await loadState();
   await checkProxy();
@@ -45,13 +108,56 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Event listeners
   elements.saveCvBtn.addEventListener('click', saveCV);
-  elements.changeCvBtn.addEventListener('click', showCVInput);
+  elements.changeCvBtn.addEventListener('click', () => showCVInput(defaultProfileId));
+  elements.addProfileBtn.addEventListener('click', () => showCVInput(null));
+  elements.deleteProfileBtn.addEventListener('click', deleteProfile);
+  elements.cancelCvBtn.addEventListener('click', showCVLoaded);
+  elements.cvProfileSelect.addEventListener('change', setDefaultProfile);
+  elements.reviewCvBtn.addEventListener('click', openReview);
+  elements.saveReviewBtn.addEventListener('click', saveReview);
+  elements.resetReviewBtn.addEventListener('click', resetReview);
+  elements.cancelReviewBtn.addEventListener('click', closeReview);
 
   // Activate on this page
   if (elements.activateBtn) {
     elements.activateBtn.addEventListener('click', activateOnPage);
   }
 
+  // Application details
+  await loadApplicationDetails();
+  elements.toggleDetailsBtn.addEventListener('click', () => {
+    elements.detailsPanel.hidden = !elements.detailsPanel.hidden;
+  });
+  elements.saveDetailsBtn.addEventListener('click', saveApplicationDetails);
+
+  // Story bank
+  await loadStories();
+  elements.toggleStoriesBtn.addEventListener('click', () => {
+    elements.storiesPanel.hidden = !elements.storiesPanel.hidden;
+  });
+  elements.saveStoryBtn.addEventListener('click', saveStory);
+  elements.cancelStoryBtn.addEventListener('click', () => editStory(null));
+
+  // Question types
+  await loadQuestionTypes();
+  elements.toggleTypesBtn.addEventListener('click', () => {
+    elements.typesPanel.hidden = !elements.typesPanel.hidden;
+  });
+  elements.saveTypesBtn.addEventListener('click', saveQuestionTypes);
+  elements.loadTypesBtn.addEventListener('click', () => elements.typesFile.click());
+  elements.typesFile.addEventListener('change', async () => {
+    const file = elements.typesFile.files[0];
+    elements.typesFile.value = '';
+    if (file) elements.typesJson.value = await file.text();
+  });
+
+  // Writing style
+  await loadWritingStyle();
+  elements.toggleStyleBtn.addEventListener('click', () => {
+    elements.stylePanel.hidden = !elements.stylePanel.hidden;
+  });
+  elements.saveStyleBtn.addEventListener('click', saveWritingStyle);
+
   // LLM settings
   await loadLLMSettings();
   elements.toggleLlmBtn.addEventListener('click', () => {
@@ -86,10 +192,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   async function loadState() {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_CV' });
-    
-    if (response.cvText) {
-      showCVLoaded(response.cvText);
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CV_PROFILES' });
+    profiles = response?.profiles || [];
+    defaultProfileId = response?.defaultProfileId || null;
+
+    if (profiles.length) {
+      showCVLoaded();
     }
   }
 
@@ -119,35 +227,55 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   async function processFile(file) {
+    // A first check only – the proxy reads the real type from the file's bytes
     const validTypes = ['application/pdf', 'application/msword', 
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'];
+      'application/vnd.oasis.opendocument.text', 'application/rtf', 'text/rtf', 'text/markdown', 'text/html',
+      'text/plain', 'application/json', 'application/xml', 'text/xml', 'image/png', 'image/jpeg'];
     
-    if (!validTypes.includes(file.type) && !file.name.match(/\.(pdf|docx?|txt)$/i)) {
-      showMessage('Please upload a PDF, DOCX, or TXT file', 'error');
+    if (!validTypes.includes(file.type) && !file.name.match(/\.(pdf|docx?|odt|rtf|txt|md|markdown|html?|json|xml|png|jpe?g)$/i)) {
+      showMessage('Please upload a PDF, Word, ODT, RTF, TXT, Markdown, HTML, JSON Resume, Europass XML or PNG/JPG file', 'error');
       return;
     }
 
     elements.uploadArea.classList.add('has-file');
     elements.uploadArea.querySelector('.upload-text').textContent = file.name;
     elements.uploadArea.querySelector('.upload-hint').textContent = 'Extracting text...';
+    elements.cvOcrWarning.hidden = true;
 
     try {
-      const text = await extractTextFromFile(file);
+      const { text, ocr } = await extractTextFromFile(file);
       elements.cvText.value = text;
       elements.uploadArea.querySelector('.upload-hint').textContent = 'Text extracted - click Save CV';
+      // Text read from a scan: say how far to trust it before it is saved
+      if (ocr?.warning) {
+        elements.cvOcrWarning.textContent = ocr.warning;
+        elements.cvOcrWarning.classList.toggle('poor', ocr.quality === 'poor');
+        elements.cvOcrWarning.hidden = false;
+      }
       showMessage('File loaded. Review and click Save CV.');
+      showDiagnostics(text);
     } catch (err) {
       elements.uploadArea.classList.remove('has-file');
       elements.uploadArea.querySelector('.upload-text').innerHTML = 'Drop file or <span class="upload-link">browse</span>';
-      elements.uploadArea.querySelector('.upload-hint').textContent = 'PDF, DOCX, or TXT';
+      elements.uploadArea.querySelector('.upload-hint').textContent = 'PDF, Word, ODT, RTF, TXT, Markdown, HTML, JSON Resume, Europass XML or a scan';
       showMessage('Could not extract text: ' + err.message, 'error');
     }
   }
 
+  /**
+   * @returns {Promise<Object>} { text, ocr? } – `ocr` is the proxy's OCR
+   *   report when the text was read from a scan
+   */
   async function extractTextFromFile(file) {
     if (file.type === 'text/plain' || file.name.endsWith('.txt')) {
-      return await file.text();
+      return { text: await file.text() };
+    }
+
+    // resume.json / Europass XML are saved as they are; the recipe reads
+    // their fields directly instead of guessing from text
+    if (/\.(json|xml)$/i.test(file.name) || /(json|xml)$/.test(file.type)) {
+      return { text: await file.text() };
     }
 
     if (!proxyUrl) {
@@ -160,10 +288,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), 30000);
+    // Scans are OCR'd on the proxy, a few seconds per page
+    const timer = setTimeout(() => controller.abort(), 60000);
 
     try {
-      // For PDF/DOCX, send to proxy for extraction (server-side parsing)
+      // Documents and scans go to the proxy for extraction (server-side parsing)
       const formData = new FormData();
       formData.append('cv', file);
 
@@ -187,7 +316,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
 
       const result = await response.json();
-      return result.text;
+      return { text: result.text, ocr: result.ocr };
     } catch (e) {
       if (e?.name === 'AbortError') {
         throw new Error('Timed out — the service may be starting up. Please try again in a few seconds.');
@@ -198,6 +327,49 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * How well the uploaded CV parsed – sections found, confidence and
+   * warnings – from the proxy's /api/cv/parse. Best effort: without the
+   * proxy the upload simply has no report.
+   */
+  async function showDiagnostics(text) {
+    elements.cvDiagnostics.hidden = true;
+    if (!proxyUrl || text.trim().length < 50) return;
+
+    try {
+      const tokenResult = await chrome.runtime.sendMessage({ type: 'GET_TOKEN' });
+      if (!tokenResult?.token) return;
+
+      const response = await fetch(`${proxyUrl}/api/cv/parse`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenResult.token}` },
+        body: JSON.stringify({ text })
+      });
+      if (!response.ok) return;
+      const { cv, diagnostics } = await response.json();
+      // The user may have picked another file meanwhile
+      if (elements.cvText.value !== text) return;
+
+      const counts = { experience: 'roles', skills: 'skills', projects: 'projects' };
+      const found = diagnostics.sections.map(key =>
+        counts[key] && cv[key]?.length ? `${key} (${cv[key].length} ${counts[key]})` : key);
+      const confidence = Math.round(diagnostics.confidence.overall * 100);
+
+      // Avoid innerHTML: warnings quote CV content
+      const summary = document.createElement('div');
+      summary.textContent = `${found.length ? `Found ${found.join(', ')}` : 'No sections found'} · ${confidence}% confidence`;
+      const list = document.createElement('ul');
+      list.append(...diagnostics.warnings.map(w => {
+        const item = document.createElement('li');
+        item.textContent = w.message;
+        return item;
+      }));
+      elements.cvDiagnostics.replaceChildren(summary, ...(list.children.length ? [list] : []));
+      elements.cvDiagnostics.classList.toggle('low', confidence < 60 || diagnostics.warnings.some(w => w.field === 'experience'));
+      elements.cvDiagnostics.hidden = false;
+    } catch (_) { /* no report */ }
+  }
+
   async function saveCV() {
     const text = elements.cvText.value.trim();
     
@@ -206,27 +378,275 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    await chrome.runtime.sendMessage({ type: 'SAVE_CV', cvText: text });
-    showCVLoaded(text);
+    const result = await chrome.runtime.sendMessage({
+      type: 'SAVE_CV',
+      cvText: text,
+      name: elements.cvProfileName.value.trim(),
+      profileId: editingProfileId || undefined
+    });
+    if (!result?.success) {
+      showMessage(result?.error || 'Could not save CV', 'error');
+      return;
+    }
+
+    await loadState();
+    showCVLoaded();
     showMessage('CV saved successfully');
   }
 
-  function showCVLoaded(text) {
+  function showCVLoaded() {
+    const current = profiles.find(p => p.id === defaultProfileId) || profiles[0];
+    if (!current) return showCVInput(null);
+
+    closeReview();
     elements.cvInputSection.hidden = true;
     elements.cvLoadedSection.hidden = false;
     elements.cvStatusDot.classList.add('ready');
-    elements.cvStatusText.textContent = 'CV ready';
+    elements.cvStatusText.textContent = profiles.length > 1 ? `${profiles.length} CVs ready` : 'CV ready';
+    elements.cvLoadedTitle.textContent = current.name;
     
     // Avoid showing CV content in popup by default (privacy)
-    elements.cvPreview.textContent = `Saved (${text.length.toLocaleString()} characters)`;
+    const format = /^\s*\{/.test(current.cvText) ? 'JSON Resume, '
+      : /^\s*</.test(current.cvText) ? 'Europass XML, ' : '';
+    const corrected = current.overrides ? ', with your corrections' : '';
+    elements.cvPreview.textContent = `Saved (${format}${current.cvText.length.toLocaleString()} characters${corrected})`;
+
+    // Avoid innerHTML: profile names are user input
+    elements.cvProfileSelect.replaceChildren(...profiles.map(p => {
+      const option = document.createElement('option');
+      option.value = p.id;
+      option.textContent = p.name;
+      return option;
+    }));
+    elements.cvProfileSelect.value = current.id;
+    elements.cvProfileHint.hidden = profiles.length < 2;
   }
 
-  function showCVInput() {
+  function showCVInput(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    editingProfileId = profile?.id || null;
+
     elements.cvInputSection.hidden = false;
     elements.cvLoadedSection.hidden = true;
-    elements.cvStatusDot.classList.remove('ready');
-    elements.cvStatusText.textContent = 'No CV';
+    elements.cancelCvBtn.hidden = profiles.length === 0;
+    elements.cvProfileName.value = profile?.name || (profiles.length ? '' : 'My CV');
     elements.cvText.value = '';
+    elements.cvDiagnostics.hidden = true;
+    elements.cvOcrWarning.hidden = true;
+    if (!profiles.length) {
+      elements.cvStatusDot.classList.remove('ready');
+      elements.cvStatusText.textContent = 'No CV';
+    }
+  }
+
+  async function setDefaultProfile() {
+    const profileId = elements.cvProfileSelect.value;
+    const result = await chrome.runtime.sendMessage({ type: 'SET_DEFAULT_PROFILE', profileId });
+    if (!result?.success) {
+      showMessage(result?.error || 'Could not change default CV', 'error');
+      return;
+    }
+    defaultProfileId = profileId;
+    showCVLoaded();
+  }
+
+  async function deleteProfile() {
+    const profile = profiles.find(p => p.id === elements.cvProfileSelect.value);
+    if (!profile || !confirm(`Delete the "${profile.name}" CV?`)) return;
+
+    await chrome.runtime.sendMessage({ type: 'CLEAR_CV', profileId: profile.id });
+    await loadState();
+    if (profiles.length) {
+      showCVLoaded();
+    } else {
+      showCVInput(null);
+    }
+    showMessage(`Deleted "${profile.name}"`);
+  }
+
+  // ── CV review ─────────────────────────────────────────────────────────────
+  // The popup is a classic script and can't import shared/cv-overrides.js;
+  // the few editing steps are repeated here and the proxy normalizes what
+  // is sent. Only sections that changed are stored, as there.
+
+  const REVIEW_SECTIONS = ['contactInfo', 'summary', 'experience', 'education', 'skills'];
+  const REVIEW_CONTACT = ['name', 'email', 'phone', 'linkedin', 'github', 'website'];
+
+  async function openReview() {
+    const current = profiles.find(p => p.id === defaultProfileId) || profiles[0];
+    if (!current) return;
+    if (!proxyUrl) {
+      showMessage('Reviewing a CV needs the proxy – it is offline', 'error');
+      return;
+    }
+
+    try {
+      const tokenResult = await chrome.runtime.sendMessage({ type: 'GET_TOKEN' });
+      if (!tokenResult?.token) throw new Error('Not registered with the proxy');
+      const response = await fetch(`${proxyUrl}/api/cv/parse`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenResult.token}` },
+        body: JSON.stringify({ text: current.cvText, overrides: current.overrides || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Could not read the CV');
+
+      const cv = data.cv;
+      const shown = {
+        contactInfo: Object.fromEntries(REVIEW_CONTACT.map(key => [key, cv.contactInfo?.[key] || ''])),
+        summary: cv.summary || '',
+        experience: (cv.experience || []).map(role => ({
+          company: role.company || '',
+          title: role.title || '',
+          dates: role.dates || '',
+          responsibilities: [...(role.responsibilities || [])]
+        })),
+        education: (cv.education || []).map(e => ({ institution: e.institution || '', degree: e.degree || '', dates: e.dates || '' })),
+        skills: [...(cv.skills || [])]
+      };
+      review = { profile: current, shown, edited: JSON.parse(JSON.stringify(shown)) };
+      elements.resetReviewBtn.hidden = !current.overrides;
+      renderReview();
+      elements.cvReviewPanel.hidden = false;
+    } catch (err) {
+      showMessage(err.message, 'error');
+    }
+  }
+
+  function closeReview() {
+    review = null;
+    elements.cvReviewPanel.hidden = true;
+  }
+
+  // Avoid innerHTML: CV content is user input
+  function renderReview() {
+    const { edited } = review;
+    const field = (value, placeholder, onInput, tag = 'input') => {
+      const el = document.createElement(tag);
+      el.value = value;
+      el.placeholder = placeholder;
+      el.addEventListener('input', () => onInput(el.value));
+      return el;
+    };
+    const label = (text) => {
+      const el = document.createElement('div');
+      el.className = 'cv-review-label';
+      el.textContent = text;
+      return el;
+    };
+    const action = (text, title, onClick) => {
+      const el = document.createElement('button');
+      el.className = 'cv-change-btn';
+      el.textContent = text;
+      el.title = title;
+      el.addEventListener('click', () => {
+        onClick();
+        renderReview();
+      });
+      return el;
+    };
+    const swap = (list, i, j) => {
+      if (j < 0 || j >= list.length) return;
+      [list[i], list[j]] = [list[j], list[i]];
+    };
+    const lines = (text) => text.split('\n').map(l => l.trim()).filter(Boolean);
+
+    const roles = edited.experience.map((role, i) => {
+      const card = document.createElement('div');
+      card.className = 'cv-review-role';
+      const bullets = field(role.responsibilities.join('\n'), 'Bullets, one per line',
+        (v) => { role.responsibilities = lines(v); }, 'textarea');
+
+      const actions = document.createElement('div');
+      actions.className = 'cv-review-actions';
+      actions.append(
+        action('↑', 'Move role up', () => swap(edited.experience, i, i - 1)),
+        action('↓', 'Move role down', () => swap(edited.experience, i, i + 1)),
+        action('✂', 'Start a new role at the line the cursor is on', () => {
+          const at = bullets.value.slice(0, bullets.selectionStart).split('\n').length - 1;
+          const all = bullets.value.split('\n');
+          const [before, after] = [lines(all.slice(0, at).join('\n')), lines(all.slice(at).join('\n'))];
+          if (!before.length || !after.length) return;
+          role.responsibilities = before;
+          edited.experience.splice(i + 1, 0, { company: '', title: '', dates: '', responsibilities: after });
+        }),
+        ...(i < edited.experience.length - 1 ? [action('Merge ↓', 'Merge with the role below', () => {
+          const next = edited.experience[i + 1];
+          role.company ||= next.company;
+          role.title ||= next.title;
+          role.dates ||= next.dates;
+          role.responsibilities = [...role.responsibilities, ...next.responsibilities];
+          edited.experience.splice(i + 1, 1);
+        })] : []),
+        action('Delete', 'Remove this role', () => edited.experience.splice(i, 1))
+      );
+
+      card.append(
+        field(role.title, 'Job title', (v) => { role.title = v; }),
+        field(role.company, 'Company', (v) => { role.company = v; }),
+        field(role.dates, 'Dates, e.g. Jan 2020 – Present', (v) => { role.dates = v; }),
+        bullets,
+        actions
+      );
+      return card;
+    });
+
+    const education = edited.education.map((entry, i) => {
+      const card = document.createElement('div');
+      card.className = 'cv-review-role';
+      const actions = document.createElement('div');
+      actions.className = 'cv-review-actions';
+      actions.append(action('Delete', 'Remove this entry', () => edited.education.splice(i, 1)));
+      card.append(
+        field(entry.degree, 'Degree', (v) => { entry.degree = v; }),
+        field(entry.institution, 'Institution', (v) => { entry.institution = v; }),
+        field(entry.dates, 'Dates', (v) => { entry.dates = v; }),
+        actions
+      );
+      return card;
+    });
+
+    elements.cvReviewBody.replaceChildren(
+      label('Contact'),
+      ...REVIEW_CONTACT.map(key => field(edited.contactInfo[key], key, (v) => { edited.contactInfo[key] = v; })),
+      label('Summary'),
+      field(edited.summary, 'Summary', (v) => { edited.summary = v; }, 'textarea'),
+      label(`Experience (${edited.experience.length})`),
+      ...roles,
+      action('+ Role', 'Add a role', () => edited.experience.push({ company: '', title: '', dates: '', responsibilities: [] })),
+      label(`Education (${edited.education.length})`),
+      ...education,
+      label('Skills (comma-separated)'),
+      field(edited.skills.join(', '), 'Skills', (v) => {
+        edited.skills = v.split(',').map(s => s.trim()).filter(Boolean);
+      }, 'textarea')
+    );
+  }
+
+  async function saveReview() {
+    const { profile, shown, edited } = review;
+    const overrides = { ...(profile.overrides || {}) };
+    delete overrides.updatedAt;
+    for (const key of REVIEW_SECTIONS) {
+      if (JSON.stringify(edited[key]) !== JSON.stringify(shown[key])) overrides[key] = edited[key];
+    }
+    await storeOverrides(profile.id, Object.keys(overrides).length ? overrides : null, 'CV corrections saved');
+  }
+
+  async function resetReview() {
+    if (!confirm('Undo all corrections and go back to what was read from the CV?')) return;
+    await storeOverrides(review.profile.id, null, 'CV corrections removed');
+  }
+
+  async function storeOverrides(profileId, overrides, done) {
+    const result = await chrome.runtime.sendMessage({ type: 'SAVE_CV_OVERRIDES', profileId, overrides });
+    if (!result?.success) {
+      showMessage(result?.error || 'Could not save corrections', 'error');
+      return;
+    }
+    await loadState();
+    showCVLoaded();
+    showMessage(done);
   }
 
   function showMessage(text, type = 'success') {
@@ -289,6 +709,183 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // ── Application Details ───────────────────────────────────────────────────
+  // Stored as `applicationProfile`; background.js answers matching plain
+  // fields from it and sends it with every request (application-profile.js).
+
+  async function loadApplicationDetails() {
+    const { applicationProfile } = await chrome.storage.local.get('applicationProfile');
+    elements.detailsInputs.forEach(input => {
+      input.value = applicationProfile?.[input.dataset.profileField] || '';
+    });
+    updateDetailsBadge(applicationProfile);
+  }
+
+  async function saveApplicationDetails() {
+    const applicationProfile = {};
+    elements.detailsInputs.forEach(input => {
+      const value = input.value.trim();
+      if (value) applicationProfile[input.dataset.profileField] = value;
+    });
+    await chrome.storage.local.set({ applicationProfile });
+    updateDetailsBadge(applicationProfile);
+    elements.detailsPanel.hidden = true;
+    showMessage('Application details saved');
+  }
+
+  function updateDetailsBadge(applicationProfile) {
+    const count = Object.values(applicationProfile || {}).filter(Boolean).length;
+    elements.detailsBadge.textContent = count ? `${count} set` : 'Not set';
+  }
+
+  // ── Story Bank ────────────────────────────────────────────────────────────
+  // Stored as `storyBank`: [{ id, title, competencies, situation, action, result }].
+  // background.js sends it with every request; the recipe picks the story.
+
+  async function loadStories() {
+    const { storyBank } = await chrome.storage.local.get('storyBank');
+    stories = Array.isArray(storyBank) ? storyBank : [];
+    renderStories();
+  }
+
+  function renderStories() {
+    elements.storiesBadge.textContent = stories.length
+      ? `${stories.length} ${stories.length === 1 ? 'story' : 'stories'}`
+      : 'No stories';
+
+    // Avoid innerHTML: stories are user input
+    elements.storyList.replaceChildren(...stories.map(story => {
+      const item = document.createElement('div');
+      item.className = 'story-item';
+
+      const title = document.createElement('span');
+      title.className = 'story-item-title';
+      title.textContent = story.title || story.action.slice(0, 60);
+      title.title = 'Edit';
+      title.addEventListener('click', () => editStory(story.id));
+
+      const tags = document.createElement('span');
+      tags.className = 'story-item-tags';
+      tags.textContent = story.competencies.join(', ');
+
+      const remove = document.createElement('button');
+      remove.className = 'cv-change-btn';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => deleteStory(story.id));
+
+      item.append(title, tags, remove);
+      return item;
+    }));
+  }
+
+  function editStory(storyId) {
+    const story = stories.find(s => s.id === storyId);
+    editingStoryId = story?.id || null;
+    elements.storyTitle.value = story?.title || '';
+    elements.storySituation.value = story?.situation || '';
+    elements.storyAction.value = story?.action || '';
+    elements.storyResult.value = story?.result || '';
+    elements.storyCompetencies.forEach(box => {
+      box.checked = !!story?.competencies.includes(box.value);
+    });
+    elements.saveStoryBtn.textContent = story ? 'Save story' : 'Add story';
+    elements.cancelStoryBtn.hidden = !story;
+  }
+
+  async function saveStory() {
+    const story = {
+      id: editingStoryId || `story_${Date.now()}_${Math.random().toString(16).slice(2)}`,
+      title: elements.storyTitle.value.trim(),
+      competencies: [...elements.storyCompetencies].filter(box => box.checked).map(box => box.value),
+      situation: elements.storySituation.value.trim(),
+      action: elements.storyAction.value.trim(),
+      result: elements.storyResult.value.trim(),
+      updatedAt: Date.now()
+    };
+    if (!story.action || !(story.situation || story.result)) {
+      showMessage('Add what you did, plus the situation or the result', 'error');
+      return;
+    }
+
+    const index = stories.findIndex(s => s.id === story.id);
+    if (index >= 0) stories[index] = story;
+    else stories.push(story);
+
+    await chrome.storage.local.set({ storyBank: stories });
+    renderStories();
+    editStory(null);
+    showMessage('Story saved');
+  }
+
+  async function deleteStory(storyId) {
+    const story = stories.find(s => s.id === storyId);
+    if (!story || !confirm(`Delete the story "${story.title || 'Untitled'}"?`)) return;
+    stories = stories.filter(s => s.id !== storyId);
+    await chrome.storage.local.set({ storyBank: stories });
+    if (editingStoryId === storyId) editStory(null);
+    renderStories();
+  }
+
+  // ── Question Types ────────────────────────────────────────────────────────
+  // Stored as `questionTypes`, the definitions as written. background.js
+  // validates them on save (question-types.js) and sends them with every
+  // request; the modal offers them as overrides.
+
+  async function loadQuestionTypes() {
+    const { questionTypes } = await chrome.storage.local.get('questionTypes');
+    const list = Array.isArray(questionTypes) ? questionTypes : [];
+    elements.typesJson.value = list.length ? JSON.stringify(list, null, 2) : '';
+    updateTypesBadge(list.length);
+  }
+
+  async function saveQuestionTypes() {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_QUESTION_TYPES',
+      questionTypes: elements.typesJson.value
+    });
+    if (!response?.success) {
+      showMessage(response?.errors?.slice(0, 2).join(' · ') || 'Could not save question types', 'error');
+      return;
+    }
+    updateTypesBadge(response.count);
+    elements.typesPanel.hidden = true;
+    showMessage(response.count ? 'Question types saved' : 'Question types cleared');
+  }
+
+  function updateTypesBadge(count) {
+    elements.typesBadge.textContent = count ? `${count} custom` : 'Built-in only';
+  }
+
+  // ── Writing Style ─────────────────────────────────────────────────────────
+  // background.js measures the samples into a style profile (writing-style.js)
+  // and stores both; only the profile goes out with requests.
+
+  async function loadWritingStyle() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_WRITING_STYLE' });
+    elements.styleSamples.value = response?.samples || '';
+    showStyleSummary(response?.summary);
+  }
+
+  async function saveWritingStyle() {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_WRITING_STYLE',
+      samples: elements.styleSamples.value
+    });
+    if (!response?.success) {
+      showMessage(response?.error || 'Could not save writing style', 'error');
+      return;
+    }
+    showStyleSummary(response.summary);
+    elements.stylePanel.hidden = true;
+    showMessage(response.profile ? 'Writing style saved' : 'Writing style cleared');
+  }
+
+  function showStyleSummary(summary) {
+    elements.styleBadge.textContent = summary ? 'Calibrated' : 'Not set';
+    elements.styleSummary.hidden = !summary;
+    elements.styleSummary.textContent = summary ? `Your style: ${summary}` : '';
+  }
+
   // ── LLM Settings ──────────────────────────────────────────────────────────
 
   async function loadLLMSettings() {
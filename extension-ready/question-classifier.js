@@ -0,0 +1,285 @@
+// Generated from shared/question-classifier.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * Question Classifier Module
+ *
+ * Decides what kind of application question is being asked, so the recipe
+ * can pick the prompt built for it. Every type scores the question; the
+ * result is a ranking with a confidence, not just the first pattern that
+ * happened to match.
+ *
+ * DESIGN DECISIONS:
+ * 1. Weighted cues per type: a phrase that only one type uses ("tell me
+ *    about a time", "cover letter") weighs 3 or more, a hint shared with
+ *    other types ("handle", "conflict") weighs 1. Ties go to the type listed
+ *    first in QUESTION_TYPES, which is the old detection order
+ * 2. Confidence is the winner's share of the top two scores, damped when
+ *    the winner only has weak cues. Below LOW_CONFIDENCE the UI offers a
+ *    manual type override instead of trusting the guess
+ * 3. Compound questions ("Why do you want to join us, and tell us about a
+ *    project you're proud of") are split into parts and each part is
+ *    classified on its own. Parts of different types, or a part of no type
+ *    next to another, make it compound. The prompt is built for the top
+ *    type and told to answer every part. Follow-ups such as "Why or why
+ *    not?" or "If so, please explain" stay with the part they expand on
+ * 4. Pure functions with no imports – the extension keeps a copy for the
+ *    modal, and question-fixtures.js holds a labelled corpus to check
+ *    changes against (evaluateClassifier)
+ * 5. User-defined types (question-types.js) are scored with their own cues
+ *    next to the built-in ones and win ties: they were written for exactly
+ *    the questions that match them
+ * 6. Cues are English plus German, French, Spanish, Dutch and Portuguese
+ *    (the CV languages in cv-locales.js) for the common types: cover
+ *    letter, why this company, salary, notice / start date / work permit,
+ *    behavioural, strengths and weaknesses, motivation. Other languages,
+ *    and the rarer types in those, fall to `general`
+ *
+ * Result: { type, confidence: 0–1, ranked: [{ type, score, confidence }],
+ *           compound: boolean, parts: [{ text, type }] }
+ */
+
+// Below this the guess is shown as uncertain and the type can be overridden
+export const LOW_CONFIDENCE = 0.6;
+// A winner needs cues worth this much to be fully confident
+const STRONG_SCORE = 3;
+
+/**
+ * Question types, in tie-break order, with the label the UI shows.
+ * `data_extraction` (plain field labels) is decided by the recipe before
+ * classification, but can be chosen as an override.
+ */
+export const QUESTION_TYPES = [
+  { type: 'data_extraction', label: 'Plain field (name, email, …)' },
+  { type: 'cover_letter', label: 'Cover letter' },
+  { type: 'why_company', label: 'Why this company / role' },
+  { type: 'salary', label: 'Salary expectations' },
+  { type: 'short_factual', label: 'Short fact (notice, start date, visa)' },
+  { type: 'yes_no', label: 'Yes / no' },
+  { type: 'brief', label: 'Brief summary' },
+  { type: 'behavioral', label: 'Behavioral (STAR story)' },
+  { type: 'strength_weakness', label: 'Strengths / weaknesses' },
+  { type: 'motivation', label: 'Motivation & career goals' },
+  { type: 'general', label: 'General' }
+];
+
+const TYPE_ORDER = new Map(QUESTION_TYPES.map((t, i) => [t.type, i]));
+
+/**
+ * Whether `type` is a built-in type or one of the custom ones.
+ */
+export function isQuestionType(type, customTypes = []) {
+  return TYPE_ORDER.has(type) || customTypes.some(t => t.type === type);
+}
+
+/**
+ * Built-in and custom types, for a type picker: [{ type, label }].
+ */
+export function questionTypeList(customTypes = []) {
+  return [...QUESTION_TYPES, ...customTypes.map(({ type, label }) => ({ type, label }))];
+}
+
+// [pattern, weight] per type. Patterns run on the lowercased question
+const CUES = {
+  cover_letter: [
+    [/cover\s*letter|motivation(al)?\s+letter|letter\s+of\s+(interest|motivation|intent)|application\s+letter/, 6],
+    [/anschreiben|motivationsschreiben|lettre\s+de\s+motivation|carta\s+de\s+(presentaci[óo]n|motivaci[óo]n|apresenta[çc][ãa]o)|motivatiebrief|sollicitatiebrief/, 6]
+  ],
+
+  why_company: [
+    [/why\s+do\s+you\s+want\s+to\s+(work|join|be\s+part)|why\s+would\s+you\s+like\s+to\s+(work|join)/, 4],
+    [/why\s+(are\s+you\s+)?(applying|interested\s+in)\s+(to\s+|for\s+|in\s+)?(this|our|the)\b/, 4],
+    [/why\s+(this|our)\s+(company|team|organi[sz]ation|role|position)|why\s+us\b/, 4],
+    [/what\s+(interests?|excites?|appeals?(\s+to)?|draws?|attracts?(ed)?)\s+you\s+(most\s+)?(about|to)\s+(this|the|our|working)\b/, 4],
+    [/what\s+(draws|drew|attracted)\s+you\s+to\b/, 3],
+    [/(company'?s|our)\s+(mission|values|product|culture)/, 2],
+    [/why\s+do\s+you\s+want\s+(this|the)\s+(job|role|position)/, 3],
+    [/what\s+do\s+you\s+know\s+about\s+(us|our|the\s+company)/, 3],
+    [/warum\s+(möchten|wollen|würden)\s+sie\s+(gerne\s+)?(bei\s+uns|für\s+uns|zu\s+uns|hier|in\s+unserem)|warum\s+(möchtest|willst)\s+du\s+(gerne\s+)?(bei\s+uns|für\s+uns|zu\s+uns)|warum\s+bewerben\s+sie\s+sich|warum\s+(wir|unser(e|em)?\s+(unternehmen|firma|team))\b/, 4],
+    [/pourquoi\s+(souhaitez|voulez|aimeriez)[-\s]vous\s+(nous\s+rejoindre|rejoindre|travailler)|pourquoi\s+(nous|notre\s+(entreprise|société|équipe))\b|qu'est[-\s]ce\s+qui\s+vous\s+(attire|intéresse)/, 4],
+    [/por\s+qu[ée]\s+(quieres|quiere|te\s+gustar[ií]a|le\s+gustar[ií]a|deseas|desea)\s+(trabajar|unirte|unirse|formar\s+parte)|por\s+qu[ée]\s+(nosotros|nuestra\s+empresa)\b|qu[ée]\s+te\s+atrae/, 4],
+    [/waarom\s+(wil|zou)\s+(je|jij|u)\s+(graag\s+)?(bij\s+ons|hier|voor\s+ons)|waarom\s+solliciteer|waarom\s+(wij|onze\s+(organisatie|bedrijf))\b/, 4],
+    [/por\s+que\s+(você\s+)?(quer|gostaria\s+de|deseja)\s+(trabalhar|se\s+juntar|fazer\s+parte)|por\s+que\s+(nós|nossa\s+empresa)\b/, 4]
+  ],
+
+  salary: [
+    [/\b(salary|compensation|pay|rate)\s*(expectations?|requirements?|range|expect)/, 5],
+    [/\b(expected|desired|target|current|base|annual|starting|minimum)\s+(salary|compensation|pay|package)\b/, 5],
+    [/\b(hourly|day|daily)\s+rate\b/, 4],
+    [/how\s+much\s+(are\s+you\s+looking|do\s+you\s+expect|would\s+you\s+like\s+to\s+earn)/, 4],
+    [/\b(salary|compensation|remuneration)\b/, 2],
+    [/gehaltsvorstellung|gehaltswunsch|gehalt\b|prétentions\s+salariales|salaire|rémunération|pretensi[óo]n(es)?\s+salarial(es)?|expectativas?\s+salarial(es)?|salario|salarisindicatie|salariswens|salaris\b|pretens(ão|ões)\s+salaria(l|is)|salário/, 5]
+  ],
+
+  short_factual: [
+    [/notice\s*period/, 4],
+    [/\bstart\s+date\b|earliest\s+(possible\s+)?(start|date)/, 4],
+    [/when\s+(can|could|are|would)\s+you\s+(be\s+able\s+to\s+)?(start|available|join)/, 4],
+    [/\bavailability\b|\bimmediately\s+available\b/, 3],
+    [/right\s+to\s+work|work\s*authori[sz]ation|\bvisa\s+(status|type|sponsorship)\b|require\s+sponsorship/, 4],
+    [/deadlines?\s+or\s+timeline|timeline\s+consideration|any\s+(deadline|timeline|constraint|commitment)s?\s+(we|you|to)\s+/, 3],
+    [/how\s+did\s+you\s+hear\s+about|where\s+did\s+you\s+(hear|find|see)/, 3],
+    [/years\s+of\s+(professional\s+)?experience\s+(do\s+you\s+have|with|in)/, 2],
+    [/kündigungsfrist|préavis|preaviso|opzegtermijn|aviso\s+prévio/, 4],
+    [/eintrittstermin|frühestmögliche[rn]?\s+(eintritt|start)|wann\s+(können|könnten)\s+sie\s+(anfangen|beginnen|starten)|date\s+de\s+(début|disponibilité)|fecha\s+de\s+(inicio|incorporaci[óo]n)|startdatum|wanneer\s+kun\s+(je|jij|u)\s+beginnen|data\s+de\s+in[íi]cio|disponibilit[ée]|disponibilidad/, 4],
+    [/arbeitserlaubnis|aufenthaltstitel|permis\s+de\s+travail|permiso\s+de\s+trabajo|werkvergunning|autoriza[çc][ãa]o\s+de\s+trabalho/, 4]
+  ],
+
+  yes_no: [
+    [/^(are|do|have|can|will|would|is|did)\s+you\b|\bdo\s+you\s+(currently|have|hold|possess|own)\b|\bhave\s+you\s+(ever|previously)\b/, 2],
+    [/\bare\s+you\s+(willing|able|comfortable|open|available|authori[sz]ed|eligible|happy|prepared|fluent|proficient|legally)\b/, 1],
+    [/\b(yes\s*\/\s*no|yes\s+or\s+no)\b/, 4]
+  ],
+
+  brief: [
+    [/\b(briefly|in\s+a?\s*few\s+words?|in\s+one\s+(sentence|line|paragraph)|in\s+\d+\s+words\s+or\s+(less|fewer))\b/, 4],
+    [/\b(summari[sz]e|give\s+a\s+(short|brief|quick)\s+(description|overview|summary))\b/, 4],
+    [/\bhow\s+would\s+you\s+describe\s+yourself\b|\bdescribe\s+yourself\s+in\b/, 2]
+  ],
+
+  behavioral: [
+    [/tell\s+(me|us)\s+about\s+a\s+(time|situation|moment|project|challenge|mistake|failure|conflict|decision)/, 4],
+    [/describe\s+a\s+(time|situation|scenario|challenge|moment|instance|project|conflict|mistake|failure|decision)/, 4],
+    [/give\s+(me\s+|us\s+)?(an?\s+)?example\s+(of|where|when)|share\s+(a|an)\s+(example|experience|time|situation)/, 4],
+    [/walk\s+(me\s+|us\s+)?through\s+(a\s+time|how\s+you|a\s+(project|situation))/, 3],
+    [/how\s+did\s+you\s+(handle|deal|manage|overcome|approach|resolve)/, 3],
+    [/how\s+do\s+you\s+(handle|deal\s+with|manage|approach|resolve|respond\s+to|prioriti[sz]e|cope\s+with)\b/, 2],
+    [/\b(handl(e|ing)|resolv(e|ing)|manag(e|ing)|deal(ing)?\s+with)\s+(a\s+)?(conflict|disagreements?|difficult|pressure|stress|setbacks?|failure|criticism)/, 2],
+    [/what\s+would\s+you\s+do\s+if|how\s+would\s+you\s+(handle|deal|respond|approach)/, 2],
+    [/\b(conflict|disagree(ment|d)?|difficult\s+(person|colleague|coworker|stakeholder|customer|client|manager)|tight\s+deadline|under\s+pressure|setback|went\s+wrong|push\s*back)\b/, 1],
+    [/\bmost\s+(challenging|difficult)\s+(project|problem|situation)\b/, 2],
+    [/(erzählen|beschreiben)\s+sie\s+(uns\s+)?(von\s+)?eine[rn]?\s+situation|nennen\s+sie\s+(uns\s+)?ein\s+beispiel|décrivez\s+une\s+situation|parlez[-\s]nous\s+d'une\s+(situation|fois)|donnez[-\s]nous\s+un\s+exemple|describ[ae]\s+una\s+situaci[óo]n|cu[ée]nta(nos|me)\s+(sobre\s+)?una\s+(situaci[óo]n|vez)|beschrijf\s+een\s+situatie|vertel\s+(eens\s+)?over\s+een\s+(situatie|keer)|descreva\s+uma\s+situa[çc][ãa]o|conte[-\s]nos\s+sobre\s+uma\s+(situa[çc][ãa]o|vez)/, 4]
+  ],
+
+  strength_weakness: [
+    [/\b(greatest?|biggest?|main|key|top)\s+(strengths?|weakness(es)?)\b/, 4],
+    [/\bweakness(es)?\b|areas?\s+(for|of|to)\s+(improve(ment)?|development)|development\s+areas?|improve\s+about\s+yourself/, 4],
+    [/\bstrengths?\b/, 2],
+    [/\b(greatest?|biggest?|proudest)\s+(\w+\s+)?(achievement|accomplishment)\b|most\s+proud\s+of/, 3],
+    [/stärken|schwächen|points?\s+(forts?|faibles?)|forces\s+et\s+faiblesses|fortalezas|debilidades|sterke\s+punten|zwakke\s+punten|pontos\s+(fortes|fracos)/, 4]
+  ],
+
+  motivation: [
+    [/what\s+(interests?|motivates?|excites?|drives?|inspires?)\s+(you|to\s+you)(?!\s+(most\s+)?about\s+(this|the|our|working))/, 3],
+    [/career\s+(goals?|aspirations?|objectives?|plans?)|where\s+do\s+you\s+see\s+yourself/, 4],
+    [/why\s+(are\s+you\s+)?(leaving|looking\s+for\s+a\s+new)|reason\s+for\s+(leaving|changing)/, 3],
+    [/why\s+apply(ing)?\b(?!\s+(to|for)\s+(this|our|the))/, 2],
+    [/what\s+are\s+you\s+looking\s+for\s+in\s+(your\s+next|a\s+new)/, 3],
+    [/\b(passion(ate)?|motivat(ion|es|ed))\b/, 1],
+    [/wo\s+sehen\s+sie\s+sich|karriereziele|berufliche[nr]?\s+ziele|was\s+motiviert\s+sie|où\s+vous\s+voyez[-\s]vous|objectifs\s+professionnels|qu'est[-\s]ce\s+qui\s+vous\s+motive|d[óo]nde\s+te\s+ves|objetivos\s+profesionales|qu[ée]\s+te\s+motiva|waar\s+zie\s+(je|jij|u)\s+(jezelf|uzelf)|wat\s+motiveert|onde\s+você\s+se\s+vê|objetivos\s+profissionais|o\s+que\s+te\s+motiva/, 4]
+  ],
+
+  general: []
+};
+
+// Compound questions: split after a question mark or sentence, or at
+// "and" / "also" introducing a new question
+const PART_SPLIT = /(?<=[?;])\s+|(?<=\.)\s+(?=[A-Z])|,?\s+(?:and|also)\s+(?=(?:what|why|how|when|where|which|who|tell|describe|explain|share|give|please)\b)/i;
+// Parts shorter than this are fragments, not questions
+const MIN_PART_WORDS = 3;
+// Follow-ups that only ask to expand on the part before them ("Why or why
+// not?", "If so, please describe.") – kept with that part, not a question
+const FOLLOW_UP = /^(?:if\s+(?:so|yes|no|not)\b|why\s+or\s+why\s+not\b|(?:please\s+)?(?:explain|elaborate)(?:\s+(?:your\s+answer|why|further|briefly))?\s*[.?!]*$|please\s+(?:specify|give\s+details|provide\s+details)\b)/i;
+
+/**
+ * Score one piece of text against every type.
+ * @returns {Map<string, number>} type → score (types with no cue left out)
+ */
+function scoreText(text, customTypes) {
+  const q = text.toLowerCase().trim();
+  const scores = new Map();
+  const cueSets = [...Object.entries(CUES), ...customTypes.map(t => [t.type, t.cues])];
+  for (const [type, cues] of cueSets) {
+    let score = 0;
+    for (const [pattern, weight] of cues) if (pattern.test(q)) score += weight;
+    if (score > 0) scores.set(type, score);
+  }
+  // "Why <Company>?" – a short question naming the employer
+  const trimmed = text.trim();
+  if (/^why\s+[a-z]/i.test(trimmed) && trimmed.split(/\s+/).length <= 4 &&
+      !/^why\s+(remote|contract|part.?time|full.?time|freelance|hybrid|apply|applying|now)\b/i.test(trimmed)) {
+    scores.set('why_company', (scores.get('why_company') || 0) + 4);
+  }
+  return scores;
+}
+
+// Custom types sort before the built-in ones on a tie
+function rank(scores) {
+  const order = (type) => TYPE_ORDER.get(type) ?? -1;
+  return [...scores]
+    .map(([type, score]) => ({ type, score }))
+    .sort((a, b) => b.score - a.score || order(a.type) - order(b.type));
+}
+
+function confidenceOf(score, runnerUp) {
+  if (!score) return 0;
+  const share = score / (score + runnerUp);
+  return Math.round(share * Math.min(1, score / STRONG_SCORE) * 100) / 100;
+}
+
+/**
+ * Split a question into the questions it asks. A follow-up is joined to the
+ * part it follows.
+ */
+export function questionParts(question) {
+  const parts = [];
+  for (const piece of String(question || '').split(PART_SPLIT)) {
+    const part = piece.trim();
+    if (!part) continue;
+    if (parts.length && FOLLOW_UP.test(part)) parts[parts.length - 1] += ` ${part}`;
+    else parts.push(part);
+  }
+  return parts.filter(part => part.split(/\s+/).length >= MIN_PART_WORDS);
+}
+
+/**
+ * Classify an application question.
+ *
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {Object[]} [options.customTypes] - normalizeQuestionTypes() result
+ * @returns {Object} Result (shape above)
+ */
+export function classifyQuestion(question, { customTypes = [] } = {}) {
+  const text = String(question || '');
+  const ranked = rank(scoreText(text, customTypes));
+
+  // Each part classified alone; a compound question asks for at least two
+  // different things. A part no type claims ("what would you bring?") is a
+  // thing of its own
+  const parts = questionParts(text).map(part => ({
+    text: part,
+    type: rank(scoreText(part, customTypes))[0]?.type || 'general'
+  }));
+  const asked = new Set(parts.map(p => p.type).filter(type => type !== 'general'));
+  const unclaimed = parts.filter(p => p.type === 'general').length;
+  const compound = parts.length >= 2 && asked.size + unclaimed >= 2;
+
+  if (!ranked.length) {
+    return { type: 'general', confidence: 0, ranked: [{ type: 'general', score: 0, confidence: 0 }], compound, parts };
+  }
+
+  const withConfidence = ranked.map((entry, i) => ({
+    ...entry,
+    confidence: confidenceOf(entry.score, i === 0 ? ranked[1]?.score || 0 : ranked[0].score)
+  }));
+  return { type: ranked[0].type, confidence: withConfidence[0].confidence, ranked: withConfidence, compound, parts };
+}
+
+/**
+ * Accuracy of the classifier on a labelled corpus.
+ *
+ * @param {Object[]} fixtures - [{ question, type, compound? }] (question-fixtures.js);
+ *   `compound`, when given, has to match too
+ * @param {Object} [options] - classifyQuestion options, e.g. custom types
+ * @returns {Object} { total, correct, accuracy, misses: [{ question, expected, got, confidence, compound }] }
+ */
+export function evaluateClassifier(fixtures, options) {
+  const misses = [];
+  for (const { question, type, compound } of fixtures) {
+    const result = classifyQuestion(question, options);
+    if (result.type !== type || (compound !== undefined && result.compound !== compound)) {
+      misses.push({ question, expected: type, got: result.type, confidence: result.confidence, compound: result.compound });
+    }
+  }
+  const total = fixtures.length;
+  return { total, correct: total - misses.length, accuracy: total ? (total - misses.length) / total : 0, misses };
+}
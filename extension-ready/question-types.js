@@ -0,0 +1,181 @@
+// Generated from shared/question-types.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * Question Types Module
+ *
+ * Question families the built-in types don't cover – diversity statements,
+ * "a project you're proud of", security clearance, teaching philosophy –
+ * defined as data instead of code. A definition says which phrases ask for
+ * it and how to answer; the classifier ranks it next to the built-in types
+ * (question-classifier.js) and the recipe builds its prompt from it.
+ *
+ * DESIGN DECISIONS:
+ * 1. Definitions come from a JSON file on the server (QUESTION_TYPES_FILE)
+ *    and from the user's settings, sent with each request as
+ *    `questionTypes`. The later definition of a type wins, so a user's
+ *    version replaces the server's
+ * 2. Patterns are phrases, not regular expressions: definitions arrive over
+ *    the wire, and a hand-written regex can hang the server. A "*" at the
+ *    end of a word matches any ending ("teach*" → teaching, teacher)
+ * 3. Built-in type names can't be redefined – a custom type adds a family,
+ *    it doesn't change how the recipe answers the ones it already knows
+ * 4. parseQuestionTypes reports what is wrong, so a broken config file stops
+ *    the server at boot and the settings screens can show the errors;
+ *    normalizeQuestionTypes quietly drops bad entries from requests
+ *
+ * Definition (JSON):
+ *   { type: 'diversity_statement', label?: 'Diversity statement',
+ *     patterns: ['diversity statement', 'inclusi*', { phrase: 'equity', weight: 2 }],
+ *     instructions: 'What a good answer does…',
+ *     lengths?: { short: '60-90', medium: '120-180', long: '200-280' },   // words
+ *     temperature?: 0.7, jobContext?: true }
+ *
+ * A config file holds an array of definitions, or { questionTypes: [...] }.
+ */
+
+import { QUESTION_TYPES } from './question-classifier.js';
+
+const BUILT_IN = new Set(QUESTION_TYPES.map(t => t.type));
+const TYPE_NAME = /^[a-z][a-z0-9_]{1,39}$/;
+
+const MAX_TYPES = 30;
+const MAX_PATTERNS = 20;
+const MAX_PHRASE_LENGTH = 80;
+const MAX_INSTRUCTIONS = 2000;
+const MAX_WORDS = 1000;
+// A phrase of the user's own beats any single built-in cue (at most 6)
+const DEFAULT_WEIGHT = 5;
+const DEFAULT_TEMPERATURE = 0.7;
+// The general builder's presets
+const DEFAULT_LENGTHS = { short: '30-55', medium: '90-140', long: '150-220' };
+
+/**
+ * Validate question-type definitions.
+ *
+ * @param {Array|Object|string} raw - Definitions, { questionTypes }, or their JSON
+ * @returns {Object} { types: normalised definitions, errors: string[] }
+ */
+export function parseQuestionTypes(raw) {
+  const errors = [];
+  let list = raw;
+  if (typeof list === 'string') {
+    if (!list.trim()) return { types: [], errors };
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return { types: [], errors: [`Not valid JSON: ${e.message}`] };
+    }
+  }
+  if (list && !Array.isArray(list) && Array.isArray(list.questionTypes)) list = list.questionTypes;
+  if (list == null) return { types: [], errors };
+  if (!Array.isArray(list)) return { types: [], errors: ['Expected an array of question types'] };
+
+  const byType = new Map();
+  list.forEach((entry, i) => {
+    const result = normalizeDefinition(entry);
+    if (typeof result === 'string') errors.push(`Question type #${i + 1}: ${result}`);
+    else byType.set(result.type, result);
+  });
+  if (byType.size > MAX_TYPES) errors.push(`At most ${MAX_TYPES} question types; the rest are ignored`);
+  return { types: [...byType.values()].slice(0, MAX_TYPES), errors };
+}
+
+/**
+ * Question types from the server's config file (QUESTION_TYPES_FILE). Throws
+ * with every problem listed when the file can't be read or has errors, so a
+ * server stops at boot. Reading is passed in: this module runs in the
+ * browser too.
+ *
+ * @param {string} path - Config file; none → no custom types
+ * @param {Function} readFile - path → file content as text
+ * @returns {Object[]} Normalised definitions
+ */
+export function loadQuestionTypesFile(path, readFile) {
+  if (!path) return [];
+  let parsed;
+  try {
+    parsed = parseQuestionTypes(readFile(path));
+  } catch (err) {
+    parsed = { types: [], errors: [err.message] };
+  }
+  if (parsed.errors.length) throw new Error(`Invalid question types in ${path}:\n  ${parsed.errors.join('\n  ')}`);
+  return parsed.types;
+}
+
+/**
+ * Valid definitions only; anything malformed is dropped.
+ */
+export function normalizeQuestionTypes(raw) {
+  return parseQuestionTypes(raw).types;
+}
+
+/**
+ * One definition, or a message saying why it can't be used.
+ */
+function normalizeDefinition(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return 'must be an object';
+  const type = typeof raw.type === 'string' ? raw.type.trim() : '';
+  if (!TYPE_NAME.test(type)) return '`type` must be lowercase letters, digits and underscores, e.g. "diversity_statement"';
+  if (BUILT_IN.has(type)) return `"${type}" is a built-in type and can't be redefined`;
+
+  const patterns = (Array.isArray(raw.patterns) ? raw.patterns : [])
+    .map(p => (typeof p === 'string' ? { phrase: p } : p))
+    .filter(p => p && typeof p.phrase === 'string' && /[a-z0-9]/i.test(p.phrase) && p.phrase.length <= MAX_PHRASE_LENGTH)
+    .slice(0, MAX_PATTERNS)
+    .map(p => ({ phrase: p.phrase.trim().toLowerCase(), weight: clamp(Number(p.weight) || DEFAULT_WEIGHT, 1, 10) }));
+  if (!patterns.length) return `"${type}" needs at least one phrase in \`patterns\``;
+
+  const instructions = typeof raw.instructions === 'string' ? raw.instructions.trim().slice(0, MAX_INSTRUCTIONS) : '';
+  if (!instructions) return `"${type}" needs \`instructions\` saying how to answer it`;
+
+  const lengths = {};
+  for (const length of Object.keys(DEFAULT_LENGTHS)) {
+    lengths[length] = wordRange(raw.lengths?.[length]) || DEFAULT_LENGTHS[length];
+  }
+
+  return {
+    type,
+    label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim().slice(0, 60) : labelFor(type),
+    patterns,
+    cues: patterns.map(p => [phrasePattern(p.phrase), p.weight]),
+    instructions,
+    lengths,
+    maxTokens: Object.fromEntries(Object.entries(lengths).map(([length, words]) => [length, tokensFor(words)])),
+    temperature: Number.isFinite(raw.temperature) ? clamp(raw.temperature, 0, 1.2) : DEFAULT_TEMPERATURE,
+    jobContext: raw.jobContext !== false
+  };
+}
+
+// "teach* philosophy" → /(?<!\w)teach\w*\s+philosophy(?!\w)/
+function phrasePattern(phrase) {
+  const words = phrase.split(/\s+/).map(word => {
+    const wildcard = word.endsWith('*');
+    const escaped = word.replace(/\*+$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return wildcard ? `${escaped}\\w*` : escaped;
+  });
+  return new RegExp(`(?<!\\w)${words.join('\\s+')}(?!\\w)`);
+}
+
+// "120-180", "150" or 150 → "120-180" / "150"
+function wordRange(value) {
+  const m = String(value ?? '').trim().match(/^(\d{1,4})(?:\s*[-–]\s*(\d{1,4}))?$/);
+  if (!m) return null;
+  const low = Number(m[1]);
+  const high = m[2] ? Number(m[2]) : null;
+  if (!low || (high ?? low) > MAX_WORDS || (high !== null && high < low)) return null;
+  return high ? `${low}-${high}` : String(low);
+}
+
+// Enough output tokens for the top of the word range, like the built-in presets
+function tokensFor(words) {
+  const top = Number(words.split('-').pop());
+  return Math.round(top * 2.4 + 30);
+}
+
+function labelFor(type) {
+  const spaced = type.replace(/_/g, ' ');
+  return spaced[0].toUpperCase() + spaced.slice(1);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
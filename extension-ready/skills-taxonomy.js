@@ -0,0 +1,318 @@
+// Generated from shared/skills-taxonomy.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * Skills Taxonomy Module
+ *
+ * A bundled, offline list of skills with their synonyms and a category, so
+ * "JS", "Javascript" and "ES6" are one skill and "k8s" is Kubernetes. CV
+ * skills and job requirements are both mapped to the same canonical IDs,
+ * which the recipe, the CV profile scoring and the retriever compare.
+ *
+ * DESIGN DECISIONS:
+ * 1. Plain data in this file – no network lookup, no LLM call; it runs on
+ *    every request and on every job page
+ * 2. Aliases match as whole tokens, case-insensitively, except the ones
+ *    written with a leading "=" – short or everyday words ("Go", "R",
+ *    "Spring", "Excel") only count written exactly as the name
+ * 3. Skills not in the taxonomy are kept as written (`id: null`), never
+ *    dropped – the list is a help for matching, not a filter
+ * 4. Soft skills are recognised but never reported as missing from a CV:
+ *    CVs show them through roles, rarely by name
+ *
+ * The extension's copy (extension-ready/skills-taxonomy.js) is generated from this
+ * file by `npm run sync-extension`.
+ *
+ * Skill shape: { id, name, category }
+ */
+
+export const SKILL_CATEGORIES = {
+  language: 'Languages',
+  framework: 'Frameworks & libraries',
+  database: 'Databases',
+  cloud: 'Cloud & infrastructure',
+  data: 'Data & ML',
+  tool: 'Tools & practices',
+  design: 'Design & product',
+  business: 'Business & office',
+  soft: 'Soft skills'
+};
+
+// [id, name, category, aliases]
+const SKILLS = [
+  // Languages
+  ['javascript', 'JavaScript', 'language', ['js', 'es6', 'es2015', 'ecmascript', 'vanilla js']],
+  ['typescript', 'TypeScript', 'language', ['ts']],
+  ['python', 'Python', 'language', ['python3', 'py']],
+  ['java', 'Java', 'language', ['j2ee', 'java ee', 'jakarta ee']],
+  ['kotlin', 'Kotlin', 'language', []],
+  ['scala', 'Scala', 'language', []],
+  ['go', 'Go', 'language', ['golang', '=Go']],
+  ['rust', 'Rust', 'language', []],
+  ['c', 'C', 'language', ['=C']],
+  ['cpp', 'C++', 'language', ['c++', 'cpp']],
+  ['csharp', 'C#', 'language', ['c#', 'csharp', 'c sharp']],
+  ['ruby', 'Ruby', 'language', []],
+  ['php', 'PHP', 'language', []],
+  ['swift', 'Swift', 'language', ['=Swift']],
+  ['objective-c', 'Objective-C', 'language', ['objective-c', 'objc']],
+  ['r', 'R', 'language', ['=R']],
+  ['sql', 'SQL', 'language', ['t-sql', 'tsql', 'pl/sql', 'plsql']],
+  ['bash', 'Shell scripting', 'language', ['bash', 'shell scripting', 'shell', 'zsh', 'powershell']],
+  ['html', 'HTML', 'language', ['html5']],
+  ['css', 'CSS', 'language', ['css3', 'sass', 'scss']],
+  ['dart', 'Dart', 'language', ['=Dart']],
+  ['elixir', 'Elixir', 'language', []],
+  ['haskell', 'Haskell', 'language', []],
+  ['perl', 'Perl', 'language', []],
+  ['matlab', 'MATLAB', 'language', []],
+  ['solidity', 'Solidity', 'language', []],
+
+  // Frameworks & libraries
+  ['react', 'React', 'framework', ['react.js', 'reactjs', '=React']],
+  ['react-native', 'React Native', 'framework', []],
+  ['nextjs', 'Next.js', 'framework', ['next.js', 'nextjs']],
+  ['vue', 'Vue.js', 'framework', ['vue.js', 'vuejs', 'vue', 'nuxt', 'nuxt.js']],
+  ['angular', 'Angular', 'framework', ['angularjs', 'angular.js']],
+  ['svelte', 'Svelte', 'framework', ['sveltekit']],
+  ['nodejs', 'Node.js', 'framework', ['node.js', 'nodejs', 'node']],
+  ['express', 'Express', 'framework', ['express.js', 'expressjs', '=Express']],
+  ['nestjs', 'NestJS', 'framework', ['nest.js']],
+  ['django', 'Django', 'framework', []],
+  ['flask', 'Flask', 'framework', []],
+  ['fastapi', 'FastAPI', 'framework', []],
+  ['rails', 'Ruby on Rails', 'framework', ['ruby on rails', 'rails', 'ror']],
+  ['spring', 'Spring', 'framework', ['spring boot', 'springboot', '=Spring']],
+  ['dotnet', '.NET', 'framework', ['.net', 'dotnet', '.net core', 'asp.net']],
+  ['laravel', 'Laravel', 'framework', []],
+  ['flutter', 'Flutter', 'framework', []],
+  ['jquery', 'jQuery', 'framework', []],
+  ['redux', 'Redux', 'framework', []],
+  ['graphql', 'GraphQL', 'framework', []],
+  ['tailwind', 'Tailwind CSS', 'framework', ['tailwindcss', 'tailwind']],
+  ['pandas', 'pandas', 'data', []],
+  ['numpy', 'NumPy', 'data', []],
+  ['tensorflow', 'TensorFlow', 'data', ['keras']],
+  ['pytorch', 'PyTorch', 'data', ['torch']],
+  ['scikit-learn', 'scikit-learn', 'data', ['sklearn', 'scikit learn']],
+
+  // Databases
+  ['postgresql', 'PostgreSQL', 'database', ['postgres', 'psql']],
+  ['mysql', 'MySQL', 'database', ['mariadb']],
+  ['sqlite', 'SQLite', 'database', []],
+  ['sql-server', 'SQL Server', 'database', ['mssql', 'ms sql', 'microsoft sql server']],
+  ['oracle-db', 'Oracle Database', 'database', ['oracle db', 'oracle database']],
+  ['mongodb', 'MongoDB', 'database', ['mongo']],
+  ['redis', 'Redis', 'database', []],
+  ['elasticsearch', 'Elasticsearch', 'database', ['elastic search', 'opensearch', 'elk']],
+  ['dynamodb', 'DynamoDB', 'database', ['dynamo db']],
+  ['cassandra', 'Cassandra', 'database', []],
+  ['snowflake', 'Snowflake', 'database', []],
+  ['bigquery', 'BigQuery', 'database', ['big query']],
+
+  // Cloud & infrastructure
+  ['aws', 'AWS', 'cloud', ['amazon web services', 'ec2', 's3', 'lambda', 'aws lambda']],
+  ['gcp', 'Google Cloud', 'cloud', ['google cloud platform', 'google cloud', 'gcp']],
+  ['azure', 'Azure', 'cloud', ['microsoft azure']],
+  ['docker', 'Docker', 'cloud', ['containers', 'containerization', 'containerisation']],
+  ['kubernetes', 'Kubernetes', 'cloud', ['k8s', 'kubectl', 'eks', 'gke', 'aks', 'helm charts']],
+  ['terraform', 'Terraform', 'cloud', ['infrastructure as code', 'iac']],
+  ['ansible', 'Ansible', 'cloud', []],
+  ['linux', 'Linux', 'cloud', ['unix', 'ubuntu', 'debian', 'centos', 'rhel']],
+  ['ci-cd', 'CI/CD', 'cloud', ['ci/cd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment', 'jenkins', 'github actions', 'gitlab ci', 'circleci']],
+  ['kafka', 'Kafka', 'cloud', ['apache kafka']],
+  ['rabbitmq', 'RabbitMQ', 'cloud', []],
+  ['nginx', 'nginx', 'cloud', []],
+  ['microservices', 'Microservices', 'cloud', ['microservice', 'micro-services', 'service-oriented architecture', 'soa']],
+  ['serverless', 'Serverless', 'cloud', []],
+  ['observability', 'Observability', 'cloud', ['prometheus', 'grafana', 'datadog', 'new relic', 'opentelemetry']],
+  ['networking', 'Networking', 'cloud', ['tcp/ip', 'dns', 'vpn']],
+  ['security', 'Cybersecurity', 'cloud', ['cyber security', 'information security', 'application security', 'infosec', 'appsec', 'owasp']],
+
+  // Data & ML
+  ['machine-learning', 'Machine learning', 'data', ['machine learning', 'ml', 'deep learning']],
+  ['llm', 'LLMs', 'data', ['llm', 'llms', 'large language models', 'generative ai', 'genai', 'prompt engineering']],
+  ['nlp', 'NLP', 'data', ['natural language processing']],
+  ['computer-vision', 'Computer vision', 'data', ['computer vision', 'opencv']],
+  ['data-analysis', 'Data analysis', 'data', ['data analysis', 'data analytics', 'analytics']],
+  ['data-engineering', 'Data engineering', 'data', ['data engineering', 'etl', 'elt', 'data pipelines', 'airflow', 'dbt']],
+  ['spark', 'Spark', 'data', ['apache spark', 'pyspark']],
+  ['statistics', 'Statistics', 'data', ['statistical analysis', 'a/b testing', 'ab testing']],
+  ['tableau', 'Tableau', 'data', []],
+  ['power-bi', 'Power BI', 'data', ['powerbi', 'power bi']],
+  ['looker', 'Looker', 'data', []],
+
+  // Tools & practices
+  ['git', 'Git', 'tool', ['github', 'gitlab', 'bitbucket', 'version control']],
+  ['rest', 'REST APIs', 'tool', ['=REST', 'restful', 'rest api', 'rest apis', 'api design']],
+  ['testing', 'Automated testing', 'tool', ['unit testing', 'test automation', 'automated testing', 'tdd', 'jest', 'pytest', 'junit', 'cypress', 'selenium', 'playwright']],
+  ['agile', 'Agile', 'tool', ['scrum', 'kanban', 'sprint planning']],
+  ['jira', 'Jira', 'tool', ['confluence']],
+  ['system-design', 'System design', 'tool', ['system design', 'distributed systems', 'software architecture']],
+  ['sre', 'SRE', 'tool', ['site reliability', 'site reliability engineering', 'incident management', 'on-call']],
+  ['devops', 'DevOps', 'tool', ['devops', 'platform engineering']],
+  ['mobile', 'Mobile development', 'tool', ['ios', 'android', 'mobile development']],
+  ['zendesk', 'Zendesk', 'tool', []],
+  ['salesforce', 'Salesforce', 'tool', ['sfdc']],
+  ['hubspot', 'HubSpot', 'tool', []],
+
+  // Design & product
+  ['figma', 'Figma', 'design', []],
+  ['sketch', 'Sketch', 'design', ['=Sketch']],
+  ['adobe', 'Adobe Creative Suite', 'design', ['photoshop', 'illustrator', 'indesign', 'adobe xd', 'adobe creative suite']],
+  ['ux', 'UX design', 'design', ['ux', 'ui/ux', 'ux design', 'user experience', 'user research', 'usability testing']],
+  ['product-management', 'Product management', 'design', ['product management', 'roadmapping', 'product strategy', 'product discovery']],
+  ['seo', 'SEO', 'design', ['search engine optimization', 'search engine optimisation']],
+
+  // Business & office
+  ['excel', 'Excel', 'business', ['microsoft excel', 'ms excel', 'spreadsheets', '=Excel']],
+  ['project-management', 'Project management', 'business', ['project management', 'pmp', 'prince2']],
+  ['customer-support', 'Customer support', 'business', ['customer support', 'customer service', 'customer success', 'technical support']],
+  ['sales', 'Sales', 'business', ['business development', 'account management', 'b2b sales']],
+  ['marketing', 'Marketing', 'business', ['digital marketing', 'content marketing', 'growth marketing']],
+  ['finance', 'Financial analysis', 'business', ['financial analysis', 'financial modelling', 'financial modeling', 'budgeting', 'forecasting']],
+  ['crm', 'CRM', 'business', []],
+
+  // Soft skills
+  ['leadership', 'Leadership', 'soft', ['team leadership', 'people management', 'team management', 'managing teams']],
+  ['communication', 'Communication', 'soft', ['communication skills', 'written communication', 'verbal communication']],
+  ['stakeholder-management', 'Stakeholder management', 'soft', ['stakeholder management', 'stakeholder engagement', 'managing stakeholders']],
+  ['mentoring', 'Mentoring', 'soft', ['mentorship', 'coaching']],
+  ['problem-solving', 'Problem solving', 'soft', ['problem solving', 'problem-solving', 'troubleshooting', 'analytical thinking']],
+  ['collaboration', 'Collaboration', 'soft', ['teamwork', 'cross-functional collaboration', 'cross-functional']],
+  ['time-management', 'Time management', 'soft', ['time management', 'prioritisation', 'prioritization']],
+  ['presentation', 'Presenting', 'soft', ['public speaking', 'presentation skills', 'presentations']],
+  ['negotiation', 'Negotiation', 'soft', []],
+  ['adaptability', 'Adaptability', 'soft', []]
+];
+
+const BY_ID = new Map();
+// alias (lowercase) → id, for case-insensitive aliases
+const ALIASES = new Map();
+// exact spelling → id, for the "=" aliases
+const EXACT = new Map();
+
+for (const [id, name, category, aliases] of SKILLS) {
+  BY_ID.set(id, { id, name, category });
+  for (const alias of [name, ...aliases]) {
+    if (alias.startsWith('=')) EXACT.set(alias.slice(1), id);
+    else if (!EXACT.has(alias)) ALIASES.set(alias.toLowerCase(), id);
+  }
+}
+// A name that is also an exact-only alias ("Go") must not match loosely
+for (const spelling of EXACT.keys()) ALIASES.delete(spelling.toLowerCase());
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (list) => [...list].sort((a, b) => b.length - a.length).map(escape).join('|');
+// Whole tokens only: "ts" not in "results", "node" not in "nodes.", but "Node.js." at a sentence end
+const bounded = (source, after = '') => `(?<![\\w+#.])(?:${source})(?![\\w+#]|\\.\\w${after})`;
+const LOOSE = new RegExp(bounded(alternation(ALIASES.keys())), 'gi');
+// Exact-only aliases are everyday words too: not "C-suite", "R&D", "Go to market" or "Spring 2020"
+const STRICT = new RegExp(bounded(alternation(EXACT.keys()), '|[-&]|\\s+to\\b|\\s+(?:19|20)\\d{2}'), 'g');
+
+/**
+ * The taxonomy entry for an ID.
+ * @returns {Object|null} { id, name, category }
+ */
+export function getSkill(id) {
+  return BY_ID.get(id) || null;
+}
+
+/**
+ * Map one skill as written ("JS", "k8s", "Postgres") to its canonical entry.
+ * @returns {Object|null} { id, name, category }, or null when unknown
+ */
+export function normalizeSkill(text) {
+  const value = String(text || '').trim().replace(/\s+/g, ' ');
+  const id = EXACT.get(value) || ALIASES.get(value.toLowerCase());
+  return id ? BY_ID.get(id) : null;
+}
+
+/**
+ * Every known skill mentioned in free text, in order of first mention.
+ * @returns {Object[]} [{ id, name, category }]
+ */
+export function findSkills(text) {
+  const found = new Map();
+  const source = String(text || '');
+  const hits = [
+    ...[...source.matchAll(LOOSE)].map(m => ({ index: m.index, id: ALIASES.get(m[0].toLowerCase()) })),
+    ...[...source.matchAll(STRICT)].map(m => ({ index: m.index, id: EXACT.get(m[0]) }))
+  ].sort((a, b) => a.index - b.index);
+  for (const { id } of hits) if (id && !found.has(id)) found.set(id, BY_ID.get(id));
+  return [...found.values()];
+}
+
+/**
+ * Normalize a CV skills list: synonyms collapse to one entry, entries naming
+ * several skills ("JavaScript/TypeScript") are split, unknown skills are kept
+ * as written with `id: null`.
+ *
+ * @param {string[]} skills - Skills as listed in the CV
+ * @returns {Object[]} [{ id, name, category, raw }]
+ */
+export function normalizeSkills(skills) {
+  const out = [];
+  const seen = new Set();
+  for (const raw of skills || []) {
+    const value = String(raw || '').trim();
+    if (!value) continue;
+    const direct = normalizeSkill(value);
+    const matches = direct ? [direct] : findSkills(value);
+    if (!matches.length) {
+      const key = value.toLowerCase();
+      if (!seen.has(key)) out.push({ id: null, name: value, category: 'other', raw: value });
+      seen.add(key);
+      continue;
+    }
+    for (const skill of matches) {
+      if (seen.has(skill.id)) continue;
+      seen.add(skill.id);
+      out.push({ ...skill, raw: value });
+    }
+  }
+  return out;
+}
+
+/**
+ * Group normalized skills by category, in SKILL_CATEGORIES order, unknown
+ * ones last under 'other'.
+ * @returns {Object} { category: string[] } – names only, empty categories left out
+ */
+export function categorizeSkills(normalized) {
+  const groups = {};
+  for (const category of [...Object.keys(SKILL_CATEGORIES), 'other']) {
+    const names = (normalized || []).filter(s => s.category === category).map(s => s.name);
+    if (names.length) groups[category] = names;
+  }
+  return groups;
+}
+
+/**
+ * Compare the skills a job names with the ones a CV shows anywhere – its
+ * skills list, roles and projects.
+ *
+ * @param {Object} cv - { skills?, rawText? } (CVParser result)
+ * @param {Object} job - { requirements?, jobDescription?, jobTitle? }
+ * @returns {Object} { required, matched, missing } – skill entries; soft
+ *   skills are never `missing`
+ */
+export function matchSkills(cv, job = {}) {
+  const required = findSkills([job.jobTitle, ...(job.requirements || []), job.jobDescription].filter(Boolean).join('\n'));
+  const have = new Set([
+    ...normalizeSkills(cv?.skills).map(s => s.id).filter(Boolean),
+    ...findSkills(cv?.rawText).map(s => s.id)
+  ]);
+  return {
+    required,
+    matched: required.filter(s => have.has(s.id)),
+    missing: required.filter(s => !have.has(s.id) && s.category !== 'soft')
+  };
+}
+
+/**
+ * Canonical skill terms for keyword scoring ("skill:kubernetes"), so text
+ * saying "k8s" and text saying "Kubernetes" share a term.
+ * @returns {string[]}
+ */
+export function skillTerms(text) {
+  return findSkills(text).map(s => `skill:${s.id}`);
+}
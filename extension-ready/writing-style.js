@@ -0,0 +1,284 @@
+// Generated from shared/writing-style.js by `npm run sync-extension` – edit that file, not this one.
+/**
+ * Writing Style Module
+ *
+ * The three tones (formal, natural, direct) are everyone's tones; an answer
+ * still doesn't sound like its user. This module measures a few samples of
+ * the user's own writing – emails, cover letters, posts – into a style
+ * profile the recipe writes to, and checks a finished answer against it.
+ *
+ * DESIGN DECISIONS:
+ * 1. The profile is built on the user's device and only the numbers travel
+ *    with a request (`writingStyle`), never the samples themselves
+ * 2. Only what can be counted reliably is measured: sentence length,
+ *    contractions, British or American spelling, word length and the words
+ *    the user reaches for. Anything vaguer is left to the tone
+ * 3. A measure the samples don't settle (too few contractable phrases, no
+ *    spelling variants) is null and left out of the prompt rather than
+ *    guessed
+ * 4. The drift check only flags large gaps, and skips what the user chose
+ *    against the profile: no contractions with the formal tone, spelling and
+ *    vocabulary for answers not written in English
+ *
+ * Usage:
+ *   const profile = buildStyleProfile(samplesText);   // null under MIN_SAMPLE_WORDS
+ *   formatStyleProfile(profile, { tone: 'natural' });  // → prompt section
+ *   checkStyleDrift(answer, profile);
+ *   // → { drifted: true, issues: ['Sentences average 27 words; yours average 14'] }
+ */
+
+export const MIN_SAMPLE_WORDS = 150;
+// Below this an answer's averages say too little to compare
+const MIN_CHECK_WORDS = 40;
+const MAX_VOCABULARY = 8;
+
+// Contracted forms and the spelled-out forms they replace
+const CONTRACTED = /\b(?:\w+n['’]t|(?:i|you|we|they|he|she|it|that|there|what|who|let)['’](?:m|re|ve|ll|d|s))\b/gi;
+const EXPANDED = /\b(?:i\s+am|i\s+have|i\s+will|i\s+would|you\s+are|we\s+are|they\s+are|it\s+is|that\s+is|there\s+is|(?:do|does|did|is|are|was|were|have|has|had|can|could|would|should|will)\s+not|cannot)\b/gi;
+
+// British spellings and their American counterparts, as stems
+const IZE_STEMS = 'organi|reali|recogni|prioriti|optimi|speciali|summari|utili|minimi|maximi|categori|standardi|customi|visuali|moderni|finali|emphasi|apologi|authori|centrali|characteri|critici|digiti|generali|initiali|locali|moneti|normali|personali|synchroni|stabili|memori|mobili|operationali|productioni|containeri|parameteri';
+const SPELLINGS = [
+  { british: new RegExp(`\\b(?:${IZE_STEMS})s(?:e|es|ed|ing|ation|ations)\\b`, 'gi'), american: new RegExp(`\\b(?:${IZE_STEMS})z(?:e|es|ed|ing|ation|ations)\\b`, 'gi') },
+  { british: /\banalys(?:e|es|ed|ing)\b/gi, american: /\banalyz(?:e|es|ed|ing)\b/gi },
+  { british: /\b(?:colo|behavio|favo|hono|labo|neighbo|flavo|humo|endeavo)ur(?:s|ed|ing|ite|ites|able)?\b/gi, american: /\b(?:colo|behavio|favo|hono|labo|neighbo|flavo|humo|endeavo)r(?:s|ed|ing|ite|ites|able)?\b/gi },
+  { british: /\b(?:travel|model|cancel|label|signal|fuel|counsel)l(?:ed|ing|er|ers)\b/gi, american: /\b(?:travel|model|cancel|label|signal|fuel|counsel)(?:ed|ing|er|ers)\b/gi },
+  { british: /\b(?:cent|theat|fib)re(?:s|d)?\b/gi, american: /\b(?:cent|theat|fib)er(?:s|ed)?\b/gi },
+  { british: /\b(?:defen|offen)ce\b/gi, american: /\b(?:defen|offen)se\b/gi },
+  { british: /\b(?:catalogue|dialogue|programme|whilst|amongst|learnt)s?\b/gi, american: /\b(?:catalog|dialog)s?\b/gi }
+];
+
+// Common words that say nothing about a person's vocabulary
+const STOPWORDS = new Set(`
+  the and for are but not you your with this that have has had was were will would could should from they them their there
+  then than what when where which while who whom into onto about over under also just very more most much many some such
+  been being because before after again only other each both same here how all any can did does doing done its it's i'm
+  i've i'd i'll our ours out off own too why yes one two three make made work worked working team role company
+  able well like really think know want need time year years new good great lot lots thing things something
+  first last every never always still even little small large since until through during without within between
+  another people point rather right those these where whether might must shall going getting
+`.trim().split(/\s+/));
+
+/**
+ * Counts for one text. Exported so callers can compare an answer with a
+ * profile themselves.
+ *
+ * @returns {Object} { words, sentences, sentenceLength, wordLength, contracted, expanded, british, american }
+ */
+export function measureText(text) {
+  const value = String(text || '');
+  const words = value.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+  const sentences = value
+    .split(/(?<=[.!?…])\s+|\n+/)
+    .map(s => (s.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length)
+    .filter(n => n > 0);
+  const letters = words.reduce((sum, w) => sum + w.replace(/['’-]/g, '').length, 0);
+
+  let british = 0;
+  let american = 0;
+  for (const pair of SPELLINGS) {
+    british += (value.match(pair.british) || []).length;
+    american += (value.match(pair.american) || []).length;
+  }
+
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    sentenceLength: sentences.length ? words.length / sentences.length : 0,
+    longSentences: sentences.filter(n => n > 25).length,
+    shortSentences: sentences.filter(n => n < 8).length,
+    wordLength: words.length ? letters / words.length : 0,
+    contracted: (value.match(CONTRACTED) || []).length,
+    expanded: (value.match(EXPANDED) || []).length,
+    british,
+    american
+  };
+}
+
+/**
+ * Build a style profile from samples of the user's writing.
+ *
+ * @param {string|string[]} samples - One text, or several
+ * @returns {Object|null} Profile, or null when there are fewer than MIN_SAMPLE_WORDS words
+ */
+export function buildStyleProfile(samples) {
+  const texts = (Array.isArray(samples) ? samples : [samples])
+    .map(s => String(s || '').trim())
+    .filter(Boolean);
+  const text = texts.join('\n\n');
+  const m = measureText(text);
+  if (m.words < MIN_SAMPLE_WORDS) return null;
+
+  return normalizeStyleProfile({
+    words: m.words,
+    sentenceLength: m.sentenceLength,
+    shortSentences: m.sentences ? m.shortSentences / m.sentences : 0,
+    longSentences: m.sentences ? m.longSentences / m.sentences : 0,
+    contractions: contractionShare(m),
+    spelling: spellingOf(m),
+    wordLength: m.wordLength,
+    vocabulary: favouriteWords(texts)
+  });
+}
+
+/**
+ * A profile from a request or storage with every value checked; null when
+ * it isn't one.
+ */
+export function normalizeStyleProfile(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const sentenceLength = finite(raw.sentenceLength, 3, 60);
+  const wordLength = finite(raw.wordLength, 2, 10);
+  if (sentenceLength === null || wordLength === null) return null;
+
+  return {
+    words: Math.max(0, Math.round(Number(raw.words) || 0)),
+    sentenceLength: round(sentenceLength),
+    shortSentences: round(finite(raw.shortSentences, 0, 1) ?? 0, 2),
+    longSentences: round(finite(raw.longSentences, 0, 1) ?? 0, 2),
+    contractions: raw.contractions == null ? null : round(finite(raw.contractions, 0, 1) ?? 0, 2),
+    spelling: raw.spelling === 'british' || raw.spelling === 'american' ? raw.spelling : null,
+    wordLength: round(wordLength, 2),
+    vocabulary: (Array.isArray(raw.vocabulary) ? raw.vocabulary : [])
+      .filter(w => typeof w === 'string' && /^[\p{L}][\p{L}'’-]{2,29}$/u.test(w))
+      .slice(0, MAX_VOCABULARY)
+  };
+}
+
+/**
+ * The profile as a prompt section. English-only measures are left out when
+ * the answer is in another language.
+ *
+ * @param {Object} profile - A normalised profile
+ * @param {Object} [options] - { tone, language }
+ * @returns {string}
+ */
+export function formatStyleProfile(profile, { tone = 'natural', language = 'en' } = {}) {
+  if (!profile) return '';
+  const english = language === 'en';
+  const mix = profile.shortSentences >= 0.25 && profile.longSentences >= 0.1
+    ? ', mixing short ones with the odd long one'
+    : profile.longSentences < 0.05 ? ', rarely longer than 25' : '';
+  const lines = [`- Sentences: about ${Math.round(profile.sentenceLength)} words on average${mix}`];
+
+  if (english && profile.contractions !== null && tone !== 'formal') {
+    if (profile.contractions >= 0.6) lines.push("- Contractions: you use them (I'm, don't, it's) most of the time");
+    else if (profile.contractions <= 0.2) lines.push('- Contractions: you rarely use them – write "I am", "do not", "it is"');
+    else lines.push('- Contractions: you use them now and then');
+  }
+  if (english && profile.spelling) {
+    lines.push(profile.spelling === 'british'
+      ? '- Spelling: British (organise, colour, travelled, centre)'
+      : '- Spelling: American (organize, color, traveled, center)');
+  }
+  if (profile.wordLength <= 4.5) lines.push('- Vocabulary: plain, everyday words – prefer the short word to the long one');
+  else if (profile.wordLength >= 5.3) lines.push('- Vocabulary: precise and fairly technical; longer words are fine where they are the right ones');
+  if (english && profile.vocabulary.length) {
+    lines.push(`- Words that come naturally to you: ${profile.vocabulary.join(', ')} – use them where they fit, don't force them in`);
+  }
+
+  return `YOUR OWN WRITING STYLE – measured from samples of your writing. The answer should read as if you wrote it:
+${lines.join('\n')}${tone === 'natural' ? '' : '\nWhere this conflicts with the tone rules above, the tone wins.'}`;
+}
+
+/**
+ * Compare a finished answer with the profile and list where it reads unlike
+ * the user. Null when there is no profile or the answer is too short to say.
+ *
+ * @param {string} answer
+ * @param {Object} profile - A normalised profile
+ * @param {Object} [options] - { tone, language }
+ * @returns {Object|null} { drifted, issues: string[] }
+ */
+export function checkStyleDrift(answer, profile, { tone = 'natural', language = 'en' } = {}) {
+  if (!profile) return null;
+  const m = measureText(answer);
+  if (m.words < MIN_CHECK_WORDS) return null;
+  const english = language === 'en';
+  const issues = [];
+
+  const ratio = m.sentenceLength / profile.sentenceLength;
+  if ((ratio > 1.6 || ratio < 0.6) && Math.abs(m.sentenceLength - profile.sentenceLength) >= 6) {
+    issues.push(`Sentences average ${Math.round(m.sentenceLength)} words; yours average ${Math.round(profile.sentenceLength)}`);
+  }
+
+  const share = contractionShare(m);
+  if (english && tone !== 'formal' && profile.contractions !== null && share !== null) {
+    if (profile.contractions >= 0.6 && share <= 0.2) issues.push('Hardly any contractions; you usually use them');
+    if (profile.contractions <= 0.2 && share >= 0.6) issues.push("Uses contractions; you usually don't");
+  }
+
+  if (english && profile.spelling) {
+    const other = profile.spelling === 'british' ? 'american' : 'british';
+    const found = spellingExamples(answer, other);
+    if (found.length) {
+      issues.push(`${other === 'american' ? 'American' : 'British'} spelling (${found.join(', ')}); you write ${profile.spelling === 'british' ? 'British' : 'American'}`);
+    }
+  }
+
+  if (english && m.wordLength - profile.wordLength >= 0.8) {
+    issues.push(`Longer words than you use (${round(m.wordLength)} letters on average; yours ${round(profile.wordLength)})`);
+  }
+
+  return { drifted: issues.length > 0, issues };
+}
+
+/**
+ * One line for settings screens: "about 14 words per sentence · contractions
+ * often · British spelling".
+ */
+export function describeStyleProfile(profile) {
+  if (!profile) return '';
+  const parts = [`about ${Math.round(profile.sentenceLength)} words per sentence`];
+  if (profile.contractions !== null) {
+    parts.push(profile.contractions >= 0.6 ? 'contractions often' : profile.contractions <= 0.2 ? 'few contractions' : 'some contractions');
+  }
+  if (profile.spelling) parts.push(`${profile.spelling === 'british' ? 'British' : 'American'} spelling`);
+  return parts.join(' · ');
+}
+
+// Share of contractable phrases written contracted; null with too few of either
+function contractionShare(m) {
+  const total = m.contracted + m.expanded;
+  return total >= 3 ? m.contracted / total : null;
+}
+
+function spellingOf(m) {
+  if (m.british >= 2 && m.british >= m.american * 3) return 'british';
+  if (m.american >= 2 && m.american >= m.british * 3) return 'american';
+  return null;
+}
+
+function spellingExamples(text, variety) {
+  const found = new Set();
+  for (const pair of SPELLINGS) {
+    for (const match of String(text || '').match(pair[variety]) || []) found.add(match.toLowerCase());
+  }
+  return [...found].slice(0, 3);
+}
+
+// Content words used more than once, most frequent first
+function favouriteWords(texts) {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const word of text.toLowerCase().match(/\p{L}[\p{L}'’-]*/gu) || []) {
+      if (word.length < 5 || /['’]/.test(word) || STOPWORDS.has(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .filter(([, n]) => n >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_VOCABULARY)
+    .map(([word]) => word);
+}
+
+function finite(value, min, max) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+function round(value, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
@@ -11,9 +11,35 @@
  */
 
 import { CVParser } from '../shared/cv-parser.js';
-import { PromptBuilder } from '../shared/prompt-builder.js';
+import { exportJSONResume } from '../shared/cv-formats.js';
+import { LANGUAGE_NAMES } from '../shared/cv-locales.js';
+import { summarizeDiagnostics } from '../shared/cv-diagnostics.js';
+import {
+  CONTACT_FIELDS, editableSections, mergeEdits, normalizeOverrides,
+  moveItem, removeItem, mergeRoles, splitRole
+} from '../shared/cv-overrides.js';
+import { buildPrompts } from '../shared/recipe.js';
+import { pickProfile } from '../shared/cv-profiles.js';
+import { normalizeApplicationProfile } from '../shared/application-profile.js';
+import { COMPETENCIES } from '../shared/story-bank.js';
+import { parseQuestionTypes } from '../shared/question-types.js';
+import { countAgainstLimit } from '../shared/answer-limits.js';
+import { finishAnswer } from '../shared/answer-finish.js';
+import { answerLanguages, resolveAnswerLanguage } from '../shared/answer-language.js';
+import {
+  MIN_SAMPLE_WORDS,
+  buildStyleProfile,
+  describeStyleProfile,
+  measureText,
+  normalizeStyleProfile
+} from '../shared/writing-style.js';
+import { SKILL_CATEGORIES, categorizeSkills, findSkills, matchSkills } from '../shared/skills-taxonomy.js';
 
 const LLM_SETTINGS_KEY = 'draftapply_llm_settings';
+const APPLICATION_PROFILE_KEY = 'draftapply_application_profile';
+const STORY_BANK_KEY = 'draftapply_stories';
+const QUESTION_TYPES_KEY = 'draftapply_question_types';
+const WRITING_STYLE_KEY = 'draftapply_writing_style';
 
 // Manages user-configured LLM provider (stored in localStorage)
 class LLMSettings {
@@ -63,6 +89,156 @@ class LLMSettings {
   }
 }
 
+// Facts the CV doesn't hold (notice period, sponsorship, salary…), stored in localStorage
+class ApplicationProfileSettings {
+  constructor() {
+    this.profile = this._load();
+  }
+
+  _load() {
+    try {
+      return normalizeApplicationProfile(JSON.parse(localStorage.getItem(APPLICATION_PROFILE_KEY) || 'null'));
+    } catch {
+      return {};
+    }
+  }
+
+  save(values) {
+    this.profile = normalizeApplicationProfile(values);
+    if (Object.keys(this.profile).length) {
+      localStorage.setItem(APPLICATION_PROFILE_KEY, JSON.stringify(this.profile));
+    } else {
+      localStorage.removeItem(APPLICATION_PROFILE_KEY);
+    }
+  }
+
+  get() {
+    return this.profile;
+  }
+}
+
+// The user's own question types (shared/question-types.js), stored in
+// localStorage as written so the settings textarea shows them unchanged
+class QuestionTypeSettings {
+  constructor() {
+    this.types = this._load();
+  }
+
+  _load() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(QUESTION_TYPES_KEY) || '[]');
+      return Array.isArray(raw) ? raw : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Throws with every problem found; nothing is saved unless all definitions are valid
+  save(json) {
+    const { types, errors } = parseQuestionTypes(json);
+    if (errors.length) throw new Error(errors.join('\n'));
+    const raw = json.trim() ? JSON.parse(json) : [];
+    this.types = Array.isArray(raw) ? raw : raw?.questionTypes || [];
+    if (this.types.length) {
+      localStorage.setItem(QUESTION_TYPES_KEY, JSON.stringify(this.types));
+    } else {
+      localStorage.removeItem(QUESTION_TYPES_KEY);
+    }
+    return types.length;
+  }
+
+  getAll() {
+    return this.types;
+  }
+}
+
+// Samples of the user's own writing and the style profile measured from them
+// (shared/writing-style.js). Only the profile is used for answers.
+class WritingStyleSettings {
+  constructor() {
+    const saved = this._load();
+    this.samples = typeof saved?.samples === 'string' ? saved.samples : '';
+    this.profile = normalizeStyleProfile(saved?.profile);
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(WRITING_STYLE_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  // Throws when there is too little writing to measure; empty clears the profile
+  save(samples) {
+    const text = samples.trim();
+    if (!text) {
+      this.samples = '';
+      this.profile = null;
+      localStorage.removeItem(WRITING_STYLE_KEY);
+      return null;
+    }
+    const profile = buildStyleProfile(text);
+    if (!profile) {
+      throw new Error(`Add more of your writing: at least ${MIN_SAMPLE_WORDS} words (${measureText(text).words} so far)`);
+    }
+    this.samples = text;
+    this.profile = profile;
+    localStorage.setItem(WRITING_STYLE_KEY, JSON.stringify({ samples: text, profile }));
+    return profile;
+  }
+
+  getProfile() {
+    return this.profile;
+  }
+}
+
+// Prepared STAR stories for behavioral questions (stored in localStorage)
+class StoryBank {
+  constructor() {
+    this.stories = this._load();
+  }
+
+  _load() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(STORY_BANK_KEY) || '[]');
+      return Array.isArray(raw) ? raw : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _persist() {
+    localStorage.setItem(STORY_BANK_KEY, JSON.stringify(this.stories));
+  }
+
+  // Add or replace a story (matched by id)
+  save(story) {
+    if (!story.action || !(story.situation || story.result)) {
+      throw new Error('Add what you did, plus the situation or the result');
+    }
+    const saved = {
+      ...story,
+      id: story.id || globalThis.crypto?.randomUUID?.() || `story_${Date.now()}`,
+      updatedAt: Date.now()
+    };
+    const index = this.stories.findIndex(s => s.id === saved.id);
+    if (index >= 0) this.stories[index] = saved;
+    else this.stories.push(saved);
+    this._persist();
+    return saved;
+  }
+
+  remove(id) {
+    this.stories = this.stories.filter(s => s.id !== id);
+    this._persist();
+  }
+
+  getAll() {
+    return this.stories;
+  }
+}
+
 // Configuration
 function getApiEndpoint() {
   const url = new URL(window.location.href);
@@ -85,25 +261,65 @@ function getApiEndpoint() {
 const CONFIG = {
   apiEndpoint: getApiEndpoint(),
   storageKey: 'draftapply_cv',
+  profilesStorageKey: 'draftapply_cv_profiles',
   jobStorageKey: 'draftapply_job'
 };
 
-// CV Manager - handles CV storage and parsing
+// CV Manager - handles CV storage and parsing.
+// Holds several named CV profiles; `rawText`/`parsed` are the active one.
 class CVManager {
   constructor() {
     this.parser = new CVParser();
+    this.profiles = [];          // [{ id, name, cvText, overrides?, updatedAt }]
+    this.defaultProfileId = null;
+    this.activeId = null;
     this.rawText = null;
+    this.appliedOverrides = null;
     this.parsed = null;
   }
 
-  loadFromText(text) {
-    this.rawText = text;
-    this.parsed = this.parser.parse(text);
+  /**
+   * Save text as a profile. Without `profileId` a new profile is added and
+   * becomes the default; with it, that profile's text (and name) is replaced.
+   * Corrections belong to the text they were made on: new text drops them.
+   * `ocr` is the OCR report of text read from a scan; its warning stays with
+   * that text.
+   */
+  loadFromText(text, { profileId, name, ocr } = {}) {
+    const existing = this.profiles.find(p => p.id === profileId);
+    const profileName = (name || '').trim().slice(0, 60);
+
+    if (existing) {
+      if (existing.cvText !== text) {
+        delete existing.overrides;
+        delete existing.ocr;
+      }
+      existing.cvText = text;
+      if (profileName) existing.name = profileName;
+      existing.updatedAt = Date.now();
+    } else {
+      const id = globalThis.crypto?.randomUUID?.() ?? `cv_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+      this.profiles.push({
+        id,
+        name: profileName || (this.profiles.length ? `CV ${this.profiles.length + 1}` : 'My CV'),
+        cvText: text,
+        updatedAt: Date.now()
+      });
+      this.defaultProfileId = id;
+    }
+    if (ocr) this.profiles.find(p => p.id === (existing?.id || this.defaultProfileId)).ocr = ocr;
+
     this.saveToStorage();
-    return this.parsed;
+    return this.select(existing?.id || this.defaultProfileId);
   }
 
-  async loadFromFile(file) {
+  async loadFromFile(file, options = {}) {
+    // resume.json / Europass XML need no server-side extraction: the document
+    // is stored as is and CVParser maps its fields directly
+    if (/\.(json|xml)$/i.test(file.name)) {
+      return this.loadFromText(await file.text(), options);
+    }
+
     const formData = new FormData();
     formData.append('cv', file);
 
@@ -118,26 +334,118 @@ class CVManager {
     }
 
     const data = await response.json();
-    return this.loadFromText(data.text);
+    return this.loadFromText(data.text, { ...options, ocr: data.ocr });
   }
 
-  saveToStorage() {
-    if (this.rawText) {
-      localStorage.setItem(CONFIG.storageKey, this.rawText);
+  // The active CV as a JSON Resume document
+  exportJSONResume() {
+    return this.parsed ? exportJSONResume(this.parsed) : null;
+  }
+
+  // Make a profile the active one (the CV answers are generated from)
+  select(profileId) {
+    const profile = this.profiles.find(p => p.id === profileId) || this.getDefault();
+    if (!profile) return null;
+    if (profile.id !== this.activeId || profile.cvText !== this.rawText || profile.overrides !== this.appliedOverrides) {
+      this.activeId = profile.id;
+      this.rawText = profile.cvText;
+      this.appliedOverrides = profile.overrides;
+      this.parsed = this.parser.parse(profile.cvText, { overrides: profile.overrides });
     }
+    return this.parsed;
+  }
+
+  /**
+   * Store corrections for the active profile (null clears them); they are
+   * laid over every parse of it from now on (see shared/cv-overrides.js).
+   */
+  saveOverrides(overrides) {
+    const profile = this.getActive();
+    if (!profile) return null;
+    const clean = normalizeOverrides(overrides);
+    if (clean) profile.overrides = clean;
+    else delete profile.overrides;
+    this.saveToStorage();
+    return this.select(profile.id);
+  }
+
+  /**
+   * Activate the profile that fits a job best (see shared/cv-profiles.js),
+   * unless the user picked one by hand.
+   *
+   * @returns {Object} { profile, auto }
+   */
+  selectForJob(job, overrideId = null) {
+    const override = this.profiles.find(p => p.id === overrideId);
+    const { profile, auto } = override
+      ? { profile: override, auto: false }
+      : pickProfile(this.profiles, job || {}, this.defaultProfileId);
+    if (profile) this.select(profile.id);
+    return { profile, auto };
+  }
+
+  setDefault(profileId) {
+    if (!this.profiles.some(p => p.id === profileId)) return;
+    this.defaultProfileId = profileId;
+    this.saveToStorage();
+    this.select(profileId);
+  }
+
+  remove(profileId) {
+    this.profiles = this.profiles.filter(p => p.id !== profileId);
+    if (this.defaultProfileId === profileId) this.defaultProfileId = this.profiles[0]?.id || null;
+    if (this.activeId === profileId) {
+      this.activeId = null;
+      this.rawText = null;
+      this.parsed = null;
+    }
+    this.saveToStorage();
+    return this.select(this.defaultProfileId);
+  }
+
+  getDefault() {
+    return this.profiles.find(p => p.id === this.defaultProfileId) || this.profiles[0] || null;
+  }
+
+  getActive() {
+    return this.profiles.find(p => p.id === this.activeId) || null;
+  }
+
+  saveToStorage() {
+    localStorage.setItem(CONFIG.profilesStorageKey, JSON.stringify({
+      profiles: this.profiles,
+      defaultProfileId: this.defaultProfileId
+    }));
   }
 
   loadFromStorage() {
-    const saved = localStorage.getItem(CONFIG.storageKey);
-    if (saved) {
-      return this.loadFromText(saved);
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONFIG.profilesStorageKey) || 'null');
+      if (Array.isArray(saved?.profiles)) {
+        this.profiles = saved.profiles.filter(p => p?.id && p.cvText);
+        this.defaultProfileId = saved.defaultProfileId;
+      }
+    } catch {
+      this.profiles = [];
     }
-    return null;
+
+    // Migrate the single CV stored before profiles existed
+    const legacy = localStorage.getItem(CONFIG.storageKey);
+    if (legacy) {
+      localStorage.removeItem(CONFIG.storageKey);
+      if (!this.profiles.length) return this.loadFromText(legacy, { name: 'My CV' });
+    }
+
+    return this.profiles.length ? this.select(this.defaultProfileId) : null;
   }
 
   clear() {
+    this.profiles = [];
+    this.defaultProfileId = null;
+    this.activeId = null;
     this.rawText = null;
     this.parsed = null;
+    localStorage.removeItem(CONFIG.profilesStorageKey);
     localStorage.removeItem(CONFIG.storageKey);
   }
 
@@ -150,16 +458,29 @@ class CVManager {
 
     const name = this.parsed.contactInfo?.name || 'Unknown';
     const expCount = this.parsed.experience?.length || 0;
-    const skillCount = this.parsed.skills?.length || 0;
+    // Synonyms ("JS", "JavaScript") count once
+    const skillCount = this.parsed.normalizedSkills?.length ?? this.parsed.skills?.length ?? 0;
     const latestRole = this.parsed.experience?.[0]?.title || 'N/A';
     const latestCompany = this.parsed.experience?.[0]?.company || 'N/A';
+    const years = this.parsed.timeline?.totalMonths ? this.parsed.timeline.totalYears : null;
+    const gaps = this.parsed.timeline?.gaps || [];
+    const projectCount = this.parsed.projects?.length || 0;
+    const language = this.parsed.language || 'en';
+    const diagnostics = this.parsed.diagnostics || null;
 
     return {
       name,
       latestRole,
       latestCompany,
       expCount,
-      skillCount
+      skillCount,
+      skillGroups: categorizeSkills(this.parsed.normalizedSkills),
+      years,
+      gaps,
+      projectCount,
+      language,
+      diagnostics,
+      parseReport: diagnostics ? summarizeDiagnostics(diagnostics, this.parsed) : ''
     };
   }
 }
@@ -225,7 +546,8 @@ class JobManager {
       jobTitle: this.jobTitle || 'Unknown Role',
       company: this.company || 'Unknown Company',
       descriptionLength: this.description.length,
-      keyRequirements: requirements.slice(0, 5)
+      keyRequirements: requirements.slice(0, 5),
+      keySkills: findSkills([this.jobTitle, ...requirements, this.description].join('\n')).map(s => s.name)
     };
   }
 
@@ -252,15 +574,28 @@ class JobManager {
       description: this.description
     };
   }
+
+  // Job shape used to pick a CV profile (shared/cv-profiles.js); null without a job
+  getMatchContext() {
+    if (!this.isLoaded()) return null;
+    return {
+      jobTitle: this.jobTitle,
+      jobDescription: this.description,
+      requirements: this.extractRequirements()
+    };
+  }
 }
 
 // Answer Service - handles API communication
 class AnswerService {
-  constructor(cvManager, jobManager, llmSettings) {
+  constructor(cvManager, jobManager, llmSettings, applicationProfile, storyBank, questionTypes, writingStyle) {
     this.cvManager = cvManager;
     this.jobManager = jobManager;
     this.llmSettings = llmSettings;
-    this.promptBuilder = new PromptBuilder();
+    this.applicationProfile = applicationProfile;
+    this.storyBank = storyBank;
+    this.questionTypes = questionTypes;
+    this.writingStyle = writingStyle;
   }
 
   async generate(question, options = {}) {
@@ -269,23 +604,43 @@ class AnswerService {
     }
 
     const jobData = this.jobManager.isLoaded() ? this.jobManager.getData() : null;
+    const { profile, auto } = this.cvManager.selectForJob(this.jobManager.getMatchContext(), options.profileId);
 
-    const prompt = this.promptBuilder.buildPrompt(
-      this.cvManager.parsed,
+    // Same shared recipe as the backend and proxy, so answers match the extension
+    const prompt = buildPrompts({
       question,
-      options.length || 'medium',
-      {
-        jobTitle: jobData?.jobTitle || options.jobTitle,
-        company: jobData?.company || options.company,
-        jobDescription: jobData?.description,
-        tone: options.tone || 'natural'
-      }
-    );
+      length: options.length || 'medium',
+      tone: options.tone || 'natural',
+      cvText: this.cvManager.rawText,
+      cvOverrides: this.cvManager.getActive()?.overrides,
+      jobTitle: jobData?.jobTitle || options.jobTitle,
+      company: jobData?.company || options.company,
+      jobDescription: jobData?.description,
+      applicationProfile: this.applicationProfile?.get(),
+      stories: this.storyBank?.getAll(),
+      questionTypes: this.questionTypes?.getAll(),
+      language: options.language,
+      writingStyle: this.writingStyle?.getProfile(),
+      contextWindow: await this.getContextWindow()
+    });
+    const profileInfo = profile && { id: profile.id, name: profile.name, auto };
+
+    // Plain field answered by the application details — no LLM call
+    if (prompt.directAnswer) {
+      if (options.onChunk) options.onChunk(prompt.directAnswer, prompt.directAnswer);
+      return {
+        answer: prompt.directAnswer,
+        questionType: prompt.questionType,
+        fromApplicationProfile: true,
+        profile: profileInfo
+      };
+    }
 
     const body = {
       systemPrompt: prompt.systemPrompt,
       userPrompt: prompt.userPrompt,
-      temperature: 0.7,
+      temperature: prompt.temperature,
+      maxTokens: prompt.maxTokens,
       stream: options.stream || false
     };
 
@@ -304,18 +659,57 @@ class AnswerService {
       throw new Error(error.error || 'Generation failed');
     }
 
+    const finishing = { ...prompt, tone: options.tone };
     if (options.stream) {
-      return this.handleStream(response, options.onChunk);
+      const streamed = await this.handleStream(response, options.onChunk);
+      const fitted = finishAnswer(streamed.answer, finishing);
+      return {
+        ...streamed,
+        ...fitted,
+        questionType: prompt.questionType,
+        language: prompt.language,
+        trimmed: prompt.trimmed,
+        story: prompt.story,
+        profile: profileInfo
+      };
     }
 
     const data = await response.json();
+    const fitted = finishAnswer(data.answer, finishing);
     return {
-      answer: data.answer,
-      questionType: prompt.metadata.questionType,
+      ...fitted,
+      questionType: prompt.questionType,
+      language: prompt.language,
+      trimmed: prompt.trimmed,
+      story: prompt.story,
+      profile: profileInfo,
       tokensUsed: data.tokensUsed
     };
   }
 
+  // Context window to budget the prompt for: the smaller of the user's provider
+  // and the server default, since the server falls back to its own on failure.
+  // Unknown (server unreachable) → undefined, and the recipe uses its default.
+  async getContextWindow() {
+    if (!this.contextWindows) {
+      this.contextWindows = Promise.all([
+        fetch(`${CONFIG.apiEndpoint}/health`).then(r => r.json()),
+        fetch(`${CONFIG.apiEndpoint}/providers`).then(r => r.json())
+      ]).then(([health, list]) => ({
+        server: health.contextWindow,
+        providers: Object.fromEntries((list.providers || []).map(p => [p.id, p.contextWindow]))
+      })).catch(() => {
+        this.contextWindows = null; // retry on the next answer
+        return null;
+      });
+    }
+
+    const windows = await this.contextWindows;
+    if (!windows?.server) return undefined;
+    const custom = windows.providers[this.llmSettings?.getProvider()];
+    return custom ? Math.min(custom, windows.server) : windows.server;
+  }
+
   async handleStream(response, onChunk) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
@@ -374,20 +768,29 @@ class AnswerService {
 
 // UI Controller - handles DOM interactions
 class UIController {
-  constructor(cvManager, jobManager, answerService, llmSettings) {
+  constructor(cvManager, jobManager, answerService, llmSettings, applicationProfile, storyBank, questionTypes, writingStyle) {
     this.cvManager = cvManager;
     this.jobManager = jobManager;
     this.answerService = answerService;
     this.llmSettings = llmSettings;
+    this.applicationProfile = applicationProfile;
+    this.storyBank = storyBank;
+    this.questionTypes = questionTypes;
+    this.writingStyle = writingStyle;
+    this.editingStoryId = null;
     this.selectedLength = 'medium';
     this.selectedTone = 'natural';
     this.lastAnswer = null;
     this.lastQuestion = null;
+    this.editingProfileId = null; // CV profile being replaced; null adds a new one
+    this.profileOverride = null;  // CV picked by hand for answers; null = best match
+    this.languageOverride = null; // answer language picked by hand; null = detected
 
     this.initElements();
     this.bindEvents();
     this.checkSavedCV();
     this.checkSavedJob();
+    this.renderStories();
     this.applyLLMSettings();
   }
 
@@ -403,6 +806,14 @@ class UIController {
     this.cvTextInput = document.getElementById('cv-text');
     this.loadCvBtn = document.getElementById('load-cv-btn');
     this.changeCvBtn = document.getElementById('change-cv-btn');
+    this.exportCvBtn = document.getElementById('export-cv-btn');
+    this.reviewCvBtn = document.getElementById('review-cv-btn');
+    this.cvProfileName = document.getElementById('cv-profile-name');
+    this.cancelCvBtn = document.getElementById('cancel-cv-btn');
+    this.cvProfileBar = document.getElementById('cv-profile-bar');
+    this.cvProfileSelect = document.getElementById('cv-profile-select');
+    this.addProfileBtn = document.getElementById('add-profile-btn');
+    this.deleteProfileBtn = document.getElementById('delete-profile-btn');
 
     // Job Section
     this.jobStatus = document.getElementById('job-status');
@@ -415,11 +826,31 @@ class UIController {
     this.loadJobBtn = document.getElementById('load-job-btn');
     this.changeJobBtn = document.getElementById('change-job-btn');
 
+    // Story Bank
+    this.storiesCount = document.getElementById('stories-count');
+    this.storyList = document.getElementById('story-list');
+    this.addStoryBtn = document.getElementById('add-story-btn');
+    this.storyForm = document.getElementById('story-form');
+    this.storyTitle = document.getElementById('story-title');
+    this.storyCompetencies = document.getElementById('story-competencies');
+    this.storySituation = document.getElementById('story-situation');
+    this.storyAction = document.getElementById('story-action');
+    this.storyResult = document.getElementById('story-result');
+    this.saveStoryBtn = document.getElementById('save-story-btn');
+    this.cancelStoryBtn = document.getElementById('cancel-story-btn');
+
     // Question Section
     this.questionInput = document.getElementById('question');
     this.lengthBtns = document.querySelectorAll('.length-btn');
     this.toneBtns = document.querySelectorAll('.tone-btn');
+    this.languageSelect = document.getElementById('language-select');
+    for (const { code, name } of answerLanguages()) {
+      this.languageSelect.append(new Option(name, code));
+    }
     this.generateBtn = document.getElementById('generate-btn');
+    this.answerProfileGroup = document.getElementById('answer-profile-group');
+    this.answerProfileSelect = document.getElementById('answer-profile-select');
+    this.answerProfileHint = document.getElementById('answer-profile-hint');
 
     // Answer Section
     this.answerSection = document.getElementById('answer-section');
@@ -441,9 +872,22 @@ class UIController {
     this.settingCustomFields = document.getElementById('setting-custom-fields');
     this.settingApiKey = document.getElementById('setting-api-key');
     this.settingModel = document.getElementById('setting-model');
+    this.settingProfileInputs = document.querySelectorAll('[data-profile-field]');
+    this.settingQuestionTypes = document.getElementById('setting-question-types');
+    this.questionTypesFile = document.getElementById('question-types-file');
+    this.loadQuestionTypesBtn = document.getElementById('load-question-types-btn');
+    this.settingWritingSamples = document.getElementById('setting-writing-samples');
+    this.writingStyleSummary = document.getElementById('writing-style-summary');
     this.saveSettingsBtn = document.getElementById('save-settings-btn');
     this.resetSettingsBtn = document.getElementById('reset-settings-btn');
     this.llmProviderEl = document.getElementById('llm-provider');
+
+    // CV review modal
+    this.cvReviewModal = document.getElementById('cv-review-modal');
+    this.cvReviewBody = document.getElementById('cv-review-body');
+    this.closeCvReviewBtn = document.getElementById('close-cv-review-btn');
+    this.saveCvReviewBtn = document.getElementById('save-cv-review-btn');
+    this.resetCvReviewBtn = document.getElementById('reset-cv-review-btn');
   }
 
   bindEvents() {
@@ -469,12 +913,30 @@ class UIController {
 
     // CV Text
     this.loadCvBtn.addEventListener('click', () => this.handleTextLoad());
-    this.changeCvBtn.addEventListener('click', () => this.showCVInput());
+    this.changeCvBtn.addEventListener('click', () => this.showCVInput(this.cvManager.defaultProfileId));
+    this.addProfileBtn.addEventListener('click', () => this.showCVInput(null));
+    this.exportCvBtn.addEventListener('click', () => this.exportCV());
+    this.reviewCvBtn.addEventListener('click', () => this.openCVReview());
+    this.deleteProfileBtn.addEventListener('click', () => this.deleteProfile());
+    this.cancelCvBtn.addEventListener('click', () => this.showCVLoaded());
+    this.cvProfileSelect.addEventListener('change', () => {
+      this.cvManager.setDefault(this.cvProfileSelect.value);
+      this.showCVLoaded();
+    });
+    this.answerProfileSelect.addEventListener('change', () => {
+      this.profileOverride = this.answerProfileSelect.value || null;
+      this.updateProfilePick();
+    });
 
     // Job Description
     this.loadJobBtn.addEventListener('click', () => this.handleJobLoad());
     this.changeJobBtn.addEventListener('click', () => this.showJobInput());
 
+    // Story Bank
+    this.addStoryBtn.addEventListener('click', () => this.showStoryForm(null));
+    this.saveStoryBtn.addEventListener('click', () => this.saveStory());
+    this.cancelStoryBtn.addEventListener('click', () => this.hideStoryForm());
+
     // Length Selection
     this.lengthBtns.forEach(btn => {
       btn.addEventListener('click', () => {
@@ -493,8 +955,16 @@ class UIController {
       });
     });
 
+    // Language Selection
+    this.languageSelect.addEventListener('change', () => {
+      this.languageOverride = this.languageSelect.value || null;
+    });
+
     // Question Input
-    this.questionInput.addEventListener('input', () => this.updateGenerateButton());
+    this.questionInput.addEventListener('input', () => {
+      this.updateGenerateButton();
+      this.updateLanguagePick();
+    });
 
     // Generate
     this.generateBtn.addEventListener('click', () => this.generateAnswer());
@@ -512,8 +982,22 @@ class UIController {
     this.settingProvider.addEventListener('change', () => {
       this.settingCustomFields.hidden = !this.settingProvider.value;
     });
+    this.loadQuestionTypesBtn.addEventListener('click', () => this.questionTypesFile.click());
+    this.questionTypesFile.addEventListener('change', async () => {
+      const file = this.questionTypesFile.files[0];
+      this.questionTypesFile.value = '';
+      if (file) this.settingQuestionTypes.value = await file.text();
+    });
     this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
     this.resetSettingsBtn.addEventListener('click', () => this.resetSettings());
+
+    // CV review modal
+    this.closeCvReviewBtn.addEventListener('click', () => this.closeCVReview());
+    this.cvReviewModal.addEventListener('click', (e) => {
+      if (e.target === this.cvReviewModal) this.closeCVReview();
+    });
+    this.saveCvReviewBtn.addEventListener('click', () => this.saveCVReview());
+    this.resetCvReviewBtn.addEventListener('click', () => this.resetCVReview());
   }
 
   checkSavedCV() {
@@ -526,7 +1010,7 @@ class UIController {
   async handleFileUpload(file) {
     try {
       this.showLoading(true);
-      await this.cvManager.loadFromFile(file);
+      await this.cvManager.loadFromFile(file, this.getProfileInput());
       this.showCVLoaded();
       this.showToast('CV loaded successfully');
     } catch (error) {
@@ -544,7 +1028,7 @@ class UIController {
     }
 
     try {
-      this.cvManager.loadFromText(text);
+      this.cvManager.loadFromText(text, this.getProfileInput());
       this.showCVLoaded();
       this.showToast('CV loaded successfully');
     } catch (error) {
@@ -552,11 +1036,24 @@ class UIController {
     }
   }
 
+  getProfileInput() {
+    return { profileId: this.editingProfileId, name: this.cvProfileName.value };
+  }
+
   showCVLoaded() {
+    const current = this.cvManager.getDefault();
+    if (!current) {
+      this.showCVInput(null);
+      return;
+    }
+    this.cvManager.select(current.id);
+
+    const count = this.cvManager.profiles.length;
     this.cvInputArea.hidden = true;
     this.cvLoaded.hidden = false;
+    this.cvProfileBar.hidden = false;
     this.cvStatus.classList.add('loaded');
-    this.cvStatus.querySelector('.status-text').textContent = 'CV loaded';
+    this.cvStatus.querySelector('.status-text').textContent = count > 1 ? `${count} CVs loaded` : 'CV loaded';
 
     const summary = this.cvManager.getSummary();
     // Avoid innerHTML: CV content is user-controlled
@@ -566,29 +1063,326 @@ class UIController {
     const roleEl = document.createElement('span');
     roleEl.textContent = `${summary.latestRole} at ${summary.latestCompany}`;
     const metaEl = document.createElement('span');
-    metaEl.textContent = `${summary.expCount} roles • ${summary.skillCount} skills`;
+    metaEl.textContent = [
+      summary.language !== 'en' && LANGUAGE_NAMES[summary.language],
+      `${summary.expCount} roles`,
+      summary.years !== null && `${summary.years} yrs experience`,
+      `${summary.skillCount} skills`,
+      summary.projectCount && `${summary.projectCount} project${summary.projectCount === 1 ? '' : 's'}`,
+      summary.gaps.length && `${summary.gaps.length} gap${summary.gaps.length === 1 ? '' : 's'}`
+    ].filter(Boolean).join(' • ');
+    if (summary.gaps.length) {
+      metaEl.title = 'Employment gaps: ' + summary.gaps
+        .map(g => `${g.from} – ${g.to || 'now'} (${g.months} months)`)
+        .join(', ');
+    }
     this.cvSummary.append(nameEl, roleEl, metaEl);
 
+    const groups = Object.entries(summary.skillGroups);
+    if (groups.length) {
+      const skillsEl = document.createElement('span');
+      skillsEl.className = 'cv-skill-groups';
+      skillsEl.textContent = groups
+        .map(([category, names]) => `${SKILL_CATEGORIES[category] || 'Other'} (${names.length})`)
+        .join(' • ');
+      skillsEl.title = groups
+        .map(([category, names]) => `${SKILL_CATEGORIES[category] || 'Other'}: ${names.join(', ')}`)
+        .join('\n');
+      this.cvSummary.append(skillsEl);
+    }
+
+    // Text read from a scan: say how far to trust it
+    if (current.ocr?.warning) {
+      const ocrEl = document.createElement('span');
+      ocrEl.className = `cv-ocr-warning ${current.ocr.quality}`;
+      ocrEl.textContent = current.ocr.warning;
+      this.cvSummary.append(ocrEl);
+    }
+
+    // How well the CV parsed, so a failed parse shows now and not as weak answers later
+    if (summary.diagnostics) {
+      const reportEl = document.createElement('span');
+      reportEl.className = 'cv-parse-report';
+      reportEl.textContent = summary.parseReport;
+      const warningsEl = document.createElement('ul');
+      warningsEl.className = 'cv-parse-warnings';
+      warningsEl.append(...summary.diagnostics.warnings.map(w => {
+        const item = document.createElement('li');
+        item.textContent = w.message;
+        return item;
+      }));
+      this.cvSummary.append(reportEl, ...(warningsEl.children.length ? [warningsEl] : []));
+    }
+
+    this.fillProfileSelect(this.cvProfileSelect, current.id);
+    this.updateProfilePick();
     this.updateGenerateButton();
+    // The job summary says which of its skills this CV shows
+    if (this.jobManager.isLoaded()) this.showJobLoaded(this.jobManager.getSummary());
   }
 
-  showCVInput() {
-    this.cvManager.clear();
+  showCVInput(profileId) {
+    const profile = this.cvManager.profiles.find(p => p.id === profileId);
+    this.editingProfileId = profile?.id || null;
+
+    const hasProfiles = this.cvManager.profiles.length > 0;
     this.cvInputArea.hidden = false;
     this.cvLoaded.hidden = true;
-    this.cvStatus.classList.remove('loaded');
-    this.cvStatus.querySelector('.status-text').textContent = 'No CV loaded';
+    this.cvProfileBar.hidden = true;
+    this.cancelCvBtn.hidden = !hasProfiles;
+    this.cvProfileName.value = profile?.name || (hasProfiles ? '' : 'My CV');
     this.cvTextInput.value = '';
     this.cvFileInput.value = '';
+    if (!hasProfiles) {
+      this.cvStatus.classList.remove('loaded');
+      this.cvStatus.querySelector('.status-text').textContent = 'No CV loaded';
+    }
     this.updateGenerateButton();
   }
 
+  deleteProfile() {
+    const profile = this.cvManager.profiles.find(p => p.id === this.cvProfileSelect.value);
+    if (!profile || !confirm(`Delete the "${profile.name}" CV?`)) return;
+
+    this.cvManager.remove(profile.id);
+    if (this.profileOverride === profile.id) this.profileOverride = null;
+    this.showCVLoaded();
+    this.showToast(`Deleted "${profile.name}"`);
+  }
+
+  exportCV() {
+    const resume = this.cvManager.exportJSONResume();
+    if (!resume) return;
+
+    const name = this.cvManager.getActive()?.name || 'cv';
+    const blob = new Blob([JSON.stringify(resume, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.replace(/[^\w-]+/g, '-').toLowerCase()}-resume.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    this.showToast('Exported as JSON Resume');
+  }
+
+  // ── CV Review ─────────────────────────────────────────────
+  // The editor works on a copy of the parsed sections; Save stores what
+  // changed as overrides (shared/cv-overrides.js)
+  openCVReview() {
+    const current = this.cvManager.getDefault();
+    if (!current) return;
+    this.cvManager.select(current.id);
+    const shown = editableSections(this.cvManager.parsed);
+    this.cvReview = { shown, edited: structuredClone(shown) };
+    this.resetCvReviewBtn.hidden = !current.overrides;
+    this.renderCVReview();
+    this.cvReviewModal.hidden = false;
+  }
+
+  closeCVReview() {
+    this.cvReviewModal.hidden = true;
+    this.cvReview = null;
+  }
+
+  saveCVReview() {
+    const { shown, edited } = this.cvReview;
+    const previous = this.cvManager.getActive()?.overrides;
+    this.cvManager.saveOverrides(mergeEdits(previous, shown, edited));
+    this.closeCVReview();
+    this.showCVLoaded();
+    this.showToast('CV corrections saved');
+  }
+
+  resetCVReview() {
+    if (!confirm('Undo all corrections and go back to what was read from the CV?')) return;
+    this.cvManager.saveOverrides(null);
+    this.closeCVReview();
+    this.showCVLoaded();
+    this.showToast('CV corrections removed');
+  }
+
+  // CV content is user-controlled: build with textContent, not innerHTML
+  renderCVReview() {
+    const { edited } = this.cvReview;
+    const rerender = (update) => () => {
+      update();
+      this.renderCVReview();
+    };
+
+    const section = (title, ...children) => {
+      const el = document.createElement('div');
+      el.className = 'cv-review-section';
+      const heading = document.createElement('h4');
+      heading.textContent = title;
+      el.append(heading, ...children);
+      return el;
+    };
+    const input = (value, placeholder, onInput) => {
+      const el = document.createElement('input');
+      el.type = 'text';
+      el.value = value;
+      el.placeholder = placeholder;
+      el.addEventListener('input', () => onInput(el.value));
+      return el;
+    };
+    const button = (label, title, onClick) => {
+      const el = document.createElement('button');
+      el.type = 'button';
+      el.className = 'btn btn-secondary btn-small';
+      el.textContent = label;
+      el.title = title;
+      el.addEventListener('click', onClick);
+      return el;
+    };
+    const row = (...children) => {
+      const el = document.createElement('div');
+      el.className = 'cv-review-actions';
+      el.append(...children);
+      return el;
+    };
+
+    const contact = document.createElement('div');
+    contact.className = 'cv-review-grid';
+    contact.append(...CONTACT_FIELDS.map(key =>
+      input(edited.contactInfo[key], key, (v) => { edited.contactInfo[key] = v; })
+    ));
+
+    const summary = document.createElement('textarea');
+    summary.rows = 3;
+    summary.value = edited.summary;
+    summary.addEventListener('input', () => { edited.summary = summary.value; });
+
+    const roles = edited.experience.map((role, i) => {
+      const card = document.createElement('div');
+      card.className = 'cv-review-item';
+      const fields = document.createElement('div');
+      fields.className = 'cv-review-grid';
+      fields.append(
+        input(role.title, 'Job title', (v) => { role.title = v; }),
+        input(role.company, 'Company', (v) => { role.company = v; }),
+        input(role.dates, 'Dates, e.g. Jan 2020 – Present', (v) => { role.dates = v; })
+      );
+      card.append(fields);
+
+      role.responsibilities.forEach((bullet, b) => {
+        const line = document.createElement('div');
+        line.className = 'cv-review-bullet';
+        line.append(
+          input(bullet, 'Bullet', (v) => { role.responsibilities[b] = v; }),
+          button('↑', 'Move bullet up', rerender(() => { role.responsibilities = moveItem(role.responsibilities, b, -1); })),
+          button('↓', 'Move bullet down', rerender(() => { role.responsibilities = moveItem(role.responsibilities, b, 1); })),
+          button('✕', 'Remove bullet', rerender(() => { role.responsibilities = removeItem(role.responsibilities, b); }))
+        );
+        if (b > 0) {
+          line.append(button('✂', 'Start a new role from this bullet',
+            rerender(() => { edited.experience = splitRole(edited.experience, i, b); })));
+        }
+        card.append(line);
+      });
+
+      card.append(row(
+        button('+ Bullet', 'Add a bullet', rerender(() => { role.responsibilities.push(''); })),
+        button('↑ Role', 'Move role up', rerender(() => { edited.experience = moveItem(edited.experience, i, -1); })),
+        button('↓ Role', 'Move role down', rerender(() => { edited.experience = moveItem(edited.experience, i, 1); })),
+        ...(i < edited.experience.length - 1
+          ? [button('Merge with next', 'Merge this role with the one below', rerender(() => { edited.experience = mergeRoles(edited.experience, i); }))]
+          : []),
+        button('Delete role', 'Remove this role', rerender(() => { edited.experience = removeItem(edited.experience, i); }))
+      ));
+      return card;
+    });
+    const addRole = button('+ Role', 'Add a role', rerender(() => {
+      edited.experience.push({ company: '', title: '', dates: '', responsibilities: [] });
+    }));
+
+    const education = edited.education.map((entry, i) => {
+      const card = document.createElement('div');
+      card.className = 'cv-review-item';
+      const fields = document.createElement('div');
+      fields.className = 'cv-review-grid';
+      fields.append(
+        input(entry.degree, 'Degree', (v) => { entry.degree = v; }),
+        input(entry.institution, 'Institution', (v) => { entry.institution = v; }),
+        input(entry.dates, 'Dates', (v) => { entry.dates = v; })
+      );
+      card.append(fields, row(
+        button('↑', 'Move up', rerender(() => { edited.education = moveItem(edited.education, i, -1); })),
+        button('↓', 'Move down', rerender(() => { edited.education = moveItem(edited.education, i, 1); })),
+        button('Delete', 'Remove this entry', rerender(() => { edited.education = removeItem(edited.education, i); }))
+      ));
+      return card;
+    });
+    const addEducation = button('+ Education', 'Add an entry', rerender(() => {
+      edited.education.push({ institution: '', degree: '', dates: '' });
+    }));
+
+    // A comma list is quicker to fix than one row per skill
+    const skills = document.createElement('textarea');
+    skills.rows = 3;
+    skills.value = edited.skills.join(', ');
+    skills.addEventListener('input', () => {
+      edited.skills = skills.value.split(',').map(s => s.trim()).filter(Boolean);
+    });
+
+    this.cvReviewBody.replaceChildren(
+      section('Contact', contact),
+      section('Summary', summary),
+      section(`Experience (${edited.experience.length})`, ...roles, addRole),
+      section(`Education (${edited.education.length})`, ...education, addEducation),
+      section('Skills (comma-separated)', skills)
+    );
+  }
+
+  // Profile names are user input: build options with textContent, not innerHTML
+  fillProfileSelect(select, value, autoLabel = null) {
+    const options = this.cvManager.profiles.map(p => {
+      const option = document.createElement('option');
+      option.value = p.id;
+      option.textContent = p.name;
+      return option;
+    });
+    if (autoLabel) {
+      const auto = document.createElement('option');
+      auto.value = '';
+      auto.textContent = autoLabel;
+      options.unshift(auto);
+    }
+    select.replaceChildren(...options);
+    select.value = value || '';
+  }
+
+  // Show which CV answers will use; the picker only appears with 2+ profiles
+  updateProfilePick() {
+    const multiple = this.cvManager.profiles.length > 1;
+    this.answerProfileGroup.hidden = !multiple;
+    if (!multiple) return;
+
+    if (!this.cvManager.profiles.some(p => p.id === this.profileOverride)) this.profileOverride = null;
+    const { profile, auto } = this.cvManager.selectForJob(this.jobManager.getMatchContext(), this.profileOverride);
+    this.fillProfileSelect(this.answerProfileSelect, this.profileOverride, 'Best match for the job');
+
+    const reason = this.profileOverride ? 'chosen by you' : auto ? 'best match for this job' : 'your default CV';
+    this.answerProfileHint.textContent = profile ? `Using "${profile.name}" (${reason})` : '';
+  }
+
+  // "Auto" names the language the answer will be written in: the question's,
+  // else the job description's
+  updateLanguagePick() {
+    const detected = resolveAnswerLanguage({
+      question: this.questionInput.value,
+      jobDescription: this.jobManager.isLoaded() ? this.jobManager.getData().description : undefined
+    });
+    this.languageSelect.options[0].textContent = `Auto (${detected.name})`;
+  }
+
   // Job Description Methods
   checkSavedJob() {
     const job = this.jobManager.loadFromStorage();
     if (job) {
       this.showJobLoaded(job);
     }
+    this.updateProfilePick();
+    this.updateLanguagePick();
   }
 
   handleJobLoad() {
@@ -604,6 +1398,8 @@ class UIController {
     try {
       const summary = this.jobManager.load(jobTitle, company, description);
       this.showJobLoaded(summary);
+      this.updateProfilePick();
+      this.updateLanguagePick();
       this.showToast('Job description loaded successfully');
     } catch (error) {
       this.showToast(error.message, 'error');
@@ -629,6 +1425,18 @@ class UIController {
       reqEl.style.fontSize = '0.75rem';
       this.jobSummary.append(reqEl);
     }
+
+    // Skills in canonical form, and which the loaded CV lacks
+    if (summary.keySkills?.length > 0) {
+      const skillsEl = document.createElement('span');
+      skillsEl.className = 'job-key-skills';
+      skillsEl.textContent = `Skills: ${summary.keySkills.slice(0, 10).join(', ')}`;
+      if (this.cvManager.isLoaded()) {
+        const { missing } = matchSkills(this.cvManager.parsed, this.jobManager.getMatchContext());
+        if (missing.length) skillsEl.textContent += ` • not in your CV: ${missing.map(s => s.name).join(', ')}`;
+      }
+      this.jobSummary.append(skillsEl);
+    }
   }
 
   showJobInput() {
@@ -640,6 +1448,96 @@ class UIController {
     this.jobTitleInput.value = '';
     this.companyInput.value = '';
     this.jobDescriptionInput.value = '';
+    this.updateProfilePick();
+    this.updateLanguagePick();
+  }
+
+  // Story Bank Methods
+  renderStories() {
+    const stories = this.storyBank.getAll();
+    this.storiesCount.textContent = stories.length
+      ? `${stories.length} ${stories.length === 1 ? 'story' : 'stories'}`
+      : 'No stories';
+
+    const labels = Object.fromEntries(COMPETENCIES.map(c => [c.key, c.label]));
+    // Avoid innerHTML: stories are user input
+    this.storyList.replaceChildren(...stories.map(story => {
+      const item = document.createElement('div');
+      item.className = 'story-item';
+
+      const text = document.createElement('div');
+      text.className = 'story-item-text';
+      const title = document.createElement('strong');
+      title.textContent = story.title || story.action.slice(0, 80);
+      const tags = document.createElement('span');
+      tags.textContent = (story.competencies || []).map(c => labels[c] || c).join(' • ') || 'No competencies tagged';
+      text.append(title, tags);
+
+      const edit = document.createElement('button');
+      edit.className = 'btn btn-secondary btn-small';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => this.showStoryForm(story.id));
+
+      const remove = document.createElement('button');
+      remove.className = 'btn btn-secondary btn-small';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => {
+        if (!confirm(`Delete the story "${title.textContent}"?`)) return;
+        this.storyBank.remove(story.id);
+        if (this.editingStoryId === story.id) this.hideStoryForm();
+        this.renderStories();
+      });
+
+      item.append(text, edit, remove);
+      return item;
+    }));
+  }
+
+  showStoryForm(storyId) {
+    const story = this.storyBank.getAll().find(s => s.id === storyId);
+    this.editingStoryId = story?.id || null;
+    this.storyTitle.value = story?.title || '';
+    this.storySituation.value = story?.situation || '';
+    this.storyAction.value = story?.action || '';
+    this.storyResult.value = story?.result || '';
+
+    this.storyCompetencies.replaceChildren(...COMPETENCIES.map(({ key, label }) => {
+      const wrapper = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = key;
+      box.checked = !!story?.competencies?.includes(key);
+      wrapper.append(box, ` ${label}`);
+      return wrapper;
+    }));
+
+    this.storyForm.hidden = false;
+    this.addStoryBtn.hidden = true;
+    this.storyTitle.focus();
+  }
+
+  hideStoryForm() {
+    this.editingStoryId = null;
+    this.storyForm.hidden = true;
+    this.addStoryBtn.hidden = false;
+  }
+
+  saveStory() {
+    try {
+      this.storyBank.save({
+        id: this.editingStoryId,
+        title: this.storyTitle.value.trim(),
+        competencies: [...this.storyCompetencies.querySelectorAll('input:checked')].map(box => box.value),
+        situation: this.storySituation.value.trim(),
+        action: this.storyAction.value.trim(),
+        result: this.storyResult.value.trim()
+      });
+      this.hideStoryForm();
+      this.renderStories();
+      this.showToast('Story saved');
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
   }
 
   updateGenerateButton() {
@@ -664,9 +1562,23 @@ class UIController {
     this.settingApiKey.value = s?.apiKey || '';
     this.settingModel.value = s?.model || '';
     this.settingCustomFields.hidden = !this.settingProvider.value;
+    const profile = this.applicationProfile.get();
+    this.settingProfileInputs.forEach(input => {
+      input.value = profile[input.dataset.profileField] || '';
+    });
+    const questionTypes = this.questionTypes.getAll();
+    this.settingQuestionTypes.value = questionTypes.length ? JSON.stringify(questionTypes, null, 2) : '';
+    this.settingWritingSamples.value = this.writingStyle.samples;
+    this.showWritingStyleSummary();
     this.settingsModal.hidden = false;
   }
 
+  showWritingStyleSummary() {
+    const summary = describeStyleProfile(this.writingStyle.getProfile());
+    this.writingStyleSummary.hidden = !summary;
+    this.writingStyleSummary.textContent = summary ? `Your style: ${summary}` : '';
+  }
+
   closeSettings() {
     this.settingsModal.hidden = true;
   }
@@ -681,7 +1593,18 @@ class UIController {
       return;
     }
 
+    try {
+      this.questionTypes.save(this.settingQuestionTypes.value);
+      this.writingStyle.save(this.settingWritingSamples.value);
+    } catch (error) {
+      this.showToast(error.message.split('\n')[0], 'error');
+      return;
+    }
+
     this.llmSettings.save(provider, apiKey, model);
+    this.applicationProfile.save(Object.fromEntries(
+      [...this.settingProfileInputs].map(input => [input.dataset.profileField, input.value])
+    ));
     this.closeSettings();
 
     if (provider) {
@@ -727,6 +1650,8 @@ class UIController {
         length: this.selectedLength,
         tone: this.selectedTone,
         stream: true,
+        profileId: this.profileOverride,
+        language: this.languageOverride,
         onChunk: (chunk, full) => {
           this.answerOutput.textContent = full;
         }
@@ -734,15 +1659,39 @@ class UIController {
 
       this.lastAnswer = result.answer;
       this.answerSection.classList.remove('streaming');
+      if (result.cutToLimit) this.answerOutput.textContent = result.answer;
       
-      let metaText = `Type: ${result.questionType || 'general'} • Length: ${this.selectedLength} • Tone: ${this.selectedTone}`;
+      let metaText = result.fromApplicationProfile
+        ? `Type: ${result.questionType || 'general'} • From your application details`
+        : `Type: ${result.questionType || 'general'} • Length: ${this.selectedLength} • Tone: ${this.selectedTone}`;
       if (hasJobContext) {
         metaText += ' • Job-tailored ✓';
       }
+      if (result.language && (result.language.code !== 'en' || result.language.source === 'option')) {
+        metaText += ` • In ${result.language.name}`;
+      }
+      if (result.story) {
+        metaText += ` • Story: ${result.story.title || 'prepared story'}`;
+      }
+      if (this.cvManager.profiles.length > 1 && result.profile) {
+        metaText += ` • CV: ${result.profile.name}`;
+      }
+      if (result.trimmed?.length) {
+        const labels = { cv: 'CV', jobDescription: 'job description' };
+        metaText += ` • Trimmed to fit: ${result.trimmed.map(s => labels[s] || s).join(', ')}`;
+      }
+      const count = countAgainstLimit(result.answer, result.limit);
+      if (count) {
+        metaText += ` • ${count.used}/${count.max} ${count.unit}${result.cutToLimit ? ' (shortened to fit)' : ''}`;
+      }
       this.answerMeta.textContent = metaText;
 
       // Validate
       const validation = this.answerService.validateAnswer(result.answer);
+      if (result.styleDrift?.drifted) {
+        validation.valid = false;
+        validation.warnings.push(...result.styleDrift.issues.map(issue => `Doesn't sound like you: ${issue}`));
+      }
       if (!validation.valid) {
         // Avoid innerHTML: warnings can be influenced by LLM output
         this.warningsDiv.replaceChildren();
@@ -799,8 +1748,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   const cvManager = new CVManager();
   const jobManager = new JobManager();
   const llmSettings = new LLMSettings();
-  const answerService = new AnswerService(cvManager, jobManager, llmSettings);
-  const ui = new UIController(cvManager, jobManager, answerService, llmSettings);
+  const applicationProfile = new ApplicationProfileSettings();
+  const storyBank = new StoryBank();
+  const questionTypes = new QuestionTypeSettings();
+  const writingStyle = new WritingStyleSettings();
+  const answerService = new AnswerService(cvManager, jobManager, llmSettings, applicationProfile, storyBank, questionTypes, writingStyle);
+  const ui = new UIController(cvManager, jobManager, answerService, llmSettings, applicationProfile, storyBank, questionTypes, writingStyle);
 
   // Check LLM status (shows server default; custom provider label set by applyLLMSettings)
   if (!llmSettings.isCustom()) {
@@ -823,4 +1776,4 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // Export for extension reuse
-export { CVManager, JobManager, AnswerService, LLMSettings, CONFIG };
+export { CVManager, JobManager, AnswerService, LLMSettings, ApplicationProfileSettings, StoryBank, CONFIG };
@@ -6,13 +6,28 @@ import crypto from 'crypto';
 import multer from 'multer';
 import pdfParse from 'pdf-parse/lib/pdf-parse.js';
 import mammoth from 'mammoth';
+import Tesseract from 'tesseract.js';
+import engModel from '@tesseract.js-data/eng';
+import WordExtractor from 'word-extractor';
+import JSZip from 'jszip';
+import { readFileSync } from 'fs';
 import { resolve } from 'path';
 import { pathToFileURL } from 'url';
+import { PROVIDERS, generate, stream, getContextWindow } from '../backend/llm-providers.js';
+import { estimateTokens } from '../shared/token-budget.js';
+import { CVParser } from '../shared/cv-parser.js';
+import { createOcr } from '../shared/ocr.js';
+import { SUPPORTED_FORMATS, createDocumentExtractor, cvText, noTextMessage } from '../shared/document-extract.js';
+import { finishAnswer } from '../shared/answer-finish.js';
+import { loadQuestionTypesFile } from '../shared/question-types.js';
+import { loadUpstreams, upstreamHeaders } from './upstreams.js';
 
 const PORT = Number(process.env.PORT || 10000);
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
 const TOKEN_SECRET = process.env.TOKEN_SECRET;
+// Legacy raw prompts skip the recipe's budget, so they keep fixed caps
+// (characters) – the context window alone would let ~128k tokens through
+const MAX_RAW_SYSTEM_PROMPT = 30000;
+const MAX_RAW_USER_PROMPT = 120000;
 
 // Recipe module – default is the bundled open-source recipe. Set RECIPE_PATH to override.
 const RECIPE_PATH = process.env.RECIPE_PATH || './recipe/index.js';
@@ -27,10 +42,36 @@ try {
   recipe = await import('./recipe/index.js');
 }
 
-if (!GROQ_API_KEY || !TOKEN_SECRET) {
-  console.error('Missing required env vars: GROQ_API_KEY and TOKEN_SECRET must be set. Exiting.');
+// Upstream LLM endpoints, in failover order (see upstreams.js)
+let UPSTREAMS;
+try {
+  UPSTREAMS = loadUpstreams();
+} catch (err) {
+  console.error(`Invalid upstream config: ${err.message}. Exiting.`);
+  process.exit(1);
+}
+
+if (!UPSTREAMS.length || !TOKEN_SECRET) {
+  console.error('Missing required config: TOKEN_SECRET and an upstream (UPSTREAMS, UPSTREAMS_FILE, UPSTREAM_BASE_URL or GROQ_API_KEY) must be set. Exiting.');
+  process.exit(1);
+}
+
+// Custom question types, offered to the recipe with every structured request
+// (shared/question-types.js). A broken file is a config error like a bad upstream
+let CUSTOM_QUESTION_TYPES = [];
+try {
+  CUSTOM_QUESTION_TYPES = loadQuestionTypesFile(process.env.QUESTION_TYPES_FILE, path => readFileSync(resolve(path), 'utf8'));
+} catch (err) {
+  console.error(`${err.message}\nExiting.`);
   process.exit(1);
 }
+if (process.env.QUESTION_TYPES_FILE) {
+  console.log(`Question types: ${CUSTOM_QUESTION_TYPES.map(t => t.type).join(', ') || 'none'}`);
+}
+
+// The upstream that answered most recently – reported by /api/health
+let activeUpstream = UPSTREAMS[0];
+console.log(`Upstreams: ${UPSTREAMS.map(u => `${u.name} (${u.model})`).join(' → ')}`);
 
 const app = express();
 app.disable('x-powered-by');
@@ -109,7 +150,13 @@ function authRequired(req, res, next) {
 }
 
 app.get('/api/health', (req, res) => {
-  res.json({ ok: true, provider: 'groq', model: GROQ_MODEL });
+  res.json({
+    ok: true,
+    provider: activeUpstream.name,
+    model: activeUpstream.model,
+    contextWindow: activeUpstream.contextWindow,
+    upstreams: UPSTREAMS.map(u => u.name)
+  });
 });
 
 app.post('/api/register', registerLimiter, (req, res) => {
@@ -142,12 +189,340 @@ function cleanFieldLabel(raw) {
     .trim();
 }
 
-app.post('/api/generate', authRequired, generateLimiter, async (req, res) => {
-  if (!GROQ_API_KEY) return res.status(500).json({ error: 'Server misconfigured' });
+function callUpstream(upstream, { messages, temperature, maxTokens, stream = false, signal }) {
+  return fetch(`${upstream.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: upstreamHeaders(upstream),
+    signal,
+    body: JSON.stringify({
+      model: upstream.model,
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      messages
+    })
+  });
+}
+
+/**
+ * Log a failed upstream response and map it to a client-facing status + message.
+ * Rate limits stay 429 so the extension can surface them meaningfully.
+ */
+async function mapUpstreamError(upstream, response) {
+  const text = await response.text().catch(() => '');
+  console.error(`[DraftApply] Upstream ${upstream.name} error ${response.status}:`, text.slice(0, 400));
+  const status = response.status === 429 ? 429 : 502;
+  return {
+    status,
+    error: status === 429 ? 'Rate limit reached — please try again shortly.' : 'Service temporarily unavailable.'
+  };
+}
+
+/**
+ * Walk the upstream list until one returns a 2xx response.
+ *
+ * Each attempt gets its own AbortController and connect timeout, so a slow
+ * upstream can't eat into the next one's budget. `signal` (optional) cancels
+ * the whole walk, e.g. when the client disconnects.
+ *
+ * Resolves to { ok: true, response, upstream, controller, timer } – the caller
+ * owns `timer` and must clear it – or { ok: false, status, error } with the
+ * last failure, or { ok: false, aborted: true } if `signal` fired.
+ */
+async function openUpstream({ messages, temperature, maxTokens, stream = false, signal }) {
+  let failure = { status: 502, error: 'Service temporarily unavailable.' };
+
+  for (const upstream of UPSTREAMS) {
+    if (signal?.aborted) return { ok: false, aborted: true };
+
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+    const timer = setTimeout(cancel, upstream.timeoutMs);
+
+    try {
+      const response = await callUpstream(upstream, { messages, temperature, maxTokens, stream, signal: controller.signal });
+      if (response.ok) {
+        activeUpstream = upstream;
+        return { ok: true, response, upstream, controller, timer };
+      }
+      clearTimeout(timer);
+      failure = await mapUpstreamError(upstream, response);
+    } catch (e) {
+      clearTimeout(timer);
+      if (signal?.aborted) return { ok: false, aborted: true };
+      if (e?.name === 'AbortError') {
+        console.error(`[DraftApply] Upstream ${upstream.name} timed out`);
+        failure = { status: 504, error: 'AI service timed out. Please try again.' };
+      } else {
+        console.error(`[DraftApply] Upstream ${upstream.name} unreachable:`, e.message);
+        failure = { status: 500, error: 'Failed to generate answer.' };
+      }
+    }
+  }
+
+  return { ok: false, ...failure };
+}
+
+/**
+ * Validate a bring-your-own-key `llmConfig` from the client and turn it into
+ * an adapter config for backend/llm-providers.js. Only cloud providers are
+ * accepted — local ones (Ollama, LM Studio…) would point the proxy at its
+ * own localhost. Base URLs always come from PROVIDERS, never from the client.
+ */
+function resolveUserProvider(llmConfig) {
+  if (!llmConfig || typeof llmConfig !== 'object') return null;
+  const { provider, apiKey, model } = llmConfig;
+  const def = typeof provider === 'string' && Object.hasOwn(PROVIDERS, provider) ? PROVIDERS[provider] : null;
+  if (!def || def.type !== 'cloud') return null;
+  if (typeof apiKey !== 'string' || apiKey.length < 8 || apiKey.length > 500) return null;
+  const userModel = typeof model === 'string' && model.trim() && model.length <= 200 ? model.trim() : null;
+  return {
+    name: provider,
+    config: {
+      ...def,
+      apiKey,
+      model: userModel || def.defaultModel,
+      contextWindow: getContextWindow(provider, userModel || def.defaultModel)
+    }
+  };
+}
+
+/**
+ * Context windows of every model a request may reach: the user's provider
+ * (if any) and each upstream in the failover chain. Prompts are built for the
+ * smallest, so a fallback never overflows; a prompt bigger than the largest
+ * can't be served by anyone and is rejected up front.
+ */
+function targetWindows(userProvider) {
+  const windows = UPSTREAMS.map(u => u.contextWindow);
+  if (userProvider) windows.push(userProvider.config.contextWindow);
+  return { smallest: Math.min(...windows), largest: Math.max(...windows) };
+}
+
+function writeSSE(res, data) {
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+function startSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering (Render/nginx)
+  res.flushHeaders();
+}
+
+/**
+ * Writable stand-in for `res` handed to the llm-providers stream adapters.
+ * They emit `data: {"text": ...}` lines and call end(); we re-encode each text
+ * chunk in the proxy's wire format and only open the SSE response on the first
+ * chunk, so an adapter that fails before producing output can still fall back.
+ */
+function createAdapterRelay(res, onText) {
+  const relay = {
+    started: false,
+    writableEnded: false,
+    write(raw) {
+      const data = String(raw).replace(/^data: /, '').trim();
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch {
+        return true; // [DONE] or keep-alive
+      }
+      if (!json.text) return true;
+      if (!relay.started) {
+        startSSE(res);
+        relay.started = true;
+      }
+      onText();
+      writeSSE(res, { choices: [{ delta: { content: json.text } }] });
+      return true;
+    },
+    end() {
+      relay.writableEnded = true;
+    }
+  };
+  return relay;
+}
+
+/**
+ * Relay a streaming completion to the client as Server-Sent Events.
+ * The user's own provider (llmConfig) is tried first; if it fails before
+ * producing any output, the configured upstreams take over in order.
+ *
+ * Event shapes (one JSON object per `data:` line):
+ *   { choices: [{ delta: { content } }] }                   – token chunk (OpenAI-compatible)
+ *   { error, status }                                       – upstream failed mid-stream
+ *   { done: true, usage, provider, model, fallbackFrom?, trimmed?, limit?, language? }
+ *                                                           – final event, followed by [DONE]
+ *
+ * Streamed text can't be taken back, so an answer over its `limit` is
+ * trimmed by the client (finishAnswer in shared/answer-finish.js).
+ *
+ * Errors before the first byte is relayed are returned as plain JSON with a
+ * proper status code, so the client can treat them like a non-streaming error.
+ */
+async function streamAnswer(req, res, { messages, temperature, maxTokens, userProvider, trimmed, limit, language }) {
+  // Client went away (modal closed, Stop pressed) → stop paying for tokens
+  const client = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) client.abort();
+  });
+
+  // Controller of the upstream attempt in flight, plus its idle timeout
+  let controller;
+  let idleTimer;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(), 30000);
+  };
+
+  const endWithError = (e) => {
+    const timedOut = e?.name === 'AbortError';
+    if (!timedOut) console.error('[DraftApply] Stream error:', e.message);
+    writeSSE(res, {
+      error: timedOut ? 'AI service timed out. Please try again.' : 'Stream interrupted — please try again.',
+      status: timedOut ? 504 : 502
+    });
+    writeSSE(res, '[DONE]');
+    res.end();
+  };
 
+  let fallbackFrom;
+  if (userProvider) {
+    controller = new AbortController();
+    client.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    idleTimer = setTimeout(() => controller.abort(), 60000);
+
+    const relay = createAdapterRelay(res, resetIdle);
+    try {
+      await stream(userProvider.name, userProvider.config, messages, { temperature, maxTokens, signal: controller.signal }, relay);
+      if (!relay.started) throw new Error('No answer from provider');
+    } catch (e) {
+      clearTimeout(idleTimer);
+      if (client.signal.aborted) return;
+      if (relay.started) return endWithError(e);
+      console.warn(`[DraftApply] User provider ${userProvider.name} failed, falling back to server upstreams:`, e.message);
+      fallbackFrom = userProvider.name;
+    }
+    clearTimeout(idleTimer);
+
+    if (!fallbackFrom) {
+      writeSSE(res, {
+        done: true,
+        usage: null,
+        provider: userProvider.name,
+        model: userProvider.config.model,
+        ...(trimmed ? { trimmed } : {}),
+        ...(limit ? { limit } : {}),
+        ...(language ? { language } : {})
+      });
+      writeSSE(res, '[DONE]');
+      return res.end();
+    }
+  }
+
+  const opened = await openUpstream({ messages, temperature, maxTokens, stream: true, signal: client.signal });
+  if (!opened.ok) {
+    if (opened.aborted) return;
+    return res.status(opened.status).json({ error: opened.error });
+  }
+  const { response, upstream } = opened;
+  controller = opened.controller;
+  clearTimeout(opened.timer);
+
+  startSSE(res);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+  let sentAny = false;
+
+  try {
+    resetIdle();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      resetIdle();
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // keep last incomplete line
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        const data = line.slice(6).trim();
+        if (data === '[DONE]') continue;
+
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch {
+          continue; // non-JSON keep-alive line
+        }
+
+        if (json.error) throw new Error(json.error.message || 'Upstream stream error');
+
+        // Groq reports usage in x_groq.usage; OpenAI-style in a final usage chunk
+        if (json.usage || json.x_groq?.usage) usage = json.usage || json.x_groq.usage;
+
+        const content = json.choices?.[0]?.delta?.content;
+        if (content) {
+          sentAny = true;
+          writeSSE(res, { choices: [{ delta: { content } }] });
+        }
+      }
+    }
+
+    if (!sentAny) {
+      writeSSE(res, { error: 'No answer from provider', status: 502 });
+    } else {
+      writeSSE(res, {
+        done: true,
+        usage,
+        provider: upstream.name,
+        model: upstream.model,
+        ...(fallbackFrom ? { fallbackFrom } : {}),
+        ...(trimmed ? { trimmed } : {}),
+        ...(limit ? { limit } : {}),
+        ...(language ? { language } : {})
+      });
+    }
+    writeSSE(res, '[DONE]');
+    res.end();
+  } catch (e) {
+    if (client.signal.aborted) return;
+    endWithError(e);
+  } finally {
+    clearTimeout(idleTimer);
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Reply with an answer that needed no LLM, in the same shape (JSON or SSE)
+ * a generated one would have.
+ */
+function sendDirectAnswer(res, answer, useStream) {
+  if (!useStream) return res.json({ answer, provider: 'profile' });
+  startSSE(res);
+  writeSSE(res, { choices: [{ delta: { content: answer } }] });
+  writeSSE(res, { done: true, usage: null, provider: 'profile' });
+  writeSSE(res, '[DONE]');
+  res.end();
+}
+
+app.post('/api/generate', authRequired, generateLimiter, async (req, res) => {
   const body = req.body || {};
 
-  let systemPrompt, userPrompt, temperature, maxTokens;
+  let systemPrompt, userPrompt, temperature, maxTokens, trimmed, limit, language;
+  // What finishAnswer needs from the recipe; raw prompts have none of it
+  let finishing = {};
+  const userProvider = resolveUserProvider(body.llmConfig);
+  const windows = targetWindows(userProvider);
 
   // Detect payload format:
   //   Structured (new): body.question exists  →  run through recipe
@@ -168,17 +543,34 @@ app.post('/api/generate', authRequired, generateLimiter, async (req, res) => {
         length:         body.length || 'medium',
         tone:           body.tone || 'natural',
         cvText:         body.cvText,
+        cvOverrides:    body.cvOverrides || undefined,
         jobTitle:       body.jobTitle || undefined,
         company:        body.company || undefined,
         jobDescription: body.jobDescription || undefined,
         requirements:   Array.isArray(body.requirements) ? body.requirements : undefined,
         pageUrl:        body.pageUrl || undefined,
         platform:       body.platform || undefined,
+        contextWindow:  windows.smallest,
+        applicationProfile: body.applicationProfile || undefined,
+        stories:        Array.isArray(body.stories) ? body.stories : undefined,
+        questionType:   typeof body.questionType === 'string' ? body.questionType : undefined,
+        questionTypes:  [...CUSTOM_QUESTION_TYPES, ...(Array.isArray(body.questionTypes) ? body.questionTypes : [])],
+        limit:          body.limit && typeof body.limit === 'object' ? body.limit : undefined,
+        language:       typeof body.language === 'string' ? body.language : undefined,
+        writingStyle:   body.writingStyle && typeof body.writingStyle === 'object' ? body.writingStyle : undefined,
       });
+      // Plain field answered by the candidate's application profile — no LLM call
+      if (typeof result.directAnswer === 'string' && result.directAnswer) {
+        return sendDirectAnswer(res, result.directAnswer, body.stream === true);
+      }
       systemPrompt = result.systemPrompt;
       userPrompt   = result.userPrompt;
       temperature  = typeof result.temperature === 'number' ? result.temperature : 0.7;
       maxTokens    = typeof result.maxTokens === 'number' ? result.maxTokens : undefined;
+      trimmed      = Array.isArray(result.trimmed) && result.trimmed.length ? result.trimmed : undefined;
+      limit        = result.limit || undefined;
+      language     = result.language || undefined;
+      finishing    = { limit, writingStyle: result.writingStyle, language, tone: body.tone || 'natural' };
     } catch (err) {
       return res.status(500).json({ error: 'Recipe error', details: String(err.message).slice(0, 200) });
     }
@@ -187,6 +579,9 @@ app.post('/api/generate', authRequired, generateLimiter, async (req, res) => {
     systemPrompt = body.systemPrompt;
     userPrompt   = body.userPrompt;
     temperature  = typeof body.temperature === 'number' ? body.temperature : 0.7;
+    if (systemPrompt.length > MAX_RAW_SYSTEM_PROMPT || userPrompt.length > MAX_RAW_USER_PROMPT) {
+      return res.status(413).json({ error: 'Prompt too large' });
+    }
   } else {
     return res.status(400).json({ error: 'Missing prompt data. Send either structured (question + cvText) or legacy (systemPrompt + userPrompt).' });
   }
@@ -198,45 +593,64 @@ app.post('/api/generate', authRequired, generateLimiter, async (req, res) => {
   if (typeof userPrompt !== 'string' || userPrompt.length < 10) {
     return res.status(400).json({ error: 'User prompt too short' });
   }
-  if (systemPrompt.length > 30000 || userPrompt.length > 120000) {
-    return res.status(413).json({ error: 'Prompt too large' });
+  if (estimateTokens(systemPrompt + userPrompt) + (maxTokens || 0) > windows.largest) {
+    return res.status(413).json({ error: 'Prompt too large for the model\'s context window' });
   }
 
-  const groqController = new AbortController();
-  const groqTimeout = setTimeout(() => groqController.abort(), 60000);
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ];
 
-  try {
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${GROQ_API_KEY}`
-      },
-      signal: groqController.signal,
-      body: JSON.stringify({
-        model: GROQ_MODEL,
-        temperature,
-        ...(maxTokens ? { max_tokens: maxTokens } : {}),
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ]
-      })
-    });
+  if (body.stream === true) {
+    return streamAnswer(req, res, { messages, temperature, maxTokens, userProvider, trimmed, limit, language });
+  }
 
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      console.error(`[DraftApply] Groq error ${response.status}:`, text.slice(0, 400));
-      // Map Groq rate-limit to 429 so the extension can surface it meaningfully
-      const status = response.status === 429 ? 429 : 502;
-      return res.status(status).json({ error: status === 429 ? 'Rate limit reached — please try again shortly.' : 'Service temporarily unavailable.' });
+  // Bring-your-own-key: try the user's provider first, fall back to the server upstreams
+  let fallbackFrom;
+  if (userProvider) {
+    const userController = new AbortController();
+    const userTimeout = setTimeout(() => userController.abort(), 60000);
+    try {
+      const result = await generate(userProvider.name, userProvider.config, messages, {
+        temperature,
+        maxTokens,
+        signal: userController.signal
+      });
+      if (result?.answer?.trim()) {
+        return res.json({
+          ...finishAnswer(result.answer, finishing),
+          provider: userProvider.name,
+          model: userProvider.config.model,
+          ...(trimmed ? { trimmed } : {}),
+          ...(language ? { language } : {})
+        });
+      }
+      throw new Error('No answer from provider');
+    } catch (e) {
+      console.warn(`[DraftApply] User provider ${userProvider.name} failed, falling back to server upstreams:`, e.message);
+      fallbackFrom = userProvider.name;
+    } finally {
+      clearTimeout(userTimeout);
     }
+  }
+
+  const opened = await openUpstream({ messages, temperature, maxTokens });
+  if (!opened.ok) return res.status(opened.status).json({ error: opened.error });
 
-    const data = await response.json();
+  try {
+    const data = await opened.response.json();
     const answer = data?.choices?.[0]?.message?.content;
     if (!answer?.trim()) return res.status(502).json({ error: 'No answer from provider' });
 
-    res.json({ answer, provider: 'groq', model: GROQ_MODEL });
+    res.json({
+      ...finishAnswer(answer, finishing),
+      provider: opened.upstream.name,
+      model: opened.upstream.model,
+      ...(fallbackFrom ? { fallbackFrom } : {}),
+      ...(trimmed ? { trimmed } : {}),
+      ...(language ? { language } : {})
+    });
   } catch (e) {
     if (e?.name === 'AbortError') {
       return res.status(504).json({ error: 'AI service timed out. Please try again.' });
@@ -244,11 +658,19 @@ app.post('/api/generate', authRequired, generateLimiter, async (req, res) => {
     console.error('[DraftApply] Generate error:', e.message);
     return res.status(500).json({ error: 'Failed to generate answer.' });
   } finally {
-    clearTimeout(groqTimeout);
+    clearTimeout(opened.timer);
   }
 });
 
-// Optional: keep file upload UX working (PDF/DOCX/TXT)
+// Optional: keep file upload UX working (PDF, DOCX, DOC, ODT, RTF, TXT,
+// Markdown, HTML; scans as PNG/JPG). The type is read from the file's bytes,
+// not the browser's mimetype; text, hyperlinks and metadata come from the
+// same extractor the backend uses (shared/document-extract.js)
+// Scans are OCR'd in-process with the bundled English model – nothing leaves
+// the proxy (shared/ocr.js)
+const ocr = createOcr({ createWorker: Tesseract.createWorker, langPath: engModel.langPath, gzip: engModel.gzip });
+const extractDocument = createDocumentExtractor({ pdfParse, mammoth, WordExtractor, JSZip, ocr });
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }
@@ -257,80 +679,47 @@ const upload = multer({
 app.post('/api/cv/upload', authRequired, generateLimiter, upload.single('cv'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file provided' });
-    const buffer = req.file.buffer;
-    const mimetype = req.file.mimetype;
-
-    let text = '';
-    if (mimetype === 'application/pdf') {
-      // Extract text AND hyperlink annotations (e.g. LinkedIn URL hidden behind hyperlinked text)
-      const collectedUrls = [];
-      const pdfData = await pdfParse(buffer, {
-        pagerender: async function(pageData) {
-          try {
-            const annotations = await pageData.getAnnotations();
-            for (const ann of annotations) {
-              const url = ann.url || ann.unsafeUrl;
-              if (url) collectedUrls.push(url);
-            }
-          } catch (_) { /* annotations unavailable, ignore */ }
-          // Standard text rendering (matches pdf-parse default)
-          const textContent = await pageData.getTextContent();
-          let lastY = '';
-          let pageText = '';
-          for (const item of textContent.items) {
-            if (lastY === item.transform[5] || !lastY) {
-              pageText += item.str;
-            } else {
-              pageText += '\n' + item.str;
-            }
-            lastY = item.transform[5];
-          }
-          return pageText;
-        }
-      });
-      text = pdfData.text;
-      if (collectedUrls.length > 0) {
-        const uniqueUrls = [...new Set(collectedUrls)];
-        text += '\n\nLinks:\n' + uniqueUrls.join('\n');
-      }
-    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      // Extract text + hyperlink URLs (e.g. LinkedIn linked behind display text)
-      const [rawResult, htmlResult] = await Promise.all([
-        mammoth.extractRawText({ buffer }),
-        mammoth.convertToHtml({ buffer })
-      ]);
-      text = rawResult.value;
-      const hrefMatches = htmlResult.value.match(/href="([^"]+)"/g) || [];
-      const docxUrls = [...new Set(
-        hrefMatches
-          .map(m => m.slice(6, -1))
-          .filter(u => /^https?:\/\//.test(u))
-      )];
-      if (docxUrls.length > 0) {
-        text += '\n\nLinks:\n' + docxUrls.join('\n');
-      }
-    } else if (mimetype === 'text/plain') {
-      text = buffer.toString('utf-8');
-    } else {
-      return res.status(400).json({ error: 'Unsupported file type' });
+    const doc = await extractDocument(req.file.buffer, { filename: req.file.originalname });
+    if (!doc) {
+      return res.status(400).json({ error: `Unsupported file type. Allowed: ${SUPPORTED_FORMATS}` });
     }
-
-    text = String(text)
-      .replace(/\r\n/g, '\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
+    if (!doc.text) return res.status(422).json({ error: noTextMessage(doc) });
 
     res.json({
       success: true,
-      text,
+      text: cvText(doc),
       filename: req.file.originalname,
-      size: req.file.size
+      size: req.file.size,
+      type: doc.type,
+      pages: doc.pages,
+      links: doc.links,
+      metadata: doc.metadata,
+      ...(doc.layout ? { layout: doc.layout } : {}),
+      ...(doc.ocr ? { ocr: doc.ocr } : {})
     });
   } catch (e) {
     res.status(500).json({ error: 'Failed to process CV file' });
   }
 });
 
+// Parse diagnostics for the popup: sections found, confidence, warnings.
+// Same parser and response as the backend's /api/cv/parse – `overrides` (the
+// user's corrections) are applied, so the popup's review editor shows the
+// corrected CV. Nothing is stored.
+app.post('/api/cv/parse', authRequired, generateLimiter, (req, res) => {
+  const text = req.body?.text;
+  if (typeof text !== 'string' || text.trim().length < 50) {
+    return res.status(400).json({ error: 'CV text too short or missing' });
+  }
+  try {
+    const { rawText, diagnostics, ...cv } = new CVParser().parse(text.trim(), { overrides: req.body.overrides });
+    res.json({ success: true, cv, diagnostics });
+  } catch (e) {
+    console.error('[DraftApply] CV parse error:', e.message);
+    res.status(500).json({ error: 'Failed to parse CV' });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`DraftApply Render proxy listening on :${PORT}`);
 });
@@ -0,0 +1,129 @@
+/**
+ * Upstream LLM configuration for the proxy.
+ *
+ * Every upstream is an OpenAI-compatible `/chat/completions` endpoint
+ * (Groq, OpenAI, Together, vLLM, Ollama's /v1, LM Studio, …). Upstreams are
+ * tried in order: if one fails before producing an answer the next one takes
+ * over, so the list doubles as the failover chain.
+ *
+ * Sources, first match wins:
+ *   1. UPSTREAMS       – inline JSON array of upstream objects
+ *   2. UPSTREAMS_FILE  – path to a JSON file holding the same array
+ *   3. UPSTREAM_BASE_URL (+ UPSTREAM_NAME, UPSTREAM_MODEL, UPSTREAM_API_KEY,
+ *      UPSTREAM_AUTH_HEADER, UPSTREAM_AUTH_SCHEME, UPSTREAM_CONTEXT_WINDOW)
+ *      – a single upstream
+ *   4. GROQ_API_KEY (+ GROQ_MODEL) – the original hosted Groq setup
+ *
+ * Upstream object:
+ *   { name, baseUrl, model, apiKey?, apiKeyEnv?, authHeader?, authScheme?, timeoutMs?,
+ *     contextWindow? }
+ *
+ * `apiKeyEnv` names an env var to read the key from, so config files can be
+ * committed without secrets. Without a key no auth header is sent (local
+ * Ollama/vLLM). `authScheme: ""` sends the raw key, e.g. for `api-key` headers.
+ * `contextWindow` (tokens) defaults from the name/model via getContextWindow,
+ * falling back to 8192 for models it doesn't know.
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { getContextWindow } from '../backend/llm-providers.js';
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const GROQ_DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Normalise one raw upstream entry. Throws on anything that would only fail
+ * later at request time, so a bad config stops the server at boot.
+ */
+function normalizeUpstream(raw, index, env) {
+  const where = `upstream #${index + 1}`;
+  if (!raw || typeof raw !== 'object') throw new Error(`${where} must be an object`);
+
+  let baseUrl;
+  try {
+    baseUrl = new URL(raw.baseUrl).href.replace(/\/+$/, '');
+  } catch {
+    throw new Error(`${where} has an invalid baseUrl`);
+  }
+  if (typeof raw.model !== 'string' || !raw.model.trim()) {
+    throw new Error(`${where} is missing a model`);
+  }
+
+  const apiKey = raw.apiKey || (raw.apiKeyEnv ? env[raw.apiKeyEnv] : undefined);
+  if (raw.apiKeyEnv && !apiKey) throw new Error(`${where}: env var ${raw.apiKeyEnv} is not set`);
+
+  const name = String(raw.name || new URL(baseUrl).hostname);
+  const model = raw.model.trim();
+  return {
+    name,
+    baseUrl,
+    model,
+    apiKey: apiKey || null,
+    authHeader: raw.authHeader || 'Authorization',
+    authScheme: raw.authScheme ?? 'Bearer',
+    timeoutMs: Number(raw.timeoutMs) > 0 ? Number(raw.timeoutMs) : DEFAULT_TIMEOUT_MS,
+    contextWindow: Number(raw.contextWindow) > 0 ? Number(raw.contextWindow) : getContextWindow(name, model)
+  };
+}
+
+function parseList(json, source) {
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`${source} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`${source} must be a non-empty JSON array`);
+  }
+  return list;
+}
+
+/**
+ * Build the ordered upstream list from the environment.
+ * Returns an empty array when nothing is configured.
+ */
+export function loadUpstreams(env = process.env) {
+  let list;
+  if (env.UPSTREAMS) {
+    list = parseList(env.UPSTREAMS, 'UPSTREAMS');
+  } else if (env.UPSTREAMS_FILE) {
+    list = parseList(readFileSync(resolve(env.UPSTREAMS_FILE), 'utf8'), env.UPSTREAMS_FILE);
+  } else if (env.UPSTREAM_BASE_URL) {
+    list = [{
+      name: env.UPSTREAM_NAME,
+      baseUrl: env.UPSTREAM_BASE_URL,
+      model: env.UPSTREAM_MODEL,
+      apiKey: env.UPSTREAM_API_KEY,
+      authHeader: env.UPSTREAM_AUTH_HEADER,
+      authScheme: env.UPSTREAM_AUTH_SCHEME,
+      contextWindow: env.UPSTREAM_CONTEXT_WINDOW
+    }];
+  } else if (env.GROQ_API_KEY) {
+    list = [{
+      name: 'groq',
+      baseUrl: GROQ_BASE_URL,
+      model: env.GROQ_MODEL || GROQ_DEFAULT_MODEL,
+      apiKey: env.GROQ_API_KEY
+    }];
+  } else {
+    return [];
+  }
+
+  return list.map((raw, i) => normalizeUpstream(raw, i, env));
+}
+
+/**
+ * Request headers for an upstream, including its auth header when a key is set.
+ */
+export function upstreamHeaders(upstream) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (upstream.apiKey) {
+    headers[upstream.authHeader] = upstream.authScheme
+      ? `${upstream.authScheme} ${upstream.apiKey}`
+      : upstream.apiKey;
+  }
+  return headers;
+}
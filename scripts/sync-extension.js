@@ -0,0 +1,47 @@
+/**
+ * Extension Copies
+ *
+ * The extension is packaged on its own and can't import from shared/, so it
+ * ships copies of the shared modules it uses. This script writes them: edit
+ * the file in shared/, then run
+ *
+ *   npm run sync-extension
+ *
+ * test/extension-copies.test.js fails when a copy no longer matches.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const ROOT = new URL('../', import.meta.url);
+
+export const EXTENSION_COPIES = [
+  'answer-language',
+  'answer-limits',
+  'application-profile',
+  'cv-locales',
+  'cv-profiles',
+  'question-classifier',
+  'question-types',
+  'skills-taxonomy',
+  'writing-style'
+];
+
+/**
+ * What extension-ready/<name>.js should contain.
+ */
+export function extensionCopy(name) {
+  const source = readFileSync(new URL(`shared/${name}.js`, ROOT), 'utf8');
+  return `// Generated from shared/${name}.js by \`npm run sync-extension\` – edit that file, not this one.\n${source}`;
+}
+
+export function extensionCopyPath(name) {
+  return fileURLToPath(new URL(`extension-ready/${name}.js`, ROOT));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  for (const name of EXTENSION_COPIES) {
+    writeFileSync(extensionCopyPath(name), extensionCopy(name));
+    console.log(`extension-ready/${name}.js`);
+  }
+}
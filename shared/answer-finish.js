@@ -0,0 +1,53 @@
+/**
+ * Answer Finishing Module
+ *
+ * What happens to a generated answer before it is returned: the backend, the
+ * proxy and the web app hand the model's text and the recipe's result to
+ * finishAnswer and send back what it returns, so a response carries the same
+ * fields whichever server produced it.
+ *
+ * DESIGN DECISIONS:
+ * 1. The recipe already asked the model to stay under the field's limit;
+ *    this catches the answers that didn't and trims them at a sentence
+ *    (fitToLimit in answer-limits.js)
+ * 2. With the user's style profile, the (trimmed) answer is checked against
+ *    it (checkStyleDrift in writing-style.js). Drift is reported, never
+ *    corrected – the answer is returned as generated
+ * 3. Fields are only set when they say something: `limit` when there is one,
+ *    `cutToLimit` only when the answer was cut, `styleDrift` only when it
+ *    was checked
+ * 4. A streamed answer has already been shown, so it is finished by the
+ *    client once the stream ends, with the same function
+ *
+ * Usage:
+ *   const prompt = buildPrompts(input);
+ *   // … generate `text` from prompt.systemPrompt / prompt.userPrompt …
+ *   res.json({ ...finishAnswer(text, { ...prompt, tone }), provider });
+ *   // → { answer, limit?, cutToLimit?, styleDrift? }
+ */
+
+import { fitToLimit } from './answer-limits.js';
+import { checkStyleDrift } from './writing-style.js';
+
+/**
+ * A generated answer held to the limit the recipe prompted for, and checked
+ * against the user's writing style.
+ *
+ * @param {string} answer - The model's text
+ * @param {Object} [prompt] - buildPrompts() result plus the request's `tone`,
+ *   or any object with { limit?, writingStyle?, language?, tone? }
+ * @returns {Object} { answer, limit?, cutToLimit?, styleDrift? }
+ */
+export function finishAnswer(answer, prompt = {}) {
+  const { limit = null, writingStyle = null, language = null, tone = 'natural' } = prompt || {};
+  const fitted = limit ? fitToLimit(answer, limit) : { text: answer, cut: false };
+  const styleDrift = writingStyle
+    ? checkStyleDrift(fitted.text, writingStyle, { tone, language: language?.code ?? language })
+    : null;
+  return {
+    answer: fitted.text,
+    ...(limit ? { limit } : {}),
+    ...(fitted.cut ? { cutToLimit: true } : {}),
+    ...(styleDrift ? { styleDrift } : {})
+  };
+}
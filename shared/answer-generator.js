@@ -22,22 +22,26 @@ export class AnswerGenerator {
     this.config = {
       apiEndpoint: config.apiEndpoint || '/api/generate',
       model: config.model || 'gpt-4o',
-      temperature: config.temperature || 0.7,
+      temperature: config.temperature ?? 0.7,
       ...config
     };
     
     this.parsedCV = null;
     this.rawCV = null;
+    this.cvOverrides = null;
   }
 
   /**
    * Load and parse a CV
    * @param {string} cvText - Raw CV text
+   * @param {Object} [options]
+   * @param {Object} [options.overrides] - User corrections (cv-overrides.js)
    * @returns {Object} Parsed CV data
    */
-  loadCV(cvText) {
+  loadCV(cvText, { overrides = null } = {}) {
     this.rawCV = cvText;
-    this.parsedCV = this.cvParser.parse(cvText);
+    this.cvOverrides = overrides;
+    this.parsedCV = this.cvParser.parse(cvText, { overrides });
     return this.parsedCV;
   }
 
@@ -63,6 +67,7 @@ export class AnswerGenerator {
   clearCV() {
     this.parsedCV = null;
     this.rawCV = null;
+    this.cvOverrides = null;
   }
 
   /**
@@ -81,12 +86,14 @@ export class AnswerGenerator {
       this.parsedCV,
       question,
       length,
-      {
-        jobTitle: options.jobTitle,
-        company: options.company
-      }
+      { ...options, cvOverrides: this.cvOverrides }
     );
 
+    // Plain field answered by the application profile – no API call
+    if (prompt.directAnswer) {
+      return { answer: prompt.directAnswer, questionType: prompt.metadata.questionType, length };
+    }
+
     try {
       const response = await this.callAPI(prompt);
       const processedAnswer = this.postProcess(response.answer);
@@ -120,12 +127,14 @@ export class AnswerGenerator {
       this.parsedCV,
       question,
       length,
-      {
-        jobTitle: options.jobTitle,
-        company: options.company
-      }
+      { ...options, cvOverrides: this.cvOverrides }
     );
 
+    if (prompt.directAnswer) {
+      if (onChunk) onChunk(prompt.directAnswer);
+      return { answer: prompt.directAnswer, questionType: prompt.metadata.questionType, length };
+    }
+
     try {
       const response = await this.callAPIStream(prompt, onChunk);
       const processedAnswer = this.postProcess(response.answer);
@@ -154,7 +163,8 @@ export class AnswerGenerator {
       },
       body: JSON.stringify({
         model: this.config.model,
-        temperature: this.config.temperature,
+        temperature: prompt.temperature ?? this.config.temperature,
+        maxTokens: prompt.maxTokens,
         systemPrompt: prompt.systemPrompt,
         userPrompt: prompt.userPrompt,
         stream: false
@@ -187,7 +197,8 @@ export class AnswerGenerator {
       },
       body: JSON.stringify({
         model: this.config.model,
-        temperature: this.config.temperature,
+        temperature: prompt.temperature ?? this.config.temperature,
+        maxTokens: prompt.maxTokens,
         systemPrompt: prompt.systemPrompt,
         userPrompt: prompt.userPrompt,
         stream: true
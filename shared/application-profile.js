@@ -0,0 +1,136 @@
+/**
+ * Application Profile Module
+ *
+ * Facts a candidate is asked on almost every application form but that no CV
+ * contains: notice period, start date, work authorization, visa sponsorship,
+ * relocation and expected salary. The user fills them in once (extension
+ * popup, web app settings) and they become the authoritative source for
+ * those answers.
+ *
+ * DESIGN DECISIONS:
+ * 1. A fixed set of fields rather than free-form notes – each field knows the
+ *    form labels it answers, so a plain field like "Notice period*" is filled
+ *    straight from the profile with no LLM call
+ * 2. Values are kept exactly as the user typed them; they are quoted, not
+ *    reworded, so "4 weeks" never becomes "one month"
+ * 3. Fuller questions ("When could you start, and do you need sponsorship?")
+ *    still go to the LLM, with the facts placed above the CV and marked
+ *    authoritative (see recipe.js)
+ *
+ * The extension's copy (extension-ready/application-profile.js) is generated from this
+ * file by `npm run sync-extension`.
+ *
+ * Profile shape: { noticePeriod?, startDate?, workAuthorization?,
+ *                  visaSponsorship?, relocation?, salaryExpectation? }
+ */
+
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * `plain` matches a bare form label the value can fill as-is;
+ * `topic` matches any question that touches the fact.
+ */
+export const PROFILE_FIELDS = [
+  {
+    key: 'noticePeriod',
+    label: 'Notice period',
+    plain: /^(current\s+)?notice\s*period(\s*\(.*\))?$/,
+    topic: /notice\s*period/
+  },
+  {
+    key: 'startDate',
+    label: 'Earliest start date',
+    plain: /^((earliest|expected|preferred|possible|available)\s+)?(start(ing)?\s*date|date\s+available|availability(\s+date)?)$/,
+    topic: /\bstart(ing)?\s+date\b|when\s+(can|could|would|are)\s+you\s+(start|be\s+available|available|join)|\bavailability\b|available\s+to\s+start/
+  },
+  {
+    key: 'workAuthorization',
+    label: 'Work authorization',
+    plain: /^(work\s*authori[sz]ation(\s+status)?|right\s+to\s+work|visa\s+status|immigration\s+status|citizenship(\s+status)?)$/,
+    topic: /work\s*authori[sz]ation|authori[sz]ed\s+to\s+work|right\s+to\s+work|eligib(le|ility)\s+to\s+work|legally\s+(able|allowed|permitted)\s+to\s+work|visa\s+status|citizenship/
+  },
+  {
+    key: 'visaSponsorship',
+    label: 'Needs visa sponsorship',
+    plain: /^((visa|work\s+permit)\s+)?sponsorship(\s+(required|needed))?$|^requires?\s+(visa\s+)?sponsorship$/,
+    topic: /sponsor/
+  },
+  {
+    key: 'relocation',
+    label: 'Open to relocation',
+    plain: /^((willing|open)\s+to\s+)?relocat(e|ion)$/,
+    topic: /relocat/
+  },
+  {
+    key: 'salaryExpectation',
+    label: 'Expected salary',
+    plain: /^((expected|desired|target)\s+)?(salary|compensation)(\s+(expectations?|requirements?|range))?$|^(expected|desired)\s+(pay|rate)$/,
+    topic: /\bsalary\b|compensation|\b(day|daily|hourly)\s+rate\b|\bexpected\s+pay\b/
+  }
+];
+
+// Same clean-up as recipe.js cleanFieldLabel, plus lowercasing
+function normalizeLabel(question) {
+  return (question || '')
+    .trim()
+    .replace(/[*:?\u2217\u2731]+$/g, '')
+    .replace(/^(please\s+(enter|provide|input|type|specify)\s+(your\s+)?)/i, '')
+    .replace(/^(enter\s+(your\s+)?)/i, '')
+    .replace(/^(your\s+)/i, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Keep only known fields with non-empty string values.
+ *
+ * @param {Object} raw - Profile as stored or received over the wire
+ * @returns {Object} Clean profile (possibly empty)
+ */
+export function normalizeApplicationProfile(raw) {
+  const profile = {};
+  if (!raw || typeof raw !== 'object') return profile;
+  for (const { key } of PROFILE_FIELDS) {
+    const value = typeof raw[key] === 'string' ? raw[key].trim().slice(0, MAX_VALUE_LENGTH) : '';
+    if (value) profile[key] = value;
+  }
+  return profile;
+}
+
+/**
+ * Answer a plain form field straight from the profile.
+ *
+ * @param {string} question - Field label or question
+ * @param {Object} profile - Application profile
+ * @returns {Object|null} { field, value } when the label is a bare field the
+ *   profile has a value for; null otherwise (the LLM should answer)
+ */
+export function answerFromProfile(question, profile) {
+  const clean = normalizeApplicationProfile(profile);
+  const label = normalizeLabel(question);
+  if (!label) return null;
+  const field = PROFILE_FIELDS.find(f => f.plain.test(label));
+  return field && clean[field.key] ? { field: field.key, value: clean[field.key] } : null;
+}
+
+/**
+ * Fields a question touches, e.g. "When could you start and do you need
+ * sponsorship?" → ['startDate', 'visaSponsorship'].
+ */
+export function profileTopics(question) {
+  const q = (question || '').toLowerCase();
+  return PROFILE_FIELDS.filter(f => f.topic.test(q)).map(f => f.key);
+}
+
+/**
+ * Render the filled-in facts as a prompt block, one "Label: value" per line.
+ *
+ * @returns {string} '' when the profile is empty
+ */
+export function formatProfileFacts(profile) {
+  const clean = normalizeApplicationProfile(profile);
+  return PROFILE_FIELDS
+    .filter(f => clean[f.key])
+    .map(f => `- ${f.label}: ${clean[f.key]}`)
+    .join('\n');
+}
@@ -0,0 +1,213 @@
+/**
+ * CV Dates Module
+ *
+ * Turns the free-text date ranges on a CV ("Jan 2020 – Present",
+ * "Summer 2019 - Spring 2020", "03/2018 to 11/2019", "2016 - 2020") into
+ * month-precise start/end points, and derives the career timeline from
+ * them: tenure per role, total years of experience, overlapping roles and
+ * employment gaps.
+ *
+ * DESIGN DECISIONS:
+ * 1. Months are the unit – CVs rarely give days, and a month index
+ *    (year * 12 + month) makes every calculation plain integer arithmetic
+ * 2. Each point keeps its precision ('month', 'season', 'year'). Year-only
+ *    ranges run from January of the first year to January of the last, so
+ *    "2016 - 2020" then "2020 - Present" reads as back-to-back, not as a
+ *    year of overlap
+ * 3. Total experience is the union of all roles, so two parallel jobs
+ *    aren't counted twice
+ * 4. `now` is a parameter everywhere, so results are reproducible
+ * 5. Month, season, "present" and range words come from cv-locales.js in
+ *    every supported language at once ("März 2020 – heute", "desde enero de
+ *    2019") – they only count next to a year, so mixing is safe
+ */
+
+import { MONTH_WORDS, SEASON_WORDS, PRESENT_WORDS, RANGE_WORDS, SINCE_WORDS } from './cv-locales.js';
+
+const PRESENT = new RegExp(`^(?:${PRESENT_WORDS.join('|')})$`, 'i');
+
+// Gaps and overlaps shorter than this are noise (notice periods, rounding)
+export const MIN_GAP_MONTHS = 3;
+export const MIN_OVERLAP_MONTHS = 2;
+
+// Longest first, so "june" wins over "jun" and "septiembre" over "sept"
+const byLength = (words) => [...words].sort((a, b) => b.length - a.length).join('|');
+const MONTH_WORD = `(?:${byLength(Object.keys(MONTH_WORDS))})\\.?`;
+const SEASON_WORD = `(?:${byLength(Object.keys(SEASON_WORDS))})`;
+const YEAR = '(?:19|20)\\d{2}';
+// "enero de 2020", "janeiro de 2020"
+const POINT = `(?:(?:${MONTH_WORD}|${SEASON_WORD})\\s*,?\\s*(?:de\\s+)?'?${YEAR}|\\d{1,2}\\s*[/.]\\s*${YEAR}|${YEAR}\\s*[-/.]\\s*\\d{1,2}(?!\\d)|${YEAR})`;
+const END_POINT = `(?:${POINT}|${PRESENT_WORDS.join('|')})`;
+const RANGE = new RegExp(`(${POINT})\\s*(?:[-–—]+|\\s(?:${RANGE_WORDS.join('|')})\\s)\\s*(${END_POINT})(?!\\p{L})`, 'iu');
+const SINCE = new RegExp(`(?:^|[^\\p{L}])(?:${SINCE_WORDS.join('|')})\\s+(${POINT})`, 'iu');
+const SINGLE = new RegExp(`^(${POINT})$`, 'i');
+
+export function monthIndex({ year, month }) {
+  return year * 12 + (month - 1);
+}
+
+function fromIndex(index) {
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+function nowPoint(now) {
+  return { year: now.getFullYear(), month: now.getMonth() + 1 };
+}
+
+/**
+ * Parse one date point.
+ *
+ * @param {string} text - e.g. "Sept 2018", "Summer 2019", "März 2020", "03/2020", "2020-03", "2016"
+ * @param {Object} [options] - { asEnd } picks the last month of a season
+ * @returns {Object|null} { year, month, precision } or null
+ */
+export function parseDatePoint(text, { asEnd = false } = {}) {
+  const t = (text || '').trim().toLowerCase().replace(/[.,']/g, ' ').replace(/\s+/g, ' ').replace(/ de (?=\d)/, ' ');
+
+  let m = t.match(/^(\p{L}+) ?((?:19|20)\d{2})$/u);
+  if (m) {
+    const season = SEASON_WORDS[m[1]];
+    if (season) return { year: Number(m[2]), month: season[asEnd ? 1 : 0], precision: 'season' };
+    if (MONTH_WORDS[m[1]]) return { year: Number(m[2]), month: MONTH_WORDS[m[1]], precision: 'month' };
+    return null;
+  }
+
+  m = t.match(/^(\d{1,2}) ?\/ ?((?:19|20)\d{2})$/) || t.match(/^(\d{1,2}) ((?:19|20)\d{2})$/);
+  if (m && Number(m[1]) >= 1 && Number(m[1]) <= 12) {
+    return { year: Number(m[2]), month: Number(m[1]), precision: 'month' };
+  }
+
+  m = t.match(/^((?:19|20)\d{2}) ?[-/ ] ?(\d{1,2})$/);
+  if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
+    return { year: Number(m[1]), month: Number(m[2]), precision: 'month' };
+  }
+
+  m = t.match(/^((?:19|20)\d{2})$/);
+  if (m) return { year: Number(m[1]), month: 1, precision: 'year' };
+
+  return null;
+}
+
+/**
+ * Find and parse the date range in a line of text.
+ *
+ * @param {string} text - e.g. "Acme Corp · Jan 2020 – Present"
+ * @param {Date} [now]
+ * @returns {Object|null} { start, end, current, months, raw } where `start`
+ *   and `end` are { year, month, precision } and `end` is exclusive (the
+ *   month after the last one worked); `current` is true for "Present"
+ */
+export function parseDateRange(text, now = new Date()) {
+  const source = text || '';
+  let startText, endText, raw;
+
+  let m = source.match(RANGE);
+  if (m) {
+    [raw, startText, endText] = m;
+  } else if ((m = source.match(SINCE))) {
+    [raw, startText] = m;
+    endText = 'present';
+  } else if ((m = source.trim().match(SINGLE))) {
+    // A line that is only a date: a role that started and ended within it
+    [raw, startText] = m;
+    endText = startText;
+  } else {
+    return null;
+  }
+
+  const start = parseDatePoint(startText);
+  if (!start) return null;
+
+  const current = PRESENT.test(endText.trim());
+  let end;
+  if (current) {
+    const today = nowPoint(now);
+    end = { ...fromIndex(monthIndex(today) + 1), precision: 'month' };
+  } else {
+    const last = parseDatePoint(endText, { asEnd: true });
+    if (!last) return null;
+    // Year-only end: "2016 - 2020" runs to January 2020, unless it is a
+    // single year ("2019" or "2019 - 2019"), which counts as the whole year
+    end = last.precision === 'year'
+      ? { year: last.year + (last.year === start.year ? 1 : 0), month: 1, precision: 'year' }
+      : { ...fromIndex(monthIndex(last) + 1), precision: last.precision };
+  }
+
+  const months = monthIndex(end) - monthIndex(start);
+  if (months <= 0) return null;
+  return { start, end, current, months, raw: raw.trim() };
+}
+
+/**
+ * Career timeline from a list of parsed ranges.
+ *
+ * @param {Array} roles - [{ label, range }] where `range` comes from parseDateRange
+ * @param {Date} [now]
+ * @returns {Object} { totalMonths, totalYears, firstStart, overlaps, gaps }
+ *   `overlaps`: [{ a, b, months }] (role labels); `gaps`: [{ from, to, months, ongoing }]
+ *   with from/to as "YYYY-MM"
+ */
+export function buildTimeline(roles, now = new Date()) {
+  const dated = (roles || []).filter(r => r?.range).map(r => ({
+    label: r.label,
+    start: monthIndex(r.range.start),
+    end: monthIndex(r.range.end)
+  }));
+  if (!dated.length) return { totalMonths: 0, totalYears: 0, firstStart: null, overlaps: [], gaps: [] };
+
+  const overlaps = [];
+  for (let i = 0; i < dated.length; i++) {
+    for (let j = i + 1; j < dated.length; j++) {
+      const months = Math.min(dated[i].end, dated[j].end) - Math.max(dated[i].start, dated[j].start);
+      if (months >= MIN_OVERLAP_MONTHS) overlaps.push({ a: dated[i].label, b: dated[j].label, months });
+    }
+  }
+
+  // Merge into covered intervals, then read the gaps between them
+  const sorted = [...dated].sort((x, y) => x.start - y.start);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ start: r.start, end: r.end });
+  }
+
+  const gaps = [];
+  for (let i = 1; i < merged.length; i++) {
+    const months = merged[i].start - merged[i - 1].end;
+    if (months >= MIN_GAP_MONTHS) {
+      gaps.push({ from: formatMonth(merged[i - 1].end), to: formatMonth(merged[i].start), months, ongoing: false });
+    }
+  }
+  const today = monthIndex(nowPoint(now));
+  const lastEnd = merged[merged.length - 1].end;
+  if (today - lastEnd >= MIN_GAP_MONTHS) {
+    gaps.push({ from: formatMonth(lastEnd), to: null, months: today - lastEnd, ongoing: true });
+  }
+
+  const totalMonths = merged.reduce((sum, r) => sum + (r.end - r.start), 0);
+  return {
+    totalMonths,
+    totalYears: Math.round(totalMonths / 12 * 10) / 10,
+    firstStart: formatMonth(sorted[0].start),
+    overlaps,
+    gaps
+  };
+}
+
+function formatMonth(index) {
+  const { year, month } = fromIndex(index);
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * "2 yrs 3 mos" style tenure text.
+ */
+export function formatTenure(months) {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  const parts = [];
+  if (years) parts.push(`${years} yr${years === 1 ? '' : 's'}`);
+  if (rest || !years) parts.push(`${rest} mo${rest === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
@@ -0,0 +1,181 @@
+/**
+ * CV Diagnostics Module
+ *
+ * Says how well a CV was parsed: which sections were found, which heuristic
+ * found them, a confidence per field and warnings a user can act on ("No
+ * work experience found", "Name looks like a job title"). A failed parse
+ * should show up right after upload, not as vague answers later.
+ *
+ * DESIGN DECISIONS:
+ * 1. Computed from CVParser output plus the parser's trace of which
+ *    heuristic matched – no second parse, no LLM call
+ * 2. Confidence is a plain 0–1 score per field, from fixed rules (a role
+ *    found by the main job pattern with parseable dates scores higher than
+ *    one found by the date-line fallback); `overall` is their weighted mean
+ * 3. Warnings name the field and say what to fix in the CV, in plain words
+ * 4. Imported JSON Resume / Europass CVs are mapped field by field, and
+ *    user-corrected sections were checked by the user, so both count as
+ *    certain; only missing content is warned about
+ *
+ * Shape: { sections: string[], heuristics: { sections: { key: how }, experience },
+ *          confidence: { name, email, phone, experience, education, skills, overall },
+ *          warnings: [{ field, message }] }
+ */
+
+// Sections reported as found when they have content
+const SECTION_KEYS = [
+  'summary', 'experience', 'education', 'skills', 'certifications',
+  'projects', 'languages', 'publications', 'awards', 'volunteering'
+];
+
+// Weights of each field in `overall`
+const WEIGHTS = { name: 1, email: 1, phone: 0.5, experience: 3, education: 1.5, skills: 1.5 };
+
+// Entry-level confidence by the heuristic that found the roles
+const EXPERIENCE_BASE = { 'job-pattern': 0.9, 'date-lines': 0.65, import: 1, override: 1 };
+
+const JOB_TITLE_WORDS = new RegExp(
+  '\\b(?:engineer|developer|manager|designer|analyst|consultant|specialist|director|architect|scientist|' +
+  'intern|administrator|coordinator|officer|assistant|technician|programmer|head\\s+of|' +
+  'entwickler(?:in)?|ingenieur(?:in)?|berater(?:in)?|développeur|développeuse|ingénieur|chef\\s+de\\s+projet|' +
+  'desarrollador(?:a)?|ingeniero|ingeniera|analista|ontwikkelaar|engenheiro|engenheira|desenvolvedor(?:a)?)\\b',
+  'i'
+);
+const DOCUMENT_TITLE = /^(?:curriculum\s+vitae|resume|résumé|cv|lebenslauf|currículo)$/i;
+
+/**
+ * Diagnose a parsed CV.
+ *
+ * @param {Object} cv - CVParser result (without `diagnostics`)
+ * @param {Object} [trace] - { sections: { key: how }, experience } from the parser;
+ *   omitted for imported documents
+ * @param {string[]} [overridden] - Sections replaced by user corrections
+ * @returns {Object} Diagnostics (shape above)
+ */
+export function diagnoseCV(cv, trace = null, overridden = []) {
+  const imported = !trace;
+  const warnings = [];
+  const warn = (field, message) => warnings.push({ field, message });
+
+  const sections = SECTION_KEYS.filter(key => {
+    const value = cv[key];
+    return Array.isArray(value) ? value.length > 0 : !!(value && String(value).trim());
+  });
+
+  const heuristics = imported
+    ? { sections: Object.fromEntries(sections.map(key => [key, 'import'])), experience: cv.experience.length ? 'import' : null }
+    : { sections: { ...trace.sections }, experience: trace.experience || null };
+  for (const key of overridden) heuristics.sections[key] = 'override';
+  if (overridden.includes('experience')) heuristics.experience = 'override';
+
+  const confidence = {
+    name: nameConfidence(cv.contactInfo?.name, warn),
+    email: cv.contactInfo?.email ? 0.95 : 0,
+    phone: phoneConfidence(cv.contactInfo?.phone, warn),
+    experience: experienceConfidence(cv.experience, heuristics.experience, warn),
+    education: educationConfidence(cv.education, warn),
+    skills: skillsConfidence(cv.skills, warn)
+  };
+  if (!cv.contactInfo?.email) warn('email', 'No email address found.');
+  if (imported) {
+    // Mapped field by field: what is there is certain
+    for (const key of Object.keys(confidence)) if (confidence[key] > 0) confidence[key] = 1;
+  }
+  for (const key of overridden) {
+    const fields = key === 'contactInfo' ? ['name', 'email', 'phone'] : [key];
+    for (const f of fields) if (confidence[f] > 0) confidence[f] = 1;
+  }
+
+  const weightSum = Object.values(WEIGHTS).reduce((a, b) => a + b, 0);
+  confidence.overall = round(
+    Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + confidence[key] * weight, 0) / weightSum
+  );
+
+  return { sections, heuristics, confidence, warnings };
+}
+
+function nameConfidence(name, warn) {
+  const value = (name || '').trim();
+  if (!value) {
+    warn('name', 'No name found on the first line.');
+    return 0;
+  }
+  if (DOCUMENT_TITLE.test(value)) {
+    warn('name', `Name looks like a document title ("${value}") – put your name on the first line.`);
+    return 0.1;
+  }
+  if (/@|\d|https?:/i.test(value)) {
+    warn('name', `Name looks like contact details ("${value}") – put your name on the first line.`);
+    return 0.1;
+  }
+  if (JOB_TITLE_WORDS.test(value)) {
+    warn('name', `Name looks like a job title ("${value}") – put your name on the first line.`);
+    return 0.2;
+  }
+  const words = value.split(/\s+/);
+  return words.length >= 2 && words.length <= 4 && words.every(w => /^\p{Lu}/u.test(w)) ? 0.9 : 0.5;
+}
+
+function phoneConfidence(phone, warn) {
+  const digits = (phone || '').replace(/\D/g, '');
+  if (!digits) return 0;
+  if (digits.length < 7) {
+    warn('phone', `Phone number looks like a date or a year ("${phone.trim()}").`);
+    return 0.1;
+  }
+  return 0.8;
+}
+
+function experienceConfidence(experience, heuristic, warn) {
+  if (!experience?.length) {
+    warn('experience', 'No work experience found – check the experience heading and that each role has a date range.');
+    return 0;
+  }
+  const undated = experience.filter(e => !e.start).length;
+  const unlabeled = experience.filter(e => !e.title || !e.company).length;
+  if (undated) warn('experience', `${undated} of ${experience.length} roles have no dates that could be read.`);
+  if (unlabeled) warn('experience', `${unlabeled} of ${experience.length} roles are missing a job title or company.`);
+  if (heuristic === 'date-lines') warn('experience', 'Roles were found from date lines only; titles and companies may be swapped.');
+
+  const base = EXPERIENCE_BASE[heuristic] ?? 0.5;
+  const complete = 1 - (undated + unlabeled) / (2 * experience.length);
+  return round(base * (0.5 + 0.5 * complete));
+}
+
+function educationConfidence(education, warn) {
+  if (!education?.length) {
+    warn('education', 'No education found.');
+    return 0;
+  }
+  const undated = education.filter(e => !e.dates).length;
+  return round(0.85 - 0.35 * (undated / education.length));
+}
+
+function skillsConfidence(skills, warn) {
+  if (!skills?.length) {
+    warn('skills', 'No skills list found.');
+    return 0;
+  }
+  // Sentences in the list mean the section ran into the next one
+  const long = skills.filter(s => s.split(/\s+/).length > 5).length;
+  if (long) warn('skills', `${long} skill entries look like sentences – the skills section may have run into the next section.`);
+  if (skills.length < 3) return 0.5;
+  return round(0.9 - 0.5 * (long / skills.length));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * One-line summary for a status line, e.g.
+ * "Found experience (3 roles), education, skills · 86% confidence".
+ */
+export function summarizeDiagnostics(diagnostics, cv) {
+  const counts = { experience: ['role', 'roles'], skills: ['skill', 'skills'], projects: ['project', 'projects'] };
+  const found = diagnostics.sections.map(key => {
+    const n = cv?.[key]?.length;
+    return counts[key] && n ? `${key} (${n} ${counts[key][n === 1 ? 0 : 1]})` : key;
+  });
+  return `${found.length ? `Found ${found.join(', ')}` : 'No sections found'} · ${Math.round(diagnostics.confidence.overall * 100)}% confidence`;
+}
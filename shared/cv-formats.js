@@ -0,0 +1,656 @@
+/**
+ * CV Formats Module
+ *
+ * Structured CV formats in and out of DraftApply:
+ * - JSON Resume (https://jsonresume.org, `resume.json`) – import and export
+ * - Europass XML – import, both the classic SkillsPassport (v3) documents and
+ *   the HR-XML based `<Candidate>` documents the current Europass editor saves
+ *
+ * DESIGN DECISIONS:
+ * 1. Imports map straight into the CVParser `structured` shape – companies,
+ *    titles and dates come from the document's own fields, so none of the
+ *    text heuristics run
+ * 2. The imported document itself is what gets stored as the CV. Everything
+ *    downstream that wants text (retrieval, prompts, profile matching) calls
+ *    `cvPlainText`, which renders it as an ordinary plain-text CV
+ * 3. Europass is read with a small tolerant XML reader (elements, attributes,
+ *    text) and by local element names, so namespace prefixes don't matter and
+ *    the module needs no DOM – it runs in the browser, the servers and the
+ *    extension alike
+ */
+
+import { parseDateRange } from './cv-dates.js';
+
+export const CV_FORMATS = {
+  TEXT: 'text',
+  JSON_RESUME: 'json-resume',
+  EUROPASS: 'europass'
+};
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function isJSONResume(doc) {
+  return !!doc && typeof doc === 'object' && !Array.isArray(doc) &&
+    ['basics', 'work', 'education', 'skills'].some(key => key in doc);
+}
+
+/**
+ * Which format a stored CV is in.
+ *
+ * @param {string} text - CV as stored (plain text, resume.json or Europass XML)
+ * @returns {string} One of CV_FORMATS
+ */
+export function detectCVFormat(text) {
+  const t = (text || '').trim();
+  if (t.startsWith('{') && isJSONResume(tryParseJSON(t))) return CV_FORMATS.JSON_RESUME;
+  if (t.startsWith('<') && /<(\w+:)?(SkillsPassport|LearnerInfo|Candidate)\b/.test(t)) return CV_FORMATS.EUROPASS;
+  return CV_FORMATS.TEXT;
+}
+
+/**
+ * Import a structured CV document.
+ *
+ * @param {string} text - resume.json or Europass XML
+ * @returns {Object|null} { format, cv } where `cv` has the CVParser
+ *   structured sections (role dates still as text); null for plain text
+ */
+export function importCV(text) {
+  const format = detectCVFormat(text);
+  if (format === CV_FORMATS.JSON_RESUME) return { format, cv: importJSONResume(text) };
+  if (format === CV_FORMATS.EUROPASS) return { format, cv: importEuropassXML(text) };
+  return null;
+}
+
+/**
+ * The CV as plain text: structured documents are rendered, anything else is
+ * returned unchanged.
+ */
+export function cvPlainText(text) {
+  const imported = importCV(text);
+  return imported ? renderCVText(imported.cv) : (text || '');
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+function str(value) {
+  return typeof value === 'string' ? value.trim() : (typeof value === 'number' ? String(value) : '');
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * "2020-03-01" / "2020-03" / "2020" → "Mar 2020" / "2020" (a form the
+ * CV date parser reads back).
+ */
+function displayDate(iso) {
+  const m = str(iso).match(/^(\d{4})(?:-(\d{1,2}))?/);
+  if (!m) return str(iso);
+  const month = Number(m[2]);
+  return month >= 1 && month <= 12 ? `${MONTH_NAMES[month - 1]} ${m[1]}` : m[1];
+}
+
+// Projects often have only a date, or none; they are never "Present" by default
+function projectDates(start, end) {
+  if (str(start) && str(end) && str(start) !== str(end)) return dateRangeText(start, end, false);
+  return displayDate(start || end);
+}
+
+function yearOf(date) {
+  return str(date).match(/\d{4}/)?.[0] || '';
+}
+
+// Without a start only the end is shown – a degree often has just its
+// graduation date
+function dateRangeText(start, end, current = !str(end)) {
+  const from = displayDate(start);
+  if (!from) return current ? '' : displayDate(end);
+  return `${from} – ${current ? 'Present' : displayDate(end)}`;
+}
+
+// Strip the HTML Europass keeps in descriptions; keep list items as lines
+function htmlToLines(html) {
+  return decodeEntities(str(html)
+    .replace(/<\s*br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|div|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(l => l.replace(/^[\s•\-*]+/, '').trim())
+    .filter(Boolean);
+}
+
+function emptyCV() {
+  return {
+    contactInfo: { name: '', email: '', phone: '', linkedin: '', github: '', website: '', twitter: '', portfolio: '' },
+    summary: '',
+    experience: [],
+    education: [],
+    skills: [],
+    achievements: [],
+    certifications: [],
+    projects: [],
+    languages: [],
+    publications: [],
+    awards: [],
+    volunteering: [],
+    // Sections with no CVParser counterpart (interests, memberships, …) –
+    // rendered into the text only
+    extra: []
+  };
+}
+
+// Sort a profile URL into the contact field it belongs to
+function assignProfileUrl(contact, url, network = '') {
+  const u = str(url);
+  const n = network.toLowerCase();
+  if (!u) return;
+  if (/linkedin\.com/i.test(u) || n === 'linkedin') contact.linkedin ||= u;
+  else if (/github\.com/i.test(u) || n === 'github') contact.github ||= u;
+  else if (/(twitter|x)\.com/i.test(u) || n === 'twitter' || n === 'x') contact.twitter ||= u;
+  else if (/behance\.net|dribbble\.com|kaggle\.com/i.test(u)) contact.portfolio ||= u;
+  else contact.website ||= u;
+}
+
+// ---------------------------------------------------------------------------
+// JSON Resume
+// ---------------------------------------------------------------------------
+
+/**
+ * Map a JSON Resume document into the CVParser structured shape.
+ *
+ * @param {string|Object} input - resume.json text or the parsed object
+ * @returns {Object} Structured CV (role dates as text, see importCV)
+ */
+export function importJSONResume(input) {
+  const doc = typeof input === 'string' ? tryParseJSON(input) : input;
+  if (!isJSONResume(doc)) throw new Error('Not a JSON Resume document');
+
+  const cv = emptyCV();
+  const basics = doc.basics || {};
+  cv.contactInfo.name = str(basics.name);
+  cv.contactInfo.email = str(basics.email);
+  cv.contactInfo.phone = str(basics.phone);
+  assignProfileUrl(cv.contactInfo, basics.url);
+  for (const p of list(basics.profiles)) {
+    assignProfileUrl(cv.contactInfo, p?.url || (p?.network && p?.username ? `${p.network}: ${p.username}` : ''), str(p?.network));
+  }
+  cv.headline = str(basics.label);
+  const location = basics.location || {};
+  cv.location = [location.city, location.region, location.countryCode].map(str).filter(Boolean).join(', ');
+  cv.summary = str(basics.summary);
+
+  cv.experience = list(doc.work).map(w => ({
+    company: str(w?.name || w?.company),
+    title: str(w?.position),
+    dates: dateRangeText(w?.startDate, w?.endDate),
+    responsibilities: [
+      ...htmlToLines(w?.summary),
+      ...list(w?.highlights).map(str).filter(Boolean)
+    ]
+  })).filter(e => e.company || e.title);
+
+  // The degree is what prompts see; studyType and area are kept for export
+  cv.education = list(doc.education).map(e => ({
+    institution: str(e?.institution),
+    degree: [str(e?.studyType), str(e?.area)].filter(Boolean).join(', '),
+    dates: dateRangeText(e?.startDate, e?.endDate),
+    ...(str(e?.studyType) ? { studyType: str(e.studyType) } : {}),
+    ...(str(e?.area) ? { area: str(e.area) } : {})
+  })).filter(e => e.institution || e.degree);
+
+  cv.skills = [...new Set(list(doc.skills).flatMap(s => [str(s?.name), ...list(s?.keywords).map(str)]).filter(Boolean))];
+  cv.certifications = list(doc.certificates)
+    .map(c => [str(c?.name), str(c?.issuer), displayDate(c?.date)].filter(Boolean).join(' – '))
+    .filter(Boolean);
+  cv.awards = list(doc.awards).map(a => ({
+    title: [str(a?.title), str(a?.summary)].filter(Boolean).join(': '),
+    issuer: str(a?.awarder),
+    year: yearOf(a?.date)
+  })).filter(a => a.title);
+
+  cv.projects = list(doc.projects).map(p => ({
+    name: str(p?.name),
+    dates: projectDates(p?.startDate, p?.endDate),
+    description: str(p?.description),
+    technologies: list(p?.keywords).map(str).filter(Boolean),
+    highlights: list(p?.highlights).map(str).filter(Boolean),
+    url: str(p?.url)
+  })).filter(p => p.name || p.description);
+  cv.languages = list(doc.languages)
+    .map(l => ({ language: str(l?.language), proficiency: str(l?.fluency) }))
+    .filter(l => l.language);
+  cv.publications = list(doc.publications).map(p => ({
+    title: str(p?.name),
+    venue: str(p?.publisher),
+    year: yearOf(p?.releaseDate),
+    url: str(p?.url)
+  })).filter(p => p.title);
+  cv.volunteering = list(doc.volunteer).map(v => ({
+    role: str(v?.position),
+    organization: str(v?.organization),
+    dates: dateRangeText(v?.startDate, v?.endDate),
+    highlights: [...htmlToLines(v?.summary), ...list(v?.highlights).map(str).filter(Boolean)]
+  })).filter(v => v.role || v.organization);
+
+  const interests = list(doc.interests).map(i => [str(i?.name), list(i?.keywords).map(str).join(', ')].filter(Boolean).join(': ')).filter(Boolean);
+  if (interests.length) cv.extra.push({ heading: 'Interests', items: interests });
+
+  return cv;
+}
+
+/**
+ * JSON Resume start/end dates for a CV date range: "YYYY-MM", or just the
+ * year when that is all the CV gave. No endDate while the role is current.
+ * With `endOnly`, a single date ("2020", not a range) is exported as the
+ * endDate alone – a graduation date.
+ */
+function exportDates(datesText, { endOnly = false } = {}) {
+  const range = parseDateRange(datesText || '');
+  if (!range) return {};
+  const iso = ({ year, month }) => `${year}-${String(month).padStart(2, '0')}`;
+
+  const startDate = range.start.precision === 'year' ? String(range.start.year) : iso(range.start);
+  if (range.current) return { startDate };
+
+  let endDate;
+  if (range.end.precision === 'year') {
+    // "2016 - 2020" ends at January 2020, a lone "2019" at January 2020 too
+    const year = range.raw.includes(String(range.end.year)) ? range.end.year : range.end.year - 1;
+    endDate = String(year);
+  } else {
+    const { year, month } = range.end;
+    endDate = iso(month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 });
+  }
+  return endOnly && startDate === endDate ? { endDate } : { startDate, endDate };
+}
+
+/**
+ * JSON Resume studyType and area for an education entry: the imported
+ * fields when the degree is still what they made, else the degree split at
+ * "in" or its first comma ("BSc in Computer Science", "MSc, Physics").
+ */
+function exportDegree(entry) {
+  const degree = str(entry.degree);
+  if (!degree) return {};
+  if ((entry.studyType || entry.area) && degree === [entry.studyType, entry.area].filter(Boolean).join(', ')) {
+    return {
+      ...(entry.studyType ? { studyType: entry.studyType } : {}),
+      ...(entry.area ? { area: entry.area } : {})
+    };
+  }
+  const m = degree.match(/^(.+?)(?:\s+in\s+|,\s*)(.+)$/i);
+  return m ? { studyType: m[1].trim(), area: m[2].trim() } : { studyType: degree };
+}
+
+/**
+ * Export a parsed (or imported, or corrected) CV as a JSON Resume document.
+ *
+ * @param {Object} cv - CVParser structured output
+ * @returns {Object} JSON Resume object – stringify it to save `resume.json`
+ */
+export function exportJSONResume(cv) {
+  const contact = cv?.contactInfo || {};
+  const profiles = [
+    contact.linkedin && { network: 'LinkedIn', url: withScheme(contact.linkedin) },
+    contact.github && { network: 'GitHub', url: withScheme(contact.github) },
+    contact.twitter && { network: 'Twitter', url: withScheme(contact.twitter) },
+    contact.portfolio && { network: 'Portfolio', url: withScheme(contact.portfolio) }
+  ].filter(Boolean);
+
+  const basics = {
+    name: contact.name || '',
+    ...(cv?.headline ? { label: cv.headline } : {}),
+    ...(contact.email ? { email: contact.email } : {}),
+    ...(contact.phone ? { phone: contact.phone } : {}),
+    ...(contact.website ? { url: withScheme(contact.website) } : {}),
+    ...(cv?.summary ? { summary: cv.summary } : {}),
+    ...(cv?.location ? { location: { city: cv.location } } : {}),
+    profiles
+  };
+
+  const work = list(cv?.experience).map(e => ({
+    name: e.company || '',
+    position: e.title || '',
+    ...exportDates(e.dates),
+    highlights: list(e.responsibilities)
+  }));
+
+  const education = list(cv?.education).map(e => ({
+    institution: e.institution || '',
+    ...exportDegree(e),
+    ...exportDates(e.dates, { endOnly: true })
+  }));
+
+  const volunteer = list(cv?.volunteering).map(v => ({
+    organization: v.organization || '',
+    position: v.role || '',
+    ...exportDates(v.dates),
+    highlights: list(v.highlights)
+  }));
+
+  const projects = list(cv?.projects).map(p => ({
+    name: p.name || '',
+    ...(p.description ? { description: p.description } : {}),
+    ...exportDates(p.dates),
+    ...(p.url ? { url: withScheme(p.url) } : {}),
+    keywords: list(p.technologies),
+    highlights: list(p.highlights)
+  }));
+
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics,
+    work,
+    volunteer,
+    education,
+    awards: list(cv?.awards).map(a => ({
+      title: a.title,
+      ...(a.issuer ? { awarder: a.issuer } : {}),
+      ...(a.year ? { date: a.year } : {})
+    })),
+    certificates: list(cv?.certifications).map(name => ({ name })),
+    publications: list(cv?.publications).map(p => ({
+      name: p.title,
+      ...(p.venue ? { publisher: p.venue } : {}),
+      ...(p.year ? { releaseDate: p.year } : {}),
+      ...(p.url ? { url: p.url } : {})
+    })),
+    skills: list(cv?.skills).map(name => ({ name })),
+    languages: list(cv?.languages).map(l => ({ language: l.language, ...(l.proficiency ? { fluency: l.proficiency } : {}) })),
+    projects,
+    meta: { lastModified: new Date().toISOString() }
+  };
+}
+
+function withScheme(url) {
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+// ---------------------------------------------------------------------------
+// Europass XML
+// ---------------------------------------------------------------------------
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (whole, ref) => {
+    const r = ref.toLowerCase();
+    if (r[0] === '#') {
+      const code = r[1] === 'x' ? parseInt(r.slice(2), 16) : parseInt(r.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[r];
+  });
+}
+
+/**
+ * Minimal XML reader: elements (by local name), attributes and text.
+ * Comments, processing instructions and doctype are skipped; CDATA is text.
+ */
+function parseXML(xml) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<\s*([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  const localName = (name) => name.replace(/^[^:]*:/, '');
+
+  let m;
+  while ((m = token.exec(xml)) !== null) {
+    const top = stack[stack.length - 1];
+    if (m[1] !== undefined) {
+      top.text += m[1];
+    } else if (m[2]) {
+      if (stack.length > 1 && top.name === localName(m[2])) stack.pop();
+    } else if (m[3]) {
+      const attrs = {};
+      for (const a of (m[4] || '').matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      }
+      const el = { name: localName(m[3]), attrs, children: [], text: '' };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6]) {
+      top.text += decodeEntities(m[6]);
+    }
+  }
+  return root;
+}
+
+// First descendant along a path of local names, e.g. child(el, 'PersonName', 'FirstName')
+function child(el, ...path) {
+  let node = el;
+  for (const name of path) {
+    node = node?.children.find(c => c.name === name);
+    if (!node) return null;
+  }
+  return node;
+}
+
+function children(el, name) {
+  return el ? el.children.filter(c => c.name === name) : [];
+}
+
+function find(el, name) {
+  if (!el) return null;
+  for (const c of el.children) {
+    if (c.name === name) return c;
+    const deeper = find(c, name);
+    if (deeper) return deeper;
+  }
+  return null;
+}
+
+function findAll(el, name, out = []) {
+  for (const c of el?.children || []) {
+    if (c.name === name) out.push(c);
+    else findAll(c, name, out);
+  }
+  return out;
+}
+
+function textOf(el) {
+  return el ? (el.text + el.children.map(textOf).join(' ')).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Map a Europass XML document into the CVParser structured shape.
+ *
+ * @param {string} xml - Europass CV XML
+ * @returns {Object} Structured CV (role dates as text, see importCV)
+ */
+export function importEuropassXML(xml) {
+  const doc = parseXML(xml || '');
+  const learner = find(doc, 'LearnerInfo');
+  if (learner) return importSkillsPassport(learner);
+  const candidate = find(doc, 'Candidate');
+  if (candidate) return importCandidate(candidate);
+  throw new Error('Not a Europass CV document');
+}
+
+// <Period><From year="2020" month="--03"/><To .../><Current>true</Current></Period>
+function passportPeriod(period) {
+  const point = (el) => {
+    if (!el?.attrs.year) return '';
+    const month = Number((el.attrs.month || '').replace(/\D/g, ''));
+    return month ? `${el.attrs.year}-${String(month).padStart(2, '0')}` : el.attrs.year;
+  };
+  const current = textOf(child(period, 'Current')) === 'true';
+  return dateRangeText(point(child(period, 'From')), point(child(period, 'To')), current || !point(child(period, 'To')));
+}
+
+function importSkillsPassport(learner) {
+  const cv = emptyCV();
+  const id = child(learner, 'Identification');
+  cv.contactInfo.name = [textOf(find(id, 'FirstName')), textOf(find(id, 'Surname'))].filter(Boolean).join(' ');
+  const contact = child(id, 'ContactInfo');
+  cv.contactInfo.email = textOf(child(contact, 'Email', 'Contact'));
+  cv.contactInfo.phone = textOf(find(child(contact, 'TelephoneList'), 'Contact'));
+  for (const site of findAll(child(contact, 'WebsiteList'), 'Website')) {
+    assignProfileUrl(cv.contactInfo, textOf(child(site, 'Contact')));
+  }
+  const address = child(contact, 'Address', 'Contact');
+  cv.location = [textOf(child(address, 'Municipality')), textOf(child(address, 'Country', 'Label'))].filter(Boolean).join(', ');
+  cv.headline = textOf(child(learner, 'Headline', 'Description', 'Label'));
+
+  cv.experience = findAll(child(learner, 'WorkExperienceList'), 'WorkExperience').map(w => ({
+    company: textOf(child(w, 'Employer', 'Name')),
+    title: textOf(child(w, 'Position', 'Label')),
+    dates: passportPeriod(child(w, 'Period')),
+    responsibilities: htmlToLines(child(w, 'Activities')?.text)
+  })).filter(e => e.company || e.title);
+
+  cv.education = findAll(child(learner, 'EducationList'), 'Education').map(e => ({
+    institution: textOf(child(e, 'Organisation', 'Name')),
+    degree: textOf(child(e, 'Title')),
+    dates: passportPeriod(child(e, 'Period'))
+  })).filter(e => e.institution || e.degree);
+
+  const skills = child(learner, 'Skills');
+  const skillLines = ['Computer', 'JobRelated', 'Organisational', 'Communication', 'Other']
+    .flatMap(kind => htmlToLines(child(skills, kind, 'Description')?.text));
+  cv.skills = [...new Set(skillLines.flatMap(l => l.split(/[,;]/)).map(s => s.trim()).filter(s => s && s.length < 50))];
+
+  // Foreign languages carry CEFR levels per skill; the highest one is the level
+  const cefr = (el) => ['Listening', 'Reading', 'SpokenInteraction', 'SpokenProduction', 'Writing']
+    .map(k => textOf(child(el, 'ProficiencyLevel', k)))
+    .filter(Boolean)
+    .sort()
+    .pop() || '';
+  cv.languages = [
+    ...findAll(child(skills, 'Linguistic', 'MotherTongueList'), 'MotherTongue')
+      .map(l => ({ language: textOf(child(l, 'Description', 'Label')), proficiency: 'native' })),
+    ...findAll(child(skills, 'Linguistic', 'ForeignLanguageList'), 'ForeignLanguage')
+      .map(l => ({ language: textOf(child(l, 'Description', 'Label')), proficiency: cefr(l) }))
+  ].filter(l => l.language);
+
+  for (const a of findAll(child(learner, 'AchievementList'), 'Achievement')) {
+    const code = textOf(child(a, 'Title', 'Code'));
+    const lines = htmlToLines(child(a, 'Description')?.text);
+    if (code === 'certifications') cv.certifications.push(...lines);
+    else if (code === 'honors_awards') cv.awards.push(...lines.map(title => ({ title, issuer: '', year: yearOf(title) })));
+    else if (code === 'publications') cv.publications.push(...lines.map(title => ({ title, venue: '', year: yearOf(title), url: '' })));
+    else if (code === 'projects') {
+      cv.projects.push(...lines.map(name => ({ name, dates: '', description: '', technologies: [], highlights: [], url: '' })));
+    } else if (lines.length) cv.extra.push({ heading: textOf(child(a, 'Title', 'Label')) || 'Other', items: lines });
+  }
+  return cv;
+}
+
+// HR-XML style dates: <StartDate><FormattedDateTime>2020-03-01</FormattedDateTime></StartDate>
+function candidatePeriod(el) {
+  const date = (name) => textOf(find(child(el, name) || find(el, name), 'FormattedDateTime')) || textOf(find(el, name));
+  const current = textOf(find(el, 'CurrentIndicator')) === 'true';
+  return dateRangeText(date('StartDate'), date('EndDate'), current || !date('EndDate'));
+}
+
+function importCandidate(candidate) {
+  const cv = emptyCV();
+  const person = child(candidate, 'CandidatePerson');
+  cv.contactInfo.name = [textOf(find(person, 'GivenName')), textOf(find(person, 'FamilyName'))].filter(Boolean).join(' ');
+  for (const comm of findAll(person, 'Communication')) {
+    const channel = textOf(child(comm, 'ChannelCode')).toLowerCase();
+    const uri = textOf(child(comm, 'URI'));
+    const number = textOf(child(comm, 'FormattedNumber')) || textOf(child(comm, 'DialNumber'));
+    if (channel === 'email') cv.contactInfo.email ||= uri;
+    else if (/telephone|mobile/.test(channel)) cv.contactInfo.phone ||= number;
+    else if (uri) assignProfileUrl(cv.contactInfo, uri);
+  }
+
+  const profile = child(candidate, 'CandidateProfile') || candidate;
+  cv.summary = htmlToLines(find(profile, 'ExecutiveSummary')?.text).join('\n');
+
+  cv.experience = findAll(find(profile, 'EmploymentHistory'), 'EmployerHistory').flatMap(employer => {
+    const company = textOf(child(employer, 'OrganizationName'));
+    return findAll(employer, 'PositionHistory').map(p => ({
+      company,
+      title: textOf(child(p, 'PositionTitle')),
+      dates: candidatePeriod(child(p, 'EmploymentPeriod')),
+      responsibilities: htmlToLines(child(p, 'Description')?.text)
+    }));
+  }).filter(e => e.company || e.title);
+
+  cv.education = findAll(find(profile, 'EducationHistory'), 'EducationOrganizationAttendance').map(e => ({
+    institution: textOf(child(e, 'OrganizationName')),
+    degree: textOf(find(e, 'DegreeName')),
+    dates: candidatePeriod(child(e, 'AttendancePeriod'))
+  })).filter(e => e.institution || e.degree);
+
+  cv.skills = [...new Set(findAll(profile, 'Competency').map(c => textOf(child(c, 'CompetencyName'))).filter(Boolean))];
+  cv.certifications = findAll(find(profile, 'Certifications'), 'Certification').map(c => textOf(child(c, 'CertificationName'))).filter(Boolean);
+
+  cv.languages = findAll(find(profile, 'PersonQualifications') || profile, 'PersonCompetency')
+    .filter(c => /^language/i.test(textOf(child(c, 'TaxonomyID'))))
+    .map(c => ({ language: textOf(child(c, 'CompetencyName')), proficiency: '' }))
+    .filter(l => l.language);
+
+  return cv;
+}
+
+// ---------------------------------------------------------------------------
+// Plain text rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a structured CV as plain text, laid out the way CVParser and the
+ * retriever expect (name first, headed sections, bullet lists).
+ */
+export function renderCVText(cv) {
+  const c = cv?.contactInfo || {};
+  const lines = [c.name || ''];
+  if (cv?.headline) lines.push(cv.headline);
+  const contact = [c.email, c.phone, cv?.location, c.linkedin, c.github, c.website, c.twitter, c.portfolio].filter(Boolean);
+  if (contact.length) lines.push(contact.join(' | '));
+
+  const section = (heading, body) => {
+    if (body.length) lines.push('', heading, ...body);
+  };
+
+  section('Summary', cv?.summary ? [cv.summary] : []);
+  section('Experience', list(cv?.experience).flatMap((e, i) => [
+    ...(i ? [''] : []),
+    [e.title, e.company].filter(Boolean).join(' at '),
+    ...(e.dates ? [e.dates] : []),
+    ...list(e.responsibilities).map(r => `- ${r}`)
+  ]));
+  section('Education', list(cv?.education).flatMap(e => [
+    [e.degree, e.institution].filter(Boolean).join(', ') + (e.dates ? ` (${e.dates})` : '')
+  ]));
+  section('Skills', list(cv?.skills).length ? [cv.skills.join(', ')] : []);
+  section('Projects', list(cv?.projects).flatMap((p, i) => [
+    ...(i ? [''] : []),
+    [p.name, p.description].filter(Boolean).join(' – ') + (p.dates ? ` (${p.dates})` : ''),
+    ...(list(p.technologies).length ? [`Tech: ${p.technologies.join(', ')}`] : []),
+    ...list(p.highlights).map(h => `- ${h}`),
+    ...(p.url ? [p.url] : [])
+  ]));
+  section('Volunteering', list(cv?.volunteering).flatMap((v, i) => [
+    ...(i ? [''] : []),
+    [v.role, v.organization].filter(Boolean).join(' at '),
+    ...(v.dates ? [v.dates] : []),
+    ...list(v.highlights).map(h => `- ${h}`)
+  ]));
+  section('Certifications', list(cv?.certifications).map(x => `- ${x}`));
+  section('Awards', list(cv?.awards).map(a => `- ${[a.title, a.issuer].filter(Boolean).join(' – ')}${a.year && !a.title.includes(a.year) ? ` (${a.year})` : ''}`));
+  section('Publications', list(cv?.publications).map(p => `- ${[p.title, p.venue, p.title.includes(p.year) ? '' : p.year].filter(Boolean).join(', ')}`));
+  section('Achievements', list(cv?.achievements).map(x => `- ${x}`));
+  section('Languages', list(cv?.languages).map(l => `- ${l.language}${l.proficiency ? ` – ${l.proficiency}` : ''}`));
+  for (const { heading, items } of list(cv?.extra)) {
+    section(heading, items.map(x => `- ${x.replace(/\n/g, '\n  ')}`));
+  }
+
+  return lines.join('\n').trim();
+}
@@ -0,0 +1,309 @@
+/**
+ * CV Locales Module
+ *
+ * The words CV parsing depends on, per language: section headings, month and
+ * season names, "present" and range words, institution words, and spoken
+ * language names and levels. Covers English, German, French, Spanish, Dutch
+ * and Portuguese.
+ *
+ * DESIGN DECISIONS:
+ * 1. Plain data plus regex sources – cv-parser.js, cv-dates.js and
+ *    cv-retriever.js build their own patterns from it
+ * 2. Section headings are looked up for the CV's own language plus English
+ *    (CVs often mix in "Skills" or "Projects"), never for all languages at
+ *    once – "Formation" is a French heading but an English sentence opener
+ * 3. Date words are merged across languages: they only count next to a year,
+ *    so they can't collide with ordinary text
+ * 4. Language detection is local and cheap: function words and headings are
+ *    counted per language, and English wins unless another language clearly
+ *    leads
+ */
+
+export const CV_LANGUAGES = ['en', 'de', 'fr', 'es', 'nl', 'pt'];
+
+export const LANGUAGE_NAMES = {
+  en: 'English', de: 'German', fr: 'French', es: 'Spanish', nl: 'Dutch', pt: 'Portuguese'
+};
+
+/**
+ * Section heading regex sources (lowercase, matched case-insensitively on a
+ * line of their own).
+ */
+export const SECTION_HEADINGS = {
+  en: {
+    summary: '(?:professional\\s+)?(?:summary|profile)|about(?:\\s+me)?|objective',
+    experience: '(?:work\\s+|professional\\s+)?experience|employment(?:\\s+history)?|work\\s+history|career\\s+history',
+    education: 'education|academic(?:\\s+background)?|qualifications',
+    skills: '(?:technical\\s+|key\\s+|core\\s+)?(?:skills|competencies)|technologies|expertise',
+    certifications: 'certifications?|licen[cs]es?|credentials',
+    projects: '(?:(?:personal|side|academic|university|key|selected|open[- ]source)\\s+)?projects',
+    languages: '(?:spoken\\s+)?languages',
+    publications: 'publications|papers',
+    awards: '(?:honou?rs\\s+(?:and|&)\\s+)?awards|honou?rs',
+    volunteering: 'volunteer(?:ing|\\s+experience|\\s+work)?|community\\s+(?:work|involvement)',
+    achievements: 'achievements|accomplishments',
+    interests: 'interests|hobbies',
+    references: 'references'
+  },
+  de: {
+    summary: '(?:kurz)?profil|persönliches\\s+profil|zusammenfassung|über\\s+mich|berufsziel',
+    experience: 'berufserfahrung|berufliche\\s+(?:erfahrung|laufbahn|stationen)|beruflicher\\s+werdegang|werdegang|arbeitserfahrung|praxiserfahrung|berufspraxis',
+    education: '(?:schul|aus)?bildung|bildungsweg|akademische\\s+ausbildung|studium',
+    skills: '(?:fach|it-|edv-|technische\\s+)?kenntnisse|fähigkeiten|kompetenzen|fertigkeiten',
+    certifications: 'zertifikate|zertifizierungen|weiterbildungen|weiterbildung|fortbildungen|fortbildung',
+    projects: '(?:ausgewählte\\s+)?projekte|projekterfahrung',
+    languages: 'sprachen|sprachkenntnisse|fremdsprachen',
+    publications: 'veröffentlichungen|publikationen',
+    awards: 'auszeichnungen|preise|ehrungen',
+    volunteering: 'ehrenamt(?:liches\\s+engagement|liche\\s+tätigkeiten?)?|soziales\\s+engagement|engagement',
+    achievements: 'erfolge',
+    interests: 'interessen|hobbys|freizeit',
+    references: 'referenzen'
+  },
+  fr: {
+    summary: 'profil(?:\\s+professionnel)?|résumé|à\\s+propos|objectif',
+    experience: 'expériences?(?:\\s+professionnelles?)?|parcours\\s+professionnel|emplois?',
+    education: 'formations?|éducation|études|parcours\\s+(?:académique|scolaire)|diplômes',
+    skills: 'compétences(?:\\s+techniques)?|savoir-faire|connaissances|outils',
+    certifications: 'certifications?|certificats',
+    projects: 'projets(?:\\s+personnels)?',
+    languages: 'langues',
+    publications: 'publications',
+    awards: 'prix|distinctions|récompenses',
+    volunteering: 'bénévolat|engagement\\s+associatif|(?:activités|vie)\\s+associatives?',
+    achievements: 'réalisations',
+    interests: 'centres\\s+d[\'’]intérêts?|intérêts|loisirs',
+    references: 'références'
+  },
+  es: {
+    summary: 'perfil(?:\\s+profesional)?|resumen|sobre\\s+mí|objetivo|extracto',
+    experience: 'experiencia(?:\\s+(?:laboral|profesional))?|trayectoria\\s+profesional|historial\\s+laboral',
+    education: 'educación|formación(?:\\s+académica)?|estudios|titulaciones',
+    skills: 'habilidades|competencias|conocimientos|aptitudes|destrezas',
+    certifications: 'certificaciones|certificados|cursos',
+    projects: 'proyectos',
+    languages: 'idiomas|lenguas',
+    publications: 'publicaciones',
+    awards: 'premios|reconocimientos|distinciones',
+    volunteering: 'voluntariado',
+    achievements: 'logros',
+    interests: 'intereses|aficiones',
+    references: 'referencias'
+  },
+  nl: {
+    summary: '(?:persoonlijk\\s+)?profiel|samenvatting|over\\s+mij',
+    experience: '(?:werk|professionele\\s+)?ervaring|loopbaan|arbeidsverleden',
+    education: 'opleidingen|opleiding|onderwijs|studies',
+    skills: 'vaardigheden|competenties|kennis|kwaliteiten',
+    certifications: 'certificaten|certificeringen|cursussen',
+    projects: 'projecten',
+    languages: 'talen|talenkennis',
+    publications: 'publicaties',
+    awards: 'prijzen|onderscheidingen',
+    volunteering: 'vrijwilligerswerk',
+    achievements: 'prestaties',
+    interests: 'interesses|hobby[\'’]?s',
+    references: 'referenties'
+  },
+  pt: {
+    summary: 'perfil(?:\\s+profissional)?|resumo|sobre\\s+mim|objetivo',
+    experience: 'experiência(?:\\s+profissional)?|histórico\\s+profissional|percurso\\s+profissional',
+    education: 'educação|formação(?:\\s+(?:académica|acadêmica))?|escolaridade|habilitações(?:\\s+literárias)?',
+    skills: 'competências|habilidades|conhecimentos|aptidões',
+    certifications: 'certificações|certificados|cursos',
+    projects: 'projetos|projectos',
+    languages: 'idiomas|línguas',
+    publications: 'publicações',
+    awards: 'prémios|prêmios|distinções',
+    volunteering: 'voluntariado',
+    achievements: 'conquistas',
+    interests: 'interesses|hobbies',
+    references: 'referências'
+  }
+};
+
+/**
+ * Heading sources for one language, each merged with the English ones.
+ *
+ * @param {string} language - One of CV_LANGUAGES
+ * @returns {Object} { summary, experience, … } regex sources
+ */
+export function sectionHeadings(language = 'en') {
+  const local = SECTION_HEADINGS[language];
+  const merged = {};
+  for (const [key, source] of Object.entries(SECTION_HEADINGS.en)) {
+    merged[key] = local && language !== 'en' ? `${local[key]}|${source}` : source;
+  }
+  return merged;
+}
+
+/**
+ * Every heading of every language, as one regex source – for callers that
+ * only need to recognise a heading line, not which section it starts.
+ */
+export function allHeadingsSource() {
+  return CV_LANGUAGES.flatMap(lang => Object.values(SECTION_HEADINGS[lang])).join('|');
+}
+
+// ---------------------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------------------
+
+// Month names and abbreviations → month number
+export const MONTH_WORDS = {
+  // en
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+  july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+  november: 11, nov: 11, december: 12, dec: 12,
+  // de
+  januar: 1, jänner: 1, februar: 2, märz: 3, mär: 3, maerz: 3, mai: 5, juni: 6, juli: 7,
+  oktober: 10, okt: 10, dezember: 12, dez: 12,
+  // fr
+  janvier: 1, janv: 1, février: 2, févr: 2, fevrier: 2, fevr: 2, mars: 3, avril: 4, avr: 4, juin: 6,
+  juillet: 7, juil: 7, août: 8, aout: 8, septembre: 9, octobre: 10, novembre: 11, décembre: 12, déc: 12, decembre: 12,
+  // es
+  enero: 1, ene: 1, febrero: 2, marzo: 3, abril: 4, abr: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, ago: 8,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12, dic: 12,
+  // nl
+  januari: 1, februari: 2, maart: 3, mrt: 3, mei: 5, augustus: 8,
+  // pt
+  janeiro: 1, fevereiro: 2, fev: 2, março: 3, marco: 3, maio: 5, junho: 6, julho: 7,
+  setembro: 9, set: 9, outubro: 10, out: 10, novembro: 11, dezembro: 12
+};
+
+// Season names → [first month, last month]
+export const SEASON_WORDS = {
+  spring: [3, 5], summer: [6, 8], autumn: [9, 11], fall: [9, 11], winter: [1, 2],
+  frühling: [3, 5], frühjahr: [3, 5], sommer: [6, 8], herbst: [9, 11],
+  printemps: [3, 5], été: [6, 8], automne: [9, 11], hiver: [1, 2],
+  primavera: [3, 5], verano: [6, 8], otoño: [9, 11], invierno: [1, 2],
+  lente: [3, 5], voorjaar: [3, 5], zomer: [6, 8], herfst: [9, 11], najaar: [9, 11],
+  verão: [6, 8], outono: [9, 11], inverno: [1, 2]
+};
+
+// "Present" in a date range ("2020 – heute", "depuis 2019 – aujourd'hui")
+export const PRESENT_WORDS = [
+  'present', 'current(?:ly)?', 'now', 'today', 'ongoing', 'to\\s+date', 'date',
+  'heute', 'jetzt', 'aktuell', 'derzeit', 'laufend', 'dato', 'gegenwart',
+  'présent', 'aujourd[\'’]\\s?hui', 'ce\\s+jour', 'actuel(?:lement)?', 'en\\s+cours', 'maintenant',
+  'actualidad', 'presente', 'actual(?:mente)?', 'hoy', 'la\\s+fecha',
+  'heden', 'nu', 'huidig',
+  'atual(?:mente)?', 'hoje', 'o\\s+momento', 'momento'
+];
+
+// Words between the two ends of a range (dashes are handled separately)
+export const RANGE_WORDS = [
+  'to', 'until', 'till', 'through',
+  'bis',
+  'à', 'au', 'jusqu[\'’]\\s?(?:à|au)',
+  'a', 'hasta', 'al',
+  'tot',
+  'até'
+];
+
+// Open-ended starts: "since 2019", "seit 2019", "depuis 2019"
+export const SINCE_WORDS = ['since', 'from', 'seit', 'ab', 'depuis', 'desde', 'sinds', 'vanaf'];
+
+// ---------------------------------------------------------------------------
+// Education and languages
+// ---------------------------------------------------------------------------
+
+// Words that mark an education line as an institution or degree (matched
+// anywhere in the line, so no short acronyms)
+export const INSTITUTION_WORDS = [
+  'university', 'college', 'school', 'institute', 'bachelor', 'master', 'phd', 'degree',
+  'universität', 'hochschule', 'fachhochschule', 'gymnasium', 'diplom', 'magister', 'promotion',
+  'université', 'école', 'lycée', 'licence', 'doctorat', 'baccalauréat',
+  'universidad', 'escuela', 'instituto', 'licenciatura', 'grado', 'doctorado', 'máster',
+  'universiteit', 'hogeschool',
+  'universidade', 'faculdade', 'mestrado', 'doutoramento', 'doutorado', 'bacharelado', 'politécnico'
+];
+
+// Spoken language names in each supported language (lowercase)
+export const SPOKEN_LANGUAGE_NAMES = new Set((
+  // en
+  'afrikaans albanian arabic armenian basque bengali bosnian bulgarian cantonese catalan chinese croatian czech ' +
+  'danish dutch english estonian farsi filipino finnish flemish french galician georgian german greek gujarati ' +
+  'hebrew hindi hungarian icelandic indonesian irish italian japanese kannada kazakh korean kurdish latvian ' +
+  'lithuanian luxembourgish macedonian malay malayalam maltese mandarin marathi mongolian nepali norwegian ' +
+  'persian polish portuguese punjabi romanian russian serbian sign slovak slovenian somali spanish swahili ' +
+  'swedish tagalog tamil telugu thai turkish ukrainian urdu uzbek vietnamese welsh yoruba zulu bsl asl ' +
+  // de
+  'deutsch englisch französisch spanisch italienisch niederländisch portugiesisch russisch polnisch türkisch ' +
+  'arabisch chinesisch japanisch griechisch schwedisch dänisch norwegisch ' +
+  // fr
+  'français anglais allemand espagnol italien néerlandais portugais russe polonais turc arabe chinois japonais ' +
+  // es
+  'español castellano inglés alemán francés italiano neerlandés holandés portugués ruso polaco árabe chino japonés catalán ' +
+  // nl
+  'nederlands engels duits frans spaans italiaans portugees russisch pools turks arabisch chinees japans ' +
+  // pt
+  'português inglês alemão francês espanhol italiano holandês russo polonês polaco árabe chinês japonês'
+).split(' '));
+
+// Proficiency wording in each supported language, plus CEFR levels
+export const PROFICIENCY_PATTERN = new RegExp([
+  'native', 'mother\\s+tongue', 'bilingual', 'fluent', 'fluency', 'proficient', 'professional', 'working',
+  'conversational', 'intermediate', 'advanced', 'basic', 'beginner', 'elementary', 'limited', 'full',
+  'muttersprache', 'fließend', 'verhandlungssicher', 'sehr\\s+gut', 'gut', 'grundkenntnisse', 'fortgeschritten',
+  'langue\\s+maternelle', 'courant', 'bilingue', 'notions', 'intermédiaire', 'avancé', 'scolaire',
+  'lengua\\s+materna', 'nativo', 'fluido', 'básico', 'intermedio', 'avanzado',
+  'moedertaal', 'vloeiend', 'goed', 'redelijk', 'basis',
+  'língua\\s+materna', 'fluente', 'avançado', 'intermediário', 'básico'
+].map(w => `\\b${w}\\b`).join('|') + '|\\b[abc][12]\\b', 'i');
+
+// ---------------------------------------------------------------------------
+// Language detection
+// ---------------------------------------------------------------------------
+
+// Function words that are common in CV prose and specific to one language
+const FUNCTION_WORDS = {
+  en: 'the and with for of to on was were have has my at from by which while responsible developed managed',
+  de: 'und der die das mit für von zur zum bei im ist sind ich auf eine einer den dem wurde sowie verantwortlich entwicklung',
+  fr: 'et le les du pour avec dans une sur au aux par est je chez été ainsi responsable développement',
+  es: 'y el los las del con una como al se sus desarrollo responsable gestión',
+  nl: 'het van een voor met op bij aan te zijn ik werd naar binnen ontwikkeling verantwoordelijk',
+  pt: 'e o os do da dos das em com uma um no na ao desenvolvimento responsável gestão'
+};
+const FUNCTION_WORD_SETS = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+);
+
+const HEADING_WEIGHT = 3;
+// Another language must beat English by this factor, and score at least this much
+const LEAD_FACTOR = 1.2;
+const MIN_SCORE = 6;
+
+/**
+ * Detect the language a CV is written in.
+ *
+ * @param {string} text - CV text
+ * @returns {Object} { language, scores } – `language` is one of CV_LANGUAGES
+ */
+export function detectCVLanguage(text) {
+  const scores = Object.fromEntries(CV_LANGUAGES.map(lang => [lang, 0]));
+  const words = (text || '').toLowerCase().match(/[a-zà-ÿ]+/g) || [];
+  for (const word of words) {
+    for (const lang of CV_LANGUAGES) {
+      if (FUNCTION_WORD_SETS[lang].has(word)) scores[lang]++;
+    }
+  }
+
+  const headings = Object.fromEntries(CV_LANGUAGES.map(lang => [
+    lang,
+    new RegExp(`^(?:${Object.values(SECTION_HEADINGS[lang]).join('|')})\\s*:?$`, 'i')
+  ]));
+  for (const line of (text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 40) continue;
+    for (const lang of CV_LANGUAGES) {
+      if (headings[lang].test(trimmed)) scores[lang] += HEADING_WEIGHT;
+    }
+  }
+
+  const [best, bestScore] = Object.entries(scores)
+    .filter(([lang]) => lang !== 'en')
+    .sort((a, b) => b[1] - a[1])[0];
+  const language = bestScore >= MIN_SCORE && bestScore > scores.en * LEAD_FACTOR ? best : 'en';
+  return { language, scores };
+}
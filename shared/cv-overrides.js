@@ -0,0 +1,185 @@
+/**
+ * CV Overrides Module
+ *
+ * User corrections to a parsed CV: a fixed name, a role the parser split in
+ * two, bullets that landed under the wrong job, a skills list that ran into
+ * the next section. Corrections are stored next to the CV text as overrides
+ * and laid over every parse, so they survive re-parsing and always reach
+ * prompt building.
+ *
+ * DESIGN DECISIONS:
+ * 1. Whole-section overrides (contact, summary, roles, education, skills):
+ *    an edited section replaces the parsed one wholesale. Merging, splitting
+ *    and reordering roles change indices, so per-item patches couldn't be
+ *    matched up again after a re-parse
+ * 2. Only sections the user changed are stored; untouched sections keep
+ *    following the parser
+ * 3. Overrides belong to the CV text they were made on – saving new text for
+ *    a profile clears them
+ * 4. Pure functions; the editing helpers return new arrays so the web app
+ *    and popup editors can re-render from them
+ *
+ * Shape: { contactInfo?, summary?, experience?: [{ company, title, dates, responsibilities }],
+ *          education?: [{ institution, degree, dates }], skills?: string[], updatedAt? }
+ */
+
+export const OVERRIDE_SECTIONS = ['contactInfo', 'summary', 'experience', 'education', 'skills'];
+
+export const CONTACT_FIELDS = ['name', 'email', 'phone', 'linkedin', 'github', 'website', 'twitter', 'portfolio'];
+
+const MAX_ITEMS = 50;
+const MAX_FIELD_LENGTH = 300;
+const MAX_TEXT_LENGTH = 3000;
+
+const field = (value, max = MAX_FIELD_LENGTH) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+const strings = (value, max) => (Array.isArray(value) ? value.map(v => field(v, max)).filter(Boolean).slice(0, MAX_ITEMS) : []);
+const items = (value) => (Array.isArray(value) ? value.filter(v => v && typeof v === 'object').slice(0, MAX_ITEMS) : []);
+
+/**
+ * Keep well-formed overrides only, with known sections and capped fields.
+ *
+ * @param {Object} raw - Overrides as stored or received over the wire
+ * @returns {Object|null} Clean overrides, or null when there are none
+ */
+export function normalizeOverrides(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const clean = {};
+
+  if (raw.contactInfo && typeof raw.contactInfo === 'object') {
+    // Fields not sent keep following the parser
+    clean.contactInfo = Object.fromEntries(CONTACT_FIELDS
+      .filter(key => key in raw.contactInfo)
+      .map(key => [key, field(raw.contactInfo[key])]));
+  }
+  if (typeof raw.summary === 'string') clean.summary = field(raw.summary, MAX_TEXT_LENGTH);
+  if (Array.isArray(raw.experience)) {
+    clean.experience = items(raw.experience).map(role => ({
+      company: field(role.company),
+      title: field(role.title),
+      dates: field(role.dates),
+      responsibilities: strings(role.responsibilities, MAX_TEXT_LENGTH)
+    })).filter(role => role.company || role.title || role.responsibilities.length);
+  }
+  if (Array.isArray(raw.education)) {
+    clean.education = items(raw.education).map(entry => ({
+      institution: field(entry.institution),
+      degree: field(entry.degree),
+      dates: field(entry.dates)
+    })).filter(entry => entry.institution || entry.degree);
+  }
+  if (Array.isArray(raw.skills)) clean.skills = strings(raw.skills, 100);
+
+  if (!OVERRIDE_SECTIONS.some(key => key in clean)) return null;
+  if (Number.isFinite(raw.updatedAt)) clean.updatedAt = raw.updatedAt;
+  return clean;
+}
+
+/**
+ * Lay overrides over a parsed CV.
+ *
+ * @param {Object} cv - CVParser result
+ * @param {Object} overrides - Raw or normalized overrides
+ * @returns {Object} { cv, sections } – a new CV object and the section keys replaced
+ */
+export function applyOverrides(cv, overrides) {
+  const clean = normalizeOverrides(overrides);
+  if (!clean) return { cv, sections: [] };
+
+  const sections = OVERRIDE_SECTIONS.filter(key => key in clean);
+  const corrected = { ...cv };
+  for (const key of sections) {
+    corrected[key] = key === 'contactInfo' ? { ...cv.contactInfo, ...clean.contactInfo } : clean[key];
+  }
+  return { cv: corrected, sections };
+}
+
+/**
+ * The editable part of a parsed CV, in override shape.
+ */
+export function editableSections(cv) {
+  return {
+    contactInfo: Object.fromEntries(CONTACT_FIELDS.map(key => [key, cv?.contactInfo?.[key] || ''])),
+    summary: cv?.summary || '',
+    experience: (cv?.experience || []).map(role => ({
+      company: role.company || '',
+      title: role.title || '',
+      dates: role.dates || '',
+      responsibilities: [...(role.responsibilities || [])]
+    })),
+    education: (cv?.education || []).map(entry => ({
+      institution: entry.institution || '',
+      degree: entry.degree || '',
+      dates: entry.dates || ''
+    })),
+    skills: [...(cv?.skills || [])]
+  };
+}
+
+/**
+ * New overrides after an edit: sections that differ from what the editor was
+ * opened with are replaced, earlier overrides of untouched sections are kept.
+ *
+ * @param {Object|null} previous - Overrides stored before the edit
+ * @param {Object} shown - editableSections() the editor was opened with
+ * @param {Object} edited - The editor's sections on save
+ * @returns {Object|null} Overrides to store, or null when there are none
+ */
+export function mergeEdits(previous, shown, edited) {
+  const next = { ...(normalizeOverrides(previous) || {}) };
+  let changed = false;
+  for (const key of OVERRIDE_SECTIONS) {
+    if (JSON.stringify(edited[key]) !== JSON.stringify(shown[key])) {
+      next[key] = edited[key];
+      changed = true;
+    }
+  }
+  if (changed) next.updatedAt = Date.now();
+  return normalizeOverrides(next);
+}
+
+// ---------------------------------------------------------------------------
+// Editing helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Move an item up (delta -1) or down (delta 1).
+ */
+export function moveItem(list, index, delta) {
+  const target = index + delta;
+  if (index < 0 || index >= list.length || target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+export function removeItem(list, index) {
+  return list.filter((_, i) => i !== index);
+}
+
+/**
+ * Merge a role with the one after it: the first keeps its company, title and
+ * dates (filled from the second where empty), bullets are concatenated.
+ */
+export function mergeRoles(roles, index) {
+  if (index < 0 || index >= roles.length - 1) return roles;
+  const [a, b] = [roles[index], roles[index + 1]];
+  const merged = {
+    company: a.company || b.company,
+    title: a.title || b.title,
+    dates: a.dates || b.dates,
+    responsibilities: [...a.responsibilities, ...b.responsibilities]
+  };
+  return [...roles.slice(0, index), merged, ...roles.slice(index + 2)];
+}
+
+/**
+ * Split a role before one of its bullets: that bullet and the ones after it
+ * become a new role with empty company, title and dates to fill in.
+ */
+export function splitRole(roles, index, bulletIndex) {
+  const role = roles[index];
+  if (!role || bulletIndex <= 0 || bulletIndex >= role.responsibilities.length) return roles;
+  const first = { ...role, responsibilities: role.responsibilities.slice(0, bulletIndex) };
+  const second = { company: '', title: '', dates: '', responsibilities: role.responsibilities.slice(bulletIndex) };
+  return [...roles.slice(0, index), first, second, ...roles.slice(index + 1)];
+}
@@ -8,36 +8,207 @@
  * 1. Targeted retrieval for specific question types
  * 2. Better context window management when constructing prompts
  * 3. Validation that we're not hallucinating facts
+ *
+ * Role dates are parsed into start/end months (cv-dates.js), giving each
+ * role a tenure and the CV a `timeline`: total years of experience,
+ * overlapping roles and employment gaps.
+ *
+ * JSON Resume and Europass XML documents skip the text heuristics: they are
+ * mapped field by field (cv-formats.js), and `rawText` is their plain-text
+ * rendering.
+ *
+ * Headings are recognised in English, German, French, Spanish, Dutch and
+ * Portuguese (cv-locales.js). The CV's language is detected first and
+ * reported as `language`; its headings are used together with the English
+ * ones.
+ *
+ * Every result carries `diagnostics` (cv-diagnostics.js): the sections found,
+ * which heuristic found them, per-field confidence and warnings.
+ *
+ * User corrections (cv-overrides.js) are laid over every parse: corrected
+ * sections replace the parsed ones, role dates and the timeline are
+ * recomputed, and `rawText` is rendered from the corrected CV so prompts
+ * only ever see the corrected version.
+ *
+ * A "Links:" block that document extraction appended (doc-formats.js) is
+ * kept out of the sections: its URLs only feed the contact details.
+ *
+ * `skills` stay as written; `normalizedSkills` maps them to the skills
+ * taxonomy (skills-taxonomy.js) – synonyms collapsed, each with a category.
  */
 
+import { buildTimeline, formatTenure, parseDateRange } from './cv-dates.js';
+import { CV_FORMATS, importCV, renderCVText } from './cv-formats.js';
+import { diagnoseCV } from './cv-diagnostics.js';
+import { splitLinks } from './doc-formats.js';
+import { applyOverrides } from './cv-overrides.js';
+import { normalizeSkills } from './skills-taxonomy.js';
+import {
+  SECTION_HEADINGS, INSTITUTION_WORDS, SPOKEN_LANGUAGE_NAMES, PROFICIENCY_PATTERN,
+  detectCVLanguage, sectionHeadings
+} from './cv-locales.js';
+
+// Sections graduates and career changers lean on. Their headings only count
+// on a line of their own, so "Languages: Python, Go" in a skills list doesn't
+// end the skills section.
+const EXTRA_SECTIONS = ['projects', 'languages', 'publications', 'awards', 'volunteering'];
+
+const BULLET_LINE = /^[\s]*[•\-\*▪◦‣●]\s*/;
+const YEAR = /\b(19|20)\d{2}\b/g;
+
+const INSTITUTION = new RegExp(INSTITUTION_WORDS.join('|'), 'i');
+
 export class CVParser {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Date} [options.now] - "Today" for ranges ending in "Present" (default: now)
+   */
+  constructor(options = {}) {
     this.rawText = '';
     this.structured = null;
+    this.now = options.now || null;
+    this.trace = null;
+    this.setLanguage('en');
+  }
+
+  /**
+   * Use the section headings of a language (plus English).
+   * @param {string} language - One of CV_LANGUAGES
+   */
+  setLanguage(language) {
+    this.language = language;
+    this.headings = sectionHeadings(language);
+    // Lookahead alternative that ends an earlier section at a heading on a
+    // line of its own: the extra sections, and every section of a non-English CV
+    const stops = [
+      ...EXTRA_SECTIONS.map(key => SECTION_HEADINGS.en[key]),
+      ...(language === 'en' ? [] : Object.values(SECTION_HEADINGS[language]))
+    ];
+    this.headingStop = `(?:${stops.join('|')})\\s*:?[ \\t]*(?:\\n|$)`;
+    // Any section heading, for finding where a section ends
+    this.anyHeading = new RegExp(`^(?:${Object.values(this.headings).join('|')})\\s*:?$`, 'i');
   }
 
   /**
    * Parse CV text into structured sections
-   * @param {string} text - Raw CV text content
-   * @returns {Object} Structured CV data
+   * @param {string} text - Raw CV text content, resume.json or Europass XML
+   * @param {Object} [options]
+   * @param {Object} [options.overrides] - User corrections (cv-overrides.js)
+   * @returns {Object} Structured CV data; `format` says which input it was,
+   *   `language` which language it is written in, `diagnostics` how well it
+   *   parsed, `overridden` which sections are user corrections
    */
-  parse(text) {
+  parse(text, { overrides = null } = {}) {
+    const imported = importCV(text);
+    if (imported) this.parseImported(imported);
+    else this.parseText(text);
+    if (overrides) this.applyOverrides(overrides);
+    this.structured.normalizedSkills = normalizeSkills(this.structured.skills);
+    return this.structured;
+  }
+
+  /**
+   * Heuristic parse of plain CV text.
+   */
+  parseText(text) {
     this.rawText = text;
+    const body = splitLinks(text).text;
+    this.setLanguage(detectCVLanguage(body).language);
+    // Which heuristic found each section and the roles, for the diagnostics
+    this.trace = { sections: {}, experience: null };
+    const experience = this.extractExperience(body);
     
     this.structured = {
+      format: CV_FORMATS.TEXT,
+      language: this.language,
       contactInfo: this.extractContactInfo(text),
-      summary: this.extractSummary(text),
-      experience: this.extractExperience(text),
-      education: this.extractEducation(text),
-      skills: this.extractSkills(text),
-      achievements: this.extractAchievements(text),
-      certifications: this.extractCertifications(text),
+      summary: this.extractSummary(body),
+      experience,
+      timeline: this.buildTimeline(experience),
+      education: this.extractEducation(body),
+      skills: this.extractSkills(body),
+      achievements: this.extractAchievements(body),
+      certifications: this.extractCertifications(body),
+      projects: this.extractProjects(body),
+      languages: this.extractLanguages(body),
+      publications: this.extractPublications(body),
+      awards: this.extractAwards(body),
+      volunteering: this.extractVolunteering(body),
       rawText: text
     };
+    for (const key of EXTRA_SECTIONS) {
+      if (this.structured[key].length) this.trace.sections[key] = 'heading';
+    }
+    this.structured.diagnostics = diagnoseCV(this.structured, this.trace);
     
     return this.structured;
   }
 
+  /**
+   * Replace parsed sections with the user's corrections and recompute what
+   * depends on them.
+   * @param {Object} overrides - See cv-overrides.js
+   */
+  applyOverrides(overrides) {
+    const { cv, sections } = applyOverrides(this.structured, overrides);
+    if (!sections.length) return this.structured;
+
+    const experience = cv.experience.map(({ responsibilities, ...role }) => ({
+      ...role,
+      ...this.parseRoleDates(role.dates),
+      responsibilities
+    }));
+    // Text CVs' achievements are lines lifted from the roles – rendering them
+    // again would repeat the bullets
+    const corrected = { ...cv, experience, timeline: this.buildTimeline(experience), overridden: sections };
+    this.rawText = renderCVText(cv.format === CV_FORMATS.TEXT ? { ...corrected, achievements: [] } : corrected);
+    corrected.rawText = this.rawText;
+    const { diagnostics, ...rest } = corrected;
+    corrected.diagnostics = diagnoseCV(rest, this.trace && cv.format === CV_FORMATS.TEXT ? this.trace : null, sections);
+
+    this.structured = corrected;
+    return this.structured;
+  }
+
+  /**
+   * Finish an imported document: parse its role dates and build the timeline.
+   * @param {Object} imported - { format, cv } from importCV
+   */
+  parseImported({ format, cv }) {
+    const experience = cv.experience.map(({ responsibilities, ...role }) => ({
+      ...role,
+      ...this.parseRoleDates(role.dates),
+      responsibilities
+    }));
+    this.rawText = renderCVText(cv);
+    this.setLanguage(detectCVLanguage(this.rawText).language);
+    this.trace = null;
+
+    this.structured = {
+      format,
+      language: this.language,
+      contactInfo: cv.contactInfo,
+      ...(cv.headline ? { headline: cv.headline } : {}),
+      ...(cv.location ? { location: cv.location } : {}),
+      summary: cv.summary,
+      experience,
+      timeline: this.buildTimeline(experience),
+      education: cv.education,
+      skills: cv.skills,
+      achievements: cv.achievements,
+      certifications: cv.certifications,
+      projects: cv.projects,
+      languages: cv.languages,
+      publications: cv.publications,
+      awards: cv.awards,
+      volunteering: cv.volunteering,
+      rawText: this.rawText
+    };
+    this.structured.diagnostics = diagnoseCV(this.structured);
+
+    return this.structured;
+  }
+
   extractContactInfo(text) {
     const lines = text.split('\n').slice(0, 10);
     const emailMatch = text.match(/[\w.-]+@[\w.-]+\.\w+/);
@@ -61,38 +232,35 @@ export class CVParser {
   }
 
   extractSummary(text) {
-    const summaryPatterns = [
-      /(?:summary|profile|about|objective)[:\s]*\n?([\s\S]*?)(?=\n\s*(?:experience|education|skills|work|employment|projects))/i,
-      /^([\s\S]{50,500}?)(?=\n\s*(?:experience|education|skills|work|employment))/i
-    ];
-    
-    for (const pattern of summaryPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        return match[1].trim();
-      }
-    }
-    return '';
+    const summary = this.sectionText(text, 'summary', new RegExp(`(?:summary|profile|about|objective)[:\\s]*\\n?([\\s\\S]*?)(?=\\n\\s*(?:experience|education|skills|work|employment|projects|${this.headingStop}))`, 'i'));
+    if (summary !== null) return summary.trim();
+
+    // No heading: the opening paragraph before the first main section
+    const opening = text.match(new RegExp(`^([\\s\\S]{50,500}?)(?=\\n\\s*(?:experience|education|skills|work|employment|${this.headingStop}))`, 'i'));
+    if (!opening) return '';
+    this.record('summary', 'opening');
+    return opening[1].trim();
   }
 
   extractExperience(text) {
     const experiences = [];
     
     // Match experience section
-    const expSection = text.match(/(?:experience|employment|work\s*history)[:\s]*\n([\s\S]*?)(?=\n\s*(?:education|skills|certifications|projects|$))/i);
+    const expText = this.sectionText(text, 'experience', new RegExp(`(?:experience|employment|work\\s*history)[:\\s]*\\n([\\s\\S]*?)(?=\\n\\s*(?:education|skills|certifications|projects|${this.headingStop}|$))`, 'i'));
     
-    if (expSection) {
-      const expText = expSection[1];
+    if (expText !== null) {
       
       // Pattern for job entries: Company, Title, Date range, then bullets
       const jobPattern = /([A-Z][^\n]+)\n([^\n]+)\n([^\n]*\d{4}[^\n]*)\n([\s\S]*?)(?=\n[A-Z][^\n]+\n[^\n]+\n[^\n]*\d{4}|$)/gi;
       
       let match;
       while ((match = jobPattern.exec(expText)) !== null) {
+        if (this.trace) this.trace.experience = 'job-pattern';
         experiences.push({
           company: match[1].trim(),
           title: match[2].trim(),
           dates: match[3].trim(),
+          ...this.parseRoleDates(match[3]),
           responsibilities: this.extractBulletPoints(match[4])
         });
       }
@@ -103,12 +271,13 @@ export class CVParser {
         let currentExp = null;
         
         for (const line of lines) {
-          if (line.match(/\d{4}\s*[-–]\s*(\d{4}|present|current)/i)) {
+          if (!/^[\s]*[•\-\*]/.test(line) && parseDateRange(line, this.getNow())) {
             if (currentExp) experiences.push(currentExp);
             currentExp = {
               company: '',
               title: '',
               dates: line.trim(),
+              ...this.parseRoleDates(line),
               responsibilities: []
             };
           } else if (currentExp) {
@@ -122,25 +291,64 @@ export class CVParser {
           }
         }
         if (currentExp) experiences.push(currentExp);
+        if (experiences.length && this.trace) this.trace.experience = 'date-lines';
       }
     }
     
     return experiences;
   }
 
+  getNow() {
+    return this.now || new Date();
+  }
+
+  /**
+   * Start/end months and tenure for a role's date text.
+   * `end` is the last month worked ("YYYY-MM"), null while `current`.
+   */
+  parseRoleDates(dates) {
+    const range = parseDateRange(dates, this.getNow());
+    if (!range) return { start: null, end: null, current: false, tenureMonths: null, tenure: '' };
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const lastMonth = range.end.month === 1
+      ? { year: range.end.year - 1, month: 12 }
+      : { year: range.end.year, month: range.end.month - 1 };
+    return {
+      start: `${range.start.year}-${pad(range.start.month)}`,
+      end: range.current ? null : `${lastMonth.year}-${pad(lastMonth.month)}`,
+      current: range.current,
+      tenureMonths: range.months,
+      tenure: formatTenure(range.months)
+    };
+  }
+
+  /**
+   * Career timeline across all dated roles.
+   * @returns {Object} { totalMonths, totalYears, firstStart, overlaps, gaps } (see cv-dates.js)
+   */
+  buildTimeline(experience) {
+    return buildTimeline(
+      experience.map(e => ({
+        label: [e.title, e.company].filter(Boolean).join(' at ') || e.dates,
+        range: parseDateRange(e.dates, this.getNow())
+      })),
+      this.getNow()
+    );
+  }
+
   extractEducation(text) {
     const education = [];
     
-    const eduSection = text.match(/(?:education|academic|qualifications)[:\s]*\n([\s\S]*?)(?=\n\s*(?:experience|skills|certifications|projects|$))/i);
+    const eduText = this.sectionText(text, 'education', new RegExp(`(?:education|academic|qualifications)[:\\s]*\\n([\\s\\S]*?)(?=\\n\\s*(?:experience|skills|certifications|projects|${this.headingStop}|$))`, 'i'));
     
-    if (eduSection) {
-      const eduText = eduSection[1];
+    if (eduText !== null) {
       const lines = eduText.split('\n').filter(l => l.trim());
       
       let currentEdu = null;
       
       for (const line of lines) {
-        if (line.match(/university|college|school|institute|bachelor|master|phd|degree/i)) {
+        if (INSTITUTION.test(line)) {
           if (currentEdu) education.push(currentEdu);
           currentEdu = {
             institution: line.trim(),
@@ -162,10 +370,9 @@ export class CVParser {
   }
 
   extractSkills(text) {
-    const skillsSection = text.match(/(?:skills|technologies|competencies|expertise)[:\s]*\n([\s\S]*?)(?=\n\s*(?:experience|education|certifications|projects|$))/i);
+    const skillsText = this.sectionText(text, 'skills', new RegExp(`(?:skills|technologies|competencies|expertise)[:\\s]*\\n([\\s\\S]*?)(?=\\n\\s*(?:experience|education|certifications|projects|${this.headingStop}|$))`, 'i'));
     
-    if (skillsSection) {
-      const skillsText = skillsSection[1];
+    if (skillsText !== null) {
       // Split by common delimiters
       return skillsText
         .split(/[,\n•\-\*|]/)
@@ -196,10 +403,10 @@ export class CVParser {
   }
 
   extractCertifications(text) {
-    const certSection = text.match(/(?:certifications?|licenses?|credentials)[:\s]*\n([\s\S]*?)(?=\n\s*(?:experience|education|skills|projects|$))/i);
+    const certText = this.sectionText(text, 'certifications', new RegExp(`(?:certifications?|licenses?|credentials)[:\\s]*\\n([\\s\\S]*?)(?=\\n\\s*(?:experience|education|skills|projects|${this.headingStop}|$))`, 'i'));
     
-    if (certSection) {
-      return certSection[1]
+    if (certText !== null) {
+      return certText
         .split('\n')
         .map(l => l.replace(/^[\s•\-\*]*/, '').trim())
         .filter(l => l.length > 0);
@@ -208,6 +415,205 @@ export class CVParser {
     return [];
   }
 
+  /**
+   * Body of a main section: the English heading pattern first, then the
+   * section's heading in the CV's language on a line of its own.
+   * @param {string} key - Section key in cv-locales.js ('experience', …)
+   * @param {RegExp} pattern - English pattern capturing the body in group 1
+   * @returns {string|null} Section text, or null without the section
+   */
+  sectionText(text, key, pattern) {
+    const match = text.match(pattern);
+    if (match) {
+      this.record(key, 'pattern');
+      return match[1];
+    }
+    const lines = this.sectionLines(text, this.headings[key]);
+    if (!lines.length) return null;
+    this.record(key, 'heading');
+    return lines.join('\n');
+  }
+
+  // Note which heuristic found a section (only while parse() runs)
+  record(key, how) {
+    if (this.trace) this.trace.sections[key] = how;
+  }
+
+  /**
+   * Lines of the section under a heading (on a line of its own) up to the
+   * next heading of any section.
+   * @param {string} heading - Regex source for the heading
+   * @returns {string[]} Section lines, blank lines dropped; [] without the section
+   */
+  sectionLines(text, heading) {
+    const headingRe = new RegExp(`^(?:${heading})\\s*:?$`, 'i');
+    const lines = text.split('\n');
+    const start = lines.findIndex(l => headingRe.test(l.trim()));
+    if (start === -1) return [];
+
+    const body = [];
+    for (const line of lines.slice(start + 1)) {
+      if (this.anyHeading.test(line.trim())) break;
+      if (line.trim()) body.push(line);
+    }
+    return body;
+  }
+
+  /**
+   * Projects: a name line (optionally "Name – description", dates, a link)
+   * followed by description lines, "Tech: …" lines and bullets. A list made
+   * only of bullets is one project per bullet.
+   * @returns {Array} [{ name, dates, description, technologies, highlights, url }]
+   */
+  extractProjects(text) {
+    const projects = [];
+    let current = null;
+
+    for (const raw of this.sectionLines(text, this.headings.projects)) {
+      const bullet = BULLET_LINE.test(raw);
+      const line = raw.replace(BULLET_LINE, '').trim();
+      const url = line.match(/https?:\/\/\S+|(?:www\.)?github\.com\/\S+/i)?.[0] || '';
+
+      const tech = line.match(/^(?:tech(?:nolog(?:y|ies))?(?:\s+used)?|stack|tools|built\s+with)\s*[:\-–]\s*(.+)$/i);
+      if (tech && current) {
+        current.technologies.push(...tech[1].split(/\s*[,|;]\s*/).filter(Boolean));
+        continue;
+      }
+      if (current && url && line.replace(url, '').trim() === '') {
+        current.url ||= url;
+        continue;
+      }
+      if (current && !bullet && !current.dates && line === parseDateRange(line, this.getNow())?.raw) {
+        current.dates = line;
+        continue;
+      }
+      // Sentences under a project describe it; short plain lines start the next one
+      const isSentence = line.length > 80 || /[.;]$/.test(line);
+      if (current && (bullet ? !current.fromBullet : isSentence)) {
+        if (bullet) current.highlights.push(line);
+        else current.description = [current.description, line].filter(Boolean).join(/[.!?]$/.test(current.description) ? ' ' : '. ');
+        if (url && !current.url) current.url = url;
+        continue;
+      }
+
+      if (current) projects.push(current);
+      current = this.parseProjectHeader(line, url);
+      current.fromBullet = bullet;
+    }
+    if (current) projects.push(current);
+
+    return projects.map(({ fromBullet, ...project }) => project);
+  }
+
+  // "Name (2021) – description | React, Node" → project fields
+  parseProjectHeader(line, url) {
+    const range = parseDateRange(line, this.getNow());
+    const year = !range && line.match(/\(((?:19|20)\d{2})\)/);
+    const dates = range?.raw || (year ? year[1] : '');
+    let rest = (dates ? line.replace(range?.raw || year[0], '') : line).replace(/\(\s*\)|\[\s*\]/g, '');
+    if (url) rest = rest.replace(url, '');
+
+    let technologies = [];
+    const pipe = rest.split(/\s+\|\s+/);
+    if (pipe.length > 1) {
+      rest = pipe[0];
+      technologies = pipe.slice(1).join(',').split(/\s*,\s*/).filter(Boolean);
+    }
+    const [name, ...description] = rest.split(/\s+[–—-]\s+|:\s+/);
+    return {
+      name: name.replace(/[\s,–—-]+$/, '').trim(),
+      dates,
+      description: description.join(' – ').trim(),
+      technologies,
+      highlights: [],
+      url
+    };
+  }
+
+  /**
+   * Spoken languages with their level. Entries that aren't a known spoken
+   * language and carry no level ("Python") are skipped.
+   * @returns {Array} [{ language, proficiency }]
+   */
+  extractLanguages(text) {
+    const lines = this.sectionLines(text, this.headings.languages);
+    // "Languages: English (native), French (B2)" on one line
+    const inline = text.match(new RegExp(`^\\s*(?:${this.headings.languages})\\s*:\\s*(.+)$`, 'im'));
+    if (inline) lines.push(inline[1]);
+
+    const languages = [];
+    for (const item of lines.flatMap(l => l.replace(BULLET_LINE, '').split(/\s*[,;|•]\s*(?![^()]*\))/))) {
+      const m = item.trim().match(/^([A-Za-zÀ-ÿ ]+?)\s*(?:[(:–—-]\s*(.+?)\)?)?$/);
+      if (!m) continue;
+      const language = m[1].trim();
+      const proficiency = (m[2] || '').trim();
+      const known = language.toLowerCase().split(/\s+/).some(w => SPOKEN_LANGUAGE_NAMES.has(w));
+      if (!known && !PROFICIENCY_PATTERN.test(proficiency)) continue;
+      if (!languages.some(l => l.language.toLowerCase() === language.toLowerCase())) {
+        languages.push({ language, proficiency });
+      }
+    }
+    return languages;
+  }
+
+  /**
+   * One publication per line or bullet, kept as the full citation.
+   * @returns {Array} [{ title, venue, year, url }]
+   */
+  extractPublications(text) {
+    return this.sectionLines(text, this.headings.publications).map(raw => {
+      const line = raw.replace(BULLET_LINE, '').trim();
+      return {
+        title: line,
+        venue: '',
+        year: lastYear(line),
+        url: line.match(/https?:\/\/\S+|\bdoi:\s*\S+/i)?.[0] || ''
+      };
+    });
+  }
+
+  /**
+   * One award per line or bullet.
+   * @returns {Array} [{ title, issuer, year }]
+   */
+  extractAwards(text) {
+    return this.sectionLines(text, this.headings.awards).map(raw => {
+      const line = raw.replace(BULLET_LINE, '').trim();
+      return { title: line, issuer: '', year: lastYear(line) };
+    });
+  }
+
+  /**
+   * Volunteering: "Role at Organisation" / "Role, Organisation" header
+   * lines, a date range (on the header or its own line) and bullets.
+   * @returns {Array} [{ role, organization, dates, highlights }]
+   */
+  extractVolunteering(text) {
+    const roles = [];
+    let current = null;
+
+    for (const raw of this.sectionLines(text, this.headings.volunteering)) {
+      const bullet = BULLET_LINE.test(raw);
+      const line = raw.replace(BULLET_LINE, '').trim();
+      const range = !bullet && parseDateRange(line, this.getNow());
+
+      if (current && range && line === range.raw && !current.dates) {
+        current.dates = line;
+      } else if (current && (bullet || line.length > 80 || /[.;]$/.test(line))) {
+        current.highlights.push(line);
+      } else if (current && !current.organization && !current.highlights.length && !range) {
+        current.organization = line;
+      } else {
+        if (current) roles.push(current);
+        const header = range ? line.replace(range.raw, '').replace(/[\s,|()–—-]+$/, '').trim() : line;
+        const [role, organization = ''] = header.split(/\s+at\s+|\s*[,|]\s*|\s+[–—-]\s+/);
+        current = { role: role.trim(), organization: organization.trim(), dates: range?.raw || '', highlights: [] };
+      }
+    }
+    if (current) roles.push(current);
+    return roles;
+  }
+
   extractBulletPoints(text) {
     return text
       .split('\n')
@@ -224,12 +630,12 @@ export class CVParser {
     if (!this.structured) return null;
     
     const relevanceMap = {
-      behavioral: ['experience', 'achievements', 'summary'],
-      technical: ['skills', 'experience', 'certifications'],
-      leadership: ['experience', 'achievements', 'summary'],
-      motivation: ['summary', 'experience', 'education'],
-      culture: ['summary', 'experience', 'achievements'],
-      general: ['summary', 'experience', 'skills', 'education']
+      behavioral: ['experience', 'achievements', 'summary', 'projects', 'volunteering'],
+      technical: ['skills', 'experience', 'projects', 'certifications', 'publications'],
+      leadership: ['experience', 'achievements', 'summary', 'volunteering'],
+      motivation: ['summary', 'experience', 'projects', 'education', 'volunteering'],
+      culture: ['summary', 'experience', 'achievements', 'volunteering', 'languages'],
+      general: ['summary', 'experience', 'projects', 'skills', 'education', 'languages', 'awards']
     };
     
     const sections = relevanceMap[questionType] || relevanceMap.general;
@@ -243,4 +649,9 @@ export class CVParser {
   }
 }
 
+function lastYear(line) {
+  const years = line.match(YEAR);
+  return years ? years[years.length - 1] : '';
+}
+
 export default CVParser;
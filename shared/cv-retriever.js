@@ -0,0 +1,338 @@
+/**
+ * CV Retriever Module
+ *
+ * Picks the CV evidence most relevant to a question and fits it into a token
+ * budget, so long CVs are condensed by relevance instead of being cut at an
+ * arbitrary character offset.
+ *
+ * DESIGN DECISIONS:
+ * 1. Works on raw CV lines, not on CVParser output – the parser's heuristics
+ *    miss roles on unusual layouts, and missing evidence is worse than noise
+ * 2. Structure is always kept: contact lines, section headings and role/date
+ *    lines are cheap and stop the model from inventing a career timeline
+ * 3. Bullets, summary sentences and individual skills are ranked with BM25
+ *    (local, no embeddings) against the question plus the job description
+ * 4. Ties fall back to round-robin across roles, not CV order, to avoid
+ *    recency bias when the question shares no words with the CV
+ * 5. Selected lines are rendered in original CV order so the context still
+ *    reads like a CV
+ * 6. Callers can favour sections (e.g. projects for skill questions) with a
+ *    small bonus, like the one quantified lines get
+ * 7. Known skills are indexed by their canonical ID as well
+ *    (skills-taxonomy.js), so a question about Kubernetes finds a "k8s" bullet
+ */
+
+import { estimateTokens, DEFAULT_CV_CAP } from './token-budget.js';
+import { CV_LANGUAGES, SECTION_HEADINGS, allHeadingsSource } from './cv-locales.js';
+import { skillTerms } from './skills-taxonomy.js';
+
+// Headings in every language cv-locales.js knows – a heading only counts on a
+// short line of its own, so all languages can be checked at once
+const SECTION_HEADING = new RegExp(`^(?:${allHeadingsSource()}|links|contact)\\s*:?$`, 'i');
+const SKILLS_HEADING = new RegExp([...CV_LANGUAGES.map(lang => SECTION_HEADINGS[lang].skills), 'tools'].join('|'), 'i');
+const DATE_HINT = /\b(19|20)\d{2}\b|\b(present|current|now)\b/i;
+const CONTACT_HINT = /@|https?:\/\/|www\.|linkedin\.com|github\.com|(?:^|\s)(?:\+|00)\d[\d\s().-]{7,}\d|\b\d{3}[\s.-]\d{3}[\s.-]\d{4}\b/i;
+const BULLET = /^[\s]*[•\-\*▪◦‣●]\s*/;
+const METRIC = /\d+\s*%|[$£€]\s?\d|\b\d+(\.\d+)?\s*(k|m|bn|x)\b|\b\d{2,}\b/i;
+
+const STOPWORDS = new Set((
+  'a an and are as at be been but by can could did do does for from had has have how i if in into is it its ' +
+  'me my of on or our so than that the their them then there these they this to was we were what when where ' +
+  'which while who why will with would you your yours about also any all more most other some such very ' +
+  'please describe tell give us example time role position job company team work working'
+).split(' '));
+
+// BM25 parameters – the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+const METRIC_BONUS = 0.3;
+const SECTION_BONUS = 0.3;
+
+/**
+ * Lowercase, split and lightly stem text into index terms.
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const raw of (text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || []) {
+    const word = raw.replace(/\.+$/, '');
+    if (word.length < 2 || STOPWORDS.has(word)) continue;
+    terms.push(stem(word));
+  }
+  return terms;
+}
+
+// Index and query terms: words plus canonical skill IDs
+function indexTerms(text) {
+  return [...tokenize(text), ...skillTerms(text)];
+}
+
+function stem(word) {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export class CVRetriever {
+  /**
+   * @param {string} cvText - Raw CV text
+   */
+  constructor(cvText) {
+    this.rawText = cvText || '';
+    this.units = this.segment(this.rawText);
+    this.evidence = this.units.filter(u => u.kind === 'evidence');
+    this.buildIndex();
+  }
+
+  /**
+   * Split the CV into units. `kind` is 'structure' (always kept) or
+   * 'evidence' (ranked). Units sharing a `group` are rendered on one line.
+   */
+  segment(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const units = [];
+    let section = '';
+    let seenHeading = false;
+    let role = -1;
+    let rankInRole = 0;
+    let group = 0;
+
+    const isDateLine = (line) => !!line && !BULLET.test(line) && line.length <= 120 && DATE_HINT.test(line);
+    // Company / title lines: short, not bullets, not sentences
+    const isLabelLine = (line) => !!line && !BULLET.test(line) && line.length <= 80 && !/[.;]$/.test(line.trim());
+
+    lines.forEach((rawLine, i) => {
+      const line = rawLine.trim();
+      group++;
+      if (!line) {
+        units.push({ kind: 'structure', text: '', group, blank: true });
+        return;
+      }
+
+      const bullet = BULLET.test(rawLine);
+      const heading = !bullet && line.length <= 40 && (SECTION_HEADING.test(line) ||
+        (/^[A-Z][A-Z &/]{2,}$/.test(line) && line.split(/\s+/).length <= 4));
+
+      if (heading) {
+        section = line;
+        seenHeading = true;
+        units.push({ kind: 'structure', text: line, group });
+        return;
+      }
+
+      // Name/contact block above the first heading, and any contact line
+      if ((!seenHeading && i < 6) || (CONTACT_HINT.test(line) && line.length <= 160)) {
+        units.push({ kind: 'structure', text: line, group });
+        return;
+      }
+
+      // Role / education anchors: date lines and up to two label lines around them
+      const [prev2, prev, next, next2] = [i - 2, i - 1, i + 1, i + 2].map(j => lines[j]?.trim());
+      const nearDate = isLabelLine(rawLine) && (
+        isDateLine(prev) || isDateLine(next) ||
+        (isLabelLine(prev) && isDateLine(prev2)) || (isLabelLine(next) && isDateLine(next2))
+      );
+      if (isDateLine(line) || nearDate) {
+        if (!units[units.length - 1]?.anchor) {
+          role++;
+          rankInRole = 0;
+        }
+        units.push({ kind: 'structure', text: line, group, anchor: true, role });
+        return;
+      }
+
+      const base = { kind: 'evidence', section, role, bullet, position: i };
+
+      // Comma/pipe separated skill lists → one unit per skill
+      const parts = line.replace(BULLET, '').split(/\s*[,|;•]\s*/).filter(Boolean);
+      if (SKILLS_HEADING.test(section) && parts.length >= 3) {
+        for (const part of parts) {
+          units.push({ ...base, text: part, group, separator: ', ', rankInRole: rankInRole++ });
+        }
+        return;
+      }
+
+      // Long paragraphs → sentences, so one relevant sentence doesn't drag in the rest
+      const body = line.replace(BULLET, '');
+      const sentences = body.length > 300 ? body.match(/[^.!?]+[.!?]+(\s|$)|[^.!?]+$/g) : [body];
+      for (const sentence of sentences) {
+        units.push({
+          ...base,
+          text: sentence.trim(),
+          prefix: bullet ? '- ' : '',
+          group,
+          separator: ' ',
+          rankInRole: rankInRole++
+        });
+      }
+    });
+
+    return units;
+  }
+
+  buildIndex() {
+    this.df = new Map();
+    let totalLength = 0;
+
+    for (const unit of this.evidence) {
+      unit.terms = new Map();
+      for (const term of indexTerms(unit.text)) {
+        unit.terms.set(term, (unit.terms.get(term) || 0) + 1);
+      }
+      unit.length = [...unit.terms.values()].reduce((a, b) => a + b, 0);
+      unit.hasMetric = METRIC.test(unit.text);
+      totalLength += unit.length;
+      for (const term of unit.terms.keys()) {
+        this.df.set(term, (this.df.get(term) || 0) + 1);
+      }
+    }
+
+    this.avgLength = this.evidence.length ? totalLength / this.evidence.length : 1;
+  }
+
+  idf(term) {
+    const n = this.evidence.length;
+    const df = this.df.get(term) || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Weighted query terms. Question words count fully, listed requirements a
+   * bit over half and job-description words less; repeats are capped so one
+   * buzzword can't dominate.
+   */
+  buildQuery({ question = '', jobDescription = '', requirements = [] } = {}) {
+    const weights = new Map();
+    const add = (text, weight, cap) => {
+      const counts = new Map();
+      for (const term of indexTerms(text)) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, count] of counts) {
+        weights.set(term, (weights.get(term) || 0) + weight * Math.min(count, cap));
+      }
+    };
+    add(question, 1, 2);
+    add((requirements || []).join('\n'), 0.6, 2);
+    add(jobDescription, 0.3, 3);
+    return weights;
+  }
+
+  /**
+   * Score every evidence unit against the query.
+   * @returns {Array} Evidence units sorted best-first, each with `score`
+   */
+  rank(query, { boostSections = null } = {}) {
+    const weights = this.buildQuery(query);
+
+    for (const unit of this.evidence) {
+      let score = 0;
+      for (const [term, weight] of weights) {
+        const tf = unit.terms.get(term);
+        if (!tf) continue;
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * unit.length / this.avgLength));
+        score += weight * this.idf(term) * norm;
+      }
+      // Quantified evidence is the strongest material for any answer
+      unit.score = score + (unit.hasMetric ? METRIC_BONUS : 0) +
+        (boostSections?.test(unit.section) ? SECTION_BONUS : 0);
+    }
+
+    return [...this.evidence].sort((a, b) =>
+      b.score - a.score ||
+      a.rankInRole - b.rankInRole ||   // round-robin across roles on ties
+      a.position - b.position
+    );
+  }
+
+  /**
+   * Build a CV context that fits the token budget.
+   *
+   * @param {Object} query - { question, jobDescription?, requirements? }
+   * @param {Object} options - { tokenBudget, boostSections? } – `boostSections`
+   *   is a RegExp on section headings whose lines get a ranking bonus
+   * @returns {Object} { text, tokens, condensed, omitted } – `omitted` counts dropped evidence units
+   */
+  buildContext(query, { tokenBudget = DEFAULT_CV_CAP, boostSections = null } = {}) {
+    const fullTokens = estimateTokens(this.rawText);
+    if (fullTokens <= tokenBudget) {
+      return { text: this.rawText, tokens: fullTokens, condensed: false, omitted: 0 };
+    }
+
+    const note = '(CV condensed to the evidence most relevant to this question — less relevant lines omitted)\n\n';
+    let used = estimateTokens(note);
+    for (const unit of this.units) {
+      if (unit.kind === 'structure') used += estimateTokens(unit.text) + 1;
+    }
+
+    // Structure alone doesn't fit (pathological CV) → head + tail slice
+    if (used > tokenBudget) {
+      return { text: headTailSlice(this.rawText, tokenBudget * 4), tokens: tokenBudget, condensed: true, omitted: this.evidence.length };
+    }
+
+    const selected = new Set();
+    for (const unit of this.rank(query, { boostSections })) {
+      const cost = estimateTokens(unit.text) + 1;
+      if (used + cost > tokenBudget) continue; // a shorter unit may still fit
+      selected.add(unit);
+      used += cost;
+    }
+
+    return {
+      text: note + this.render(selected),
+      tokens: used,
+      condensed: true,
+      omitted: this.evidence.length - selected.size
+    };
+  }
+
+  /**
+   * Render structure plus the selected evidence in original CV order.
+   */
+  render(selected) {
+    const out = [];
+    let lastGroup = null;
+
+    for (const unit of this.units) {
+      if (unit.kind === 'evidence' && !selected.has(unit)) continue;
+
+      if (unit.blank) {
+        if (out.length && out[out.length - 1] !== '') out.push('');
+        lastGroup = null;
+        continue;
+      }
+
+      if (unit.kind === 'evidence' && unit.group === lastGroup) {
+        out[out.length - 1] += unit.separator + unit.text;
+      } else {
+        out.push((unit.prefix || '') + unit.text);
+      }
+      lastGroup = unit.group;
+    }
+
+    // Drop headings whose whole section was omitted
+    const isHeading = (line) => SECTION_HEADING.test(line || '');
+    return out
+      .filter((line, i) => {
+        if (!isHeading(line)) return true;
+        const next = out.slice(i + 1).find(l => l !== '');
+        return next !== undefined && !isHeading(next);
+      })
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+/**
+ * Head + tail slice – last resort when even the CV's structure is over budget.
+ */
+function headTailSlice(raw, maxChars) {
+  const max = Math.max(500, Number(maxChars) || 0);
+  if (raw.length <= max) return raw;
+  const headLen = Math.floor(max * 0.6);
+  return `${raw.slice(0, headLen)}\n\n...[snip]...\n\n${raw.slice(-(max - headLen))}`;
+}
+
+export default CVRetriever;
@@ -0,0 +1,600 @@
+/**
+ * Document Formats Module
+ *
+ * Recognises an uploaded CV file by its bytes and turns the formats that have
+ * no library of their own – RTF, HTML, Markdown and OpenDocument text – into
+ * plain text a CV parser can read. PDF, DOCX and legacy .doc are handed to
+ * pdf-parse, mammoth and word-extractor on the servers; this module finds the
+ * hyperlink targets word-extractor drops from .doc files.
+ *
+ * DESIGN DECISIONS:
+ * 1. The type comes from magic bytes, not from the mimetype the browser sent:
+ *    drag-and-drop often sends an empty or generic one. The file name only
+ *    breaks ties between text formats (a .md file is plain text otherwise)
+ * 2. Hyperlinks stay in the text as "label (url)" when the label isn't the
+ *    URL itself, so a LinkedIn profile linked behind "LinkedIn" still
+ *    reaches contact extraction. Every converter also returns the http(s)
+ *    targets as `links`
+ * 3. Small tolerant readers (a tokenizer per format), no DOM and no
+ *    dependencies – same as cv-formats.js, so this runs on both servers and
+ *    in a browser
+ * 4. Paragraphs become single lines and headings are set off by blank
+ *    lines; list items become "- " lines and table rows "cell | cell". An
+ *    entry's company, title and dates stay together, which is the layout
+ *    CVParser expects from any source
+ *
+ * Converter result: { text, links: string[] }
+ */
+
+export const FILE_TYPES = {
+  PDF: 'pdf',
+  DOCX: 'docx',
+  DOC: 'doc',
+  ODT: 'odt',
+  RTF: 'rtf',
+  HTML: 'html',
+  MARKDOWN: 'markdown',
+  TEXT: 'text',
+  PNG: 'png',
+  JPEG: 'jpeg'
+};
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+const latin1 = (bytes, start = 0, end = bytes.length) => {
+  let out = '';
+  for (let i = start; i < Math.min(end, bytes.length); i++) out += String.fromCharCode(bytes[i]);
+  return out;
+};
+
+/**
+ * The type of an uploaded file, from its content.
+ *
+ * @param {Uint8Array} bytes - File content
+ * @param {string} [filename] - Original name, used for text formats only
+ * @returns {string|null} One of FILE_TYPES, or null when unsupported
+ */
+export function detectFileType(bytes, filename = '') {
+  if (!bytes?.length) return null;
+  // At the very start (after a BOM or whitespace at most): a text CV may
+  // mention "%PDF-" further in
+  if (/^(?:\xef\xbb\xbf)?\s*%PDF-/.test(latin1(bytes, 0, 1024))) return FILE_TYPES.PDF;
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return FILE_TYPES.PNG;
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return FILE_TYPES.JPEG;
+  // OLE2 compound file: Word 97–2003
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return FILE_TYPES.DOC;
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) {
+    // OpenDocument stores its mimetype uncompressed as the first entry
+    if (latin1(bytes, 30, 38) === 'mimetype' && latin1(bytes, 38, 38 + ODT_MIMETYPE.length) === ODT_MIMETYPE) {
+      return FILE_TYPES.ODT;
+    }
+    // Entry names are stored uncompressed in the central directory
+    return latin1(bytes).includes('word/document.xml') ? FILE_TYPES.DOCX : null;
+  }
+
+  const head = latin1(bytes, 0, 4096);
+  if (/^(?:\xef\xbb\xbf)?\s*\{\\rtf/.test(head)) return FILE_TYPES.RTF;
+  // Other binary formats
+  if (!isUtf16(bytes) && head.includes('\0')) return null;
+
+  const text = decodeText(bytes.subarray(0, 4096)).trimStart();
+  const ext = (filename.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+  if (/^(?:html?|xhtml)$/.test(ext) || /^(?:<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text)) {
+    return FILE_TYPES.HTML;
+  }
+  if (/^(?:md|markdown|mdown|mkd)$/.test(ext) || /^#{1,6}\s+\S/m.test(text) || /\[[^\]\n]+\]\(\S+\)/.test(text)) {
+    return FILE_TYPES.MARKDOWN;
+  }
+  return FILE_TYPES.TEXT;
+}
+
+function isUtf16(bytes) {
+  return startsWith(bytes, [0xff, 0xfe]) || startsWith(bytes, [0xfe, 0xff]);
+}
+
+// Windows-1252 0x80–0x9F; the rest matches Latin-1. Spelled out because some
+// TextDecoder builds (Node without full ICU) decode "windows-1252" as Latin-1
+const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+function decodeCp1252(bytes) {
+  let out = '';
+  for (const byte of bytes) out += byte >= 0x80 && byte <= 0x9f ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  return out;
+}
+
+/**
+ * Text file bytes → string: BOMs honoured, UTF-8 when valid, else Windows-1252
+ * (what older editors on Windows save).
+ */
+export function decodeText(bytes) {
+  if (startsWith(bytes, [0xff, 0xfe])) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (startsWith(bytes, [0xfe, 0xff])) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  if (startsWith(bytes, [0xef, 0xbb, 0xbf])) return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (_) {
+    return decodeCp1252(bytes);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  bull: '•', middot: '·', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', shy: ''
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? whole;
+  });
+}
+
+const isWebLink = (url) => /^https?:\/\//i.test(url);
+
+/**
+ * " (url)" after a link's label, unless the label already shows it
+ * ("linkedin.com/in/jane" for https://linkedin.com/in/jane).
+ */
+function linkSuffix(label, url) {
+  if (!isWebLink(url)) return '';
+  const bare = (u) => u.replace(/^https?:\/\/(?:www\.)?/i, '').replace(/\/$/, '').toLowerCase();
+  return label.toLowerCase().includes(bare(url)) ? '' : ` (${url})`;
+}
+
+// Lines → text: trailing spaces trimmed, at most one blank line in a row
+function tidy(lines) {
+  return lines.join('\n')
+    .replace(/[ \t ]+\n/g, '\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const unique = (links) => [...new Set(links.filter(isWebLink))];
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const HTML_BLOCKS = /^(?:p|div|section|article|header|footer|main|aside|address|blockquote|pre|ul|ol|dl|dt|dd|table|tbody|thead|tr|form|fieldset|figure|figcaption|nav)$/;
+
+/**
+ * HTML (a saved web page or an HTML export) → text.
+ */
+export function htmlToText(html) {
+  const source = String(html)
+    .replace(/<!--[\s\S]*?-->|<![^>]*>|<\?[^>]*>/g, '')
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  const lines = [];
+  const links = [];
+  let line = '';
+  let anchor = null;
+  let cells = 0;
+  const breakLine = (blank = false) => {
+    if (line.trim()) lines.push(line);
+    if (blank) lines.push('');
+    line = '';
+  };
+
+  const token = /<\s*(\/?)\s*([a-z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)/gi;
+  let m;
+  while ((m = token.exec(source)) !== null) {
+    if (m[4] !== undefined) {
+      const text = decodeEntities(m[4].replace(/\s+/g, ' '));
+      line += line === '' || /\s$/.test(line) ? text.replace(/^ /, '') : text;
+      continue;
+    }
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+    if (tag === 'br') {
+      breakLine();
+    } else if (/^h[1-6]$/.test(tag)) {
+      // Headings on a line of their own, after a blank line
+      if (closing) breakLine(true);
+      else { breakLine(); lines.push(''); }
+    } else if (tag === 'li') {
+      if (!closing) { breakLine(); line = '- '; } else breakLine();
+    } else if (tag === 'td' || tag === 'th') {
+      if (!closing && cells++ > 0) line = `${line.trimEnd()} | `;
+    } else if (tag === 'tr') {
+      cells = 0;
+      breakLine();
+    } else if (tag === 'hr') {
+      breakLine(true);
+    } else if (tag === 'a') {
+      if (!closing) {
+        const href = m[3].match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        anchor = href ? { url: decodeEntities((href[1] ?? href[2] ?? href[3]).trim()), start: line.length } : null;
+      } else if (anchor) {
+        line += linkSuffix(line.slice(anchor.start), anchor.url);
+        links.push(anchor.url);
+        anchor = null;
+      }
+    } else if (HTML_BLOCKS.test(tag)) {
+      breakLine();
+    }
+  }
+  breakLine();
+
+  return { text: tidy(lines.map(l => l.trim())), links: unique(links) };
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Markdown (a README-style CV) → text.
+ */
+export function markdownToText(markdown) {
+  const source = String(markdown).replace(/\r\n?/g, '\n');
+  const links = [];
+
+  // Reference definitions: [id]: https://… "title"
+  const refs = {};
+  const body = source.replace(/^ {0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s+["'(].*["')])?\s*$/gm, (_, id, url) => {
+    refs[id.toLowerCase()] = url;
+    return '';
+  });
+
+  const inline = (text) => text
+    // Images: alt text only
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g, (_, label, url) => {
+      links.push(url);
+      return label + linkSuffix(label, url);
+    })
+    .replace(/\[([^\]]+)\]\s?\[([^\]]*)\]/g, (whole, label, id) => {
+      const url = refs[(id || label).toLowerCase()];
+      if (!url) return whole;
+      links.push(url);
+      return label + linkSuffix(label, url);
+    })
+    .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/gi, (_, url) => {
+      links.push(url);
+      return url.replace(/^mailto:/i, '');
+    })
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?[a-z][^>]*>/gi, '');
+
+  const lines = [];
+  let fenced = false;
+  const rows = body.split('\n');
+  rows.forEach((raw, i) => {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      fenced = !fenced;
+      return;
+    }
+    if (fenced) {
+      lines.push(raw);
+      return;
+    }
+    const next = rows[i + 1] || '';
+    let line = raw.replace(/^ {0,3}>\s?/, '');
+
+    // Setext heading underline, horizontal rule, table separator
+    if (/^\s*(?:=+|-+)\s*$/.test(line) && i > 0 && rows[i - 1].trim() && !/^\s*[-*+]\s/.test(rows[i - 1])) return;
+    if (/^\s*(?:[-*_]\s*){3,}$/.test(line)) { lines.push(''); return; }
+    if (/^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) return;
+
+    const heading = line.match(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading || /^\s*(?:=+|-+)\s*$/.test(next) && line.trim() && !/^\s*[-*+]\s/.test(line)) {
+      lines.push('', inline(heading ? heading[1] : line.trim()));
+      return;
+    }
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      lines.push(line.trim().slice(1, -1).split('|').map(c => inline(c.trim())).join(' | '));
+      return;
+    }
+    line = line.replace(/^(\s*)[*+-]\s+(?:\[[ xX]\]\s+)?/, '$1- ');
+    lines.push(inline(line.replace(/\s+$/, '')));
+  });
+
+  return { text: tidy(lines), links: unique(links) };
+}
+
+// ---------------------------------------------------------------------------
+// RTF
+// ---------------------------------------------------------------------------
+
+// Destinations whose content is never body text
+const RTF_SKIP = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'xmlnstbl',
+  'revtbl', 'filetbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'generator',
+  'pgdsctbl', 'mmathPr', 'nonshppict', 'footnote', 'annotation', 'bkmkstart', 'bkmkend'
+]);
+
+const RTF_CHARS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n', tab: '\t', cell: ' | ', row: '\n',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+/**
+ * RTF (WordPad, TextEdit, older Word exports) → text.
+ */
+export function rtfToText(rtf) {
+  const source = String(rtf);
+  const links = [];
+  let out = '';
+  let codepage = 1252;
+  let pendingBytes = [];
+
+  // Group state, copied on "{": skip (ignored destination), uc (chars to skip
+  // after \u), field (HYPERLINK being read), inst (reading the field code)
+  let state = { skip: false, uc: 1, field: null, inst: false, ownsField: false };
+  const stack = [];
+
+  const flushBytes = () => {
+    if (!pendingBytes.length) return;
+    const bytes = Uint8Array.from(pendingBytes);
+    pendingBytes = [];
+    let text;
+    try {
+      text = codepage === 1252 ? decodeCp1252(bytes) : new TextDecoder(`windows-${codepage}`).decode(bytes);
+    } catch (_) {
+      text = decodeCp1252(bytes);
+    }
+    emit(text);
+  };
+  const emit = (text) => {
+    if (state.skip) return;
+    if (state.inst && state.field) state.field.inst += text;
+    else out += text;
+  };
+  const closeField = (field) => {
+    const url = field.inst.match(/HYPERLINK\s+"([^"]+)"/i)?.[1];
+    if (!url) return;
+    links.push(url);
+    out += linkSuffix(out.slice(field.start), url);
+  };
+
+  let skipChars = 0;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    // Consecutive \'hh bytes are decoded together (multi-byte code pages)
+    if (ch !== '\\' || source[i + 1] !== "'") flushBytes();
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state, ownsField: false };
+      skipChars = 0;
+    } else if (ch === '}') {
+      if (state.ownsField && state.field) closeField(state.field);
+      state = stack.pop() || state;
+      skipChars = 0;
+    } else if (ch === '\\') {
+      const next = source[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i++;
+      } else if (next === "'") {
+        const byte = parseInt(source.substr(i + 2, 2), 16);
+        i += 3;
+        if (skipChars > 0) skipChars--;
+        else if (Number.isFinite(byte) && !state.skip) pendingBytes.push(byte);
+      } else if (next === '*') {
+        // Optional destination: ignored unless it is a field instruction
+        const word = source.slice(i + 2).match(/^\s*\\([a-zA-Z]+)/)?.[1];
+        if (word === 'fldinst') state.inst = true;
+        else state.skip = true;
+        i++;
+      } else if (next === '~') {
+        emit(' ');
+        i++;
+      } else if (next === '_') {
+        emit('-');
+        i++;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i++;
+      } else {
+        const m = source.slice(i + 1, i + 40).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+        if (!m) { i++; continue; }
+        i += m[0].length;
+        const [, word, arg] = m;
+        const num = arg === undefined ? null : Number(arg);
+
+        if (word === 'bin' && num > 0) {
+          i += num;
+        } else if (RTF_SKIP.has(word)) {
+          state.skip = true;
+        } else if (word === 'ansicpg' && num) {
+          codepage = num;
+        } else if (word === 'uc' && num !== null) {
+          state.uc = num;
+        } else if (word === 'u' && num !== null) {
+          emit(String.fromCharCode(num < 0 ? num + 65536 : num));
+          skipChars = state.uc;
+        } else if (word === 'field') {
+          state.field = { inst: '', start: out.length };
+          state.ownsField = true;
+        } else if (word === 'fldinst') {
+          state.inst = true;
+        } else if (word === 'fldrslt') {
+          state.inst = false;
+          if (state.field) state.field.start = out.length;
+        } else if (word === 'pard' || word === 'plain') {
+          // formatting reset only
+        } else if (RTF_CHARS[word] !== undefined) {
+          emit(RTF_CHARS[word]);
+        }
+      }
+    } else if (ch === '\r' || ch === '\n') {
+      // Line breaks in RTF source are not text
+    } else if (skipChars > 0) {
+      skipChars--;
+    } else {
+      emit(ch);
+    }
+  }
+  flushBytes();
+
+  const lines = out
+    .replace(/\t/g, ' ')
+    .split('\n')
+    .map(l => l.trim().replace(/^[•·▪◦]\s*/, '- '));
+  return { text: tidy(lines), links: unique(links) };
+}
+
+// ---------------------------------------------------------------------------
+// OpenDocument text (.odt)
+// ---------------------------------------------------------------------------
+
+/**
+ * The `content.xml` of an .odt file → text. Unzipping is left to the caller.
+ */
+export function odtToText(contentXml) {
+  const xml = String(contentXml);
+  const bodyStart = xml.search(/<office:body[\s>]/);
+  const source = bodyStart >= 0 ? xml.slice(bodyStart) : xml;
+
+  const lines = [];
+  const links = [];
+  let line = '';
+  let listDepth = 0;
+  let itemStart = false;
+  let row = null;
+  let anchor = null;
+  let skip = 0;
+
+  const endParagraph = (heading) => {
+    const text = line.trim();
+    line = '';
+    if (row) {
+      if (text) row.push(text);
+      return;
+    }
+    if (heading) lines.push('');
+    if (text || !heading) lines.push(itemStart && text ? `- ${text}` : text);
+    if (heading) lines.push('');
+    if (text) itemStart = false;
+  };
+
+  const token = /<(\/?)([\w-]+:[\w-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = token.exec(source)) !== null) {
+    if (m[5] !== undefined) {
+      if (!skip) line += decodeEntities(m[5]);
+      continue;
+    }
+    const [, closing, name, attrs, selfClosing] = m;
+    const open = !closing;
+    // Footnotes and annotations are not body text
+    if (name === 'text:note' || name === 'office:annotation' || name === 'text:tracked-changes') {
+      if (open && !selfClosing) skip++;
+      else if (closing) skip--;
+      continue;
+    }
+    if (skip) continue;
+
+    switch (name) {
+      case 'text:p':
+      case 'text:h':
+        if (closing || selfClosing) endParagraph(name === 'text:h');
+        break;
+      case 'text:list':
+        listDepth += open && !selfClosing ? 1 : closing ? -1 : 0;
+        break;
+      case 'text:list-item':
+        if (open) itemStart = true;
+        break;
+      case 'table:table-row':
+        if (open && !selfClosing) row = [];
+        else if (closing && row) {
+          lines.push(row.join(' | '));
+          row = null;
+        }
+        break;
+      case 'text:s': {
+        const count = Number(attrs.match(/text:c="(\d+)"/)?.[1] || 1);
+        line += ' '.repeat(Math.min(count, 10));
+        break;
+      }
+      case 'text:tab':
+        line += ' ';
+        break;
+      case 'text:line-break':
+        line += '\n';
+        break;
+      case 'text:a':
+        if (open) {
+          const href = attrs.match(/xlink:href="([^"]*)"/)?.[1];
+          anchor = href ? { url: decodeEntities(href), start: line.length } : null;
+        } else if (anchor) {
+          line += linkSuffix(line.slice(anchor.start), anchor.url);
+          links.push(anchor.url);
+          anchor = null;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { text: tidy(lines), links: unique(links) };
+}
+
+// ---------------------------------------------------------------------------
+// Legacy Word (.doc)
+// ---------------------------------------------------------------------------
+
+/**
+ * Hyperlink targets in a Word 97–2003 file. Word keeps them in HYPERLINK
+ * field codes, which text extractors drop along with the rest of the field
+ * instructions; the codes are stored as 8-bit or UTF-16 text, so both are
+ * searched.
+ *
+ * @param {Uint8Array} bytes - .doc file content
+ * @returns {string[]} http(s) URLs, in document order
+ */
+export function docHyperlinks(bytes) {
+  const pattern = /HYPERLINK\s+"([^"\s]{4,2000})"/g;
+  const narrow = latin1(bytes);
+  const wide = new TextDecoder('utf-16le').decode(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+  const found = [...narrow.matchAll(pattern), ...wide.matchAll(pattern)].map(m => m[1]);
+  return unique(found);
+}
+
+/**
+ * Append links to extracted text as a "Links:" block, skipping those the
+ * text already shows.
+ */
+export function appendLinks(text, links) {
+  const missing = (links || []).filter(url => !text.includes(url));
+  return missing.length ? `${text}\n\nLinks:\n${missing.join('\n')}` : text;
+}
+
+/**
+ * Split a "Links:" block added by appendLinks off the end of the text, so
+ * section parsing doesn't read the URLs as part of the last section.
+ *
+ * @returns {Object} { text, links: string[] }
+ */
+export function splitLinks(text) {
+  const match = String(text || '').match(/\n\nLinks:\n((?:https?:\/\/\S+\n?)+)$/);
+  if (!match) return { text: String(text || ''), links: [] };
+  return { text: text.slice(0, match.index), links: match[1].split('\n').filter(Boolean) };
+}
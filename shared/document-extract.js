@@ -0,0 +1,256 @@
+/**
+ * Document Extraction Module
+ *
+ * One way to get a CV out of an uploaded file: text, hyperlinks, page count
+ * and the file's own metadata, for every supported format. The backend, the
+ * proxy and any script (a CLI, a batch import) call the same function, so a
+ * fix for one format reaches all of them.
+ *
+ * DESIGN DECISIONS:
+ * 1. The libraries (pdf-parse, mammoth, word-extractor, JSZip, the OCR
+ *    engine) are passed in: shared/ has no node_modules of its own and is
+ *    served to the browser too. Format detection and the converters live in
+ *    doc-formats.js, PDF reading order in pdf-layout.js, OCR in ocr.js
+ * 2. Links are returned on their own and reach the text through cvText(),
+ *    which appends those the text doesn't show as a "Links:" block – a
+ *    LinkedIn URL that exists only as a hyperlink still reaches
+ *    CVParser.extractContactInfo. The parser splits the block off again
+ *    (splitLinks) before reading sections
+ * 3. Metadata uses the same keys for every format (title, author, created,
+ *    modified, producer); whatever the file doesn't say is left out. Dates
+ *    are ISO strings
+ * 4. Unsupported content returns null rather than throwing; a file that is
+ *    supported but broken throws, like the libraries do
+ *
+ * Result: { type, text, links: string[], pages: number|null, metadata: {},
+ *           layout?: { columns, headings }, ocr?: { pages, confidence, quality, warning } }
+ *
+ * Usage:
+ *   const extractDocument = createDocumentExtractor({ pdfParse, mammoth, WordExtractor, JSZip, ocr });
+ *   const doc = await extractDocument(buffer, { filename: 'cv.pdf' });
+ *   const text = cvText(doc);
+ */
+
+import {
+  FILE_TYPES,
+  appendLinks,
+  decodeEntities,
+  decodeText,
+  detectFileType,
+  docHyperlinks,
+  htmlToText,
+  markdownToText,
+  odtToText,
+  rtfToText
+} from './doc-formats.js';
+import { joinPageLayouts, renderPageLayout } from './pdf-layout.js';
+import { MAX_OCR_PAGES, PDF_OCR_OPTIONS, needsOcr, pageImage } from './ocr.js';
+
+export const SUPPORTED_FORMATS = 'PDF, DOCX, DOC, ODT, RTF, TXT, Markdown, HTML, PNG, JPG';
+
+/**
+ * A document extractor over injected libraries.
+ *
+ * @param {Object} libs
+ * @param {Function} libs.pdfParse - pdf-parse (lib/pdf-parse.js)
+ * @param {Object} libs.mammoth - mammoth
+ * @param {Function} libs.WordExtractor - word-extractor's class
+ * @param {Object} libs.JSZip - jszip
+ * @param {Object} libs.ocr - createOcr() engine (shared/ocr.js)
+ * @returns {Function} extractDocument(buffer, { filename }) → Promise<Object|null>
+ */
+export function createDocumentExtractor({ pdfParse, mammoth, WordExtractor, JSZip, ocr }) {
+  const wordExtractor = new WordExtractor();
+
+  const extractors = {
+    [FILE_TYPES.PDF]: async (buffer) => {
+      // Positional extraction: columns read one after the other, headings on
+      // lines of their own. Pages without a text layer are scans and get
+      // OCR'd. pdf.js reads the whole ArrayBuffer behind a Buffer, so it gets
+      // a copy of just the file
+      const pages = [];
+      let scans = 0;
+      const result = await pdfParse({ data: new Uint8Array(buffer), ...PDF_OCR_OPTIONS }, {
+        pagerender: async (pageData) => {
+          const page = await renderPageLayout(pageData);
+          if (needsOcr(page.text) && scans < MAX_OCR_PAGES) {
+            page.image = await pageImage(pageData);
+            if (page.image) scans++;
+          }
+          pages.push(page);
+          return page.text;
+        }
+      });
+      const ocrReport = await ocr.readScannedPages(pages);
+      const layout = joinPageLayouts(pages);
+      return {
+        text: layout.text,
+        links: layout.links,
+        pages: result.numpages,
+        metadata: pdfMetadata(result.info),
+        layout: { columns: layout.columns, headings: layout.headings },
+        ocr: ocrReport
+      };
+    },
+
+    [FILE_TYPES.DOCX]: async (buffer) => {
+      // Raw text for the CV, the HTML rendering for hyperlink targets (a
+      // LinkedIn URL linked behind display text)
+      const [raw, html, zip] = await Promise.all([
+        mammoth.extractRawText({ buffer }),
+        mammoth.convertToHtml({ buffer }),
+        JSZip.loadAsync(buffer)
+      ]);
+      const links = [...html.value.matchAll(/href="([^"]+)"/g)].map(m => decodeEntities(m[1]));
+      const [core, app] = await Promise.all([readEntry(zip, 'docProps/core.xml'), readEntry(zip, 'docProps/app.xml')]);
+      return {
+        text: raw.value,
+        links,
+        pages: number(xmlValue(app, 'Pages')),
+        metadata: {
+          title: xmlValue(core, 'dc:title'),
+          author: xmlValue(core, 'dc:creator'),
+          created: isoDate(xmlValue(core, 'dcterms:created')),
+          modified: isoDate(xmlValue(core, 'dcterms:modified')),
+          producer: xmlValue(app, 'Application')
+        }
+      };
+    },
+
+    [FILE_TYPES.DOC]: async (buffer) => {
+      // word-extractor drops field codes, and with them hyperlink targets
+      const doc = await wordExtractor.extract(buffer);
+      return { text: doc.getBody(), links: docHyperlinks(buffer) };
+    },
+
+    [FILE_TYPES.ODT]: async (buffer) => {
+      const zip = await JSZip.loadAsync(buffer);
+      const [content, meta] = await Promise.all([readEntry(zip, 'content.xml'), readEntry(zip, 'meta.xml')]);
+      const { text, links } = content ? odtToText(content) : { text: '', links: [] };
+      return {
+        text,
+        links,
+        pages: number(meta.match(/meta:page-count="(\d+)"/)?.[1]),
+        metadata: {
+          title: xmlValue(meta, 'dc:title'),
+          author: xmlValue(meta, 'meta:initial-creator') || xmlValue(meta, 'dc:creator'),
+          created: isoDate(xmlValue(meta, 'meta:creation-date')),
+          modified: isoDate(xmlValue(meta, 'dc:date')),
+          producer: xmlValue(meta, 'meta:generator')
+        }
+      };
+    },
+
+    [FILE_TYPES.RTF]: async (buffer) => {
+      const source = decodeText(buffer);
+      const info = (word) => source.match(new RegExp(`\\{\\\\${word}\\s+([^{}\\\\]*)\\}`))?.[1]?.trim() || '';
+      return { ...rtfToText(source), metadata: { title: info('title'), author: info('author') } };
+    },
+
+    [FILE_TYPES.HTML]: async (buffer) => {
+      const source = decodeText(buffer);
+      const meta = (name) => decodeEntities(
+        source.match(new RegExp(`<meta\\s+[^>]*name=["']${name}["'][^>]*content=["']([^"']*)["']`, 'i'))?.[1] || ''
+      );
+      return {
+        ...htmlToText(source),
+        metadata: {
+          title: decodeEntities(source.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] || '').trim(),
+          author: meta('author'),
+          producer: meta('generator')
+        }
+      };
+    },
+
+    [FILE_TYPES.MARKDOWN]: async (buffer) => markdownToText(decodeText(buffer)),
+
+    [FILE_TYPES.TEXT]: async (buffer) => ({ text: decodeText(buffer), links: [] }),
+
+    [FILE_TYPES.PNG]: (buffer) => scan(buffer),
+    [FILE_TYPES.JPEG]: (buffer) => scan(buffer)
+  };
+
+  async function scan(buffer) {
+    const { texts, report } = await ocr.recognize([buffer]);
+    return { text: texts[0], links: [], pages: 1, ocr: report };
+  }
+
+  return async function extractDocument(buffer, { filename = '' } = {}) {
+    const type = detectFileType(buffer, filename);
+    if (!type) return null;
+
+    const doc = await extractors[type](buffer);
+    const text = String(doc.text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return {
+      type,
+      text,
+      links: [...new Set((doc.links || []).filter(url => /^https?:\/\//i.test(url)))],
+      pages: doc.pages || null,
+      metadata: Object.fromEntries(Object.entries(doc.metadata || {}).filter(([, value]) => value)),
+      ...(doc.layout ? { layout: doc.layout } : {}),
+      ...(doc.ocr ? { ocr: doc.ocr } : {})
+    };
+  };
+}
+
+/**
+ * The text a CV parser should see: the document text plus a "Links:" block
+ * with the hyperlinks it doesn't already show.
+ */
+export function cvText(doc) {
+  return appendLinks(doc.text, doc.links);
+}
+
+/**
+ * What to tell the user when a supported file yielded no text.
+ */
+export function noTextMessage(doc) {
+  return doc.ocr
+    ? 'No text could be read from this scan. Upload a sharper scan, or a text-based PDF or DOCX.'
+    : 'No text found in this file. If it is a scanned CV, upload the scan as PNG or JPG.';
+}
+
+// ---------------------------------------------------------------------------
+
+async function readEntry(zip, name) {
+  return (await zip.file(name)?.async('string')) || '';
+}
+
+function xmlValue(xml, tag) {
+  const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const value = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([^<]*)</${escaped}>`))?.[1];
+  return value ? decodeEntities(value).trim() : '';
+}
+
+function number(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : '';
+}
+
+// PDF dates look like "D:20200114093000+01'00'"
+function pdfDate(value) {
+  const m = String(value || '').match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!m) return '';
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', tz] = m;
+  const zone = !tz || tz === 'Z' ? 'Z' : `${tz.slice(0, 3)}:${tz.slice(3).replace(/'/g, '') || '00'}`;
+  return isoDate(`${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`);
+}
+
+function pdfMetadata(info) {
+  if (!info) return {};
+  return {
+    title: String(info.Title || '').trim(),
+    author: String(info.Author || '').trim(),
+    created: pdfDate(info.CreationDate),
+    modified: pdfDate(info.ModDate),
+    producer: String(info.Creator || info.Producer || '').trim()
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * OCR Module
+ *
+ * Reads CVs that have no text layer: scanned or photographed PDFs and
+ * PNG/JPG uploads. Without it pdf.js returns an empty string for such a PDF
+ * and the upload "succeeds" with nothing in it.
+ *
+ * DESIGN DECISIONS:
+ * 1. Fully offline: the servers inject tesseract.js and a bundled language
+ *    model (@tesseract.js-data/eng) – `langPath` is required, because without
+ *    it tesseract.js downloads the model from a CDN
+ * 2. A PDF page is OCR'd only when its text layer is (almost) empty, from
+ *    its largest embedded image as pdf.js decodes it – no canvas or native
+ *    renderer. A scan is one full-page image; logos and photos are smaller
+ * 3. One recognition at a time, with a fresh worker each time: a worker holds
+ *    ~100 MB, which a small proxy instance can't keep around for uploads that
+ *    rarely need it
+ * 4. OCR text is never silently trusted: every result carries tesseract's
+ *    confidence and a warning the UI shows, worded by how good it is
+ *
+ * Report shape: { pages, confidence: 0–1, quality: 'good'|'fair'|'poor', warning }
+ */
+
+// A page with less text than this is treated as image-only
+const MIN_PAGE_CHARS = 20;
+// Smaller images are logos or photos, not a scanned page
+const MIN_IMAGE_SIDE = 300;
+// CVs are short; a 40-page scan would tie the server up for minutes
+export const MAX_OCR_PAGES = 5;
+
+// pdf.js operator ids (OPS) and image kinds (ImageKind)
+const OPS_PAINT_IMAGE = 85;
+const OPS_PAINT_INLINE_IMAGE = 86;
+const KIND_GRAYSCALE_1BPP = 1;
+const KIND_RGB_24BPP = 2;
+const KIND_RGBA_32BPP = 3;
+
+export const OCR_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * pdf.js document options for pages that may be OCR'd: images are decoded by
+ * pdf.js itself, since there is no browser to decode JPEGs natively.
+ */
+export const PDF_OCR_OPTIONS = { nativeImageDecoderSupport: 'none' };
+
+/**
+ * Whether a page's extracted text is too short to be its real content.
+ */
+export function needsOcr(text) {
+  return String(text || '').replace(/\s/g, '').length < MIN_PAGE_CHARS;
+}
+
+/**
+ * The largest image painted on a pdf.js page, as a PNM file tesseract can read.
+ *
+ * @param {Object} pageData - pdf.js page (pdf-parse's `pagerender` argument)
+ * @returns {Promise<Uint8Array|null>} Null when the page has no scan-sized image
+ */
+export async function pageImage(pageData) {
+  const { fnArray, argsArray } = await pageData.getOperatorList();
+  let largest = null;
+  fnArray.forEach((fn, i) => {
+    let image = null;
+    try {
+      if (fn === OPS_PAINT_IMAGE) image = pageData.objs.get(argsArray[i][0]);
+      else if (fn === OPS_PAINT_INLINE_IMAGE) image = argsArray[i][0];
+    } catch (_) { /* not decoded – skip */ }
+    if (!image?.data || Math.min(image.width, image.height) < MIN_IMAGE_SIDE) return;
+    if (!largest || image.width * image.height > largest.width * largest.height) largest = image;
+  });
+  return largest ? toPnm(largest) : null;
+}
+
+/**
+ * Decoded pdf.js image → binary PNM (PBM for 1-bit, PPM otherwise).
+ */
+function toPnm({ width, height, kind, data }) {
+  if (kind === KIND_GRAYSCALE_1BPP) {
+    // pdf.js sets a bit for white, PBM for black
+    const body = Uint8Array.from(data, byte => ~byte & 0xff);
+    return withHeader(`P4\n${width} ${height}\n`, body);
+  }
+  if (kind === KIND_RGB_24BPP) return withHeader(`P6\n${width} ${height}\n255\n`, data);
+  if (kind === KIND_RGBA_32BPP) {
+    // Flatten onto white: transparent pixels would otherwise read as black
+    const body = new Uint8Array(width * height * 3);
+    for (let p = 0, q = 0; p < data.length; p += 4) {
+      const alpha = data[p + 3] / 255;
+      for (let c = 0; c < 3; c++) body[q++] = Math.round(data[p + c] * alpha + 255 * (1 - alpha));
+    }
+    return withHeader(`P6\n${width} ${height}\n255\n`, body);
+  }
+  return null;
+}
+
+function withHeader(header, body) {
+  const head = new TextEncoder().encode(header);
+  const file = new Uint8Array(head.length + body.length);
+  file.set(head);
+  file.set(body, head.length);
+  return file;
+}
+
+/**
+ * An OCR engine over an injected tesseract.js.
+ *
+ * @param {Object} options
+ * @param {Function} options.createWorker - tesseract.js createWorker
+ * @param {string} options.langPath - Directory of the bundled language model
+ * @param {boolean} [options.gzip] - Whether the model is gzipped
+ * @param {string} [options.lang] - Model name, default 'eng'
+ * @returns {Object} { recognize(images), readScannedPages(pages) }
+ */
+export function createOcr({ createWorker, langPath, gzip = true, lang = 'eng' }) {
+  if (!langPath) throw new Error('OCR needs a local langPath – it must not download models');
+  let queue = Promise.resolve();
+
+  const run = async (images) => {
+    const worker = await createWorker(lang, 1, { langPath, gzip, cacheMethod: 'none' });
+    try {
+      const pages = [];
+      for (const image of images.slice(0, MAX_OCR_PAGES)) {
+        const { data } = await worker.recognize(image);
+        pages.push({ text: data.text || '', confidence: data.confidence || 0 });
+      }
+      return pages;
+    } finally {
+      await worker.terminate();
+    }
+  };
+
+  /**
+   * OCR images (PNM, PNG or JPEG bytes), at most MAX_OCR_PAGES of them.
+   * @returns {Promise<Object>} { texts: string[], report }
+   */
+  async function recognize(images) {
+    const result = queue.then(() => run(images));
+    queue = result.catch(() => {});
+    const pages = await result;
+    return { texts: pages.map(p => p.text.trim()), report: ocrReport(pages) };
+  }
+
+  /**
+   * Replace the text of PDF pages that carry a scan (`image`, from
+   * pageImage()) with its OCR text.
+   * @param {Object[]} pages - renderPageLayout() results, some with `image`
+   * @returns {Promise<Object|null>} Report, or null when no page was scanned
+   */
+  async function readScannedPages(pages) {
+    const scanned = pages.filter(p => p.image).slice(0, MAX_OCR_PAGES);
+    const images = scanned.map(p => p.image);
+    for (const page of pages) delete page.image;
+    if (!images.length) return null;
+    const { texts, report } = await recognize(images);
+    scanned.forEach((page, i) => { page.text = texts[i] || ''; });
+    return report;
+  }
+
+  return { recognize, readScannedPages };
+}
+
+/**
+ * Confidence and a user-facing warning for OCR'd pages.
+ *
+ * @param {Object[]} pages - [{ text, confidence: 0–100 }]
+ * @returns {Object} Report (shape above)
+ */
+export function ocrReport(pages) {
+  // Weighted by text length: a blank page's confidence says nothing
+  const weights = pages.map(p => p.text.replace(/\s/g, '').length);
+  const total = weights.reduce((a, b) => a + b, 0);
+  const confidence = total
+    ? pages.reduce((sum, p, i) => sum + p.confidence * weights[i], 0) / total / 100
+    : 0;
+  const quality = confidence >= 0.85 ? 'good' : confidence >= 0.6 ? 'fair' : 'poor';
+  const percent = Math.round(confidence * 100);
+
+  const warning = {
+    good: `Text was read from an image (OCR, ${percent}% confidence). Check names, dates and numbers before saving.`,
+    fair: `Text was read from an image (OCR, ${percent}% confidence) and some words are likely wrong – review it before saving.`,
+    poor: `Text was read from an image (OCR, ${percent}% confidence) and much of it may be wrong. Upload a text-based PDF or DOCX if you have one.`
+  }[quality];
+
+  return { pages: pages.length, confidence: Math.round(confidence * 100) / 100, quality, warning };
+}
@@ -0,0 +1,279 @@
+/**
+ * PDF Layout Module
+ *
+ * Turns the positioned text items of a PDF page (pdf.js getTextContent) into
+ * text in reading order. pdf-parse's default output follows the order items
+ * were drawn in, which for two-column designer CVs interleaves the sidebar
+ * (skills, languages, contact) with the job bullets beside it – and then
+ * CVParser can't find where a section starts or ends.
+ *
+ * DESIGN DECISIONS:
+ * 1. Columns are found from geometry alone: a vertical strip that (almost)
+ *    no text crosses, with enough lines and text on both sides, is a gutter.
+ *    One gutter per page – CVs have a main column and at most one sidebar.
+ *    A right-aligned date is a cell of its line (joined with " | "), not a
+ *    column
+ * 2. Lines crossing the gutter (the name banner, a footer) are read in
+ *    place and cut the page into bands; within a band the left column is
+ *    read before the right one
+ * 3. Headings are lines set clearly larger than the body text (the most
+ *    common size, weighted by characters), short and without a full stop.
+ *    They are put on a line of their own after a blank line, which is what
+ *    CVParser's heading detection needs, and returned as section hints
+ * 4. Pure functions over plain item objects, so they run under pdf-parse on
+ *    the servers and under pdf.js in a browser alike
+ *
+ * Item shape (pdf.js): { str, transform: [a, b, c, d, x, y], width, height }
+ */
+
+// Larger than the body size by this factor counts as a heading
+const HEADING_FACTOR = 1.15;
+// Width of the x-coverage bins used to look for a gutter, in PDF units
+const BIN = 2;
+// Narrowest gap between columns, in PDF units
+const MIN_GUTTER = 8;
+// Lines, and share of the page's characters, each column needs before a gap
+// counts as a gutter
+const MIN_COLUMN_LINES = 3;
+const MIN_COLUMN_SHARE = 0.1;
+
+/**
+ * Lay out one page.
+ *
+ * @param {Object[]} items - pdf.js text items
+ * @returns {Object} { text, columns, headings: [{ text, size }], bodySize }
+ */
+export function layoutPage(items) {
+  const boxes = toBoxes(items);
+  if (!boxes.length) return { text: '', columns: 1, headings: [], bodySize: 0 };
+
+  const bodySize = bodyFontSize(boxes);
+  const gutter = findGutter(boxes, bodySize);
+
+  // Reading order: bands between lines that cross the gutter; left column,
+  // then right column within each band
+  let blocks;
+  if (gutter) {
+    const left = [], right = [], spanning = [];
+    for (const box of boxes) {
+      const side = sideOf(box, gutter);
+      (side === 'left' ? left : side === 'right' ? right : spanning).push(box);
+    }
+    blocks = readBands(groupLines(spanning), groupLines(left), groupLines(right));
+  } else {
+    blocks = [groupLines(boxes)];
+  }
+
+  const headings = [];
+  const out = [];
+  for (const lines of blocks) {
+    if (!lines.length) continue;
+    if (out.length && out[out.length - 1] !== '') out.push('');
+    lines.forEach((line, i) => {
+      const heading = isHeading(line, bodySize);
+      const text = heading ? collapseLetterSpacing(line.text) : line.text;
+      const prev = lines[i - 1];
+      // A wide vertical gap before the line (or a heading) starts a paragraph
+      const gap = prev && prev.y - line.y > 1.8 * Math.max(prev.size, line.size);
+      if ((heading || gap) && out.length && out[out.length - 1] !== '') out.push('');
+      out.push(text);
+      if (heading) headings.push({ text, size: round(line.size) });
+    });
+  }
+
+  return { text: out.join('\n').trim(), columns: gutter ? 2 : 1, headings, bodySize: round(bodySize) };
+}
+
+/**
+ * Lay out a pdf.js page and collect its link annotations.
+ *
+ * @param {Object} pageData - pdf.js page (pdf-parse's `pagerender` argument)
+ * @returns {Promise<Object>} layoutPage() result plus `links`
+ */
+export async function renderPageLayout(pageData) {
+  const [content, annotations] = await Promise.all([
+    pageData.getTextContent({ normalizeWhitespace: true }),
+    pageData.getAnnotations().catch(() => [])
+  ]);
+  return {
+    ...layoutPage(content.items),
+    links: annotations.map(a => a.url || a.unsafeUrl).filter(Boolean)
+  };
+}
+
+/**
+ * Combine page layouts into one document.
+ *
+ * @param {Object[]} pages - renderPageLayout() results in page order
+ * @returns {Object} { text, columns, headings: [{ text, page, size }], links }
+ */
+export function joinPageLayouts(pages) {
+  const title = pages[0]?.text.split('\n', 1)[0];
+  return {
+    text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+    columns: Math.max(1, ...pages.map(p => p.columns)),
+    // The name at the top of the first page is large but isn't a section
+    headings: pages.flatMap((p, i) => p.headings
+      .filter((h, j) => !(i === 0 && j === 0 && h.text === title))
+      .map(h => ({ ...h, page: i + 1 }))),
+    links: [...new Set(pages.flatMap(p => p.links || []))]
+  };
+}
+
+// ---------------------------------------------------------------------------
+
+function toBoxes(items) {
+  const boxes = [];
+  for (const item of items || []) {
+    const str = item?.str;
+    if (!str || !str.trim() || !Array.isArray(item.transform)) continue;
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || item.height || 10;
+    const width = item.width || str.length * size * 0.5;
+    boxes.push({ str, x, y, width, size, right: x + width });
+  }
+  return boxes;
+}
+
+function bodyFontSize(boxes) {
+  const weight = new Map();
+  for (const box of boxes) {
+    const size = Math.round(box.size * 2) / 2;
+    weight.set(size, (weight.get(size) || 0) + box.str.trim().length);
+  }
+  return [...weight].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * The widest vertical strip few items cross, away from the page edges and
+ * with enough lines on both sides.
+ * @returns {Object|null} { start, end, center }
+ */
+function findGutter(boxes, bodySize) {
+  const minX = Math.min(...boxes.map(b => b.x));
+  const maxX = Math.max(...boxes.map(b => b.right));
+  const span = maxX - minX;
+  if (span < 100) return null;
+
+  const bins = new Array(Math.ceil(span / BIN) + 1).fill(0);
+  for (const box of boxes) {
+    const from = Math.floor((box.x - minX) / BIN);
+    const to = Math.floor((box.right - minX) / BIN);
+    for (let b = from; b <= to; b++) bins[b]++;
+  }
+  // A name banner or footer may cross the gutter; body text may not
+  const allowed = Math.max(2, Math.round(boxes.length * 0.03));
+
+  let best = null;
+  let runStart = null;
+  for (let b = 0; b <= bins.length; b++) {
+    if (b < bins.length && bins[b] <= allowed) {
+      if (runStart === null) runStart = b;
+      continue;
+    }
+    if (runStart !== null) {
+      const start = minX + runStart * BIN;
+      const end = minX + b * BIN;
+      const center = (start + end) / 2;
+      const inner = center > minX + span * 0.15 && center < maxX - span * 0.15;
+      if (inner && end - start >= Math.max(MIN_GUTTER, bodySize) && (!best || end - start > best.end - best.start)) {
+        best = { start, end, center };
+      }
+      runStart = null;
+    }
+  }
+  if (!best) return null;
+
+  const chars = (list) => list.reduce((sum, b) => sum + b.str.trim().length, 0);
+  const total = chars(boxes);
+  const column = (side) => {
+    const list = boxes.filter(b => sideOf(b, best) === side);
+    return new Set(list.map(b => Math.round(b.y))).size >= MIN_COLUMN_LINES && chars(list) >= total * MIN_COLUMN_SHARE;
+  };
+  return column('left') && column('right') ? best : null;
+}
+
+// 'left', 'right' or 'spanning' – an item mostly on one side belongs to it
+function sideOf(box, gutter) {
+  const leftPart = Math.max(0, Math.min(box.right, gutter.center) - box.x);
+  const rightPart = Math.max(0, box.right - Math.max(box.x, gutter.center));
+  if (rightPart <= box.width * 0.2) return 'left';
+  if (leftPart <= box.width * 0.2) return 'right';
+  return 'spanning';
+}
+
+/**
+ * Group items into lines, top to bottom, each read left to right.
+ * @returns {Object[]} [{ text, y, size }]
+ */
+function groupLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const box of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - box.y) <= 0.5 * Math.min(line.size, box.size)) {
+      line.boxes.push(box);
+      line.size = Math.max(line.size, box.size);
+    } else {
+      lines.push({ y: box.y, size: box.size, boxes: [box] });
+    }
+  }
+  return lines.map(({ y, size, boxes: parts }) => {
+    parts.sort((a, b) => a.x - b.x);
+    let text = '';
+    let end = null;
+    for (const part of parts) {
+      const gap = end === null ? 0 : part.x - end;
+      // A wide gap separates cells (a right-aligned date); a narrower one is a
+      // word boundary the PDF didn't encode
+      if (gap > 2 * part.size) text = `${text.trimEnd()} | `;
+      else if (gap > 0.2 * part.size && !/\s$/.test(text) && !/^\s/.test(part.str)) text += ' ';
+      text += part.str;
+      end = part.right;
+    }
+    return { text: text.replace(/\s+/g, ' ').trim(), y, size };
+  }).filter(line => line.text);
+}
+
+/**
+ * Reading order for a two-column page: spanning lines cut it into bands.
+ * @returns {Array<Object[]>} Blocks of lines
+ */
+function readBands(spanning, left, right) {
+  const blocks = [];
+  let above = Infinity;
+  for (const cut of [...spanning, null]) {
+    const below = cut ? cut.y : -Infinity;
+    const inBand = (line) => line.y < above && line.y >= below;
+    blocks.push(left.filter(inBand), right.filter(inBand));
+    if (cut) blocks.push([cut]);
+    above = below;
+  }
+  // Consecutive spanning lines read as one block
+  return blocks.reduce((merged, block) => {
+    const prev = merged[merged.length - 1];
+    if (prev && block.length === 1 && spanning.includes(block[0]) && prev.length && spanning.includes(prev[prev.length - 1])) {
+      prev.push(block[0]);
+    } else if (block.length) {
+      merged.push(block);
+    }
+    return merged;
+  }, []);
+}
+
+function isHeading(line, bodySize) {
+  const text = line.text;
+  return line.size >= bodySize * HEADING_FACTOR &&
+    text.length <= 50 &&
+    text.split(/\s+/).length <= 6 &&
+    !/[.;,]$/.test(text);
+}
+
+// "E X P E R I E N C E" → "EXPERIENCE"
+function collapseLetterSpacing(text) {
+  return /^(?:\S ){2,}\S$/.test(text) ? text.replace(/ /g, '') : text;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,138 @@
+/**
+ * Question Fixtures
+ *
+ * Application questions as they appear on Greenhouse, Lever, Workday, Ashby
+ * and SmartRecruiters forms, each labelled with the type the recipe should
+ * answer it as. Run the classifier against them after changing a cue:
+ *
+ *   node -e "import('./shared/question-classifier.js').then(async c => console.log(c.evaluateClassifier((await import('./shared/question-fixtures.js')).QUESTION_FIXTURES)))"
+ *
+ * Plain field labels ("LinkedIn Profile", "Phone") are left out: the recipe
+ * recognises those before classifying (isDataExtractionQuestion).
+ */
+
+export const QUESTION_FIXTURES = [
+  // Cover letters
+  { question: 'Cover Letter', type: 'cover_letter' },
+  { question: 'Please paste your cover letter here', type: 'cover_letter' },
+  { question: 'Write a short motivation letter for this position', type: 'cover_letter' },
+  { question: 'Letter of interest (optional)', type: 'cover_letter' },
+  { question: 'Cover letter – tell us why you want to join and what you would bring', type: 'cover_letter' },
+
+  // Why this company / role
+  { question: 'Why do you want to work at Stripe?', type: 'why_company' },
+  { question: 'Why are you interested in this role?', type: 'why_company' },
+  { question: 'What interests you about working at Notion?', type: 'why_company' },
+  { question: 'What excites you most about this position?', type: 'why_company' },
+  { question: 'Why Datadog?', type: 'why_company' },
+  { question: 'Why us?', type: 'why_company' },
+  { question: 'What drew you to our company?', type: 'why_company' },
+  { question: 'Why are you applying to this position?', type: 'why_company' },
+  { question: 'What attracted you to this opportunity?', type: 'why_company' },
+  { question: 'What do you know about our company and our mission?', type: 'why_company' },
+  { question: "Why would you like to join Monzo's platform team?", type: 'why_company' },
+  { question: 'Which of our company values resonates with you the most, and why do you want to work here?', type: 'why_company' },
+
+  // Salary
+  { question: 'What are your salary expectations?', type: 'salary' },
+  { question: 'Desired salary', type: 'salary' },
+  { question: 'Expected annual compensation (USD)', type: 'salary' },
+  { question: 'What is your current base salary?', type: 'salary' },
+  { question: 'What is your expected day rate?', type: 'salary' },
+  { question: 'How much are you looking to earn in your next role?', type: 'salary' },
+  { question: 'Compensation requirements', type: 'salary' },
+
+  // Short facts
+  { question: 'What is your notice period?', type: 'short_factual' },
+  { question: 'When can you start?', type: 'short_factual' },
+  { question: 'Earliest possible start date', type: 'short_factual' },
+  { question: 'Do you have the right to work in the UK?', type: 'short_factual' },
+  { question: 'Will you now or in the future require visa sponsorship?', type: 'short_factual' },
+  { question: 'What is your current work authorization status?', type: 'short_factual' },
+  { question: 'Are there any deadlines or timeline considerations we should be aware of?', type: 'short_factual' },
+  { question: 'How did you hear about this job?', type: 'short_factual' },
+  { question: 'Availability to start', type: 'short_factual' },
+
+  // Yes / no
+  { question: 'Are you willing to relocate to Berlin?', type: 'yes_no' },
+  { question: 'Are you comfortable working in a hybrid setup, three days a week in the office?', type: 'yes_no' },
+  { question: 'Have you ever worked for this company before?', type: 'yes_no' },
+  { question: 'Do you currently hold a valid driving licence?', type: 'yes_no' },
+  { question: 'Are you open to occasional travel?', type: 'yes_no' },
+  { question: 'Can you work in US Eastern time hours?', type: 'yes_no' },
+  { question: 'Are you legally eligible to work in Canada?', type: 'yes_no' },
+  { question: 'Have you previously been employed by a government agency? (Yes/No)', type: 'yes_no' },
+
+  // Brief
+  { question: 'Briefly describe your current role', type: 'brief' },
+  { question: 'In one sentence, what do you do?', type: 'brief' },
+  { question: 'Summarize your experience with distributed systems', type: 'brief' },
+  { question: 'Give a short overview of your background', type: 'brief' },
+  { question: 'Describe yourself in 50 words or less', type: 'brief' },
+
+  // Behavioral
+  { question: 'Tell us about a time you had to deliver under a tight deadline', type: 'behavioral' },
+  { question: 'Describe a situation where you disagreed with your manager. How did you handle it?', type: 'behavioral' },
+  { question: 'Give an example of when you influenced a decision without authority', type: 'behavioral' },
+  { question: 'Tell me about a time you failed and what you learned', type: 'behavioral' },
+  { question: 'Share an example of a project that went wrong', type: 'behavioral' },
+  { question: 'Walk us through a time you had to learn a new technology quickly', type: 'behavioral' },
+  { question: 'How do you handle conflict within a team?', type: 'behavioral' },
+  { question: 'What tools do you use to handle conflict?', type: 'behavioral' },
+  { question: 'How do you prioritize when everything is urgent?', type: 'behavioral' },
+  { question: 'Describe the most challenging project you have worked on', type: 'behavioral' },
+  { question: 'What would you do if a stakeholder pushed back on your technical decision?', type: 'behavioral' },
+  { question: 'Describe a time you went above and beyond for a customer', type: 'behavioral' },
+  { question: 'Tell us about a decision you made with incomplete information', type: 'behavioral' },
+
+  // Strengths / weaknesses
+  { question: 'What is your greatest strength?', type: 'strength_weakness' },
+  { question: 'What is your biggest weakness?', type: 'strength_weakness' },
+  { question: 'What are your strengths and weaknesses?', type: 'strength_weakness' },
+  { question: 'What areas of improvement have managers mentioned to you?', type: 'strength_weakness' },
+  { question: 'What is your greatest professional achievement?', type: 'strength_weakness' },
+  { question: 'What would you improve about yourself?', type: 'strength_weakness' },
+
+  // Motivation
+  { question: 'Where do you see yourself in five years?', type: 'motivation' },
+  { question: 'What motivates you at work?', type: 'motivation' },
+  { question: 'What are your career goals?', type: 'motivation' },
+  { question: 'Why are you leaving your current job?', type: 'motivation' },
+  { question: 'What are you looking for in your next role?', type: 'motivation' },
+  { question: 'What drives you as an engineer?', type: 'motivation' },
+
+  // General
+  { question: 'Anything else you would like us to know?', type: 'general' },
+  { question: 'What is your experience with Kubernetes?', type: 'general' },
+  { question: 'Explain how you would design a URL shortener', type: 'general' },
+  { question: 'Which programming languages are you most comfortable with?', type: 'general' },
+  { question: 'Please describe your experience leading engineering teams', type: 'general' },
+  { question: 'What does good code review look like to you?', type: 'general' },
+  { question: 'Link to a project you are proud of and explain your role', type: 'general' },
+
+  // Several questions in one (`compound` is checked too)
+  { question: 'Why do you want to join us, and what would you bring?', type: 'why_company', compound: true },
+  { question: 'Which of our company values resonates with you the most, and why do you want to work here?', type: 'why_company', compound: true },
+  { question: 'Why do you want to work at Stripe?', type: 'why_company', compound: false },
+
+  // A follow-up that only asks to expand is not a question of its own
+  { question: 'Are you willing to relocate? Why or why not?', type: 'yes_no', compound: false },
+  { question: 'Have you ever been dismissed from a job? If so, please explain.', type: 'yes_no', compound: false },
+  { question: 'Do you require visa sponsorship? Please explain.', type: 'short_factual', compound: false },
+
+  // Other CV languages (cv-locales.js)
+  { question: 'Warum möchten Sie bei uns arbeiten?', type: 'why_company' },
+  { question: 'Was sind Ihre Gehaltsvorstellungen?', type: 'salary' },
+  { question: 'Wie lang ist Ihre Kündigungsfrist?', type: 'short_factual' },
+  { question: 'Nennen Sie ein Beispiel für einen Konflikt im Team und wie Sie ihn gelöst haben.', type: 'behavioral' },
+  { question: 'Pourquoi souhaitez-vous nous rejoindre ?', type: 'why_company' },
+  { question: 'Quelles sont vos prétentions salariales ?', type: 'salary' },
+  { question: 'Décrivez une situation où vous avez dû gérer un conflit.', type: 'behavioral' },
+  { question: '¿Por qué quieres trabajar con nosotros?', type: 'why_company' },
+  { question: '¿Cuáles son tus fortalezas y debilidades?', type: 'strength_weakness' },
+  { question: 'Waarom wil je bij ons werken?', type: 'why_company' },
+  { question: 'Wat is je opzegtermijn?', type: 'short_factual' },
+  { question: 'Por que você quer trabalhar conosco?', type: 'why_company' },
+  { question: 'Onde você se vê daqui a cinco anos?', type: 'motivation' },
+  { question: 'Schreiben Sie ein kurzes Anschreiben für diese Stelle.', type: 'cover_letter' }
+];
@@ -0,0 +1,1058 @@
+/**
+ * DraftApply Recipe Module (open-source default).
+ *
+ * Builds LLM prompts from structured input. This is the single source of
+ * prompt logic: the proxy (via render-proxy/recipe/index.js), the backend's
+ * structured /api/generate path and the web app all call buildPrompts, so a
+ * question gets the same treatment on every surface. The proxy can still be
+ * pointed at a custom module with RECIPE_PATH.
+ *
+ * DESIGN DECISIONS:
+ * 1. Pure functions, no Node or DOM APIs – runs in the browser and on the server
+ * 2. Each question type has its own builder with its own temperature/maxTokens,
+ *    tuned per answer length – extraction is near-deterministic, stories are not
+ * 3. The whole CV goes in when it fits the token budget; longer CVs are
+ *    condensed to the evidence most relevant to the question and job
+ *    (cv-retriever.js) instead of being cut at a character offset
+ * 4. Budgets come from the target model's context window (token-budget.js),
+ *    and every result lists the sections that had to be shortened
+ * 5. The candidate's application profile (application-profile.js) outranks
+ *    the CV for the facts it holds; a bare field it can fill comes back as
+ *    `directAnswer` and callers skip the LLM
+ * 6. Behavioral questions are told from the best-matching prepared story
+ *    (story-bank.js) when there is one, and from the CV otherwise
+ * 7. The question type comes from a weighted classifier with a confidence
+ *    (question-classifier.js); the user can override it, and a question
+ *    asking several things is told to answer each of them
+ * 8. Custom question types (question-types.js) are classified with the
+ *    built-in ones and prompted from their own instructions and presets
+ * 9. A hard limit on the answer – the field's maxlength or "in 150 words or
+ *    less" in the question (answer-limits.js) – overrides the length preset
+ *    and caps maxTokens; callers trim an answer that still runs over
+ * 10. The answer is written in the language of the question or job posting,
+ *    or the one asked for (answer-language.js), even from an English CV –
+ *    the instructions stay in English and tell the model what to translate
+ * 11. A style profile measured from the user's own writing (writing-style.js)
+ *    is added after the tone's guidance, so answers follow the user's
+ *    sentence length, contractions and spelling; the tone wins where they
+ *    conflict
+ *
+ * Contract:
+ *   buildPrompts(input)  → { systemPrompt, userPrompt, temperature, maxTokens, questionType,
+ *                            classification, trimmed, budget, limit, language, writingStyle,
+ *                            directAnswer?, story? }
+ *
+ * `trimmed` lists the sections cut to fit ('cv', 'jobDescription'); `budget`
+ * holds the token split { contextWindow, output, instructions, cv, jobDescription }.
+ * `directAnswer` is set when the question is a plain field (e.g. "Notice
+ * period") the application profile answers verbatim. `story` ({ id, title })
+ * names the prepared story a behavioral answer was built on.
+ * `classification` ({ confidence, ranked: [{ type, confidence }], compound,
+ * overridden }) says how sure the type is. `limit` ({ maxChars?, maxWords? }
+ * or null) is the hard limit the answer was prompted for – pass it to
+ * fitToLimit (answer-limits.js) with the generated text. `language` ({ code,
+ * name, source }) is the language the answer was prompted in and what picked
+ * it: 'option', 'question', 'jobDescription' or 'default'. `writingStyle` is
+ * the input's style profile once validated, or null – pass it to
+ * checkStyleDrift (writing-style.js) with the generated text.
+ *
+ * `input` is a structured payload:
+ *   {
+ *     question:        string,
+ *     length:          'short' | 'medium' | 'long',
+ *     tone:            'natural' | 'formal' | 'direct',
+ *     cvText:          string,     // plain text, resume.json or Europass XML
+ *     cvOverrides:     object?,    // user corrections to the parsed CV (cv-overrides.js)
+ *     jobTitle:        string?,
+ *     company:         string?,
+ *     jobDescription:  string?,
+ *     requirements:    string[]?,
+ *     pageUrl:         string?,
+ *     platform:        string?,
+ *     contextWindow:   number?,   // target model's context window in tokens (default 8192)
+ *     cvTokenBudget:   number?,   // cap on CV tokens in the prompt (default 8000)
+ *     applicationProfile: object?, // { noticePeriod?, startDate?, workAuthorization?,
+ *                                  //   visaSponsorship?, relocation?, salaryExpectation? }
+ *     stories:         object[]?, // [{ id, title, competencies, situation, action, result }]
+ *     questionType:    string?,   // manual override of the classified type (question-classifier.js)
+ *     questionTypes:   object[]?, // custom question types (question-types.js)
+ *     limit:           object?,   // { maxChars?, maxWords? } the field accepts, e.g. its maxlength
+ *     language:        string?,   // answer language ('de', 'fr', …); detected when absent or 'auto'
+ *     writingStyle:    object?,   // style profile from samples of the user's writing (writing-style.js)
+ *   }
+ */
+
+import { CVParser } from './cv-parser.js';
+import { CVRetriever } from './cv-retriever.js';
+import { estimateTokens, planBudget, truncateToTokens } from './token-budget.js';
+import {
+  answerFromProfile,
+  formatProfileFacts,
+  normalizeApplicationProfile,
+  profileTopics
+} from './application-profile.js';
+import { formatStory, pickStory } from './story-bank.js';
+import { matchSkills } from './skills-taxonomy.js';
+import { classifyQuestion, isQuestionType } from './question-classifier.js';
+import { normalizeQuestionTypes } from './question-types.js';
+import { answerLimit, describeLimit } from './answer-limits.js';
+import { LANGUAGE_NAMES } from './cv-locales.js';
+import { resolveAnswerLanguage } from './answer-language.js';
+import { formatStyleProfile, normalizeStyleProfile } from './writing-style.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Strip common form-field artifacts (*, :, ?) and "Please enter your…" prefixes.
+ */
+export function cleanFieldLabel(raw) {
+  return (raw || '')
+    .trim()
+    .replace(/[*:?\u2217\u2731]+$/g, '')
+    .replace(/^(please\s+(enter|provide|input|type|specify)\s+(your\s+)?)/i, '')
+    .replace(/^(enter\s+(your\s+)?)/i, '')
+    .replace(/^(your\s+)/i, '')
+    .trim();
+}
+
+/**
+ * Extract candidate name from top of CV.
+ * Skips lines that look like job titles or section headers.
+ */
+function extractCandidateName(cvText) {
+  const lines = (cvText || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const titlePattern = /\b(engineer|developer|manager|designer|analyst|director|lead|head\s+of|vp|chief|intern|consultant|architect|specialist|officer|coordinator|executive)\b/i;
+  const metaPattern = /\b(resume|curriculum\s*vitae|cv|portfolio|profile)\b/i;
+  for (const line of lines.slice(0, 4)) {
+    if (line.length < 40 && /^[A-Z]/.test(line) && !/[@:/]/.test(line) && !titlePattern.test(line) && !metaPattern.test(line)) {
+      return line;
+    }
+  }
+  return null;
+}
+
+/**
+ * Infer candidate seniority from the CV: years of experience computed from
+ * the role dates, with the job titles as a modifier. Falls back to titles
+ * and role count alone when the CV has no parseable dates.
+ *
+ * @param {Object} cvData - Parsed CV (CVParser.parse)
+ * @returns {Object|null} { level, years, since } – years/since null when undated
+ */
+function inferSeniority(cvData) {
+  const { experience, timeline } = cvData;
+  if (!experience?.length) return null;
+
+  const allTitles = experience.map(e => (e.title || '').toLowerCase()).join(' ');
+  const executive = /\b(vp|vice president|director|head of|chief|cto|ceo|coo|ciso)\b/.test(allTitles);
+  const seniorTitle = /\b(principal|staff|senior|lead|manager|architect|engineering manager)\b/.test(allTitles);
+  const juniorTitle = /\b(junior|associate|graduate|intern|trainee|entry.level)\b/.test(allTitles);
+  const years = timeline?.totalMonths ? timeline.totalYears : null;
+  const since = timeline?.firstStart ? timeline.firstStart.slice(0, 4) : null;
+
+  let level;
+  if (executive) level = 'senior/executive';
+  else if (years === null) {
+    if (seniorTitle) level = 'senior';
+    else if (juniorTitle) level = 'early-career';
+    else level = experience.length >= 4 ? 'mid–senior' : 'mid-level';
+  } else if (years < 2) level = 'early-career';
+  else if (years < 5) level = seniorTitle ? 'mid–senior' : 'mid-level';
+  else if (years < 8) level = seniorTitle ? 'senior' : 'mid–senior';
+  else level = 'senior';
+
+  return { level, years, since };
+}
+
+function describeSeniority(seniority) {
+  if (!seniority) return '';
+  if (seniority.years === null) return ` — the CV reads as ${seniority.level}`;
+  return ` — the CV shows about ${formatYears(seniority.years)} of professional experience (since ${seniority.since}, computed from the role dates) and reads as ${seniority.level}. Use this figure; don't re-estimate it`;
+}
+
+function formatYears(years) {
+  const rounded = Math.round(years * 2) / 2;
+  return `${rounded} year${rounded === 1 ? '' : 's'}`;
+}
+
+/**
+ * Pull requirement-like lines out of a free-text job description.
+ * Used when the caller only has the description (web app, backend), so every
+ * surface gets a "Key Requirements" block like the extension does.
+ */
+export function extractKeyRequirements(jobDescription) {
+  const requirements = [];
+  const patterns = [
+    /experience\s+(?:with|in)\s+(.{10,60})/gi,
+    /proficien(?:t|cy)\s+(?:in|with)\s+(.{10,60})/gi,
+    /knowledge\s+of\s+(.{10,60})/gi,
+    /familiar(?:ity)?\s+with\s+(.{10,60})/gi,
+    /ability\s+to\s+(.{10,60})/gi,
+    /(\d+\+?\s+years?\s+.{10,60})/gi
+  ];
+
+  for (const line of (jobDescription || '').split('\n')) {
+    const trimmed = line.trim();
+
+    if (trimmed.match(/^[\-\•\*\d\.]\s*.{15,}/) &&
+        trimmed.match(/experience|skill|knowledge|ability|proficien|familiar|require|must|should/i)) {
+      requirements.push(trimmed.replace(/^[\-\•\*\d\.]\s*/, '').slice(0, 100));
+    }
+
+    for (const pattern of patterns) {
+      for (const match of trimmed.matchAll(pattern)) {
+        if (match[1]) requirements.push(match[1].trim());
+      }
+    }
+  }
+
+  return [...new Set(requirements)];
+}
+
+/**
+ * One line naming the skills the job asks for in canonical form (so "JS" and
+ * "JavaScript" read as one), split by whether the CV shows them. Skills the
+ * CV lacks are named so the answer doesn't claim them.
+ */
+function formatSkillMatch(skillMatch) {
+  if (!skillMatch?.required.length) return '';
+  const names = (list) => list.slice(0, 15).map(s => s.name).join(', ');
+  let line = `Skills named: ${names(skillMatch.required)}`;
+  if (skillMatch.matched.length) line += `\nIn my CV: ${names(skillMatch.matched)}`;
+  if (skillMatch.missing.length) line += `\nNot in my CV (don't claim hands-on experience): ${names(skillMatch.missing)}`;
+  return line + '\n\n';
+}
+
+/**
+ * Job context block: position, key requirements and the skills they name,
+ * then the description cut to whatever is left of `tokenBudget`.
+ * @returns {Object} { text, trimmed }
+ */
+function buildJobContext(jobTitle, company, jobDescription, requirements, tokenBudget, skillMatch = null) {
+  let ctx = '';
+  if (!jobDescription?.trim() && !(requirements && requirements.length > 0)) return { text: ctx, trimmed: false };
+
+  if (jobTitle || company) {
+    ctx += `Position: ${jobTitle || 'Not specified'}`;
+    if (company) ctx += ` at ${company}`;
+    ctx += '\n\n';
+  }
+
+  let trimmed = false;
+  if (requirements && requirements.length > 0) {
+    const listed = requirements.slice(0, 30);
+    // Tiny budgets: keep as many requirements as fit, the description goes first
+    while (listed.length > 1 && estimateTokens(ctx) + estimateTokens(listed.join('\n')) > tokenBudget) {
+      listed.pop();
+      trimmed = true;
+    }
+    ctx += `Key Requirements:\n${listed.map(r => `- ${r}`).join('\n')}\n\n`;
+  }
+  ctx += formatSkillMatch(skillMatch);
+  if (jobDescription) {
+    const whole = `Job Description:\n${jobDescription}\n\n`;
+    if (estimateTokens(ctx + whole) <= tokenBudget) {
+      ctx += whole;
+    } else {
+      // Measure what's left after the header and the truncation marker
+      const room = tokenBudget - estimateTokens(`${ctx}Job Description:\n\n[...truncated...]\n\n`);
+      const cut = room > 50 ? truncateToTokens(jobDescription, room) : { text: '' };
+      if (cut.text) ctx += `Job Description:\n${cut.text}\n[...truncated...]\n\n`;
+      trimmed = true;
+    }
+  }
+  return { text: ctx, trimmed };
+}
+
+// ---------------------------------------------------------------------------
+// Shared prompt building blocks
+// ---------------------------------------------------------------------------
+
+/**
+ * Identity preamble — shifts the model from "assistant helping someone"
+ * to "I AM this person filling out the form".
+ */
+function identityPreamble(candidateName) {
+  const name = candidateName ? `You are ${candidateName}.` : 'You are this candidate.';
+  return `${name} You are NOT an AI assistant writing on someone's behalf — you ARE this person, completing this job application in your own voice right now.
+
+Your CV is your background. Read it fully, internalize it, then answer as yourself — in your own natural voice.`;
+}
+
+/**
+ * Natural writing guidance — the default tone.
+ */
+const WRITING_GUIDANCE = `
+WRITE LIKE A HUMAN — concrete examples of what that means:
+
+BAD (AI-speak, generic, will get ignored):
+"Throughout my career I've developed strong skills in X, leveraging my proven track record to deliver results."
+"I'm passionate about [thing] and believe my experience uniquely positions me to contribute."
+"As a results-driven professional with expertise in..."
+
+GOOD (specific, direct, sounds like a real person):
+"At [Company], I did X which led to Y."
+"The hardest part was Z — I handled it by..."
+"I've spent most of my time on [specific thing], which is directly what this role needs."
+
+RULES:
+- Lead with the answer, not with context-setting
+- Use actual company names, tools, and situations from the CV
+- Short sentences where possible — long ones lose the reader
+- Never start with "I'm excited/passionate/thrilled about..."
+- Never use: leverage, synergy, proven track record, results-driven, dynamic, spearheaded
+- NEVER invent employers, dates, metrics, or facts not in the CV`;
+
+/**
+ * Formal tone — structured, professional register, no contractions.
+ */
+const FORMAL_GUIDANCE = `
+WRITE IN A FORMAL, PROFESSIONAL REGISTER:
+
+RULES:
+- No contractions: write "I have" not "I've", "I am" not "I'm", "It is" not "It's"
+- Use complete, well-structured sentences with clear topic sentences per paragraph
+- Measured language for outcomes: "This resulted in..." rather than casual constructions
+- Professional vocabulary throughout — avoid slang, casual connectors, filler phrases
+- Never start with "I'm excited/passionate/thrilled about..."
+- Never use: leverage, synergy, proven track record, results-driven, dynamic, spearheaded
+- NEVER invent employers, dates, metrics, or facts not in the CV`;
+
+/**
+ * Direct tone — no preamble, stripped-down, specific nouns and verbs.
+ */
+const DIRECT_GUIDANCE = `
+WRITE IN A DIRECT, CONCISE STYLE:
+
+RULES:
+- Answer the question in the very first clause — no warm-up sentences
+- Prefer active verbs and specific nouns: "Built X", "Cut Y by Z%", "Led team of N"
+- Target <= 18 words per sentence — cut anything that does not add new information
+- Eliminate all hedging: no "I believe", "I feel", "It seems", "In my experience"
+- Eliminate qualifiers: no "quite", "rather", "very", "somewhat"
+- Never start with "I'm excited/passionate/thrilled about..."
+- Never use: leverage, synergy, proven track record, results-driven, dynamic, spearheaded
+- NEVER invent employers, dates, metrics, or facts not in the CV`;
+
+/**
+ * Return the appropriate writing guidance block for the chosen tone.
+ */
+function getWritingGuidance(tone) {
+  if (tone === 'formal') return FORMAL_GUIDANCE;
+  if (tone === 'direct') return DIRECT_GUIDANCE;
+  return WRITING_GUIDANCE; // 'natural' is the default
+}
+
+/**
+ * Extra brevity constraint injected into system prompts when length === 'short'.
+ * Giving the model an explicit instruction at the system level is far more
+ * reliable than relying on word counts alone.
+ */
+function getBrevityInstruction(length) {
+  if (length !== 'short') return '';
+  return `
+BREVITY CONSTRAINT — this is a SHORT answer:
+- Maximum 2-3 sentences for simple questions; 4-5 for complex ones that need a story
+- Lead with the answer in the very first clause — zero warm-up
+- Cut any sentence that could be removed without losing meaning
+- Do NOT pad, repeat, or add a closing summary sentence`;
+}
+
+// ---------------------------------------------------------------------------
+// Question type detection
+// ---------------------------------------------------------------------------
+
+/**
+ * The most likely question type (question-classifier.js). Use
+ * classifyQuestion for the ranking and its confidence.
+ */
+export function detectQuestionType(question) {
+  return classifyQuestion(question).type;
+}
+
+// ---------------------------------------------------------------------------
+// Plain-field data extraction (name, email, LinkedIn, phone, etc.)
+// ---------------------------------------------------------------------------
+
+export function isDataExtractionQuestion(question) {
+  const q = cleanFieldLabel(question);
+  const dataPatterns = [
+    /^(full\s*)?name$/i,
+    /^(first|last|middle|legal|preferred)\s*name$/i,
+    /^name\s*(first|last|middle|legal)?$/i,
+    /^linkedin/i,
+    /^(email|e-mail)/i,
+    /^phone/i,
+    /^(mobile|cell)/i,
+    /^address/i,
+    /^(city|state|zip|postal|country)/i,
+    /^location$/i,
+    /^website/i,
+    /^(personal\s*)?(website|site)\s*(url|link)?$/i,
+    /^(personal\s*)?portfolio/i,
+    /^portfolio\s*(url|link)?$/i,
+    /^github/i,
+    /^twitter/i,
+    /^(x|x\.com)/i,
+    /^(url|link|profile\s*(url|link))$/i,
+    /^social\s*(media\s*)?(url|link|profile)/i,
+    /^blog\s*(url|link)?$/i,
+    /^behance/i,
+    /^dribbble/i,
+    /^kaggle/i,
+    /^stack\s*overflow/i,
+    /^(current\s*)?(job\s*)?title$/i,
+    /^(current\s*)?company$/i,
+    /^(current\s*)?employer$/i,
+    /^(your\s*)?(date\s*of\s*)?birth/i,
+    /^nationality$/i,
+    /^visa\s*status$/i,
+    /^work\s*authori[sz]ation$/i,
+    /^notice\s*period$/i,
+    /^availability$/i,
+    /^start\s*date$/i,
+  ];
+  return dataPatterns.some(p => p.test(q));
+}
+
+function buildExtractionPrompt(cvContext, question) {
+  const cleanQ = cleanFieldLabel(question);
+  const systemPrompt = `You are a data extraction assistant. Extract ONLY the requested information from the CV.
+
+RULES:
+- Return ONLY the exact value requested, nothing else
+- No sentences, no explanations, no formatting
+- If the information is not found, respond with: "Not found in CV"
+- For URLs (LinkedIn, GitHub, portfolio, website, Twitter/X, etc.), return the full URL including https:// prefix
+- For names, return just the name
+- For phone numbers, include country code if present`;
+
+  const userPrompt = `CV:\n${cvContext}\n\nExtract: ${cleanQ}\n\nReturn ONLY the value, nothing else.`;
+  return { systemPrompt, userPrompt, temperature: 0.1, maxTokens: 150 };
+}
+
+// ---------------------------------------------------------------------------
+// Per-type prompt builders
+// ---------------------------------------------------------------------------
+
+function buildShortFactualPrompt(cvContext, question) {
+  const systemPrompt = `You are answering a job application question about the candidate's CURRENT SITUATION or AVAILABILITY — not about their work history.
+
+Answer about the candidate's current status or constraints, NOT their career experience.
+
+Good examples:
+- "No, I'm available immediately."
+- "I have a 4-week notice period."
+- "No timeline constraints — I can start as soon as needed."
+- "I'm eligible to work in the UK without sponsorship."
+
+Rules:
+- 1-2 sentences maximum
+- If the CV doesn't have this information, give a sensible professional default
+- Do NOT mention past jobs or career history`;
+
+  const userPrompt = `CV:\n${cvContext}\n\nQuestion: ${question}\n\nAnswer in 1-2 sentences about the candidate's current situation.`;
+  return { systemPrompt, userPrompt, temperature: 0.1, maxTokens: 120 };
+}
+
+function buildSalaryPrompt(cvContext, question, length, jobCtx, jobTitle, candidateName, tone, seniority) {
+  const words = { short: '30-50', medium: '50-80', long: '80-120' }[length] || '50-80';
+  const maxTokens = { short: 120, medium: 200, long: 280 }[length] || 200;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a SALARY / COMPENSATION question. Give a specific, well-reasoned range — not a vague non-answer.
+${writingGuidance}
+
+HOW TO ANSWER:
+1. SENIORITY: Judge your level from the CV (years of experience, scope of roles, team sizes, technologies)${describeSeniority(seniority)}.
+2. ROLE: Anchor on ${jobTitle ? `the ${jobTitle} role` : 'the role being applied for'} and its market rate.
+3. MARKET: Apply current industry salary benchmarks for this role and level. Give the range as "£X–£Y" or "$X–$Y" depending on context. Adjust for the job location if known; otherwise default to UK/London rates for UK roles and US national rates for US roles.
+4. FRAMING: State the range confidently, give the reasoning in a clause, and stay open to discussing the full package.
+
+RULES:
+- Always name a specific range. Never say "competitive" or "open to discussion" without one.
+- Base seniority only on what is in the CV — NEVER invent years or titles.`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: 0.4, maxTokens };
+}
+
+function buildYesNoPrompt(cvContext, question, jobCtx, candidateName, tone) {
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a yes/no job application question.
+${writingGuidance}
+
+HOW TO ANSWER:
+- Start with a clear YES or NO (or "Yes, I have..." / "No, but I have...")
+- Follow with 1-2 sentences of specific supporting evidence from the CV if relevant
+- Maximum 3 sentences total
+- If the CV doesn't clearly confirm the thing asked, be honest: "Not directly, but [closest relevant experience]"
+- Do NOT write an essay or career summary`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer directly (max 3 sentences).`;
+  return { systemPrompt, userPrompt, temperature: 0.3, maxTokens: 180 };
+}
+
+function buildBriefPrompt(cvContext, question, jobCtx, candidateName, tone) {
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+Answer this job application question briefly and directly.
+${writingGuidance}
+
+Additional rules for brevity:
+- 1-3 sentences, maximum 50 words
+- Lead with the direct answer, not with setup
+- Use one specific, concrete detail from the CV`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer concisely (max 50 words).`;
+  return { systemPrompt, userPrompt, temperature: 0.5, maxTokens: 150 };
+}
+
+function buildBehavioralPrompt(cvContext, question, length, jobCtx, candidateName, tone, story) {
+  const words = { short: '80-120', medium: '160-220', long: '220-300' }[length] || '160-220';
+  const maxTokens = { short: 260, medium: 480, long: 620 }[length] || 480;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a behavioral interview question. Tell ONE specific story from your background.${story ? `
+You have prepared a story for this question — tell THAT story. Keep its facts, numbers and outcome exactly as written; use the CV only for supporting context (role, employer, timing).` : ''}
+${writingGuidance}${getBrevityInstruction(length)}
+
+HOW TO STRUCTURE YOUR STORY (naturally, without labeling sections):
+1. Set the scene briefly — what was happening, what was at stake
+2. What YOU specifically did (not "the team" — you)
+3. What happened as a result — be specific even if the outcome was just qualitative
+4. Optional: one-sentence reflection on what you'd do differently or what you learned
+
+EXAMPLE of what good looks like:
+Q: "Tell me about a time you had to solve a complex technical problem under pressure."
+A: "We had a customer going live in 48 hours when a race condition surfaced in production — auth tokens were expiring mid-session under load. I pulled the logs, traced it to our token refresh service not handling concurrent requests, and shipped a fix with the on-call engineer by midnight. Customer went live on schedule. After that I added concurrent load tests to our staging pipeline so we'd catch it earlier."
+
+Notice: specific situation, specific problem, specific action, specific outcome, natural voice, no buzzwords.
+
+Rules:
+- ONE story, not a tour of your CV
+- Pick the example that best fits THIS specific question, not just the most recent thing
+- Include what YOU did personally, not what "the team" did
+- NEVER invent employers, dates, or metrics`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (story) userPrompt += `MY PREPARED STORY:\n${formatStory(story)}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}
+
+${story
+  ? 'Tell my prepared story, shaped to answer exactly what this question is asking.'
+  : 'Before writing, think: what single experience in my background BEST answers exactly what this question is asking? Use that one.'}
+
+Write a ${words}-word answer. First person, no preamble, no "Great question".`;
+  return { systemPrompt, userPrompt, temperature: 0.75, maxTokens };
+}
+
+/**
+ * Focused strength builder — does not mention weaknesses.
+ */
+function buildStrengthPrompt(cvContext, question, length, jobCtx, candidateName, tone) {
+  const words = { short: '30-55', medium: '90-130', long: '130-180' }[length] || '90-130';
+  const maxTokens = { short: 140, medium: 300, long: 420 }[length] || 300;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a question about your greatest strength.
+${writingGuidance}${getBrevityInstruction(length)}
+
+HOW TO ANSWER:
+- Name the strength directly in the first sentence
+- Prove it immediately with ONE specific, concrete example from the CV — name the company, project, or situation
+- Do NOT explain why it is a strength in abstract terms — show it through evidence
+- Do NOT name a generic strength ("communication", "teamwork") without immediate proof
+- Do NOT pivot to discussing weaknesses or growth areas
+
+NEVER invent examples, employers, or metrics`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: 0.65, maxTokens };
+}
+
+/**
+ * Focused weakness builder — does not conflate with strengths or pivot away.
+ */
+function buildWeaknessPrompt(cvContext, question, length, jobCtx, candidateName, tone) {
+  const words = { short: '30-55', medium: '90-130', long: '130-180' }[length] || '90-130';
+  const maxTokens = { short: 140, medium: 300, long: 420 }[length] || 300;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a question about a weakness or area for improvement.
+${writingGuidance}${getBrevityInstruction(length)}
+
+HOW TO ANSWER:
+- Name something REAL — not "I work too hard", "I'm a perfectionist", or "I care too much"
+- State the weakness clearly in the first sentence — do not bury it
+- Describe what you have been actively doing to address it — be concrete (a course, a changed habit, a mentor, a process change)
+- Keep it brief — this is not the main event of the application
+- Do NOT pivot to discussing a strength or reframe the weakness as secretly a positive trait
+
+NEVER fabricate examples or claim you have no weaknesses`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: 0.65, maxTokens };
+}
+
+function buildMotivationPrompt(cvContext, question, length, jobCtx, candidateName, tone) {
+  const words = { short: '35-60', medium: '100-150', long: '150-200' }[length] || '100-150';
+  const maxTokens = { short: 160, medium: 340, long: 460 }[length] || 340;
+  const hasJobCtx = !!jobCtx;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a question about your motivation or interest in this role/field.
+${writingGuidance}${getBrevityInstruction(length)}
+
+HOW TO WRITE A GENUINE MOTIVATION ANSWER:
+- Be specific about WHAT interests you — name the actual thing (a technology, a problem space, a type of work)
+- Connect it to something real in your background — a project, a role, a skill you've been building
+- Explain why THIS role is the right next step based on your actual career direction
+- ${hasJobCtx ? 'Use specific language from the job description to show you understand what they need' : 'Draw on clear patterns visible in your career history'}
+
+Do NOT:
+- Open with "I'm excited/passionate/driven by..."
+- Give a vague "I enjoy helping people" type answer
+- Write about the company being "amazing" or the "incredible opportunity"`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: 0.75, maxTokens };
+}
+
+function buildWhyCompanyPrompt(cvContext, question, length, jobCtx, jobTitle, company, candidateName, tone) {
+  const words = { short: '45-70', medium: '110-160', long: '160-220' }[length] || '110-160';
+  const maxTokens = { short: 180, medium: 380, long: 520 }[length] || 380;
+  const hasJobCtx = !!jobCtx;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a "why this company / why this role" question.
+${writingGuidance}${getBrevityInstruction(length)}
+
+MANDATORY STRUCTURE — in this exact order:
+1. COMPANY/ROLE FIRST: Open with 1-2 sentences naming something SPECIFIC about the company or role from the job description — their mission, the product they build, a specific challenge they're tackling, a responsibility that stood out. This MUST come before any mention of your background.
+2. YOUR CONNECTION: 2-3 sentences connecting specific things from the role/company to concrete evidence from your CV.
+3. CLOSE: One sentence on why this is the logical next step in your career direction.
+
+CRITICAL:
+- If job context is provided, the opening MUST reference something specific from it — do NOT open with your CV history
+- "I've always been interested in AI" is not specific enough — say WHICH aspect of the company's work / which part of the job description resonates and WHY
+- This answer must be impossible to reuse for a different company — it must feel written specifically for THIS role
+${!hasJobCtx ? '- No job description provided: open with what the company/role name clearly implies, then connect to your CV' : ''}`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}
+
+Start your answer with something specific about ${company || 'the company'} or this role — NOT with your own background. Then connect it to your CV.
+
+Answer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: 0.75, maxTokens };
+}
+
+function buildCoverLetterPrompt(cvContext, question, length, jobCtx, jobTitle, company, candidateName, tone) {
+  const words = { short: '120-170', medium: '250-350', long: '350-450' }[length] || '250-350';
+  const maxTokens = { short: 420, medium: 800, long: 1100 }[length] || 800;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are writing a cover letter for this role.
+${writingGuidance}
+
+STRUCTURE (mandatory):
+1. "Dear Hiring Manager," (or "Dear [Company] team," if company name is known)
+2. Opening paragraph: ONE specific thing about this role that connects directly to your background — not generic enthusiasm
+3. 2-3 body paragraphs: map specific job requirements to specific CV evidence — use different roles/time periods when possible, don't just summarise your most recent job
+4. Closing: brief, confident, genuine — "I'd welcome the chance to discuss how I could contribute."
+5. Sign-off: "Sincerely,\n[Your Name]"
+
+Rules:
+- Reference at least 3 specific requirements from the job description if provided
+- Every paragraph should earn its place — no padding
+- NEVER invent employers, degrees, dates, or metrics
+- A generic letter that could be sent to any company is a failure — make it specific`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Write a cover letter for${jobTitle ? ` the ${jobTitle} role` : ' this role'}${company ? ` at ${company}` : ''}.
+Target length: ${words} words. Start with "Dear..." — no preamble before the letter.`;
+  return { systemPrompt, userPrompt, temperature: 0.72, maxTokens };
+}
+
+/**
+ * Prompt for a custom question type: the user's instructions in place of a
+ * built-in strategy, with their length presets and temperature.
+ */
+function buildCustomPrompt(definition, cvContext, question, length, jobCtx, candidateName, tone) {
+  const words = definition.lengths[length] || definition.lengths.medium;
+  const maxTokens = definition.maxTokens[length] || definition.maxTokens.medium;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a "${definition.label}" question.
+${writingGuidance}${getBrevityInstruction(length)}
+
+HOW TO ANSWER THIS KIND OF QUESTION:
+${definition.instructions}`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx && definition.jobContext) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}\n\nAnswer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: definition.temperature, maxTokens };
+}
+
+function buildGeneralPrompt(cvContext, question, length, jobCtx, candidateName, tone) {
+  const words = { short: '30-55', medium: '90-140', long: '150-220' }[length] || '90-140';
+  const maxTokens = { short: 160, medium: 340, long: 520 }[length] || 340;
+  const hasJobCtx = !!jobCtx;
+  const writingGuidance = getWritingGuidance(tone);
+
+  const systemPrompt = `${identityPreamble(candidateName)}
+
+You are answering a job application question.
+${writingGuidance}${getBrevityInstruction(length)}
+
+HOW TO APPROACH THIS:
+1. Read the question carefully — what is it ACTUALLY asking? (experience with X? your approach to Y? a specific capability?)
+2. Identify the ONE piece of your background that most directly and convincingly answers it
+3. Lead with that — don't bury the answer
+
+If the question is about a specific skill or technology: confirm clearly whether you have it, then give one concrete example of using it.
+If the question is about your approach or process: describe how you actually work, with a real example.
+If the question is broad: pick the angle from your background that's most relevant to ${hasJobCtx ? 'what this role needs' : 'the question'}.
+
+${hasJobCtx ? 'The job context is provided — use it to tailor your answer to what this specific role actually needs.' : ''}`;
+
+  let userPrompt = `MY CV:\n${cvContext}\n\n`;
+  if (jobCtx) userPrompt += `Role I'm applying for:\n${jobCtx}\n`;
+  userPrompt += `Question: ${question}
+
+Think: what is this question specifically asking, and what in my background most directly answers it?
+
+Answer in approximately ${words} words. First person, no preamble.`;
+  return { systemPrompt, userPrompt, temperature: 0.75, maxTokens };
+}
+
+// ---------------------------------------------------------------------------
+// Application profile facts
+// ---------------------------------------------------------------------------
+
+// Question types whose answers can hinge on a profile fact; stories, cover
+// letters and "why us" answers don't need them
+const FACT_TYPES = new Set(['data_extraction', 'short_factual', 'salary', 'yes_no', 'brief', 'general']);
+
+const PROFILE_FACTS_RULE = `CANDIDATE FACTS: the candidate supplied these directly and they override the CV and any default. When the question touches one, state it as given — never contradict it, change its figures or dates, or invent a different value.`;
+
+/**
+ * Facts block for a question, or '' when none apply. Plain CV fields (name,
+ * email…) only get the block when they ask about a profile topic.
+ */
+function profileFactsFor(questionType, question, profile) {
+  if (!FACT_TYPES.has(questionType)) return '';
+  if (questionType === 'data_extraction' && profileTopics(question).length === 0) return '';
+  return formatProfileFacts(profile);
+}
+
+function withProfileFacts(prompt, facts) {
+  if (!facts) return prompt;
+  return {
+    ...prompt,
+    systemPrompt: `${prompt.systemPrompt}\n\n${PROFILE_FACTS_RULE}`,
+    userPrompt: `CANDIDATE FACTS (authoritative):\n${facts}\n\n${prompt.userPrompt}`
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Project evidence
+// ---------------------------------------------------------------------------
+
+// Question types where a project can be the answer's evidence – skills,
+// technologies and interests, which graduates and career changers often
+// only show outside paid work
+const PROJECT_TYPES = new Set(['general', 'yes_no', 'brief', 'motivation', 'strength_weakness']);
+
+const PROJECT_SECTIONS = /projects|volunteer|publications|papers/i;
+
+const PROJECT_EVIDENCE_RULE = `PROJECTS: the CV lists projects (personal, academic or open-source). They are real evidence — when the question is about a skill, technology or interest that the work history doesn't show but a project does, name the project and say what you built and what came of it. Don't present a project as paid work.`;
+
+function withProjectEvidence(prompt, hasProjects) {
+  if (!hasProjects) return prompt;
+  return { ...prompt, systemPrompt: `${prompt.systemPrompt}\n\n${PROJECT_EVIDENCE_RULE}` };
+}
+
+// ---------------------------------------------------------------------------
+// Compound questions
+// ---------------------------------------------------------------------------
+
+/**
+ * A question that asks several things is prompted for its main type and
+ * told to answer each part – otherwise the second half gets dropped.
+ */
+function withCompoundParts(prompt, classification) {
+  if (!classification?.compound) return prompt;
+  const parts = classification.parts.map((part, i) => `${i + 1}. ${part.text}`).join('\n');
+  return {
+    ...prompt,
+    systemPrompt: `${prompt.systemPrompt}\n\nSEVERAL QUESTIONS: the question asks ${classification.parts.length} things. Answer every part, in the order asked, within the same length – don't drop one to say more about another.`,
+    userPrompt: `${prompt.userPrompt}\n\nParts of the question:\n${parts}`
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Answer limits
+// ---------------------------------------------------------------------------
+
+/**
+ * A form that caps the answer cuts off whatever runs over, so the cap beats
+ * the length preset. The model is asked to stay well under it – it counts
+ * poorly – and maxTokens stops a runaway answer early.
+ */
+function withLimit(prompt, limit) {
+  if (!limit) return prompt;
+  const target = [
+    limit.maxWords ? `${Math.floor(limit.maxWords * 0.9)} words` : '',
+    limit.maxChars ? `${Math.floor(limit.maxChars * 0.85)} characters` : ''
+  ].filter(Boolean).join(' or ') + (limit.maxWords && limit.maxChars ? ', whichever is shorter,' : '');
+  const tokens = Math.min(
+    limit.maxWords ? Math.ceil(limit.maxWords * 1.5) + 20 : Infinity,
+    limit.maxChars ? Math.ceil(limit.maxChars / 3) + 20 : Infinity
+  );
+  return {
+    ...prompt,
+    systemPrompt: `${prompt.systemPrompt}\n\nHARD LIMIT: the answer box takes at most ${describeLimit(limit)}; anything longer is cut off. Aim for about ${target} and end on a complete sentence. This overrides every other length instruction.`,
+    maxTokens: Math.min(prompt.maxTokens, tokens)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Writing style
+// ---------------------------------------------------------------------------
+
+/**
+ * The tones are shared by every user; the style profile is what makes an
+ * answer sound like this one. Extraction answers are values, not prose.
+ */
+function withWritingStyle(prompt, style, tone, language, questionType) {
+  if (!style || questionType === 'data_extraction') return prompt;
+  return {
+    ...prompt,
+    systemPrompt: `${prompt.systemPrompt}\n\n${formatStyleProfile(style, { tone, language: language.code })}`
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Answer language
+// ---------------------------------------------------------------------------
+
+// How the reader is addressed, so the answer matches the posting's register
+const FORMS_OF_ADDRESS = {
+  de: 'Sie or du', fr: 'vous or tu', es: 'usted or tú', nl: 'u or je', pt: 'você or o senhor/a senhora'
+};
+// The same answer takes more tokens outside English
+const NON_ENGLISH_TOKEN_FACTOR = 1.3;
+
+/**
+ * The instructions and examples are English; without this the model answers
+ * a German question in English, or in German with English idioms. Nothing is
+ * added when both the answer and the CV are English.
+ */
+function withLanguage(prompt, language, cvLanguage, questionType) {
+  if (questionType === 'data_extraction') return prompt;
+  if (language.code === 'en' && cvLanguage === 'en') return prompt;
+
+  const why = {
+    option: '',
+    question: ` – the question is in ${language.name}`,
+    jobDescription: ` – the job posting is in ${language.name}`,
+    default: ''
+  }[language.source];
+  const rules = [`LANGUAGE: write the whole answer in ${language.name}${why}.`];
+  if (cvLanguage !== language.code) {
+    rules.push(`Your CV is in ${LANGUAGE_NAMES[cvLanguage]}: draw on it as usual and put what you take from it – duties, results, job titles – into natural ${language.name}. Keep names of companies, products, technologies, certifications and degrees as they are.`);
+  }
+  rules.push(`Phrases the instructions above give in English (greetings, sign-offs, example openings) are examples of what to say, not wording to copy – use what a native ${language.name} speaker would write, and the same conventions for dates and numbers.`);
+  if (FORMS_OF_ADDRESS[language.code]) {
+    rules.push(`Address the reader the way the posting does (${FORMS_OF_ADDRESS[language.code]}).`);
+  }
+  rules.push('Never mention translating or the language you are writing in.');
+
+  return {
+    ...prompt,
+    systemPrompt: `${prompt.systemPrompt}\n\n${rules.join(' ')}`,
+    maxTokens: language.code === 'en' ? prompt.maxTokens : Math.ceil(prompt.maxTokens * NON_ENGLISH_TOKEN_FACTOR)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public entry point
+// ---------------------------------------------------------------------------
+
+export function buildPrompts(input) {
+  const {
+    length = 'medium',
+    tone = 'natural',
+    jobTitle,
+    company,
+    jobDescription,
+  } = input;
+  const question = cleanFieldLabel(input.question) || input.question || '';
+  // Read from the raw label: cleaning can drop a trailing "(max 500 characters):"
+  const limit = answerLimit(input.question, input.limit);
+  const language = resolveAnswerLanguage({ question, jobDescription, language: input.language });
+  const writingStyle = normalizeStyleProfile(input.writingStyle);
+  // A resume.json / Europass CV is mapped field by field and prompted as its
+  // plain-text rendering
+  const cvData = new CVParser().parse(input.cvText || '', { overrides: input.cvOverrides });
+  const cvText = cvData.rawText;
+
+  const requirements = input.requirements?.length ? input.requirements : extractKeyRequirements(jobDescription);
+  // Plain field labels (name, email, LinkedIn, phone, etc.) get no job context
+  // The user's manual type override wins over the classifier
+  const customTypes = normalizeQuestionTypes(input.questionTypes);
+  const override = isQuestionType(input.questionType, customTypes) ? input.questionType : null;
+  const extraction = override ? override === 'data_extraction' : isDataExtractionQuestion(question);
+  const classification = extraction ? null : classifyQuestion(question, { customTypes });
+  const questionType = override || (extraction ? 'data_extraction' : classification.type);
+  const customType = customTypes.find(t => t.type === questionType) || null;
+  const candidateName = extractCandidateName(cvText);
+  const seniority = questionType === 'salary' ? inferSeniority(cvData) : null;
+  const useProjects = (PROJECT_TYPES.has(questionType) || !!customType) && cvData.projects?.length > 0;
+  const applicationProfile = normalizeApplicationProfile(input.applicationProfile);
+  // A type the user picked asks for a written answer, even for a plain field
+  const direct = override ? null : answerFromProfile(question, applicationProfile);
+  const facts = profileFactsFor(questionType, question, applicationProfile);
+  const story = questionType === 'behavioral'
+    ? pickStory(input.stories, question, { jobDescription, requirements })?.story || null
+    : null;
+
+  // Measure the fixed instructions with the CV and job sections left empty,
+  // then split what's left of the model's context window between them
+  const skillMatch = extraction ? null : matchSkills(cvData, { jobTitle, requirements, jobDescription });
+  const fullJob = extraction ? null : buildJobContext(jobTitle, company, jobDescription, requirements, Infinity, skillMatch);
+  const skeleton = build('', fullJob?.text ? ' ' : '');
+  const budget = planBudget({
+    contextWindow: input.contextWindow,
+    outputTokens: skeleton.maxTokens,
+    instructionTokens: estimateTokens(skeleton.systemPrompt + skeleton.userPrompt),
+    cvTokens: estimateTokens(cvText),
+    jobTokens: estimateTokens(fullJob?.text),
+    ...(Number(input.cvTokenBudget) > 0 ? { cvCap: Number(input.cvTokenBudget) } : {})
+  });
+
+  const cv = new CVRetriever(cvText).buildContext(
+    { question, jobDescription, requirements },
+    { tokenBudget: budget.cv, boostSections: useProjects ? PROJECT_SECTIONS : null }
+  );
+  const job = extraction
+    ? { text: '', trimmed: false }
+    : buildJobContext(jobTitle, company, jobDescription, requirements, budget.jobDescription, skillMatch);
+
+  const trimmed = [];
+  if (cv.condensed) trimmed.push('cv');
+  if (job.trimmed) trimmed.push('jobDescription');
+
+  return {
+    ...build(cv.text, job.text),
+    maxTokens: budget.output,
+    questionType,
+    classification: {
+      confidence: override || extraction ? 1 : classification.confidence,
+      ranked: classification ? classification.ranked.slice(0, 3).map(({ type, confidence }) => ({ type, confidence })) : [],
+      compound: !!classification?.compound,
+      overridden: !!override
+    },
+    trimmed,
+    limit,
+    language,
+    writingStyle,
+    budget: {
+      contextWindow: budget.contextWindow,
+      output: budget.output,
+      instructions: budget.instructions,
+      cv: budget.cv,
+      jobDescription: budget.jobDescription
+    },
+    ...(direct ? { directAnswer: direct.value } : {}),
+    ...(story ? { story: { id: story.id, title: story.title } } : {})
+  };
+
+  function build(cvContext, jobCtx) {
+    const styled = withWritingStyle(buildForType(cvContext, jobCtx), writingStyle, tone, language, questionType);
+    const prompt = withLimit(withCompoundParts(withProfileFacts(withProjectEvidence(styled, useProjects), facts), classification), limit);
+    return withLanguage(prompt, language, cvData.language, questionType);
+  }
+
+  function buildForType(cvContext, jobCtx) {
+    if (customType) {
+      return buildCustomPrompt(customType, cvContext, question, length, jobCtx, candidateName, tone);
+    }
+    switch (questionType) {
+      case 'data_extraction':
+        return buildExtractionPrompt(cvContext, question);
+      case 'short_factual':
+        return buildShortFactualPrompt(cvContext, question);
+      case 'salary':
+        return buildSalaryPrompt(cvContext, question, length, jobCtx, jobTitle, candidateName, tone, seniority);
+      case 'yes_no':
+        return buildYesNoPrompt(cvContext, question, jobCtx, candidateName, tone);
+      case 'brief':
+        return buildBriefPrompt(cvContext, question, jobCtx, candidateName, tone);
+      case 'behavioral':
+        return buildBehavioralPrompt(cvContext, question, length, jobCtx, candidateName, tone, story);
+      case 'strength_weakness': {
+        // Dispatch to a focused builder based on which sub-type is being asked.
+        // If the question asks for BOTH (e.g. "strengths and weaknesses"), fall
+        // through to the general builder so neither sub-topic is ignored.
+        const isWeakness = /weakness(es)?|areas?\s+(for|of|to)\s+improve(ment)?|development\s+area|improve\s+about\s+yourself/i.test(question);
+        const isStrength = /\bstrength(s)?\b/i.test(question);
+        if (isStrength && isWeakness) {
+          return buildGeneralPrompt(cvContext, question, length, jobCtx, candidateName, tone);
+        }
+        return isWeakness
+          ? buildWeaknessPrompt(cvContext, question, length, jobCtx, candidateName, tone)
+          : buildStrengthPrompt(cvContext, question, length, jobCtx, candidateName, tone);
+      }
+      case 'motivation':
+        return buildMotivationPrompt(cvContext, question, length, jobCtx, candidateName, tone);
+      case 'why_company':
+        return buildWhyCompanyPrompt(cvContext, question, length, jobCtx, jobTitle, company, candidateName, tone);
+      case 'cover_letter':
+        return buildCoverLetterPrompt(cvContext, question, length, jobCtx, jobTitle, company, candidateName, tone);
+      default:
+        return buildGeneralPrompt(cvContext, question, length, jobCtx, candidateName, tone);
+    }
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Story Bank Module
+ *
+ * A library of prepared situation/action/result stories, tagged by the
+ * competencies they demonstrate. Behavioral questions ("Tell me about a time
+ * you disagreed with your manager") are answered from the best-matching story
+ * instead of being rebuilt from terse CV bullets each time.
+ *
+ * DESIGN DECISIONS:
+ * 1. A fixed competency list – the same tags in the web app and the popup,
+ *    and each tag knows the question wording that asks for it
+ * 2. Matching is local: competency tags count most, then words shared with
+ *    the question (and, lightly, the job); no LLM call
+ * 3. No match means no story – the recipe falls back to the CV, exactly as
+ *    before the story bank existed
+ *
+ * Story shape: { id, title, competencies: string[], situation, action, result, updatedAt? }
+ */
+
+export const COMPETENCIES = [
+  { key: 'leadership', label: 'Leadership', pattern: /\blead(ing|er|ership)?\b|\bled\b|took\s+charge|manag(ed|ing)\s+(a\s+)?team|mentor|coach/ },
+  { key: 'conflict', label: 'Conflict', pattern: /conflict|disagree|difficult\s+(person|colleague|coworker|co-worker|stakeholder|customer|client|manager)|tension|push\s*back|pushed\s+back|confront/ },
+  { key: 'failure', label: 'Failure / mistake', pattern: /fail(ed|ure)?|mistake|went\s+wrong|didn'?t\s+go|setback|error\s+you\s+made|regret/ },
+  { key: 'ambiguity', label: 'Ambiguity', pattern: /ambigu|uncertain|unclear|incomplete\s+information|without\s+(clear|all\s+the)|changing\s+(requirements|priorities)/ },
+  { key: 'teamwork', label: 'Teamwork', pattern: /team\s*work|collaborat|cross[-\s]functional|work(ed)?\s+with\s+(others|a\s+team)/ },
+  { key: 'pressure', label: 'Pressure / deadlines', pattern: /pressure|deadline|tight\s+(timeline|schedule)|stress|urgent|crisis|outage|incident/ },
+  { key: 'initiative', label: 'Initiative', pattern: /initiative|went\s+above|beyond\s+(your|the)\s+role|proactive|self[-\s]starter|own\s+accord/ },
+  { key: 'influence', label: 'Influence', pattern: /persuad|convinc|influenc|get\s+buy[-\s]in|stakeholder/ },
+  { key: 'customer', label: 'Customer focus', pattern: /customer|client|user\s+(need|feedback|problem)/ },
+  { key: 'learning', label: 'Learning', pattern: /learn(ed|t)?\s+(something|a\s+new|quickly)|new\s+(skill|technology|domain)|outside\s+your\s+comfort/ }
+];
+
+const COMPETENCY_KEYS = new Set(COMPETENCIES.map(c => c.key));
+
+const MAX_STORIES = 50;
+const MAX_FIELD_LENGTH = 2000;
+
+// Weights: a shared competency outranks any amount of word overlap
+const COMPETENCY_WEIGHT = 1;
+const QUESTION_TERMS_WEIGHT = 0.6;
+const JOB_TERMS_WEIGHT = 0.15;
+// A story with no competency in common needs this much word overlap to count
+const MIN_TERM_SCORE = 0.25;
+
+const STOPWORDS = new Set((
+  'a an and are as at be been but by can did do for from had has have how i in into is it its me my ' +
+  'of on or our so that the their them then this to was we were what when where which who why will ' +
+  'with you your about tell time describe example give share situation walk through'
+).split(' '));
+
+function terms(text) {
+  return new Set(
+    ((text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#]*/g) || [])
+      .filter(w => w.length >= 3 && !STOPWORDS.has(w))
+  );
+}
+
+function overlap(wanted, have) {
+  if (!wanted.size) return 0;
+  let hits = 0;
+  for (const term of wanted) if (have.has(term)) hits++;
+  return hits / wanted.size;
+}
+
+/**
+ * Keep well-formed stories only, with known competency tags and capped fields.
+ *
+ * @param {Array} raw - Stories as stored or received over the wire
+ * @returns {Array} Clean stories (at most 50)
+ */
+export function normalizeStories(raw) {
+  if (!Array.isArray(raw)) return [];
+  const field = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_FIELD_LENGTH) : '');
+  return raw
+    .filter(s => s && typeof s === 'object')
+    .map((s, i) => ({
+      id: typeof s.id === 'string' && s.id ? s.id : `story_${i + 1}`,
+      title: field(s.title).slice(0, 120),
+      competencies: Array.isArray(s.competencies) ? s.competencies.filter(c => COMPETENCY_KEYS.has(c)) : [],
+      situation: field(s.situation),
+      action: field(s.action),
+      result: field(s.result)
+    }))
+    .filter(s => s.action && (s.situation || s.result))
+    .slice(0, MAX_STORIES);
+}
+
+/**
+ * Competencies a question asks about, e.g. "a time you disagreed with your
+ * manager" → ['conflict'].
+ */
+export function questionCompetencies(question) {
+  const q = (question || '').toLowerCase();
+  return COMPETENCIES.filter(c => c.pattern.test(q)).map(c => c.key);
+}
+
+/**
+ * Choose the story that best answers a question.
+ *
+ * @param {Array} stories - Story bank
+ * @param {string} question - Behavioral question
+ * @param {Object} [job] - { jobDescription?, requirements? } – tie-breaker only
+ * @returns {Object|null} { story, score, competencies } or null when nothing fits
+ */
+export function pickStory(stories, question, job = {}) {
+  const list = normalizeStories(stories);
+  if (!list.length) return null;
+
+  const wanted = questionCompetencies(question);
+  const questionTerms = terms(question);
+  const jobTerms = terms([job.jobDescription, ...(job.requirements || [])].filter(Boolean).join(' '));
+
+  let best = null;
+  for (const story of list) {
+    const storyTerms = terms([story.title, story.situation, story.action, story.result].join(' '));
+    const shared = wanted.filter(c => story.competencies.includes(c)).length;
+    const termScore = overlap(questionTerms, storyTerms);
+    if (!shared && termScore < MIN_TERM_SCORE) continue;
+
+    const score = (wanted.length ? (shared / wanted.length) * COMPETENCY_WEIGHT : 0) +
+      termScore * QUESTION_TERMS_WEIGHT +
+      overlap(jobTerms, storyTerms) * JOB_TERMS_WEIGHT;
+    if (!best || score > best.score) best = { story, score, competencies: wanted };
+  }
+  return best;
+}
+
+/**
+ * Render a story as a prompt block.
+ */
+export function formatStory(story) {
+  return [
+    story.title && `Title: ${story.title}`,
+    story.situation && `Situation: ${story.situation}`,
+    story.action && `What I did: ${story.action}`,
+    story.result && `Result: ${story.result}`
+  ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,116 @@
+/**
+ * Token Budget Module
+ *
+ * Splits a model's context window between the parts of a prompt: the reply
+ * (output), the fixed instructions, the CV and the job description. Replaces
+ * the per-surface character limits that used to be scattered across the
+ * recipe and the proxy.
+ *
+ * DESIGN DECISIONS:
+ * 1. Token counts are estimates (≈4 characters per token) – no tokenizer
+ *    download, same numbers in the browser and on the server. A safety margin
+ *    absorbs the error
+ * 2. Output and instructions are reserved first; they can't be shortened
+ *    without changing the answer
+ * 3. What's left goes ~65/35 to CV and job description, and any share one
+ *    side doesn't need is handed to the other
+ * 4. Each section also has a hard cap so a 1M-token model doesn't get a
+ *    100-page job posting pasted in
+ */
+
+// Context window assumed when the caller doesn't know the model
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Hard caps per section, in tokens (≈32k / ≈40k characters)
+export const DEFAULT_CV_CAP = 8000;
+export const DEFAULT_JOB_CAP = 10000;
+
+const CV_SHARE = 0.65;
+const MIN_MARGIN = 256;
+const MARGIN_RATIO = 0.05;
+// The reply never gets more than a quarter of the window
+const MAX_OUTPUT_RATIO = 0.25;
+
+/**
+ * Rough token estimate (≈4 characters per token for English prose).
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Split a context window between output, instructions, CV and job description.
+ *
+ * @param {Object} params
+ * @param {number} params.contextWindow - Model context window in tokens
+ * @param {number} params.outputTokens - Tokens wanted for the reply
+ * @param {number} params.instructionTokens - System prompt + user prompt scaffolding
+ * @param {number} params.cvTokens - Size of the full CV
+ * @param {number} params.jobTokens - Size of the full job context
+ * @param {number} [params.cvCap] - Max CV tokens regardless of window
+ * @param {number} [params.jobCap] - Max job-context tokens regardless of window
+ * @returns {Object} { contextWindow, output, instructions, margin, cv, jobDescription, overflow }
+ *   `cv` / `jobDescription` are the token budgets for those sections;
+ *   `overflow` is true when output + instructions alone don't fit
+ */
+export function planBudget({
+  contextWindow,
+  outputTokens = 0,
+  instructionTokens = 0,
+  cvTokens = 0,
+  jobTokens = 0,
+  cvCap = DEFAULT_CV_CAP,
+  jobCap = DEFAULT_JOB_CAP
+}) {
+  const window = Number(contextWindow) > 0 ? Number(contextWindow) : DEFAULT_CONTEXT_WINDOW;
+  const output = Math.min(outputTokens, Math.floor(window * MAX_OUTPUT_RATIO));
+  const margin = Math.max(MIN_MARGIN, Math.floor(window * MARGIN_RATIO));
+  const available = Math.max(0, window - output - instructionTokens - margin);
+
+  const wantCv = Math.min(cvTokens, cvCap);
+  const wantJob = Math.min(jobTokens, jobCap);
+
+  let cv = wantCv;
+  let jobDescription = wantJob;
+  if (wantCv + wantJob > available) {
+    const cvShare = Math.floor(available * CV_SHARE);
+    if (wantJob <= available - cvShare) {
+      cv = available - wantJob;
+    } else if (wantCv <= cvShare) {
+      jobDescription = available - wantCv;
+    } else {
+      cv = cvShare;
+      jobDescription = available - cvShare;
+    }
+  }
+
+  return {
+    contextWindow: window,
+    output,
+    instructions: instructionTokens,
+    margin,
+    cv,
+    jobDescription,
+    overflow: output + instructionTokens + margin > window
+  };
+}
+
+/**
+ * Cut text to a token budget, preferring a paragraph or sentence boundary in
+ * the last third of the allowance over a mid-word cut.
+ *
+ * @returns {Object} { text, trimmed }
+ */
+export function truncateToTokens(text, maxTokens) {
+  const source = text || '';
+  const maxChars = Math.max(0, Math.floor(maxTokens) * 4);
+  if (source.length <= maxChars) return { text: source, trimmed: false };
+
+  const head = source.slice(0, maxChars);
+  const floor = Math.floor(maxChars * 0.66);
+  const paragraph = head.lastIndexOf('\n\n');
+  const sentence = Math.max(head.lastIndexOf('. '), head.lastIndexOf('.\n'), head.lastIndexOf('\n'));
+  const cut = paragraph >= floor ? paragraph : sentence >= floor ? sentence + 1 : maxChars;
+
+  return { text: head.slice(0, cut).trimEnd(), trimmed: true };
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { finishAnswer } from '../shared/answer-finish.js';
+
+test('an answer with no limit is returned as generated', () => {
+  assert.deepEqual(finishAnswer('Short answer.', { limit: null }), { answer: 'Short answer.' });
+});
+
+test('an answer within its limit carries the limit but is not cut', () => {
+  const limit = { maxChars: 100 };
+  assert.deepEqual(finishAnswer('Short answer.', { limit }), { answer: 'Short answer.', limit });
+});
+
+test('an answer over its limit is cut at a sentence and flagged', () => {
+  const limit = { maxWords: 5 };
+  const result = finishAnswer('I led the platform team. We cut deploy time from 40 to 8 minutes.', { limit });
+  assert.deepEqual(result, { answer: 'I led the platform team.', limit, cutToLimit: true });
+});
+
+test('the answer is checked against the user\'s writing style after trimming', async () => {
+  const { buildStyleProfile } = await import('../shared/writing-style.js');
+  const samples = 'I build things. I like short sentences. They are easy to read. ' +
+    "We shipped it on time. It wasn't easy, but it worked. I'd do it again. " +
+    'My team is small. We talk a lot. We fix things fast. ';
+  const profile = buildStyleProfile(samples.repeat(4));
+  const answer = 'Throughout my professional career, I have consistently demonstrated an exceptional ability to orchestrate ' +
+    'comprehensive cross-functional initiatives that leverage cutting-edge methodologies, and furthermore I have ' +
+    'cultivated a robust understanding of stakeholder management across numerous multifaceted organisational contexts. ' +
+    'Consequently, I am confident that my extensive experience would enable me to contribute meaningfully to your organisation.';
+
+  const result = finishAnswer(answer, { writingStyle: profile, language: { code: 'en' }, tone: 'natural' });
+  assert.equal(result.answer, answer);
+  assert.equal(result.styleDrift.drifted, true);
+  assert.ok(result.styleDrift.issues.length > 0);
+
+  assert.equal(finishAnswer(answer, { writingStyle: null }).styleDrift, undefined);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectQuestionLanguage, normalizeAnswerLanguage, resolveAnswerLanguage, answerLanguages } from '../shared/answer-language.js';
+
+const GERMAN_JOB = `Wir suchen eine erfahrene Backend-Entwicklerin oder einen erfahrenen Backend-Entwickler für unser Team in Berlin.
+Ihre Aufgaben: Sie entwickeln und betreiben unsere Zahlungsplattform und arbeiten eng mit dem Produktteam zusammen.
+Ihr Profil: mehrjährige Berufserfahrung mit Node.js und Kubernetes, sehr gute Deutsch- und Englischkenntnisse.`;
+
+test('short questions are recognised in every CV language', () => {
+  assert.equal(detectQuestionLanguage('Warum möchten Sie bei uns arbeiten?'), 'de');
+  assert.equal(detectQuestionLanguage('Pourquoi souhaitez-vous nous rejoindre ?'), 'fr');
+  assert.equal(detectQuestionLanguage('¿Por qué quiere trabajar con nosotros?'), 'es');
+  assert.equal(detectQuestionLanguage('Waarom wil je bij ons werken?'), 'nl');
+  assert.equal(detectQuestionLanguage('Por que você gostaria de trabalhar conosco?'), 'pt');
+  assert.equal(detectQuestionLanguage('Why do you want to work with us?'), 'en');
+});
+
+test('a bare label is too short to tell', () => {
+  assert.equal(detectQuestionLanguage('Anschreiben'), null);
+  assert.equal(detectQuestionLanguage(''), null);
+});
+
+test('language options are read as CV language codes', () => {
+  assert.equal(normalizeAnswerLanguage('de-DE'), 'de');
+  assert.equal(normalizeAnswerLanguage(' FR '), 'fr');
+  assert.equal(normalizeAnswerLanguage('auto'), null);
+  assert.equal(normalizeAnswerLanguage('ja'), null);
+  assert.equal(normalizeAnswerLanguage(7), null);
+});
+
+test('the chosen language wins, then the question, then the job description', () => {
+  assert.deepEqual(resolveAnswerLanguage({ question: 'Why us?', language: 'fr' }), { code: 'fr', name: 'French', source: 'option' });
+  assert.equal(resolveAnswerLanguage({ question: 'Why do you want to work with us?', jobDescription: GERMAN_JOB }).source, 'question');
+  assert.deepEqual(resolveAnswerLanguage({ question: 'Anschreiben', jobDescription: GERMAN_JOB }), { code: 'de', name: 'German', source: 'jobDescription' });
+  assert.deepEqual(resolveAnswerLanguage({ question: 'Anschreiben' }), { code: 'en', name: 'English', source: 'default' });
+});
+
+test('every CV language can be picked', () => {
+  assert.deepEqual(answerLanguages().map(l => l.code).sort(), ['de', 'en', 'es', 'fr', 'nl', 'pt']);
+});
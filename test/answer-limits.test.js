@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitToLimit, fitsLimit } from '../shared/answer-limits.js';
+
+test('an answer over the limit is cut at the last sentence that fits', () => {
+  const { text, cut } = fitToLimit('First sentence here. Second sentence is longer than that.', { maxChars: 30 });
+  assert.equal(text, 'First sentence here.');
+  assert.equal(cut, true);
+});
+
+test('a single word longer than the limit is cut at a character, not emptied', () => {
+  const url = 'https://github.com/janedoe/a-very-long-repository-name';
+  const limit = { maxChars: 20 };
+  const { text, cut } = fitToLimit(url, limit);
+
+  assert.equal(text, `${url.slice(0, 19)}…`);
+  assert.equal(cut, true);
+  assert.ok(fitsLimit(text, limit));
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeApplicationProfile, answerFromProfile, profileTopics, formatProfileFacts } from '../shared/application-profile.js';
+
+const PROFILE = { noticePeriod: '4 weeks', startDate: '1 March 2025', visaSponsorship: 'No', salaryExpectation: '€70,000' };
+
+test('the profile keeps known fields with text, trimmed', () => {
+  assert.deepEqual(
+    normalizeApplicationProfile({ noticePeriod: '  4 weeks ', relocation: '', favouriteColour: 'blue', startDate: 3 }),
+    { noticePeriod: '4 weeks' }
+  );
+  assert.deepEqual(normalizeApplicationProfile(null), {});
+});
+
+test('a bare form label is answered with the value exactly as typed', () => {
+  assert.deepEqual(answerFromProfile('Notice period*', PROFILE), { field: 'noticePeriod', value: '4 weeks' });
+  assert.deepEqual(answerFromProfile('Please enter your earliest start date:', PROFILE), { field: 'startDate', value: '1 March 2025' });
+  assert.deepEqual(answerFromProfile('Visa sponsorship required?', PROFILE), { field: 'visaSponsorship', value: 'No' });
+  assert.deepEqual(answerFromProfile('Expected salary', PROFILE), { field: 'salaryExpectation', value: '€70,000' });
+});
+
+test('full questions and fields the profile lacks are left to the model', () => {
+  assert.equal(answerFromProfile('When could you start, and do you need sponsorship?', PROFILE), null);
+  assert.equal(answerFromProfile('Willing to relocate', PROFILE), null);
+  assert.equal(answerFromProfile('', PROFILE), null);
+});
+
+test('a question lists every fact it touches', () => {
+  assert.deepEqual(profileTopics('When could you start, and do you need sponsorship?'), ['startDate', 'visaSponsorship']);
+  assert.deepEqual(profileTopics('Are you legally allowed to work in the UK?'), ['workAuthorization']);
+  assert.deepEqual(profileTopics('Why do you want this job?'), []);
+});
+
+test('the facts render one labelled line each, in field order', () => {
+  assert.equal(
+    formatProfileFacts(PROFILE),
+    '- Notice period: 4 weeks\n- Earliest start date: 1 March 2025\n- Needs visa sponsorship: No\n- Expected salary: €70,000'
+  );
+  assert.equal(formatProfileFacts({}), '');
+});
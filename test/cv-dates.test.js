@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDatePoint, parseDateRange, buildTimeline, formatTenure } from '../shared/cv-dates.js';
+
+const NOW = new Date(2024, 5, 15); // June 2024
+
+test('date points are read in every written form', () => {
+  assert.deepEqual(parseDatePoint('Sept 2018'), { year: 2018, month: 9, precision: 'month' });
+  assert.deepEqual(parseDatePoint('03/2020'), { year: 2020, month: 3, precision: 'month' });
+  assert.deepEqual(parseDatePoint('2020-03'), { year: 2020, month: 3, precision: 'month' });
+  assert.deepEqual(parseDatePoint('März 2020'), { year: 2020, month: 3, precision: 'month' });
+  assert.deepEqual(parseDatePoint('enero de 2019'), { year: 2019, month: 1, precision: 'month' });
+  assert.deepEqual(parseDatePoint('2016'), { year: 2016, month: 1, precision: 'year' });
+  assert.equal(parseDatePoint('13/2020'), null);
+  assert.equal(parseDatePoint('Acme 2020'), null);
+});
+
+test('a season starts on its first month and ends on its last', () => {
+  const start = parseDatePoint('Summer 2019');
+  const end = parseDatePoint('Summer 2019', { asEnd: true });
+  assert.equal(start.precision, 'season');
+  assert.ok(end.month > start.month);
+});
+
+test('a range ending "Present" runs to the current month', () => {
+  const range = parseDateRange('Acme Corp · Jan 2020 – Present', NOW);
+  assert.equal(range.current, true);
+  assert.deepEqual(range.start, { year: 2020, month: 1, precision: 'month' });
+  assert.equal(range.months, 54);
+  assert.equal(range.raw, 'Jan 2020 – Present');
+});
+
+test('ranges in other languages and with "since" are read', () => {
+  assert.equal(parseDateRange('März 2021 – heute', NOW).months, 40);
+  assert.equal(parseDateRange('mei 2018 – heden', NOW).current, true);
+  assert.equal(parseDateRange('depuis 2019', NOW).current, true);
+  assert.equal(parseDateRange('03/2018 to 11/2019', NOW).months, 21);
+});
+
+test('year-only ranges join back to back and a single year is the whole year', () => {
+  assert.equal(parseDateRange('2016 - 2020', NOW).months, 48);
+  assert.equal(parseDateRange('2019', NOW).months, 12);
+  assert.equal(parseDateRange('2020 - 2016', NOW), null);
+  assert.equal(parseDateRange('no dates here', NOW), null);
+});
+
+test('the timeline counts parallel roles once and finds gaps and overlaps', () => {
+  const roles = [
+    { label: 'Acme', range: parseDateRange('Jan 2016 – Dec 2018', NOW) },
+    { label: 'Side project', range: parseDateRange('Jun 2018 – Mar 2019', NOW) },
+    { label: 'Globex', range: parseDateRange('Jan 2020 – Dec 2023', NOW) }
+  ];
+  const timeline = buildTimeline(roles, NOW);
+
+  assert.equal(timeline.totalMonths, 39 + 48);
+  assert.equal(timeline.firstStart, '2016-01');
+  assert.deepEqual(timeline.overlaps, [{ a: 'Acme', b: 'Side project', months: 7 }]);
+  assert.deepEqual(timeline.gaps, [
+    { from: '2019-04', to: '2020-01', months: 9, ongoing: false },
+    { from: '2024-01', to: null, months: 5, ongoing: true }
+  ]);
+});
+
+test('a timeline with no dated roles is empty', () => {
+  assert.deepEqual(buildTimeline([{ label: 'Acme', range: null }], NOW),
+    { totalMonths: 0, totalYears: 0, firstStart: null, overlaps: [], gaps: [] });
+});
+
+test('tenure reads in years and months', () => {
+  assert.equal(formatTenure(27), '2 yrs 3 mos');
+  assert.equal(formatTenure(12), '1 yr');
+  assert.equal(formatTenure(1), '1 mo');
+  assert.equal(formatTenure(0), '0 mos');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CVParser } from '../shared/cv-parser.js';
+import { exportJSONResume, importJSONResume } from '../shared/cv-formats.js';
+
+const RESUME = {
+  basics: { name: 'Jane Doe', email: 'jane@example.com' },
+  work: [{ name: 'Acme Corp', position: 'Senior Engineer', startDate: '2019-01', highlights: ['Led the Kubernetes migration'] }],
+  education: [
+    { institution: 'University of Leeds', studyType: 'Bachelor', area: 'Computer Science', endDate: '2015' },
+    { institution: 'Imperial College London', studyType: 'MSc', area: 'Machine Learning', startDate: '2015-09', endDate: '2016-09' }
+  ],
+  skills: [{ name: 'Cloud', keywords: ['AWS', 'Kubernetes'] }]
+};
+
+test('a JSON Resume degree with only an end date keeps it on import', () => {
+  const [bachelor, master] = importJSONResume(RESUME).education;
+
+  assert.equal(bachelor.degree, 'Bachelor, Computer Science');
+  assert.equal(bachelor.dates, '2015');
+  assert.equal(master.dates, 'Sep 2015 – Sep 2016');
+});
+
+test('studyType, area and a graduation date survive an import → export round trip', () => {
+  const cv = new CVParser().parse(JSON.stringify(RESUME));
+  const [bachelor, master] = exportJSONResume(cv).education;
+
+  assert.deepEqual(bachelor, { institution: 'University of Leeds', studyType: 'Bachelor', area: 'Computer Science', endDate: '2015' });
+  assert.equal(master.studyType, 'MSc');
+  assert.equal(master.area, 'Machine Learning');
+  assert.equal(master.startDate, '2015-09');
+});
+
+test('a parsed degree is split into studyType and area on export', () => {
+  const cv = { contactInfo: { name: 'Jane Doe' }, education: [
+    { institution: 'University of Leeds', degree: 'BSc in Computer Science', dates: '2012 – 2015' },
+    { institution: 'Open University', degree: 'Diploma', dates: '' }
+  ] };
+  const [bsc, diploma] = exportJSONResume(cv).education;
+
+  assert.equal(bsc.studyType, 'BSc');
+  assert.equal(bsc.area, 'Computer Science');
+  assert.deepEqual(diploma, { institution: 'Open University', studyType: 'Diploma' });
+});
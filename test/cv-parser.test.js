@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CVParser } from '../shared/cv-parser.js';
+import { appendLinks, htmlToText } from '../shared/doc-formats.js';
+
+const CV = `Jane Doe
+jane@example.com
+
+Experience
+Acme Corp
+Senior Engineer
+Jan 2019 - Present
+- Led the migration of 40 services to Kubernetes
+
+Skills
+JavaScript, Kubernetes, AWS`;
+
+test('hyperlinks appended after a closing Skills section stay out of the skills', () => {
+  const text = appendLinks(CV, ['https://www.linkedin.com/in/jane-doe-123', 'https://github.com/janedoe']);
+  const cv = new CVParser().parse(text);
+
+  assert.deepEqual(cv.skills, ['JavaScript', 'Kubernetes', 'AWS']);
+  assert.equal(cv.contactInfo.linkedin, 'https://www.linkedin.com/in/jane-doe-123');
+  assert.equal(cv.contactInfo.github, 'https://github.com/janedoe');
+  assert.equal(cv.rawText, text);
+});
+
+test('an HTML CV keeps each role\'s company, title and dates together', () => {
+  const html = `<!doctype html><html><body>
+    <h1>Jane Doe</h1><p>jane@example.com</p>
+    <h2>Experience</h2>
+    <p>Acme Corp</p><p>Senior Engineer</p><p>Jan 2019 - Present</p>
+    <ul><li>Led the migration of 40 services to Kubernetes</li><li>Cut deploy time from 40 to 8 minutes</li></ul>
+    <p>Globex</p><p>Engineer</p><p>Mar 2015 - Dec 2018</p>
+    <ul><li>Built the billing service</li></ul>
+    <h2>Skills</h2><p>JavaScript, Kubernetes, AWS</p>
+  </body></html>`;
+  const cv = new CVParser().parse(htmlToText(html).text);
+
+  assert.deepEqual(cv.experience.map(role => [role.company, role.title, role.dates]), [
+    ['Acme Corp', 'Senior Engineer', 'Jan 2019 - Present'],
+    ['Globex', 'Engineer', 'Mar 2015 - Dec 2018']
+  ]);
+  assert.deepEqual(cv.skills, ['JavaScript', 'Kubernetes', 'AWS']);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FILE_TYPES, detectFileType, decodeText, rtfToText, markdownToText, odtToText, appendLinks, splitLinks
+} from '../shared/doc-formats.js';
+import { createDocumentExtractor } from '../shared/document-extract.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+test('a PDF is recognised by its header, after a BOM or whitespace too', () => {
+  assert.equal(detectFileType(bytes('%PDF-1.7\n%âãÏÓ\n1 0 obj')), FILE_TYPES.PDF);
+  assert.equal(detectFileType(bytes('﻿%PDF-1.4\n')), FILE_TYPES.PDF);
+  assert.equal(detectFileType(bytes('\n  %PDF-1.4\n')), FILE_TYPES.PDF);
+});
+
+test('a text or Markdown CV that mentions "%PDF-" stays text', () => {
+  const cv = 'Jane Doe\n\nSkills\nParsing file headers such as %PDF-1.7 and PK\\x03\\x04\n';
+  assert.equal(detectFileType(bytes(cv), 'cv.txt'), FILE_TYPES.TEXT);
+  assert.equal(detectFileType(bytes(`# Jane Doe\n\n${cv}`), 'cv.md'), FILE_TYPES.MARKDOWN);
+});
+
+test('uploading a text CV that mentions "%PDF-" never reaches the PDF reader', async () => {
+  const pdfParse = () => { throw new Error('not a PDF'); };
+  const extractDocument = createDocumentExtractor({ pdfParse, WordExtractor: class {} });
+  const cv = 'Jane Doe\n\nExperience\nWrote a validator for %PDF- headers\n';
+
+  const doc = await extractDocument(Buffer.from(cv), { filename: 'cv.txt' });
+  assert.equal(doc.type, FILE_TYPES.TEXT);
+  assert.ok(doc.text.includes('%PDF- headers'));
+});
+
+test('binary formats are recognised by their signatures', () => {
+  const zip = (...parts) => new Uint8Array([0x50, 0x4b, 0x03, 0x04, ...new Array(26).fill(0), ...parts.flatMap(p => [...bytes(p)])]);
+
+  assert.equal(detectFileType(zip('mimetype', 'application/vnd.oasis.opendocument.text')), FILE_TYPES.ODT);
+  assert.equal(detectFileType(zip('[Content_Types].xml', 'word/document.xml')), FILE_TYPES.DOCX);
+  assert.equal(detectFileType(zip('xl/workbook.xml')), null);
+  assert.equal(detectFileType(new Uint8Array([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0])), FILE_TYPES.DOC);
+  assert.equal(detectFileType(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])), FILE_TYPES.PNG);
+  assert.equal(detectFileType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])), FILE_TYPES.JPEG);
+  assert.equal(detectFileType(new Uint8Array([0x7f, 0x45, 0x4c, 0x46, 0, 0])), null);
+  assert.equal(detectFileType(new Uint8Array()), null);
+});
+
+test('text formats are recognised by content, or by name when the content is plain', () => {
+  assert.equal(detectFileType(bytes('{\\rtf1\\ansi Jane Doe}')), FILE_TYPES.RTF);
+  assert.equal(detectFileType(bytes('<!DOCTYPE html><html><body>Jane</body></html>')), FILE_TYPES.HTML);
+  assert.equal(detectFileType(bytes('Jane Doe'), 'cv.htm'), FILE_TYPES.HTML);
+  assert.equal(detectFileType(bytes('## Experience\nAcme')), FILE_TYPES.MARKDOWN);
+  assert.equal(detectFileType(bytes('Jane Doe'), 'CV.MD'), FILE_TYPES.MARKDOWN);
+  assert.equal(detectFileType(bytes('Jane Doe\nEngineer')), FILE_TYPES.TEXT);
+});
+
+test('text files are decoded as UTF-8, else as Windows-1252', () => {
+  assert.equal(decodeText(bytes('﻿Café')), 'Café');
+  assert.equal(decodeText(new Uint8Array([0x43, 0x61, 0x66, 0xe9, 0x20, 0x80])), 'Café €');
+});
+
+test('RTF, Markdown and ODT become text with their links kept', () => {
+  const rtf = rtfToText('{\\rtf1\\ansi\\ansicpg1252 {\\fonttbl{\\f0 Arial;}}\\f0 Jane Doe\\par Senior Engineer \\endash  Acme\\par Caf\\\'e9\\par ' +
+    '{\\field{\\*\\fldinst HYPERLINK "https://github.com/jane"}{\\fldrslt GitHub}}}');
+  assert.deepEqual(rtf, { text: 'Jane Doe\nSenior Engineer – Acme\nCafé\nGitHub (https://github.com/jane)', links: ['https://github.com/jane'] });
+
+  const markdown = markdownToText('# Jane Doe\n\n**Senior Engineer** at [Acme](https://acme.com)\n\n- Led the *Kubernetes* migration\n');
+  assert.deepEqual(markdown, { text: 'Jane Doe\n\nSenior Engineer at Acme (https://acme.com)\n\n- Led the Kubernetes migration', links: ['https://acme.com'] });
+
+  const odt = odtToText('<office:document-content><office:body><office:text><text:h>Jane Doe</text:h>' +
+    '<text:p>Engineer at <text:a xlink:href="https://acme.com">Acme</text:a></text:p></office:text></office:body></office:document-content>');
+  assert.deepEqual(odt, { text: 'Jane Doe\n\nEngineer at Acme (https://acme.com)', links: ['https://acme.com'] });
+});
+
+test('a Links block is added for unseen links and split off again', () => {
+  const text = appendLinks('Jane Doe\nhttps://acme.com', ['https://acme.com', 'https://github.com/jane']);
+  assert.equal(text, 'Jane Doe\nhttps://acme.com\n\nLinks:\nhttps://github.com/jane');
+  assert.deepEqual(splitLinks(text), { text: 'Jane Doe\nhttps://acme.com', links: ['https://github.com/jane'] });
+  assert.deepEqual(splitLinks('Jane Doe'), { text: 'Jane Doe', links: [] });
+});
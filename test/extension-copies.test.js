@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { EXTENSION_COPIES, extensionCopy, extensionCopyPath } from '../scripts/sync-extension.js';
+
+for (const name of EXTENSION_COPIES) {
+  test(`extension-ready/${name}.js matches shared/${name}.js`, () => {
+    const copy = readFileSync(extensionCopyPath(name), 'utf8');
+    assert.ok(copy === extensionCopy(name), `extension-ready/${name}.js is out of date – run npm run sync-extension`);
+  });
+}
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CVParser } from '../shared/cv-parser.js';
+import { PromptBuilder } from '../shared/prompt-builder.js';
+import { buildPrompts } from '../shared/recipe.js';
+
+const CV = `Jane Doe
+jane@example.com
+
+Experience
+Acme Corp
+Senior Engineer
+Jan 2019 - Present
+- Led the migration of 40 services to Kubernetes
+
+Skills
+JavaScript, Kubernetes, AWS`;
+
+test('buildPrompt builds the recipe prompt, with the user\'s CV corrections', () => {
+  const cvOverrides = { skills: ['Rust', 'Terraform'] };
+  const question = 'What skills would you bring to the team?';
+  const options = { jobTitle: 'Platform Engineer', company: 'Globex', cvOverrides };
+
+  const wrapped = new PromptBuilder().buildPrompt(new CVParser().parse(CV), question, 'short', options);
+  const direct = buildPrompts({ ...options, question, length: 'short', cvText: CV });
+
+  assert.equal(wrapped.systemPrompt, direct.systemPrompt);
+  assert.equal(wrapped.userPrompt, direct.userPrompt);
+  assert.ok(wrapped.userPrompt.includes('Terraform'));
+});
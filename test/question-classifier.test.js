@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyQuestion, evaluateClassifier } from '../shared/question-classifier.js';
+import { QUESTION_FIXTURES } from '../shared/question-fixtures.js';
+
+test('the labelled questions are classified as labelled', () => {
+  const { misses } = evaluateClassifier(QUESTION_FIXTURES);
+  assert.deepEqual(misses, []);
+});
+
+test('a part no type claims still makes the question compound', () => {
+  const result = classifyQuestion('Why do you want to join us, and what would you bring?');
+  assert.equal(result.type, 'why_company');
+  assert.equal(result.compound, true);
+  assert.deepEqual(result.parts.map(p => p.type), ['why_company', 'general']);
+});
+
+test('a follow-up asking to expand stays with the question before it', () => {
+  for (const question of [
+    'Are you willing to relocate? Why or why not?',
+    'Have you ever been dismissed from a job? If so, please explain.',
+    'Do you hold a driving licence? Please elaborate.'
+  ]) {
+    const result = classifyQuestion(question);
+    assert.equal(result.compound, false, question);
+    assert.deepEqual(result.parts.map(p => p.text), [question]);
+  }
+});
+
+test('a follow-up that asks something new still makes the question compound', () => {
+  const result = classifyQuestion('Are you willing to relocate? Why do you want to work at our company?');
+  assert.equal(result.compound, true);
+});
+
+test('questions in the other CV languages get their type', () => {
+  assert.equal(classifyQuestion('Warum möchten Sie bei uns arbeiten?').type, 'why_company');
+  assert.equal(classifyQuestion('Quelles sont vos prétentions salariales ?').type, 'salary');
+  assert.equal(classifyQuestion('Wat is je opzegtermijn?').type, 'short_factual');
+  assert.equal(classifyQuestion('Describa una situación en la que resolvió un conflicto.').type, 'behavioral');
+});
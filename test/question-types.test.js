@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { loadQuestionTypesFile } from '../shared/question-types.js';
+import { generateOpenAICompatible } from '../backend/llm-providers.js';
+
+const CLEARANCE = {
+  type: 'security_clearance',
+  patterns: ['security clearance'],
+  instructions: 'State the clearance level exactly as the CV gives it.',
+  temperature: 0
+};
+
+test('the config file is loaded into normalised question types', () => {
+  const types = loadQuestionTypesFile('types.json', () => JSON.stringify({ questionTypes: [CLEARANCE] }));
+  assert.deepEqual(types.map(t => [t.type, t.temperature]), [['security_clearance', 0]]);
+});
+
+test('no config file means no custom types', () => {
+  assert.deepEqual(loadQuestionTypesFile(undefined, () => { throw new Error('not read'); }), []);
+});
+
+test('a broken or unreadable config file throws with every problem listed', () => {
+  assert.throws(
+    () => loadQuestionTypesFile('types.json', () => JSON.stringify([{ type: 'cover_letter' }, { type: 'x' }])),
+    err => err.message.startsWith('Invalid question types in types.json:') && err.message.split('\n').length === 3
+  );
+  assert.throws(
+    () => loadQuestionTypesFile('missing.json', () => { throw new Error('ENOENT: no such file'); }),
+    /Invalid question types in missing\.json:\n {2}ENOENT/
+  );
+});
+
+test('a temperature of 0 reaches the provider as 0', async () => {
+  let sent;
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      sent = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { content: 'Active SC clearance.' } }] }));
+    });
+  });
+  await new Promise(done => server.listen(0, done));
+  try {
+    const config = { name: 'Test', baseUrl: `http://localhost:${server.address().port}`, model: 'test' };
+    await generateOpenAICompatible(config, [{ role: 'user', content: 'Clearance?' }], { temperature: 0 });
+    assert.equal(sent.temperature, 0);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPrompts } from '../shared/recipe.js';
+
+const CV = `Jane Doe
+jane@example.com
+
+Experience
+Senior Engineer, Acme (2019 – present)
+- Led the migration of 40 services to Kubernetes on AWS
+- Cut deploy time from 40 to 8 minutes
+
+Skills
+Node.js, Kubernetes, AWS, PostgreSQL`;
+
+test('a short job description under a large window reaches the prompt unchanged', () => {
+  const jobDescription = 'We need a Node.js engineer with Kubernetes and AWS.';
+  const result = buildPrompts({ question: 'Why do you want to join us?', cvText: CV, jobDescription, contextWindow: 131072 });
+
+  assert.ok(result.userPrompt.includes(`Job Description:\n${jobDescription}\n`));
+  assert.ok(!result.userPrompt.includes('[...truncated...]'));
+  assert.deepEqual(result.trimmed, []);
+});
+
+test('nothing is trimmed when CV and job description fit', () => {
+  const jobDescription = 'We build payment infrastructure for marketplaces. '.repeat(45);
+  const result = buildPrompts({ question: 'Write a cover letter', cvText: CV, jobDescription, contextWindow: 131072 });
+
+  assert.ok(result.userPrompt.includes(jobDescription.trim()));
+  assert.deepEqual(result.trimmed, []);
+});
+
+test('a job description over its budget is cut and reported', () => {
+  const jobDescription = 'You will build distributed systems at scale with Kafka. '.repeat(800);
+  const result = buildPrompts({ question: 'Write a cover letter', cvText: CV, jobDescription, contextWindow: 4096 });
+
+  assert.ok(result.userPrompt.includes('[...truncated...]'));
+  assert.ok(result.trimmed.includes('jobDescription'));
+});
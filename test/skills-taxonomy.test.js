@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSkill, findSkills, normalizeSkills, categorizeSkills, matchSkills, skillTerms } from '../shared/skills-taxonomy.js';
+
+test('synonyms map to one canonical skill', () => {
+  assert.equal(normalizeSkill('JS').id, 'javascript');
+  assert.equal(normalizeSkill('  ES6 ').id, 'javascript');
+  assert.equal(normalizeSkill('k8s').id, 'kubernetes');
+  assert.equal(normalizeSkill('Postgres').name, 'PostgreSQL');
+  assert.equal(normalizeSkill('Underwater basket weaving'), null);
+});
+
+test('everyday words only count written exactly as the skill', () => {
+  assert.deepEqual(findSkills('Services in Go and R on k8s').map(s => s.id), ['go', 'r', 'kubernetes']);
+  assert.deepEqual(findSkills('Ready to go, spring 2020, R&D budget, Go to market plan').map(s => s.id), []);
+});
+
+test('a CV skills list is split, deduplicated and keeps unknown skills', () => {
+  const skills = normalizeSkills(['JavaScript/TypeScript', 'JS', 'Kubernetes (k8s)', 'Underwater basket weaving', '']);
+  assert.deepEqual(skills.map(s => [s.id, s.name]), [
+    ['javascript', 'JavaScript'],
+    ['typescript', 'TypeScript'],
+    ['kubernetes', 'Kubernetes'],
+    [null, 'Underwater basket weaving']
+  ]);
+  assert.deepEqual(categorizeSkills(skills), {
+    language: ['JavaScript', 'TypeScript'],
+    cloud: ['Kubernetes'],
+    other: ['Underwater basket weaving']
+  });
+});
+
+test('a job is matched against the whole CV and soft skills are never missing', () => {
+  const cv = { skills: ['JS', 'Postgres'], rawText: 'Ran our k8s clusters on AWS.' };
+  const job = { jobTitle: 'Backend Engineer', requirements: ['TypeScript', 'Kubernetes', 'PostgreSQL', 'Strong communication skills'] };
+  const { matched, missing } = matchSkills(cv, job);
+
+  assert.deepEqual(matched.map(s => s.id), ['kubernetes', 'postgresql']);
+  assert.deepEqual(missing.map(s => s.id), ['typescript']);
+});
+
+test('skill terms let "k8s" and "Kubernetes" share a keyword', () => {
+  assert.deepEqual(skillTerms('k8s'), skillTerms('Kubernetes'));
+  assert.deepEqual(skillTerms('k8s and golang'), ['skill:kubernetes', 'skill:go']);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeStories, questionCompetencies, pickStory, formatStory } from '../shared/story-bank.js';
+
+const STORIES = [
+  {
+    id: 'outage',
+    title: 'Payments outage',
+    competencies: ['pressure'],
+    situation: 'Our payment service went down on Black Friday.',
+    action: 'I rolled back the release and led the incident call.',
+    result: 'Service restored in 20 minutes.'
+  },
+  {
+    id: 'manager',
+    title: 'Disagreeing on the rewrite',
+    competencies: ['conflict', 'influence'],
+    situation: 'My manager wanted to rewrite the billing system from scratch.',
+    action: 'I wrote a cost comparison and proposed an incremental migration.',
+    result: 'We migrated in stages and shipped two months early.'
+  }
+];
+
+test('stories are cleaned: unknown tags dropped, stories without an action removed', () => {
+  const stories = normalizeStories([
+    { title: '  Tagged  ', competencies: ['conflict', 'juggling'], situation: 'S', action: 'A' },
+    { title: 'No action', situation: 'S', result: 'R' },
+    'not a story'
+  ]);
+  assert.deepEqual(stories, [{ id: 'story_1', title: 'Tagged', competencies: ['conflict'], situation: 'S', action: 'A', result: '' }]);
+  assert.deepEqual(normalizeStories(null), []);
+});
+
+test('a question is read for the competencies it asks about', () => {
+  assert.deepEqual(questionCompetencies('Tell me about a time you disagreed with your manager'), ['conflict']);
+  assert.deepEqual(questionCompetencies('Describe working to a tight deadline'), ['pressure']);
+  assert.deepEqual(questionCompetencies('What is your favourite colour?'), []);
+});
+
+test('the story tagged with the asked competency is picked', () => {
+  const pick = pickStory(STORIES, 'Tell me about a time you disagreed with your manager');
+  assert.equal(pick.story.id, 'manager');
+  assert.deepEqual(pick.competencies, ['conflict']);
+});
+
+test('a question no story is tagged for still finds one by shared words', () => {
+  assert.equal(pickStory(STORIES, 'How did you handle the Black Friday payment failure?').story.id, 'outage');
+});
+
+test('no story fits an unrelated question', () => {
+  assert.equal(pickStory(STORIES, 'What is your favourite programming language?'), null);
+  assert.equal(pickStory([], 'Tell me about a conflict'), null);
+});
+
+test('a story renders as labelled lines, skipping empty fields', () => {
+  assert.equal(
+    formatStory({ title: 'Rewrite', situation: '', action: 'Proposed a migration', result: 'Shipped early' }),
+    'Title: Rewrite\nWhat I did: Proposed a migration\nResult: Shipped early'
+  );
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, planBudget, truncateToTokens, DEFAULT_CONTEXT_WINDOW, DEFAULT_CV_CAP } from '../shared/token-budget.js';
+
+test('tokens are estimated at four characters each', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('CV and job description that fit keep their full size', () => {
+  const plan = planBudget({ contextWindow: 8192, outputTokens: 500, instructionTokens: 1000, cvTokens: 2000, jobTokens: 1000 });
+  assert.equal(plan.cv, 2000);
+  assert.equal(plan.jobDescription, 1000);
+  assert.equal(plan.overflow, false);
+});
+
+test('when both are too large the rest of the window is split about 65/35', () => {
+  const plan = planBudget({ contextWindow: 8192, outputTokens: 500, instructionTokens: 1000, cvTokens: 20000, jobTokens: 20000 });
+  const available = 8192 - 500 - 1000 - plan.margin;
+  assert.equal(plan.cv, Math.floor(available * 0.65));
+  assert.equal(plan.cv + plan.jobDescription, available);
+});
+
+test('a short job description hands its unused share to the CV', () => {
+  const plan = planBudget({ contextWindow: 8192, outputTokens: 500, instructionTokens: 1000, cvTokens: 8000, jobTokens: 500 });
+  assert.equal(plan.jobDescription, 500);
+  assert.equal(plan.cv, 8192 - 500 - 1000 - plan.margin - 500);
+});
+
+test('the reply gets at most a quarter of the window and sections keep their hard caps', () => {
+  assert.equal(planBudget({ contextWindow: 8192, outputTokens: 5000 }).output, 2048);
+  assert.equal(planBudget({ contextWindow: 1000000, cvTokens: 50000 }).cv, DEFAULT_CV_CAP);
+});
+
+test('an unknown window falls back to the default, and overflow is reported', () => {
+  assert.equal(planBudget({}).contextWindow, DEFAULT_CONTEXT_WINDOW);
+  const plan = planBudget({ contextWindow: 4096, instructionTokens: 5000, cvTokens: 100, jobTokens: 100 });
+  assert.equal(plan.overflow, true);
+  assert.equal(plan.cv + plan.jobDescription, 0);
+});
+
+test('text is cut at a paragraph or sentence near the budget, else mid-word', () => {
+  assert.deepEqual(truncateToTokens('short', 100), { text: 'short', trimmed: false });
+
+  const paragraphs = `${'a'.repeat(300)}\n\n${'b'.repeat(300)}`;
+  assert.deepEqual(truncateToTokens(paragraphs, 100), { text: 'a'.repeat(300), trimmed: true });
+
+  const sentences = `${'x'.repeat(290)}. ${'y'.repeat(300)}`;
+  assert.equal(truncateToTokens(sentences, 100).text, `${'x'.repeat(290)}.`);
+
+  assert.equal(truncateToTokens('z'.repeat(1000), 100).text.length, 400);
+});
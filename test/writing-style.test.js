@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildStyleProfile, normalizeStyleProfile, formatStyleProfile, checkStyleDrift, describeStyleProfile, measureText
+} from '../shared/writing-style.js';
+
+// About 180 words: short sentences, contractions, British spelling
+const SAMPLE = `I'm a backend engineer and I've spent six years on payment systems. I don't like long meetings. I'd rather write a short note and get on with the work.
+Last year I organised our move to a new ledger. It wasn't easy. We had two teams, three time zones and a hard deadline. I prioritised the riskiest parts first and we travelled to Lisbon to plan it together.
+I've learnt that it's the boring parts that matter. Colour-coded dashboards are nice, but they're not the point. The point is that customers don't notice the change at all.
+When I'm stuck I talk it through with someone. When someone else is stuck I'll sit with them. I'm happiest when the team ships something small every week.
+I've organised hack days, mentored two juniors and written our on-call guide. I don't think any of that is unusual. It's just what I'd want from a colleague.
+I'm now looking for a team that cares about reliability as much as I do. I'd like to keep building payment systems, and I'm keen to learn more about fraud.`;
+
+test('a profile needs enough words and reads contractions and spelling from them', () => {
+  assert.equal(buildStyleProfile('Too short to say anything.'), null);
+
+  const profile = buildStyleProfile([SAMPLE]);
+  assert.ok(measureText(SAMPLE).words >= 150);
+  assert.equal(profile.spelling, 'british');
+  assert.ok(profile.contractions >= 0.6);
+  assert.ok(profile.sentenceLength < 15);
+});
+
+test('a profile from storage is checked value by value', () => {
+  assert.equal(normalizeStyleProfile({ sentenceLength: 'long' }), null);
+  assert.equal(normalizeStyleProfile([]), null);
+  const profile = normalizeStyleProfile({ sentenceLength: 14.26, wordLength: 4.61, spelling: 'klingon', vocabulary: ['ledger', '<script>', 42] });
+  assert.equal(profile.sentenceLength, 14.3);
+  assert.equal(profile.spelling, null);
+  assert.equal(profile.contractions, null);
+  assert.deepEqual(profile.vocabulary, ['ledger']);
+});
+
+test('English-only measures are left out of the prompt for other languages', () => {
+  const profile = buildStyleProfile(SAMPLE);
+  const english = formatStyleProfile(profile);
+  assert.match(english, /Spelling: British/);
+  assert.match(english, /Contractions: you use them/);
+
+  const german = formatStyleProfile(profile, { language: 'de' });
+  assert.doesNotMatch(german, /Spelling|Contractions/);
+  assert.doesNotMatch(formatStyleProfile(profile, { tone: 'formal' }), /Contractions/);
+  assert.equal(formatStyleProfile(null), '');
+});
+
+test('an answer in the other spelling and without contractions drifts', () => {
+  const profile = buildStyleProfile(SAMPLE);
+  const answer = 'I am an engineer who has organized several migrations. I do not enjoy long meetings. ' +
+    'I have analyzed the risks of each release and I have prioritized the riskiest parts first. ' +
+    'I am looking for a team that values reliability, and I would like to keep building payment systems with colleagues who care.';
+  const drift = checkStyleDrift(answer, profile);
+
+  assert.equal(drift.drifted, true);
+  assert.ok(drift.issues.some(issue => issue.startsWith('American spelling (organized')));
+  assert.ok(drift.issues.includes('Hardly any contractions; you usually use them'));
+
+  assert.equal(checkStyleDrift(answer, profile, { language: 'de' }).drifted, false);
+  assert.equal(checkStyleDrift('Too short.', profile), null);
+});
+
+test('the settings line sums the profile up', () => {
+  assert.match(describeStyleProfile(buildStyleProfile(SAMPLE)), /^about \d+ words per sentence · contractions often · British spelling$/);
+});